@@ -10,6 +10,7 @@ import FastifyCors from "@fastify/cors";
 import FastifyMultipart from "@fastify/multipart";
 import FastifyRateLimit from "@fastify/rate-limit";
 import Fastify from "fastify";
+import { recordAdminRequest } from "./src/utils/adminUtils.js";
 import { addressRoutes } from "./src/routes/addressRoutes.js";
 import { authRoutes } from './src/routes/authRoutes.js';
 import { cctpRoutes } from "./src/routes/cctpRoutes.js";
@@ -18,9 +19,26 @@ import { fileRoutes } from "./src/routes/fileRoutes.js";
 import { userRoutes } from "./src/routes/userRoutes.js";
 import { payRoutes } from "./src/routes/payRoutes.js";
 import { txRoutes } from "./src/routes/txRoutes.js";
+import { indexerRoutes } from "./src/routes/indexerRoutes.js";
+import { webhookRoutes } from "./src/routes/webhookRoutes.js";
+import { streamRoutes } from "./src/routes/streamRoutes.js";
+import { invoiceRoutes } from "./src/routes/invoiceRoutes.js";
+import { subscriptionRoutes } from "./src/routes/subscriptionRoutes.js";
+import { fundraiserRoutes } from "./src/routes/fundraiserRoutes.js";
+import { scheduledWithdrawalRoutes } from "./src/routes/scheduledWithdrawalRoutes.js";
+import { adminRoutes } from "./src/routes/adminRoutes.js";
+import { nfcTagAdminRoutes, nfcTagRoutes } from "./src/routes/nfcTagRoutes.js";
 import { cctpWorkers } from "./src/workers/cctpWorker.js";
 import { aptosStealthWorkers } from "./src/workers/aptos/aptosStealthWorkers.js";
 import { aptosTokenWorker } from "./src/workers/aptos/aptosTokenWorker.js";
+import { webhookWorker } from "./src/workers/webhookWorker.js";
+import { invoiceWorker } from "./src/workers/invoiceWorker.js";
+import { subscriptionWorker } from "./src/workers/subscriptionWorker.js";
+import { fundraiserWorker } from "./src/workers/fundraiserWorker.js";
+import { feePayerWorker } from "./src/workers/feePayerWorker.js";
+import { preparedTransactionWorker } from "./src/workers/preparedTransactionWorker.js";
+import { scheduledWithdrawalWorker } from "./src/workers/scheduledWithdrawalWorker.js";
+import { jobQueueWorker } from "./src/workers/jobQueueWorker.js";
 
 console.log(
   "======================\n======================\nPIVY BACKEND SYSTEM STARTED!\n======================\n======================\n"
@@ -57,7 +75,8 @@ fastify.register(FastifyCors, {
     "cf-turnstile-response",
     "Accept",
     "Origin",
-    "X-Requested-With"
+    "X-Requested-With",
+    "x-download-grant"
   ],
   credentials: true, // Important if you're sending cookies/auth
   preflightContinue: false, // Let fastify-cors handle preflight
@@ -98,6 +117,9 @@ fastify.get("/", async (request, reply) => {
   });
 });
 
+// Audit log of every request that passed through an admin role check
+fastify.addHook('onResponse', recordAdminRequest);
+
 /* --------------------------------- Routes --------------------------------- */
 fastify.register(authRoutes, {
   prefix: '/auth'
@@ -131,13 +153,62 @@ fastify.register(txRoutes, {
   prefix: '/tx'
 })
 
+fastify.register(indexerRoutes, {
+  prefix: '/indexer'
+})
+
+fastify.register(webhookRoutes, {
+  prefix: '/webhooks'
+})
+
+fastify.register(streamRoutes, {
+  prefix: '/stream'
+})
+
+fastify.register(invoiceRoutes, {
+  prefix: '/invoices'
+})
+
+fastify.register(subscriptionRoutes, {
+  prefix: '/subscriptions'
+})
+
+fastify.register(fundraiserRoutes, {
+  prefix: '/fundraisers'
+})
+
+fastify.register(scheduledWithdrawalRoutes, {
+  prefix: '/scheduled-withdrawals'
+})
+
+fastify.register(adminRoutes, {
+  prefix: '/admin'
+})
+
+fastify.register(nfcTagAdminRoutes, {
+  prefix: '/admin/nfc'
+})
+
+fastify.register(nfcTagRoutes, {
+  prefix: '/nfc'
+})
+
 
 /* --------------------------------- Workers -------------------------------- */
 if (process.env.WORKERS_ENABLED === "true") {
   fastify.register(cctpWorkers)
   fastify.register(aptosStealthWorkers)
   fastify.register(aptosTokenWorker)
+  fastify.register(webhookWorker)
+  fastify.register(invoiceWorker)
+  fastify.register(subscriptionWorker)
+  fastify.register(fundraiserWorker)
+  fastify.register(feePayerWorker)
+  fastify.register(preparedTransactionWorker)
+  fastify.register(scheduledWithdrawalWorker)
   // fastify.register(balanceWorker)
+  // Runs the jobs the workers above defined, keep it last
+  fastify.register(jobQueueWorker)
 }
 
 
@@ -159,4 +230,28 @@ const start = async () => {
   }
 };
 
+// Close gracefully so running jobs can finish before the process exits
+const SHUTDOWN_GRACE_MS = (parseInt(process.env.JOB_QUEUE_SHUTDOWN_TIMEOUT_MS) || 30 * 1000) + 5000;
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down...`);
+
+  // Open activity streams keep the server from closing, don't wait on clients forever
+  setTimeout(() => {
+    console.warn("Shutdown timed out, exiting");
+    process.exit(1);
+  }, SHUTDOWN_GRACE_MS).unref();
+
+  try {
+    await fastify.close();
+    process.exit(0);
+  } catch (error) {
+    console.error("Error shutting down: ", error);
+    process.exit(1);
+  }
+};
+
+process.once("SIGTERM", () => shutdown("SIGTERM"));
+process.once("SIGINT", () => shutdown("SIGINT"));
+
 start();
\ No newline at end of file
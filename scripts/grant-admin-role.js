@@ -0,0 +1,63 @@
+/**
+ * Script to grant (or change) the admin role of a user, e.g. to create the first superadmin.
+ * Later roles can be managed by a superadmin through /admin/accounts.
+ *
+ * The user gets the role claim at their next sign in.
+ *
+ * Usage:
+ *   node scripts/grant-admin-role.js <username|userId> <SUPPORT|OPS|SUPERADMIN>
+ *   node scripts/grant-admin-role.js <username|userId> --revoke
+ */
+
+import '../dotenv.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const ROLES = ['SUPPORT', 'OPS', 'SUPERADMIN'];
+
+async function grantAdminRole() {
+  const [identifier, roleArg] = process.argv.slice(2);
+  const isRevoke = roleArg === '--revoke';
+  const role = roleArg?.toUpperCase();
+
+  if (!identifier || (!isRevoke && !ROLES.includes(role))) {
+    throw new Error(`Usage: node scripts/grant-admin-role.js <username|userId> <${ROLES.join('|')}|--revoke>`);
+  }
+
+  try {
+    const user = await prisma.user.findFirst({
+      where: { OR: [{ id: identifier }, { username: identifier }] },
+      select: { id: true, username: true }
+    });
+    if (!user) {
+      throw new Error(`User ${identifier} not found`);
+    }
+
+    if (isRevoke) {
+      const revoked = await prisma.adminAccount.updateMany({
+        where: { userId: user.id, isActive: true },
+        data: { isActive: false, revokedAt: new Date() }
+      });
+      console.log(revoked.count > 0
+        ? `🔒 Revoked admin access of ${user.username || user.id}`
+        : `${user.username || user.id} has no active admin access`);
+      return;
+    }
+
+    const data = { role, isActive: true, revokedAt: null, grantedById: null };
+    await prisma.adminAccount.upsert({
+      where: { userId: user.id },
+      create: { ...data, userId: user.id },
+      update: data
+    });
+    console.log(`✅ ${user.username || user.id} is now ${role}, the role applies from their next sign in`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+grantAdminRole().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+/**
+ * Script to report legacy wallets still in server-side spend key custody
+ *
+ * This:
+ * 1. Checks every stored plaintext metaSpendPriv against its metaSpendPub
+ * 2. Lists the wallets that still have to migrate
+ *
+ * It never wipes spend keys. A wallet only leaves server custody through
+ * POST /auth/meta-keys/migrate-custody, where its client signs with the spend key to prove it
+ * can still derive it. Wiping the key without that proof would lock the funds of every
+ * stealth address of a client that lost its derivation.
+ *
+ * Usage:
+ *   node scripts/migrate-meta-key-custody.js
+ */
+
+import { PrismaClient } from '@prisma/client';
+import PivyStealthAptos from '../src/lib/pivy-stealth/pivy-stealth-aptos.js';
+
+const prisma = new PrismaClient();
+const pivy = new PivyStealthAptos();
+
+async function migrateMetaKeyCustody() {
+  console.log('🔐 Checking meta key custody...\n');
+
+  try {
+    const wallets = await prisma.userWallet.findMany({
+      where: {
+        OR: [
+          { metaSpendPriv: { not: null } },
+          { metaKeyCustody: 'SERVER', metaSpendPub: { not: null } }
+        ]
+      },
+      select: {
+        id: true,
+        userId: true,
+        chain: true,
+        walletAddress: true,
+        metaSpendPriv: true,
+        metaSpendPub: true,
+        metaSpendPrivEncrypted: true
+      }
+    });
+
+    console.log(`   Found ${wallets.length} wallets still in server custody`);
+
+    let pending = 0;
+    const mismatched = [];
+
+    for (const wallet of wallets) {
+      if (wallet.metaSpendPriv && !pivy.metaKeyMatchesPub(wallet.metaSpendPriv, wallet.metaSpendPub)) {
+        mismatched.push(wallet);
+        console.log(`   ⚠️  Spend key does not match public key for wallet ${wallet.id} (user ${wallet.userId})`);
+        continue;
+      }
+
+      pending++;
+      console.log(`   Waiting on client migration: wallet ${wallet.id} (${wallet.chain} ${wallet.walletAddress})`);
+    }
+
+    console.log('\n📊 Summary:');
+    console.log(`   Wallets checked: ${wallets.length}`);
+    console.log(`   Waiting on client migration: ${pending}`);
+    console.log(`   Mismatched keys: ${mismatched.length}`);
+    console.log('\n   Wallets migrate when their client calls POST /auth/meta-keys/migrate-custody with a spend key signature');
+
+  } catch (error) {
+    console.error('❌ Error checking custody:', error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+migrateMetaKeyCustody()
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
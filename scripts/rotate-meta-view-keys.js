@@ -0,0 +1,123 @@
+/**
+ * Script to re-wrap every sealed key (UserWallet meta viewing keys, NFCTag SDM keys)
+ * under the current master key
+ *
+ * This:
+ * 1. Wraps legacy raw values into envelopes
+ * 2. Re-wraps the data key of envelopes sealed under an older master key
+ *
+ * Rotation flow: add the new key to the keyring (or KMS key ids), make it current,
+ * deploy, run this script, then drop the old key once it reports nothing left to rotate.
+ *
+ * Usage:
+ *   node scripts/rotate-meta-view-keys.js            # re-wrap all rows
+ *   node scripts/rotate-meta-view-keys.js --dry-run  # only count rows that need it
+ */
+
+import '../dotenv.js';
+import { PrismaClient } from '@prisma/client';
+import { getKeyProvider, rewrapSecret } from '../src/lib/keyVault.js';
+
+const prisma = new PrismaClient();
+
+const isDryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 200;
+
+// Sealed columns to rotate, rows are matched on the old value so concurrent writes aren't clobbered
+const SEALED_COLUMNS = [
+  { label: 'wallets', model: 'userWallet', field: 'metaViewPriv' },
+  { label: 'NFC tags', model: 'nFCTag', field: 'sdmKeys' }
+];
+
+async function rotateColumn({ label, model, field }, provider) {
+  let cursor = null;
+  let checked = 0;
+  let rotated = 0;
+  let skipped = 0;
+  let failed = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const rows = await prisma[model].findMany({
+      where: { [field]: { not: null } },
+      select: { id: true, [field]: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    if (rows.length === 0) break;
+    hasMore = rows.length === BATCH_SIZE;
+    cursor = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      checked++;
+      try {
+        const { value, changed } = await rewrapSecret(row[field], provider);
+        if (!changed) {
+          skipped++;
+          continue;
+        }
+
+        if (!isDryRun) {
+          // Only overwrite if the row wasn't re-registered while we were working on it
+          const result = await prisma[model].updateMany({
+            where: { id: row.id, [field]: row[field] },
+            data: { [field]: value }
+          });
+          if (result.count === 0) {
+            console.log(`   ⚠️  ${model} ${row.id} changed during rotation, skipping`);
+            skipped++;
+            continue;
+          }
+        }
+        rotated++;
+      } catch (error) {
+        failed++;
+        console.error(`   ❌ Failed to re-wrap ${model} ${row.id}:`, error.message);
+      }
+    }
+
+    console.log(`   Processed ${checked} ${label}...`);
+  }
+
+  console.log(`\n📊 Summary (${label}):`);
+  console.log(`   Checked: ${checked}`);
+  console.log(`   ${isDryRun ? 'To re-wrap' : 'Re-wrapped'}: ${rotated}`);
+  console.log(`   Already current: ${skipped}`);
+  console.log(`   Failed: ${failed}\n`);
+
+  return failed;
+}
+
+async function rotateMetaViewKeys() {
+  const provider = getKeyProvider();
+  if (!provider) {
+    throw new Error('META_KEY_PROVIDER is not set, nothing to rotate to');
+  }
+
+  console.log(`🔑 Re-wrapping sealed keys under ${provider.name}:${provider.currentKeyId}${isDryRun ? ' (dry run)' : ''}...\n`);
+
+  try {
+    let failed = 0;
+    for (const column of SEALED_COLUMNS) {
+      failed += await rotateColumn(column, provider);
+    }
+
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('❌ Error rotating sealed keys:', error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+rotateMetaViewKeys()
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -7,8 +7,11 @@ export const CHAINS = {
     id: 'APTOS_MAINNET',
     rpcUrl: process.env.APTOS_RPC_MAINNET,
     publicRpcUrl: 'https://fullnode.mainnet.aptoslabs.com',
+    indexerUrl: process.env.APTOS_INDEXER_MAINNET || 'https://api.mainnet.aptoslabs.com/v1/graphql',
     explorerUrl: 'https://explorer.aptoslabs.com',
+    network: 'mainnet',
     pivyStealthProgramId: process.env.PIVY_STEALTH_PROGRAM_ID_APTOS_MAINNET,
+    indexerSchedule: process.env.INDEXER_SCHEDULE_APTOS_MAINNET || null, // cron override, defaults to INDEXER_SPEED
     tokens: [
       {
         name: 'APT',
@@ -32,8 +35,11 @@ export const CHAINS = {
     id: 'APTOS_TESTNET',
     rpcUrl: process.env.APTOS_RPC_TESTNET,
     publicRpcUrl: 'https://fullnode.testnet.aptoslabs.com',
+    indexerUrl: process.env.APTOS_INDEXER_TESTNET || 'https://api.testnet.aptoslabs.com/v1/graphql',
     explorerUrl: 'https://explorer.aptoslabs.com',
+    network: 'testnet',
     pivyStealthProgramId: process.env.PIVY_STEALTH_PROGRAM_ID_APTOS_TESTNET,
+    indexerSchedule: process.env.INDEXER_SCHEDULE_APTOS_TESTNET || null, // cron override, defaults to INDEXER_SPEED
     tokens: [
       {
         name: 'APT',
@@ -58,32 +64,119 @@ export const CHAINS = {
 
 export const isTestnet = process.env.CHAIN !== 'MAINNET';
 
+/**
+ * Chains the workers index. ENABLED_CHAINS takes a comma separated list of CHAINS keys
+ * (e.g. "APTOS_MAINNET,APTOS_TESTNET"), otherwise falls back to the single CHAIN flag.
+ * @returns {Array<Object>} Enabled CHAINS entries
+ */
+export const getEnabledChains = () => {
+  const enabledChainIds = (process.env.ENABLED_CHAINS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (enabledChainIds.length === 0) {
+    return [isTestnet ? CHAINS.APTOS_TESTNET : CHAINS.APTOS_MAINNET];
+  }
+
+  const unknownChainIds = enabledChainIds.filter(id => !CHAINS[id]);
+  if (unknownChainIds.length > 0) {
+    console.error('Ignoring unknown ENABLED_CHAINS entries:', unknownChainIds.join(', '));
+  }
+
+  return [...new Set(enabledChainIds)].filter(id => CHAINS[id]).map(id => CHAINS[id]);
+};
+
 export const FEE_TREASURY_ADDRESS = {
   APTOS: process.env.PIVY_FEE_TREASURY_ADDRESS_APTOS,
 }
 
-const aptosFeePayer = () => {
-  try {
-    const privateKeyHex = process.env.APTOS_FEE_PAYER_PK;
-    if (!privateKeyHex) {
-      console.warn("APTOS_FEE_PAYER_PK not set");
-      return null;
+const loadAptosAccount = (privateKeyHex) => {
+  const privateKey = new Ed25519PrivateKey(privateKeyHex);
+  return Account.fromPrivateKey({ privateKey });
+}
+
+// Fee payer pool: APTOS_FEE_PAYER_PKS (comma separated) plus the legacy single APTOS_FEE_PAYER_PK
+const aptosFeePayers = () => {
+  const privateKeys = [
+    process.env.APTOS_FEE_PAYER_PK,
+    ...(process.env.APTOS_FEE_PAYER_PKS || '').split(',')
+  ].map(key => key?.trim()).filter(Boolean);
+
+  if (privateKeys.length === 0) {
+    console.warn("APTOS_FEE_PAYER_PK / APTOS_FEE_PAYER_PKS not set");
+    return [];
+  }
+
+  const accounts = new Map();
+  privateKeys.forEach((privateKeyHex, index) => {
+    try {
+      const account = loadAptosAccount(privateKeyHex);
+      accounts.set(account.accountAddress.toStringLong(), account);
+    } catch (e) {
+      console.warn(`Could not load Aptos fee payer key #${index}`, e.message);
     }
-    const privateKey = new Ed25519PrivateKey(privateKeyHex);
-    return Account.fromPrivateKey({ privateKey });
+  });
+
+  return [...accounts.values()];
+}
+
+const aptosFeePayerWallets = aptosFeePayers();
+
+const DEFAULT_APTOS_FEE_PAYER_MIN_BALANCE = 50000000n; // 0.5 APT
+
+// Octas. Anything else (e.g. "0.5" meant as APT) would throw at boot, warn and keep the default instead
+const aptosFeePayerMinBalance = () => {
+  const value = process.env.APTOS_FEE_PAYER_MIN_BALANCE?.trim();
+  if (!value) {
+    return DEFAULT_APTOS_FEE_PAYER_MIN_BALANCE;
+  }
+  if (!/^\d+$/.test(value)) {
+    console.warn(`APTOS_FEE_PAYER_MIN_BALANCE must be a whole number of octas (1 APT = 100000000), got "${value}", using ${DEFAULT_APTOS_FEE_PAYER_MIN_BALANCE}`);
+    return DEFAULT_APTOS_FEE_PAYER_MIN_BALANCE;
+  }
+  return BigInt(value);
+}
+
+// What the fee payer agrees to sign, APTOS_SPONSORSHIP_POLICY (JSON) overrides single keys
+const DEFAULT_APTOS_SPONSORSHIP_POLICY = {
+  allowedFunctions: ['pivy_stealth::*'], // "<module>::<function>" on the chain's PIVY program, * matches any function
+  allowedCoinTypes: null, // null allows any coin type / fungible asset
+  maxAmounts: {}, // coin type -> max raw amount per transaction, e.g. { "0x1::aptos_coin::AptosCoin": "100000000000" }
+  senderAllowlist: [], // when not empty, only these senders are sponsored
+  senderDenylist: [],
+  requireKnownSender: true, // sender must have received an indexed PIVY payment, owned by the requesting user when attributable
+}
+
+const aptosSponsorshipPolicy = () => {
+  if (!process.env.APTOS_SPONSORSHIP_POLICY) {
+    return DEFAULT_APTOS_SPONSORSHIP_POLICY;
+  }
+  try {
+    return { ...DEFAULT_APTOS_SPONSORSHIP_POLICY, ...JSON.parse(process.env.APTOS_SPONSORSHIP_POLICY) };
   } catch (e) {
-    console.warn("Could not load APTOS_FEE_PAYER_PK", e.message);
-    return null;
+    // Fail closed: a broken policy must not fall back to something more permissive than intended
+    throw new Error(`Invalid APTOS_SPONSORSHIP_POLICY: ${e.message}`);
   }
 }
 
 export const GAS_SPONSORSHIP = {
   APTOS: {
-    wallet: aptosFeePayer(),
+    wallets: aptosFeePayerWallets, // Fee payer pool, see feePayerPoolUtils
+    FEE_PAYER_SELECTION: process.env.APTOS_FEE_PAYER_SELECTION === 'least-used' ? 'least-used' : 'round-robin',
+    FEE_PAYER_MIN_BALANCE: aptosFeePayerMinBalance(), // Octas, below it a payer leaves the rotation
     MAX_GAS_AMOUNT: 20000, // Max gas amount for transactions
     GAS_UNIT_PRICE_MULT: 1.15, // 15% buffer on gas price
     FEE_BPS: 0, // 0% withdrawal fee
-    ONE_DAY_HARD_LIMIT: 1000000000n, // 10 APT per day limit
+    ONE_DAY_HARD_LIMIT: 1000000000n, // 10 APT per user per day limit
+    ONE_DAY_FUNCTION_LIMITS: { // Per user per day, by entry function
+      'pivy_stealth::withdraw': 500000000n, // 5 APT
+      'pivy_stealth::withdraw_coin': 500000000n, // 5 APT
+      'pivy_stealth::pay': 300000000n, // 3 APT
+      'pivy_stealth::pay_coin': 300000000n, // 3 APT
+    },
+    ONE_DAY_GLOBAL_LIMIT: 20000000000n, // 200 APT per day across all users
+    POLICY: aptosSponsorshipPolicy(),
   },
 }
 
@@ -92,4 +185,17 @@ export const WALLET_CHAINS = {
     id: 'APTOS',
     name: 'Aptos',
   },
-}
\ No newline at end of file
+}
+export const NFC_TAGS = {
+  // Tags are encoded with `${BASE_URL}/${tagId}`, changing it only affects tags provisioned afterwards
+  BASE_URL: (process.env.NFC_TAG_BASE_URL || 'https://pivy.me/tag').replace(/\/+$/, ''),
+  // Unknown tag IDs seen on claim or scan are created on the fly
+  AUTO_CREATE_ENABLED: process.env.NFC_AUTO_CREATE_ENABLED !== 'false',
+  // Scans of SUN enabled tags without picc_data/cmac are rejected instead of flagged
+  REQUIRE_SUN: process.env.NFC_REQUIRE_SUN === 'true',
+}
+
+export const LINK_ANALYTICS = {
+  // Keys the visitor hash of link views, so stored hashes can't be matched against guessed IPs
+  VISITOR_HASH_SECRET: process.env.LINK_VISITOR_HASH_SECRET || process.env.JWT_SECRET || '',
+}
@@ -0,0 +1,395 @@
+/**
+ * Durable job queue
+ * -----------------
+ * Background work runs as rows of the Job table, so any number of instances with
+ * WORKERS_ENABLED share it without doing the same work twice.
+ *
+ * - Leases: an instance claims due jobs with FOR UPDATE SKIP LOCKED and keeps extending
+ *   the lease while the handler runs. Jobs of an instance that died are claimed again
+ *   once their lease runs out.
+ * - Retries: a failed job goes back to PENDING with exponential backoff. After maxAttempts
+ *   it's DEAD and stays until an admin retries it (POST /admin/jobs/:jobId/retry).
+ * - Schedules: recurring jobs are enqueued on cron expressions by one instance only, the
+ *   holder of the scheduler lease (WorkerLease row). A tick is skipped while the previous
+ *   one is still pending or running, through its dedupeKey. Each schedule keeps a single
+ *   row that completed ticks queue again, so frequent schedules don't add a row per tick.
+ * - Shutdown: stop() stops claiming, waits for running jobs (JOB_QUEUE_SHUTDOWN_TIMEOUT_MS)
+ *   and hands the scheduler lease back.
+ *
+ * Handlers are called with (payload, { job, isStopping }), long running handlers should
+ * check isStopping() between units of work. Payloads are JSON.
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import cron from 'node-cron';
+import { prismaQuery } from './prisma.js';
+
+const SCHEDULER_LEASE_NAME = 'job-scheduler';
+const MAINTENANCE_INTERVAL_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const COMPLETED_RETENTION_MS = 24 * 60 * 60 * 1000;
+const DEAD_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 5000;
+
+export class JobQueue {
+  constructor({
+    db = prismaQuery,
+    pollIntervalMs = 1000,
+    concurrency = 4,
+    leaseMs = 60 * 1000,
+    schedulerLeaseMs = 30 * 1000,
+    shutdownTimeoutMs = 30 * 1000
+  } = {}) {
+    this.db = db;
+    this.pollIntervalMs = pollIntervalMs;
+    this.concurrency = concurrency;
+    this.leaseMs = leaseMs;
+    this.schedulerLeaseMs = schedulerLeaseMs;
+    this.shutdownTimeoutMs = shutdownTimeoutMs;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    this.definitions = new Map();
+    this.schedules = [];
+    this.cronTasks = [];
+    this.running = new Map();
+
+    this.isStarted = false;
+    this.isStopping = false;
+    this.isPolling = false;
+    this.isLeader = false;
+    this.lastMaintenanceAt = 0;
+  }
+
+  /**
+   * Register the handler of a job. Every worker instance has to define the jobs it runs.
+   * @param {string} name
+   * @param {Function} handler - async (payload, { job, isStopping }) => void
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - Attempts before the job is DEAD
+   * @param {number} [options.backoffMs] - Delay before the first retry, doubled on each one
+   */
+  define(name, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, backoffMs = DEFAULT_BACKOFF_MS } = {}) {
+    this.definitions.set(name, { handler, maxAttempts, backoffMs });
+  }
+
+  /**
+   * Queue a job
+   * @param {string} name
+   * @param {Object} [payload]
+   * @param {Object} [options]
+   * @param {Date} [options.runAt] - Not before, defaults to now
+   * @param {string} [options.dedupeKey] - Skip if a job with this key is pending or running
+   * @param {number} [options.maxAttempts] - Defaults to the job definition
+   * @returns {Promise<Object|null>} Job row, null when skipped for its dedupeKey
+   */
+  async enqueue(name, payload = {}, { runAt = new Date(), dedupeKey = null, maxAttempts } = {}) {
+    try {
+      return await this.db.job.create({
+        data: {
+          name,
+          payload,
+          runAt,
+          dedupeKey,
+          maxAttempts: maxAttempts ?? this.definitions.get(name)?.maxAttempts ?? DEFAULT_MAX_ATTEMPTS
+        }
+      });
+    } catch (error) {
+      if (dedupeKey && error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Enqueue a job on a cron schedule, from the scheduler leader only
+   * @param {string} name - Defined job
+   * @param {string} cronExpression
+   * @param {Object} [options]
+   * @param {Object} [options.payload]
+   * @param {string} [options.key] - Tells apart schedules of the same job, e.g. per chain
+   */
+  schedule(name, cronExpression, { payload = {}, key = name } = {}) {
+    this.schedules.push({ name, cronExpression, payload, dedupeKey: `schedule:${key}` });
+  }
+
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+    this.isStopping = false;
+
+    console.log(`🧰 Job queue started as ${this.workerId}: ${this.definitions.size} jobs, ${this.schedules.length} schedules`);
+
+    this.cronTasks = this.schedules.map(schedule => cron.schedule(schedule.cronExpression, () => {
+      this.enqueueScheduled(schedule);
+    }));
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.schedulerTimer = setInterval(() => this.renewSchedulerLease(), this.schedulerLeaseMs / 3);
+    this.renewSchedulerLease();
+    this.poll();
+  }
+
+  /**
+   * Stop claiming jobs and wait for the running ones
+   */
+  async stop() {
+    if (!this.isStarted || this.isStopping) return;
+    this.isStopping = true;
+
+    clearInterval(this.pollTimer);
+    clearInterval(this.schedulerTimer);
+    for (const task of this.cronTasks) task.stop();
+    this.cronTasks = [];
+
+    if (this.running.size > 0) {
+      console.log(`🧰 Waiting for ${this.running.size} running jobs...`);
+      let timer;
+      const timedOut = await Promise.race([
+        Promise.allSettled([...this.running.values()]).then(() => false),
+        new Promise(resolve => { timer = setTimeout(() => resolve(true), this.shutdownTimeoutMs); })
+      ]);
+      clearTimeout(timer);
+
+      if (timedOut) {
+        console.warn(`⚠️ ${this.running.size} jobs still running after ${this.shutdownTimeoutMs}ms, they're picked up again when their lease runs out`);
+      }
+    }
+
+    if (this.isLeader) {
+      this.isLeader = false;
+      try {
+        await this.db.workerLease.deleteMany({ where: { name: SCHEDULER_LEASE_NAME, holder: this.workerId } });
+      } catch (error) {
+        console.error('Error releasing scheduler lease:', error);
+      }
+    }
+
+    this.isStarted = false;
+    console.log('🧰 Job queue stopped');
+  }
+
+  async enqueueScheduled({ name, payload, dedupeKey }) {
+    if (!this.isLeader || this.isStopping) return;
+
+    try {
+      // Reuse the row of the last completed tick, a new one only for the first tick (or after it died)
+      const { count } = await this.db.job.updateMany({
+        where: { dedupeKey, status: 'COMPLETED' },
+        data: {
+          status: 'PENDING',
+          payload,
+          runAt: new Date(),
+          attempts: 0,
+          maxAttempts: this.definitions.get(name)?.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+          lastError: null,
+          completedAt: null
+        }
+      });
+      if (count > 0) return;
+
+      await this.enqueue(name, payload, { dedupeKey });
+    } catch (error) {
+      console.error(`Error scheduling job ${name}:`, error);
+    }
+  }
+
+  async renewSchedulerLease() {
+    if (this.isStopping) return;
+
+    const wasLeader = this.isLeader;
+    try {
+      const rows = await this.db.$queryRaw`
+        INSERT INTO "WorkerLease" ("name", "holder", "expiresAt", "updatedAt")
+        VALUES (${SCHEDULER_LEASE_NAME}, ${this.workerId}, now() + ${this.schedulerLeaseMs}::int * interval '1 millisecond', now())
+        ON CONFLICT ("name") DO UPDATE
+          SET "holder" = EXCLUDED."holder", "expiresAt" = EXCLUDED."expiresAt", "updatedAt" = now()
+          WHERE "WorkerLease"."holder" = EXCLUDED."holder" OR "WorkerLease"."expiresAt" < now()
+        RETURNING "holder"`;
+      this.isLeader = rows.length > 0;
+    } catch (error) {
+      // Can't tell if the lease is still ours, don't schedule until it's renewed
+      this.isLeader = false;
+      console.error('Error renewing scheduler lease:', error);
+    }
+
+    if (this.isLeader && !wasLeader) {
+      console.log('🧰 This instance now runs the job schedules');
+      // Instead of waiting for the first cron tick
+      for (const schedule of this.schedules) this.enqueueScheduled(schedule);
+    } else if (!this.isLeader && wasLeader) {
+      console.log('🧰 Scheduler lease lost, another instance runs the job schedules');
+    }
+
+    if (this.isLeader && Date.now() - this.lastMaintenanceAt >= MAINTENANCE_INTERVAL_MS) {
+      this.lastMaintenanceAt = Date.now();
+      await this.runMaintenance();
+    }
+  }
+
+  async runMaintenance() {
+    try {
+      // Lease ran out on the last attempt, nobody claims these again
+      const deadCount = await this.db.$executeRaw`
+        UPDATE "Job"
+        SET "status" = 'DEAD', "dedupeKey" = NULL, "leasedBy" = NULL, "leaseExpiresAt" = NULL,
+          "lastError" = 'Lease expired on the last attempt', "updatedAt" = now()
+        WHERE "status" = 'RUNNING' AND "leaseExpiresAt" < now() AND "attempts" >= "maxAttempts"`;
+      if (deadCount > 0) {
+        console.warn(`⚠️ ${deadCount} jobs dead after their lease expired on the last attempt`);
+      }
+
+      await this.db.job.deleteMany({
+        where: {
+          OR: [
+            { status: 'COMPLETED', completedAt: { lt: new Date(Date.now() - COMPLETED_RETENTION_MS) } },
+            { status: 'DEAD', updatedAt: { lt: new Date(Date.now() - DEAD_RETENTION_MS) } }
+          ]
+        }
+      });
+    } catch (error) {
+      console.error('Error in job queue maintenance:', error);
+    }
+  }
+
+  /**
+   * Lease due jobs, including running ones whose lease ran out
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>} Job rows, attempts already counted
+   */
+  async claimJobs(limit) {
+    const names = [...this.definitions.keys()];
+    if (names.length === 0) return [];
+
+    return this.db.$queryRaw`
+      UPDATE "Job"
+      SET "status" = 'RUNNING', "attempts" = "attempts" + 1, "leasedBy" = ${this.workerId},
+        "leaseExpiresAt" = now() + ${this.leaseMs}::int * interval '1 millisecond', "updatedAt" = now()
+      WHERE "id" IN (
+        SELECT "id"
+        FROM "Job"
+        WHERE "name" = ANY(${names})
+          AND "attempts" < "maxAttempts"
+          AND (
+            ("status" = 'PENDING' AND "runAt" <= now())
+            OR ("status" = 'RUNNING' AND "leaseExpiresAt" < now())
+          )
+        ORDER BY "runAt" ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`;
+  }
+
+  async poll() {
+    if (this.isPolling || this.isStopping) return;
+
+    const freeSlots = this.concurrency - this.running.size;
+    if (freeSlots <= 0) return;
+
+    this.isPolling = true;
+    try {
+      const jobs = await this.claimJobs(freeSlots);
+      for (const job of jobs) {
+        this.running.set(job.id, this.runJob(job).finally(() => this.running.delete(job.id)));
+      }
+    } catch (error) {
+      console.error('Error claiming jobs:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  // Only while we still hold the lease of this attempt, another instance may have taken over
+  leaseWhere(job) {
+    return { id: job.id, status: 'RUNNING', leasedBy: this.workerId, attempts: job.attempts };
+  }
+
+  async runJob(job) {
+    const definition = this.definitions.get(job.name);
+
+    const heartbeat = setInterval(async () => {
+      try {
+        await this.db.job.updateMany({
+          where: this.leaseWhere(job),
+          data: { leaseExpiresAt: new Date(Date.now() + this.leaseMs) }
+        });
+      } catch (error) {
+        console.error(`Error extending lease of job ${job.id}:`, error);
+      }
+    }, this.leaseMs / 3);
+
+    try {
+      await definition.handler(job.payload, { job, isStopping: () => this.isStopping });
+
+      await this.db.job.updateMany({
+        where: this.leaseWhere(job),
+        data: {
+          status: 'COMPLETED',
+          completedAt: new Date(),
+          // Schedules keep their key, the next tick queues the same row again
+          ...(!job.dedupeKey?.startsWith('schedule:') && { dedupeKey: null }),
+          leasedBy: null,
+          leaseExpiresAt: null,
+          lastError: null
+        }
+      });
+    } catch (error) {
+      await this.failJob(job, definition, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async failJob(job, definition, error) {
+    const isDead = job.attempts >= job.maxAttempts;
+    const backoffMs = Math.min(definition.backoffMs * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+
+    if (isDead) {
+      console.error(`💀 Job ${job.name} (${job.id}) dead after ${job.attempts} attempts:`, error);
+    } else {
+      console.error(`Job ${job.name} (${job.id}) failed, attempt ${job.attempts}/${job.maxAttempts}, retrying in ${backoffMs}ms:`, error);
+    }
+
+    try {
+      await this.db.job.updateMany({
+        where: this.leaseWhere(job),
+        data: {
+          status: isDead ? 'DEAD' : 'PENDING',
+          runAt: isDead ? undefined : new Date(Date.now() + backoffMs),
+          lastError: String(error?.message || error).substring(0, MAX_ERROR_LENGTH),
+          leasedBy: null,
+          leaseExpiresAt: null,
+          ...(isDead && { dedupeKey: null })
+        }
+      });
+    } catch (updateError) {
+      console.error(`Error recording failure of job ${job.id}:`, updateError);
+    }
+  }
+}
+
+/**
+ * Build the queue configured through env
+ */
+export const createJobQueue = () => new JobQueue({
+  pollIntervalMs: parseInt(process.env.JOB_QUEUE_POLL_MS) || 1000,
+  concurrency: parseInt(process.env.JOB_QUEUE_CONCURRENCY) || 4,
+  shutdownTimeoutMs: parseInt(process.env.JOB_QUEUE_SHUTDOWN_TIMEOUT_MS) || 30 * 1000
+});
+
+let jobQueue;
+
+export const getJobQueue = () => {
+  if (!jobQueue) {
+    jobQueue = createJobQueue();
+  }
+  return jobQueue;
+};
+
+// Swap the queue (tests, scripts)
+export const setJobQueue = (queue) => {
+  jobQueue = queue;
+};
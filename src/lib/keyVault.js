@@ -0,0 +1,271 @@
+/**
+ * Envelope encryption for stored secrets (meta viewing keys, NFC tag SDM keys)
+ * ---------------------------------------------------------------------------
+ * Each secret is encrypted with its own random data key (AES-256-GCM), and the
+ * data key is wrapped by a master key held by a key provider. Only the envelope is stored:
+ *
+ *   env:v1:<keyId>:<wrappedDataKeyB64>:<payloadB64>
+ *
+ * Rotating the master key only re-wraps the data key, the payload is never re-encrypted.
+ * Rows written before envelopes existed hold the raw key and are passed through by
+ * openSecret() until the rotation script wraps them.
+ *
+ * Providers (META_KEY_PROVIDER):
+ * - "local-file": keyring JSON file at META_KEY_MASTER_KEY_FILE
+ *     { "currentKeyId": "k2", "keys": { "k1": "<64 hex>", "k2": "<64 hex>" } }
+ * - "kms-stand-in": KMS-style provider for local dev and tests, key material derived
+ *     from META_KEY_KMS_STAND_IN_SECRET (+ META_KEY_KMS_STAND_IN_KEY_IDS, last one is current)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+const ENVELOPE_PREFIX = 'env:v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Opened keys stay in memory only, for a short while, so scanning doesn't unwrap per payment
+const OPEN_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const OPEN_CACHE_MAX_ENTRIES = 5000;
+const openCache = new Map();
+
+const aesGcmEncrypt = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const aesGcmDecrypt = (key, payload) => {
+  const iv = payload.subarray(0, IV_LENGTH);
+  const tag = payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const ciphertext = payload.subarray(IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const assertKeyId = (keyId) => {
+  if (!keyId || keyId.includes(':')) {
+    throw new Error(`Invalid master key id "${keyId}"`);
+  }
+};
+
+const parseMasterKey = (keyId, hex) => {
+  assertKeyId(keyId);
+  const key = Buffer.from(hex || '', 'hex');
+  if (key.length !== 32) {
+    throw new Error(`Master key "${keyId}" must be 32 bytes of hex`);
+  }
+  return key;
+};
+
+/**
+ * Key provider backed by a local keyring file.
+ * Provider interface: { name, currentKeyId, wrapKey(dataKey), unwrapKey(keyId, wrappedKey) }
+ */
+export class LocalFileKeyProvider {
+  constructor(filePath) {
+    if (!filePath) throw new Error('META_KEY_MASTER_KEY_FILE is not set');
+
+    const keyring = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!keyring.currentKeyId || !keyring.keys?.[keyring.currentKeyId]) {
+      throw new Error(`Keyring ${filePath} has no current key`);
+    }
+
+    this.name = 'local-file';
+    this.currentKeyId = keyring.currentKeyId;
+    this.keys = new Map(
+      Object.entries(keyring.keys).map(([keyId, hex]) => [keyId, parseMasterKey(keyId, hex)])
+    );
+  }
+
+  async wrapKey(dataKey) {
+    const masterKey = this.keys.get(this.currentKeyId);
+    return {
+      keyId: this.currentKeyId,
+      wrappedKey: aesGcmEncrypt(masterKey, dataKey).toString('base64')
+    };
+  }
+
+  async unwrapKey(keyId, wrappedKey) {
+    const masterKey = this.keys.get(keyId);
+    if (!masterKey) throw new Error(`Unknown master key "${keyId}"`);
+    return aesGcmDecrypt(masterKey, Buffer.from(wrappedKey, 'base64'));
+  }
+}
+
+/**
+ * Stand-in for a managed KMS (encrypt/decrypt by key id, key material never leaves the
+ * "service"). Key material is derived from a secret so it survives restarts in dev.
+ */
+export class KmsStandInKeyProvider {
+  constructor({ secret, keyIds = ['kms-1'] } = {}) {
+    if (!secret) throw new Error('META_KEY_KMS_STAND_IN_SECRET is not set');
+    if (keyIds.length === 0) throw new Error('KMS stand-in needs at least one key id');
+    keyIds.forEach(assertKeyId);
+
+    this.name = 'kms-stand-in';
+    this.currentKeyId = keyIds[keyIds.length - 1];
+    this.keys = new Map(keyIds.map(keyId => [
+      keyId,
+      Buffer.from(crypto.hkdfSync('sha256', secret, 'pivy-kms-stand-in', keyId, 32))
+    ]));
+  }
+
+  // Mirrors a KMS Encrypt call
+  async wrapKey(dataKey) {
+    return {
+      keyId: this.currentKeyId,
+      wrappedKey: aesGcmEncrypt(this.keys.get(this.currentKeyId), dataKey).toString('base64')
+    };
+  }
+
+  // Mirrors a KMS Decrypt call
+  async unwrapKey(keyId, wrappedKey) {
+    const masterKey = this.keys.get(keyId);
+    if (!masterKey) throw new Error(`Unknown KMS key "${keyId}"`);
+    return aesGcmDecrypt(masterKey, Buffer.from(wrappedKey, 'base64'));
+  }
+}
+
+/**
+ * Build the provider configured through env, or null when none is configured
+ */
+export const createKeyProvider = () => {
+  const providerName = process.env.META_KEY_PROVIDER;
+
+  if (providerName === 'local-file') {
+    return new LocalFileKeyProvider(process.env.META_KEY_MASTER_KEY_FILE);
+  }
+  if (providerName === 'kms-stand-in') {
+    const keyIds = (process.env.META_KEY_KMS_STAND_IN_KEY_IDS || 'kms-1')
+      .split(',')
+      .map(k => k.trim())
+      .filter(Boolean);
+    return new KmsStandInKeyProvider({ secret: process.env.META_KEY_KMS_STAND_IN_SECRET, keyIds });
+  }
+  if (providerName) {
+    throw new Error(`Unknown META_KEY_PROVIDER "${providerName}"`);
+  }
+  return null;
+};
+
+let keyProvider;
+let warnedMissingProvider = false;
+
+export const getKeyProvider = () => {
+  if (keyProvider === undefined) {
+    keyProvider = createKeyProvider();
+  }
+  return keyProvider;
+};
+
+// Swap the provider (tests, rotation script)
+export const setKeyProvider = (provider) => {
+  keyProvider = provider;
+  openCache.clear();
+};
+
+export const isSealed = (value) => typeof value === 'string' && value.startsWith(`${ENVELOPE_PREFIX}:`);
+
+const parseEnvelope = (envelope) => {
+  const [, , keyId, wrappedKey, payload] = envelope.split(':');
+  if (!keyId || !wrappedKey || !payload) throw new Error('Malformed key envelope');
+  return { keyId, wrappedKey, payload };
+};
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext - Raw secret
+ * @param {Object} [provider] - Key provider, defaults to the configured one
+ * @returns {Promise<string>} Envelope (or the raw secret when no provider is configured)
+ */
+export const sealSecret = async (plaintext, provider = getKeyProvider()) => {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  if (!provider) {
+    if (!warnedMissingProvider) {
+      console.warn('⚠️ META_KEY_PROVIDER is not set, secrets are stored unencrypted');
+      warnedMissingProvider = true;
+    }
+    return plaintext;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  try {
+    const { keyId, wrappedKey } = await provider.wrapKey(dataKey);
+    const payload = aesGcmEncrypt(dataKey, Buffer.from(plaintext, 'utf8')).toString('base64');
+    return `${ENVELOPE_PREFIX}:${keyId}:${wrappedKey}:${payload}`;
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+/**
+ * Decrypt a stored secret in memory. Legacy raw values are returned as is.
+ * @param {string} stored - Stored value, e.g. UserWallet.metaViewPriv
+ * @returns {Promise<string>} Raw secret
+ */
+export const openSecret = async (stored) => {
+  if (!isSealed(stored)) return stored;
+
+  const cached = openCache.get(stored);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const provider = getKeyProvider();
+  if (!provider) throw new Error('Encrypted secret found but META_KEY_PROVIDER is not set');
+
+  const { keyId, wrappedKey, payload } = parseEnvelope(stored);
+  const dataKey = await provider.unwrapKey(keyId, wrappedKey);
+  let value;
+  try {
+    value = aesGcmDecrypt(dataKey, Buffer.from(payload, 'base64')).toString('utf8');
+  } finally {
+    dataKey.fill(0);
+  }
+
+  if (openCache.size >= OPEN_CACHE_MAX_ENTRIES) {
+    openCache.delete(openCache.keys().next().value);
+  }
+  openCache.set(stored, { value, expiresAt: Date.now() + OPEN_CACHE_TTL_MS });
+
+  return value;
+};
+
+/**
+ * Re-wrap a stored secret under the provider's current master key. Raw legacy values get sealed.
+ * @param {string} stored - Stored value, e.g. UserWallet.metaViewPriv
+ * @param {Object} [provider] - Key provider, defaults to the configured one
+ * @returns {Promise<{value: string, changed: boolean}>}
+ */
+export const rewrapSecret = async (stored, provider = getKeyProvider()) => {
+  if (!provider) throw new Error('META_KEY_PROVIDER is not set');
+
+  if (!isSealed(stored)) {
+    return { value: await sealSecret(stored, provider), changed: true };
+  }
+
+  const { keyId, wrappedKey, payload } = parseEnvelope(stored);
+  if (keyId === provider.currentKeyId) {
+    return { value: stored, changed: false };
+  }
+
+  const dataKey = await provider.unwrapKey(keyId, wrappedKey);
+  try {
+    const rewrapped = await provider.wrapKey(dataKey);
+    return {
+      value: `${ENVELOPE_PREFIX}:${rewrapped.keyId}:${rewrapped.wrappedKey}:${payload}`,
+      changed: true
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+// Names used for UserWallet.metaViewPriv
+export const sealMetaViewPriv = sealSecret;
+export const openMetaViewPriv = openSecret;
+export const rewrapMetaViewPriv = rewrapSecret;
@@ -33,6 +33,11 @@ const SPEND_CONTEXT = "PIVY Spend Authority | Deterministic Derivation";
 const VIEW_CONTEXT = "PIVY View Authority | Deterministic Derivation";
 const APTOS_DOMAIN = "PIVY | Deterministic Meta Keys | Aptos Network";
 
+// Ephemeral key payload: [viewTag(1)] || nonce(12) || ct(ephPriv 32 + ephPub 33 + poly1305 16)
+const NONCE_LENGTH = 12;
+const LEGACY_EPHEMERAL_PAYLOAD_LENGTH = NONCE_LENGTH + 32 + 33 + 16;
+const VIEW_TAG_LENGTH = 1;
+
 export default class PivyStealthAptos {
   // Encoding / utils
   toBytes(str) {
@@ -96,26 +101,52 @@ export default class PivyStealthAptos {
     const key = hkdf(sha256, shared.slice(1), salt, 'ephemeral-key-encryption', 32);
 
     const plaintext = new Uint8Array([...ephPriv, ...ephPub]); // 32 + 33
-    const nonce = randomBytes(12);
+    const nonce = randomBytes(NONCE_LENGTH);
     const cipher = chacha20poly1305(key, nonce);
     const ct = cipher.encrypt(plaintext);
-    return bs58.encode(new Uint8Array([...nonce, ...ct]));
+    const viewTag = this.viewTagFromShared(shared, ephPub);
+    return bs58.encode(new Uint8Array([viewTag, ...nonce, ...ct]));
+  }
+
+  toPayloadBytes(encodedPayloadB58OrBytes) {
+    if (encodedPayloadB58OrBytes instanceof Uint8Array) return encodedPayloadB58OrBytes;
+    if (typeof encodedPayloadB58OrBytes === 'string') return bs58.decode(encodedPayloadB58OrBytes);
+    if (encodedPayloadB58OrBytes?.type === 'Buffer') return Uint8Array.from(encodedPayloadB58OrBytes.data);
+    throw new Error('encryptedPayload must be base58 string or Uint8Array');
+  }
+
+  // View tags (as in ERC-5564): one byte of the shared secret in front of the ephemeral key
+  // payload, so a scanner can rule out ~255/256 of the other recipients with a single ECDH
+  // instead of a decryption plus a stealth address derivation. Payloads from before view tags
+  // are exactly LEGACY_EPHEMERAL_PAYLOAD_LENGTH long and have none.
+  viewTagFromShared(sharedCompressed, ephPubCompressed) {
+    return hkdf(sha256, sharedCompressed.slice(1), sha256(ephPubCompressed), 'view-tag', VIEW_TAG_LENGTH)[0];
+  }
+
+  // View tag carried by an ephemeral key payload, null for legacy payloads
+  getViewTag(encodedPayloadB58OrBytes) {
+    const payloadU8 = this.toPayloadBytes(encodedPayloadB58OrBytes);
+    return payloadU8.length === LEGACY_EPHEMERAL_PAYLOAD_LENGTH + VIEW_TAG_LENGTH ? payloadU8[0] : null;
+  }
+
+  // View tag a payload to this meta view key would carry, on the recipient side
+  computeViewTag(metaViewPriv32, ephPubCompressed) {
+    const ephPub = this.to32u8(ephPubCompressed);
+    const shared = secp.getSharedSecret(this.to32u8(metaViewPriv32), ephPub, true);
+    return this.viewTagFromShared(shared, ephPub);
   }
 
   async decryptEphemeralPrivKey(encodedPayloadB58OrBytes, metaViewPriv32, ephPubCompressed) {
     const metaViewPriv = this.to32u8(metaViewPriv32);
     const ephPub = this.to32u8(ephPubCompressed);
 
-    let payloadU8;
-    if (encodedPayloadB58OrBytes instanceof Uint8Array) payloadU8 = encodedPayloadB58OrBytes;
-    else if (typeof encodedPayloadB58OrBytes === 'string') payloadU8 = bs58.decode(encodedPayloadB58OrBytes);
-    else if (encodedPayloadB58OrBytes?.type === 'Buffer') payloadU8 = Uint8Array.from(encodedPayloadB58OrBytes.data);
-    else throw new Error('encryptedPayload must be base58 string or Uint8Array');
+    let payloadU8 = this.toPayloadBytes(encodedPayloadB58OrBytes);
+    if (this.getViewTag(payloadU8) !== null) payloadU8 = payloadU8.slice(VIEW_TAG_LENGTH);
 
     if (payloadU8.length < 28) throw new Error('Encrypted payload too short');
 
-    const nonce = payloadU8.slice(0, 12);
-    const ct = payloadU8.slice(12);
+    const nonce = payloadU8.slice(0, NONCE_LENGTH);
+    const ct = payloadU8.slice(NONCE_LENGTH);
 
     const shared = secp.getSharedSecret(metaViewPriv, ephPub, true);
     const salt = sha256(ephPub);
@@ -187,6 +218,11 @@ export default class PivyStealthAptos {
     };
   }
 
+  /**
+   * Derive the stealth keypair that can spend a payment.
+   * The server never holds metaSpendPriv in client custody mode, so this is expected
+   * to run where the spend key lives (the client) with the key passed in directly.
+   */
   async deriveStealthKeypair(metaSpendPriv32, metaViewPriv32, ephPubCompressedB58OrU8) {
     const shared = secp.getSharedSecret(
       this.to32u8(metaViewPriv32),
@@ -285,6 +321,32 @@ export default class PivyStealthAptos {
     };
   }
 
+  /**
+   * Check that a meta private key belongs to the given compressed public key,
+   * without keeping the private key around.
+   * @param {string|Uint8Array} priv - Private key (hex, base58 or bytes)
+   * @param {string|Uint8Array} pub - Compressed public key (base58, hex or bytes)
+   * @returns {boolean}
+   */
+  metaKeyMatchesPub(priv, pub) {
+    try {
+      const derivedPub = secp.getPublicKey(this.to32u8(priv), true);
+      const expectedPub = this.to32u8(pub);
+      return Buffer.from(derivedPub).equals(Buffer.from(expectedPub));
+    } catch {
+      return false;
+    }
+  }
+
+  // Proof that the caller holds the spend key: a secp256k1 signature (compact, hex) over sha256(message)
+  verifySpendKeySignature(signatureHex, message, metaSpendPub) {
+    try {
+      return secp.verify(signatureHex, sha256(this.toBytes(message)), this.to32u8(metaSpendPub));
+    } catch {
+      return false;
+    }
+  }
+
   generateEphemeralKey() {
     const priv = secp.utils.randomPrivateKey();
     const pub = secp.getPublicKey(priv, true);
@@ -306,6 +368,10 @@ export default class PivyStealthAptos {
   static async decryptNote(...a) { return new PivyStealthAptos().decryptNote(...a); }
   static async encryptEphemeralPrivKey(...a) { return new PivyStealthAptos().encryptEphemeralPrivKey(...a); }
   static async decryptEphemeralPrivKey(...a) { return new PivyStealthAptos().decryptEphemeralPrivKey(...a); }
+  static getViewTag(payload) { return new PivyStealthAptos().getViewTag(payload); }
+  static computeViewTag(priv, ephPub) { return new PivyStealthAptos().computeViewTag(priv, ephPub); }
+  static metaKeyMatchesPub(priv, pub) { return new PivyStealthAptos().metaKeyMatchesPub(priv, pub); }
+  static verifySpendKeySignature(sig, message, pub) { return new PivyStealthAptos().verifySpendKeySignature(sig, message, pub); }
   static generateMetaKeys() { return new PivyStealthAptos().generateMetaKeys(); }
   static generateDeterministicMetaKeys(seed) { return new PivyStealthAptos().generateDeterministicMetaKeys(seed); }
   static generateEphemeralKey() { return new PivyStealthAptos().generateEphemeralKey(); }
@@ -0,0 +1,78 @@
+import bs58 from 'bs58';
+import PivyStealthAptos from './pivy-stealth-aptos.js';
+
+const toBytes = (value) => (value instanceof Uint8Array ? value : bs58.decode(value));
+
+const decryptOptional = async (pivy, ciphertext, ephemeralPubkey, metaViewPriv) => {
+  if (!ciphertext) return { value: null, error: null };
+  try {
+    return { value: await pivy.decryptNote(toBytes(ciphertext), ephemeralPubkey, metaViewPriv), error: null };
+  } catch (error) {
+    return { value: null, error: error.message };
+  }
+};
+
+/**
+ * Find which of the candidate meta keys a stealth payment was sent to. Only curve work, it runs
+ * on the scan pool threads (see stealthScanPool.js) with everything passed in.
+ * @param {Object} params
+ * @param {Uint8Array} params.memo - Ephemeral key payload
+ * @param {string} params.ephemeralPubkey - base58
+ * @param {string} params.stealthOwnerPubkey - Stealth Aptos address the payment went to
+ * @param {Uint8Array|string|null} [params.encryptedNote] - Decrypted for the match
+ * @param {Uint8Array|string|null} [params.encryptedLabel] - Decrypted for the match
+ * @param {Array<{metaViewPriv: string, metaSpendPub: string, metaViewPub: string}>} params.candidates - Opened view keys
+ * @returns {Promise<{match: Object|null, stats: Object}>} match has the candidate index, note and label
+ *   (each null with an error when decryption failed)
+ */
+export const scanCandidates = async ({
+  memo,
+  ephemeralPubkey,
+  stealthOwnerPubkey,
+  encryptedNote = null,
+  encryptedLabel = null,
+  candidates
+}) => {
+  const startedAt = performance.now();
+  const pivy = new PivyStealthAptos();
+  const viewTag = pivy.getViewTag(memo);
+  const stats = { candidates: candidates.length, viewTagSkips: 0, fullChecks: 0, errors: 0, lastError: null };
+  let match = null;
+
+  for (let index = 0; index < candidates.length; index++) {
+    const { metaViewPriv, metaSpendPub, metaViewPub } = candidates[index];
+
+    try {
+      // A wrong view tag rules the candidate out, legacy memos without one take the full check
+      if (viewTag !== null && pivy.computeViewTag(metaViewPriv, ephemeralPubkey) !== viewTag) {
+        stats.viewTagSkips++;
+        continue;
+      }
+
+      stats.fullChecks++;
+      // Other recipients can't decrypt it, that's a miss rather than an error
+      const ephPriv = await pivy.decryptEphemeralPrivKey(memo, metaViewPriv, ephemeralPubkey).catch(() => null);
+      if (!ephPriv) continue;
+
+      const stealthPub = await pivy.deriveStealthPub(metaSpendPub, metaViewPub, ephPriv);
+      if (stealthPub.stealthAptosAddress !== stealthOwnerPubkey) continue;
+
+      const note = await decryptOptional(pivy, encryptedNote, ephemeralPubkey, metaViewPriv);
+      const label = await decryptOptional(pivy, encryptedLabel, ephemeralPubkey, metaViewPriv);
+      match = {
+        index,
+        note: note.value,
+        noteError: note.error,
+        label: label.value,
+        labelError: label.error
+      };
+      break;
+    } catch (error) {
+      stats.errors++;
+      stats.lastError = error.message;
+    }
+  }
+
+  stats.runMs = performance.now() - startedAt;
+  return { match, stats };
+};
@@ -0,0 +1,11 @@
+// Entry point of the stealth scan pool threads, see stealthScanPool.js
+import { parentPort } from 'worker_threads';
+import { scanCandidates } from './stealthScan.js';
+
+parentPort.on('message', async ({ batchId, payload }) => {
+  try {
+    parentPort.postMessage({ batchId, result: await scanCandidates(payload) });
+  } catch (error) {
+    parentPort.postMessage({ batchId, error: error.message });
+  }
+});
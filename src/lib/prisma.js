@@ -1,3 +1,8 @@
 import { PrismaClient } from '@prisma/client'
 
-export const prismaQuery = new PrismaClient()
\ No newline at end of file
+// NFC tag keys are only read where taps are verified (select them explicitly)
+export const prismaQuery = new PrismaClient({
+  omit: {
+    nFCTag: { sdmKeys: true }
+  }
+})
\ No newline at end of file
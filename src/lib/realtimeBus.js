@@ -0,0 +1,196 @@
+/**
+ * Pub/sub bus for realtime user events
+ * ------------------------------------
+ * Workers publish user events ({ userId, type, eventId, data, createdAt }) and every
+ * backend instance fans them out to the SSE connections it holds.
+ *
+ * Buses (REALTIME_BUS):
+ * - "memory" (default): in-process EventEmitter, for single-node deployments
+ * - "postgres": events go through the RealtimeEvent table and every instance polls it,
+ *     so a payment indexed by the worker node reaches clients connected to any API node
+ *
+ * Bus interface: { name, publish(event), subscribe(handler) -> unsubscribe, close() }
+ */
+
+import { EventEmitter } from 'events';
+import { prismaQuery } from './prisma.js';
+
+const USER_EVENT = 'user-event';
+
+export class InProcessBus {
+  constructor() {
+    this.name = 'memory';
+    this.emitter = new EventEmitter();
+    // One listener per subscribing module, not per connection
+    this.emitter.setMaxListeners(50);
+  }
+
+  async publish(event) {
+    this.emitter.emit(USER_EVENT, event);
+  }
+
+  subscribe(handler) {
+    this.emitter.on(USER_EVENT, handler);
+    return () => this.emitter.off(USER_EVENT, handler);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+/**
+ * Bus backed by the RealtimeEvent table. Polling keeps it on the Prisma client we already
+ * have (no LISTEN connection to manage), at the cost of up to `pollIntervalMs` latency.
+ */
+export class PostgresPollingBus {
+  constructor({ db = prismaQuery, pollIntervalMs = 1000, retentionMs = 10 * 60 * 1000 } = {}) {
+    this.name = 'postgres';
+    this.db = db;
+    this.pollIntervalMs = pollIntervalMs;
+    this.retentionMs = retentionMs;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(50);
+    this.lastEventId = null;
+    this.timer = null;
+    this.isPolling = false;
+    this.pollCount = 0;
+  }
+
+  async publish(event) {
+    await this.db.realtimeEvent.create({
+      data: {
+        userId: event.userId,
+        type: event.type,
+        payload: event
+      }
+    });
+  }
+
+  subscribe(handler) {
+    this.emitter.on(USER_EVENT, handler);
+    this.start();
+
+    return () => {
+      this.emitter.off(USER_EVENT, handler);
+      if (this.emitter.listenerCount(USER_EVENT) === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    // Resume from the head next time, events published while nobody listened are not replayed
+    this.lastEventId = null;
+  }
+
+  async poll() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      if (this.lastEventId === null) {
+        const latest = await this.db.realtimeEvent.findFirst({
+          orderBy: { id: 'desc' },
+          select: { id: true }
+        });
+        this.lastEventId = latest?.id ?? 0n;
+        return;
+      }
+
+      const rows = await this.db.realtimeEvent.findMany({
+        where: { id: { gt: this.lastEventId } },
+        orderBy: { id: 'asc' },
+        take: 500
+      });
+
+      for (const row of rows) {
+        this.lastEventId = row.id;
+        this.emitter.emit(USER_EVENT, row.payload);
+      }
+
+      // Old rows are only needed by instances that fell behind, prune them now and then
+      this.pollCount++;
+      if (this.pollCount % 60 === 0) {
+        await this.db.realtimeEvent.deleteMany({
+          where: { createdAt: { lt: new Date(Date.now() - this.retentionMs) } }
+        });
+      }
+    } catch (error) {
+      console.error('Error polling realtime events:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async close() {
+    this.stop();
+    this.emitter.removeAllListeners();
+  }
+}
+
+/**
+ * Build the bus configured through env
+ */
+export const createRealtimeBus = () => {
+  const busName = process.env.REALTIME_BUS || 'memory';
+
+  if (busName === 'memory') {
+    return new InProcessBus();
+  }
+  if (busName === 'postgres') {
+    return new PostgresPollingBus({
+      pollIntervalMs: parseInt(process.env.REALTIME_BUS_POLL_MS) || 1000
+    });
+  }
+  throw new Error(`Unknown REALTIME_BUS "${busName}"`);
+};
+
+let realtimeBus;
+
+export const getRealtimeBus = () => {
+  if (!realtimeBus) {
+    realtimeBus = createRealtimeBus();
+  }
+  return realtimeBus;
+};
+
+// Swap the bus (tests, custom transports such as Redis)
+export const setRealtimeBus = (bus) => {
+  realtimeBus = bus;
+};
+
+/**
+ * Publish an event for a user. Never throws, realtime delivery is best effort.
+ * @param {Object} params
+ * @param {string} params.userId - Recipient user
+ * @param {string} params.type - Event type (PAYMENT_RECEIVED, BALANCE_CHANGED, ...)
+ * @param {string} [params.eventId] - Stable id of the source event
+ * @param {Object} params.data - JSON serializable data
+ */
+export const publishUserEvent = async ({ userId, type, eventId = null, data }) => {
+  if (!userId) return;
+
+  try {
+    await getRealtimeBus().publish({
+      userId,
+      type,
+      eventId,
+      data,
+      createdAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error publishing ${type} realtime event:`, error);
+  }
+};
@@ -0,0 +1,384 @@
+/**
+ * Shared key-value store with TTLs
+ * --------------------------------
+ * Short lived state that every backend instance has to agree on (SIWA nonces, response
+ * caches, throttles, rate limits) goes through this store instead of module level Maps.
+ *
+ * Stores (STATE_STORE):
+ * - "memory" (default): in-process Map, for single-node deployments
+ * - "redis": any server speaking the Redis protocol (Redis 6.2+, Valkey, KeyDB, Dragonfly) at
+ *     STATE_STORE_URL (redis://[user:password@]host:port[/db], rediss:// for TLS), keys are
+ *     prefixed with STATE_STORE_PREFIX, commands fail after STATE_STORE_COMMAND_TIMEOUT_MS
+ *
+ * Store interface, values are JSON serializable and round trip through JSON on both stores:
+ *   { name, get(key), set(key, value, { ttlMs, onlyIfAbsent }) -> stored?, take(key),
+ *     delete(key), increment(key, { ttlMs }) -> count, close() }
+ * `take` reads and deletes in one step, `increment` only sets the TTL when it creates the key.
+ */
+
+import net from 'net';
+import tls from 'tls';
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export class InMemoryStateStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref?.();
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  readEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.readEntry(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, { ttlMs = null, onlyIfAbsent = false } = {}) {
+    if (onlyIfAbsent && this.readEntry(key)) return false;
+    this.entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+    return true;
+  }
+
+  async take(key) {
+    const entry = this.readEntry(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    return JSON.parse(entry.value);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async increment(key, { ttlMs = null } = {}) {
+    const entry = this.readEntry(key);
+    const count = (entry ? JSON.parse(entry.value) : 0) + 1;
+    this.entries.set(key, {
+      value: JSON.stringify(count),
+      expiresAt: entry ? entry.expiresAt : (ttlMs ? Date.now() + ttlMs : null)
+    });
+    return count;
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.entries.clear();
+  }
+}
+
+class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisReplyError';
+  }
+}
+
+const CRLF = '\r\n';
+
+const encodeCommand = (args) => {
+  let command = `*${args.length}${CRLF}`;
+  for (const arg of args) {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  }
+  return command;
+};
+
+/**
+ * Parse one RESP2 reply
+ * @returns {{value: *, offset: number}|null} null when the buffer doesn't hold the whole reply yet
+ */
+const parseReply = (buffer, offset) => {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisReplyError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
+  }
+};
+
+// Sets the TTL only when INCR created the key, in one round trip
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 and tonumber(ARGV[1]) > 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return count`;
+
+/**
+ * Store on a Redis protocol server over a single pipelined connection. The connection is
+ * opened on first use and again after it drops, commands in flight when it drops fail.
+ * Replies can only be matched in order, so a command left unanswered for commandTimeoutMs
+ * drops the connection (and fails everything in flight) instead of hanging its callers.
+ */
+export class RedisStateStore {
+  constructor({ url, keyPrefix = 'pivy:', connectTimeoutMs = 5000, commandTimeoutMs = 5000 } = {}) {
+    if (!url) throw new Error('STATE_STORE_URL is not set');
+
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'redis:' && parsed.protocol !== 'rediss:') {
+      throw new Error(`STATE_STORE_URL must be a redis:// or rediss:// URL`);
+    }
+
+    this.name = 'redis';
+    this.keyPrefix = keyPrefix;
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.commandTimeoutMs = commandTimeoutMs;
+    this.options = {
+      host: parsed.hostname,
+      port: parseInt(parsed.port) || 6379,
+      useTls: parsed.protocol === 'rediss:',
+      username: decodeURIComponent(parsed.username),
+      password: decodeURIComponent(parsed.password),
+      db: parseInt(parsed.pathname.slice(1)) || 0
+    };
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const { host, port, useTls } = this.options;
+      const socket = useTls
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Timed out connecting to state store at ${host}:${port}`));
+      }, this.connectTimeoutMs);
+
+      socket.once(useTls ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        socket.setNoDelay(true);
+        socket.setKeepAlive(true);
+        resolve(socket);
+      });
+      socket.on('data', (chunk) => this.onData(chunk));
+      socket.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+        this.onDisconnect(socket, error);
+      });
+      socket.on('close', () => this.onDisconnect(socket, new Error('State store connection closed')));
+
+      this.socket = socket;
+    });
+
+    // Handshake goes first on the new connection
+    const { username, password, db } = this.options;
+    const handshake = this.connecting.then(async () => {
+      if (password) {
+        await this.send(username ? ['AUTH', username, password] : ['AUTH', password]);
+      }
+      if (db) {
+        await this.send(['SELECT', db]);
+      }
+    }).catch((error) => {
+      // Start over with a new connection on the next command
+      this.socket?.destroy();
+      throw error;
+    });
+    this.connecting = handshake;
+    // Don't leave an unhandled rejection when nobody is waiting yet
+    handshake.catch(() => {});
+
+    return handshake;
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    while (offset < this.buffer.length) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        this.socket?.destroy(error);
+        return;
+      }
+      if (!reply) break;
+
+      offset = reply.offset;
+      const request = this.pending.shift();
+      if (!request) continue;
+      if (reply.value instanceof RedisReplyError) request.reject(reply.value);
+      else request.resolve(reply.value);
+    }
+
+    this.buffer = offset < this.buffer.length ? this.buffer.subarray(offset) : Buffer.alloc(0);
+  }
+
+  onDisconnect(socket, error) {
+    // Late events of a connection that was already replaced
+    if (this.socket !== socket) return;
+
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+
+    const pending = this.pending;
+    this.pending = [];
+    for (const request of pending) request.reject(error);
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socket;
+      if (!socket) {
+        reject(new Error('State store is not connected'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`State store command ${args[0]} timed out after ${this.commandTimeoutMs}ms`));
+      }, this.commandTimeoutMs);
+      this.pending.push({
+        resolve: (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  key(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  async get(key) {
+    const value = await this.command('GET', this.key(key));
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, { ttlMs = null, onlyIfAbsent = false } = {}) {
+    const args = ['SET', this.key(key), JSON.stringify(value)];
+    if (ttlMs) args.push('PX', Math.ceil(ttlMs));
+    if (onlyIfAbsent) args.push('NX');
+    return (await this.command(...args)) === 'OK';
+  }
+
+  async take(key) {
+    const value = await this.command('GETDEL', this.key(key));
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async delete(key) {
+    await this.command('DEL', this.key(key));
+  }
+
+  async increment(key, { ttlMs = null } = {}) {
+    return this.command('EVAL', INCREMENT_SCRIPT, 1, this.key(key), Math.ceil(ttlMs || 0));
+  }
+
+  async close() {
+    const socket = this.socket;
+    if (!socket) return;
+    try {
+      await this.command('QUIT');
+    } catch {
+      // Already gone
+    }
+    this.onDisconnect(socket, new Error('State store closed'));
+    socket.destroy();
+  }
+}
+
+/**
+ * Build the store configured through env
+ */
+export const createStateStore = () => {
+  const storeName = process.env.STATE_STORE || 'memory';
+
+  if (storeName === 'memory') {
+    return new InMemoryStateStore();
+  }
+  if (storeName === 'redis') {
+    return new RedisStateStore({
+      url: process.env.STATE_STORE_URL,
+      keyPrefix: process.env.STATE_STORE_PREFIX ?? 'pivy:',
+      commandTimeoutMs: parseInt(process.env.STATE_STORE_COMMAND_TIMEOUT_MS) || 5000
+    });
+  }
+  throw new Error(`Unknown STATE_STORE "${storeName}"`);
+};
+
+let stateStore;
+
+export const getStateStore = () => {
+  if (!stateStore) {
+    stateStore = createStateStore();
+  }
+  return stateStore;
+};
+
+// Swap the store (tests, scripts)
+export const setStateStore = (store) => {
+  stateStore = store;
+};
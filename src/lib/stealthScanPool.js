@@ -0,0 +1,307 @@
+/**
+ * Stealth scan pool
+ * -----------------
+ * Matching a payment against the meta keys of every user is curve work (ECDH, point
+ * multiplication, ChaCha20) that would stall every request sharing the event loop with the
+ * indexer. Scans are split into batches of candidates that run on a bounded pool of
+ * worker_threads instead, spawned on the first scan.
+ *
+ * - Early exit: a scan resolves once every batch is done or one matched, its batches still
+ *   waiting for a thread are dropped after a match.
+ * - Back-pressure: at most maxQueuedBatches wait for a thread, scan() waits for room before
+ *   queueing more, so a backlog slows the indexer down instead of piling up in memory.
+ * - Metrics: every batch reports its candidates, view tag skips, full checks, errors, queue
+ *   wait and run time. Totals and the latest batches are served by getStats() and logged
+ *   every metricsLogMs while there is traffic.
+ *
+ * With threads = 0 batches run on the main thread, one per event loop turn.
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { scanCandidates } from './pivy-stealth/stealthScan.js';
+
+const THREAD_URL = new URL('./pivy-stealth/stealthScanThread.js', import.meta.url);
+const RECENT_BATCHES = 50;
+
+const emptyTotals = () => ({
+  scans: 0,
+  matches: 0,
+  batches: 0,
+  droppedBatches: 0,
+  failedBatches: 0,
+  candidates: 0,
+  viewTagSkips: 0,
+  fullChecks: 0,
+  errors: 0,
+  runMs: 0,
+  queueWaitMs: 0,
+  maxQueueWaitMs: 0
+});
+
+export class StealthScanPool {
+  constructor({
+    threads = Math.max(os.availableParallelism() - 1, 1),
+    batchSize = 256,
+    maxQueuedBatches = 64,
+    metricsLogMs = 60 * 1000
+  } = {}) {
+    this.threadCount = threads;
+    this.batchSize = batchSize;
+    this.maxQueuedBatches = maxQueuedBatches;
+
+    this.slots = []; // { worker, batch }, worker is null for the main thread slot
+    this.queue = [];
+    this.roomWaiters = [];
+    this.nextBatchId = 1;
+    this.closed = false;
+
+    this.totals = emptyTotals();
+    this.loggedBatches = 0;
+    this.recentBatches = [];
+    this.metricsTimer = setInterval(() => this.logStats(), metricsLogMs);
+    this.metricsTimer.unref?.();
+  }
+
+  /**
+   * Find the candidate a payment was sent to, see scanCandidates for the job fields
+   * @param {Object} job - Payment fields, everything but the candidates
+   * @param {Array<{metaViewPriv: string, metaSpendPub: string, metaViewPub: string}>} candidates
+   * @returns {Promise<{match: Object|null, stats: Object}>} match.index points into candidates
+   */
+  async scan(job, candidates) {
+    const scan = { done: false, match: null, error: null };
+    const batches = [];
+    const startedAt = Date.now();
+
+    for (let offset = 0; offset < candidates.length && !scan.done; offset += this.batchSize) {
+      await this.waitForRoom();
+      if (scan.done) break;
+      batches.push(this.enqueue(scan, {
+        ...job,
+        candidates: candidates.slice(offset, offset + this.batchSize)
+      }, offset));
+    }
+
+    const results = (await Promise.all(batches)).filter(Boolean);
+    this.totals.scans++;
+    if (scan.match) this.totals.matches++;
+    // A failed batch may have held the match
+    if (!scan.match && scan.error) throw scan.error;
+
+    return {
+      match: scan.match,
+      stats: {
+        batches: results.length,
+        candidates: results.reduce((sum, stats) => sum + stats.candidates, 0),
+        viewTagSkips: results.reduce((sum, stats) => sum + stats.viewTagSkips, 0),
+        fullChecks: results.reduce((sum, stats) => sum + stats.fullChecks, 0),
+        errors: results.reduce((sum, stats) => sum + stats.errors, 0),
+        durationMs: Date.now() - startedAt
+      }
+    };
+  }
+
+  async waitForRoom() {
+    while (this.queue.length >= this.maxQueuedBatches) {
+      await new Promise(resolve => this.roomWaiters.push(resolve));
+    }
+    if (this.closed) throw new Error('Stealth scan pool is closed');
+  }
+
+  // Resolves with the batch stats, null when it was dropped or failed
+  enqueue(scan, payload, offset) {
+    return new Promise((resolve) => {
+      this.queue.push({ id: this.nextBatchId++, scan, payload, offset, enqueuedAt: Date.now(), resolve });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const slot = this.slots.find(s => !s.batch) || this.addSlot();
+      if (!slot) return;
+
+      const batch = this.queue.shift();
+      this.roomWaiters.shift()?.();
+
+      if (batch.scan.done) {
+        this.totals.droppedBatches++;
+        batch.resolve(null);
+        continue;
+      }
+
+      batch.startedAt = Date.now();
+      slot.batch = batch;
+      if (slot.worker) {
+        slot.worker.ref();
+        slot.worker.postMessage({ batchId: batch.id, payload: batch.payload });
+      } else {
+        setImmediate(() => {
+          scanCandidates(batch.payload)
+            .then(result => this.finishBatch(slot, { batchId: batch.id, result }))
+            .catch(error => this.finishBatch(slot, { batchId: batch.id, error: error.message }));
+        });
+      }
+    }
+  }
+
+  addSlot() {
+    const size = Math.max(this.threadCount, 1);
+    if (this.closed || this.slots.length >= size) return null;
+
+    if (this.threadCount === 0) {
+      const slot = { worker: null, batch: null };
+      this.slots.push(slot);
+      return slot;
+    }
+
+    const slot = { worker: new Worker(THREAD_URL), batch: null };
+    let threadError = null;
+    slot.worker.on('message', (message) => this.finishBatch(slot, message));
+    slot.worker.on('error', (error) => {
+      threadError = error;
+      console.error('Stealth scan thread crashed:', error.message);
+    });
+    slot.worker.on('exit', (code) => {
+      this.slots = this.slots.filter(s => s !== slot);
+      if (slot.batch) {
+        this.failBatch(slot.batch, threadError || new Error(`Stealth scan thread exited with code ${code}`));
+        slot.batch = null;
+      }
+      // A new thread takes over the queue
+      if (!this.closed) this.dispatch();
+    });
+    // Only keeps the process alive while it has a batch
+    slot.worker.unref();
+    this.slots.push(slot);
+    return slot;
+  }
+
+  finishBatch(slot, { batchId, result, error }) {
+    const batch = slot.batch;
+    if (!batch || batch.id !== batchId) return;
+    slot.batch = null;
+    slot.worker?.unref();
+
+    if (error) {
+      this.failBatch(batch, new Error(error));
+    } else {
+      this.recordBatch(batch, result.stats);
+      if (result.match && !batch.scan.done) {
+        batch.scan.done = true;
+        batch.scan.match = { ...result.match, index: batch.offset + result.match.index };
+      }
+      batch.resolve(result.stats);
+    }
+
+    this.dispatch();
+  }
+
+  failBatch(batch, error) {
+    this.totals.failedBatches++;
+    batch.scan.error ||= error;
+    batch.resolve(null);
+  }
+
+  recordBatch(batch, stats) {
+    const queueWaitMs = batch.startedAt - batch.enqueuedAt;
+    const { totals } = this;
+    totals.batches++;
+    totals.candidates += stats.candidates;
+    totals.viewTagSkips += stats.viewTagSkips;
+    totals.fullChecks += stats.fullChecks;
+    totals.errors += stats.errors;
+    totals.runMs += stats.runMs;
+    totals.queueWaitMs += queueWaitMs;
+    totals.maxQueueWaitMs = Math.max(totals.maxQueueWaitMs, queueWaitMs);
+
+    this.recentBatches.push({
+      id: batch.id,
+      candidates: stats.candidates,
+      viewTagSkips: stats.viewTagSkips,
+      fullChecks: stats.fullChecks,
+      errors: stats.errors,
+      lastError: stats.lastError,
+      queueWaitMs,
+      runMs: Math.round(stats.runMs),
+      finishedAt: new Date()
+    });
+    if (this.recentBatches.length > RECENT_BATCHES) this.recentBatches.shift();
+  }
+
+  getStats() {
+    const { totals } = this;
+    return {
+      threads: this.threadCount,
+      activeThreads: this.slots.filter(s => s.worker).length,
+      busyThreads: this.slots.filter(s => s.batch).length,
+      queuedBatches: this.queue.length,
+      waitingScans: this.roomWaiters.length,
+      batchSize: this.batchSize,
+      maxQueuedBatches: this.maxQueuedBatches,
+      totals: {
+        ...totals,
+        runMs: Math.round(totals.runMs),
+        avgRunMs: totals.batches ? Math.round(totals.runMs / totals.batches) : 0,
+        avgQueueWaitMs: totals.batches ? Math.round(totals.queueWaitMs / totals.batches) : 0
+      },
+      recentBatches: [...this.recentBatches].reverse()
+    };
+  }
+
+  logStats() {
+    if (this.totals.batches === this.loggedBatches) return;
+    this.loggedBatches = this.totals.batches;
+
+    const { totals } = this.getStats();
+    console.log(
+      `📊 [SCAN] ${totals.scans} scans, ${totals.matches} matched, ${totals.batches} batches ` +
+      `(${totals.failedBatches} failed, ${totals.droppedBatches} dropped), ${totals.candidates} candidates, ` +
+      `${totals.viewTagSkips} view tag skips, ${totals.fullChecks} full checks, ${totals.errors} errors, ` +
+      `avg run ${totals.avgRunMs}ms, avg queue wait ${totals.avgQueueWaitMs}ms (max ${totals.maxQueueWaitMs}ms)`
+    );
+  }
+
+  /**
+   * Stop the threads, scans still running fail
+   */
+  async close() {
+    this.closed = true;
+    clearInterval(this.metricsTimer);
+
+    for (const batch of this.queue.splice(0)) {
+      this.failBatch(batch, new Error('Stealth scan pool is closed'));
+    }
+    for (const resolve of this.roomWaiters.splice(0)) resolve();
+
+    await Promise.all(this.slots.map(slot => slot.worker?.terminate()));
+    this.slots = [];
+  }
+}
+
+/**
+ * Build the pool configured through env
+ */
+export const createStealthScanPool = () => {
+  const threads = parseInt(process.env.STEALTH_SCAN_THREADS);
+  return new StealthScanPool({
+    ...(threads >= 0 && { threads }),
+    batchSize: parseInt(process.env.STEALTH_SCAN_BATCH_SIZE) || 256,
+    maxQueuedBatches: parseInt(process.env.STEALTH_SCAN_MAX_QUEUED_BATCHES) || 64
+  });
+};
+
+let stealthScanPool;
+
+export const getStealthScanPool = () => {
+  if (!stealthScanPool) {
+    stealthScanPool = createStealthScanPool();
+  }
+  return stealthScanPool;
+};
+
+// Swap the pool (tests, scripts)
+export const setStealthScanPool = (pool) => {
+  stealthScanPool = pool;
+};
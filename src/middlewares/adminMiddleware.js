@@ -0,0 +1,38 @@
+import { prismaQuery } from '../lib/prisma.js';
+import { ADMIN_ROLES, hasAdminRole } from '../utils/adminUtils.js';
+import { handleError } from '../utils/errorHandler.js';
+
+/**
+ * Admin middleware factory, runs after authMiddleware. The JWT must carry an admin role claim
+ * and the user's admin account must still be active with at least minRole.
+ * @param {string} minRole - One of ADMIN_ROLES
+ */
+export const requireAdminRole = (minRole = ADMIN_ROLES.SUPERADMIN) => async (request, reply) => {
+  try {
+    if (!request.user) {
+      return handleError(reply, 401, 'Unauthorized', 'UNAUTHORIZED');
+    }
+
+    if (!request.authClaims?.adminRole) {
+      return handleError(reply, 403, 'Admin access required, sign in again if you were just granted a role', 'ADMIN_ROLE_MISSING');
+    }
+
+    const adminAccount = await prismaQuery.adminAccount.findUnique({
+      where: { userId: request.user.id }
+    });
+    if (!adminAccount || !adminAccount.isActive) {
+      return handleError(reply, 403, 'Admin access was revoked', 'ADMIN_ACCOUNT_INACTIVE');
+    }
+
+    // Audited from here on, denied requests included
+    request.adminAccount = adminAccount;
+
+    if (!hasAdminRole(adminAccount.role, minRole)) {
+      return handleError(reply, 403, `This action needs the ${minRole.toLowerCase()} role`, 'ADMIN_ROLE_INSUFFICIENT');
+    }
+
+    return true;
+  } catch (error) {
+    return handleError(reply, 500, 'Internal server error', 'ADMIN_MIDDLEWARE_ERROR', error);
+  }
+};
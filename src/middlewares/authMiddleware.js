@@ -34,6 +34,11 @@ export const authMiddleware = async (request, reply) => {
       if (!authData.id) {
         return handleError(reply, 401, 'Invalid token payload', 'TOKEN_PAYLOAD_INVALID');
       }
+
+      // Stream tickets and download claims share the secret but are never session tokens
+      if (authData.purpose !== undefined || authData.aud !== undefined) {
+        return handleError(reply, 401, 'Token is not a session token', 'TOKEN_PURPOSE_INVALID');
+      }
       
       const user = await prismaQuery.user.findUnique({
         where: {
@@ -63,6 +68,7 @@ export const authMiddleware = async (request, reply) => {
 
       request.user = user;
       request.currentWallet = currentWallet;
+      request.authClaims = authData;
       return true;
     } catch (jwtError) {
       let errorCode = 'TOKEN_INVALID';
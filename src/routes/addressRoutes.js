@@ -1,6 +1,9 @@
 import { prismaQuery } from "../lib/prisma.js";
+import { getStateStore } from "../lib/stateStore.js";
 import { handleError, handleNotFoundError } from "../utils/errorHandler.js";
 import { getPublicLinkForChain } from "../utils/linkUtils.js";
+import { getPublicCampaign } from "../utils/fundraiserUtils.js";
+import { recordLinkView } from "../utils/linkViewUtils.js";
 import { searchANSByDomain, getPrimaryANSForAddress, validateAptosAddress, normalizeAptosAddress } from "../utils/aptosNsUtils.js";
 
 /**
@@ -18,25 +21,25 @@ const mapNetworkChainToWalletChain = (networkChain) => {
   }
 };
 
-// View count throttle cache - tracks last view increment time for each link
-const viewCountThrottleCache = new Map();
+// View count throttle, one increment per link per window across all instances
 const THROTTLE_DURATION = 3 * 1000; // 3 seconds in milliseconds
 
 /**
- * Check if view count can be incremented for a given link
+ * Check if view count can be incremented for a given link, and claim the window if so
  * @param {string} linkId - The link ID to check
- * @returns {boolean} - True if view count can be incremented, false otherwise
+ * @returns {Promise<boolean>} - True if view count can be incremented, false otherwise
  */
-const canIncrementViewCount = (linkId) => {
-  const lastIncrementTime = viewCountThrottleCache.get(linkId);
-  const now = Date.now();
-
-  if (!lastIncrementTime || (now - lastIncrementTime) >= THROTTLE_DURATION) {
-    viewCountThrottleCache.set(linkId, now);
-    return true;
+const canIncrementViewCount = async (linkId) => {
+  try {
+    return await getStateStore().set(`view-throttle:${linkId}`, Date.now(), {
+      ttlMs: THROTTLE_DURATION,
+      onlyIfAbsent: true
+    });
+  } catch (error) {
+    // Losing a view beats failing the page
+    console.error(`Error checking view throttle of link ${linkId}:`, error.message);
+    return false;
   }
-
-  return false;
 };
 
 /**
@@ -342,6 +345,9 @@ export const addressRoutes = (app, _, done) => {
         tokens: collectedTokens,
         totalPayments: collectedPayments.length
       };
+
+      // Deadlines, milestones and cached USD progress, when the owner set up a campaign
+      cleanLinkData.campaign = await getPublicCampaign(link.id);
     }
 
     // Clean user data
@@ -658,6 +664,9 @@ export const addressRoutes = (app, _, done) => {
         tokens: collectedTokens,
         totalPayments: collectedPayments.length
       };
+
+      // Deadlines, milestones and cached USD progress, when the owner set up a campaign
+      cleanLinkData.campaign = await getPublicCampaign(link.id);
     }
 
     // Clean user data
@@ -691,7 +700,7 @@ export const addressRoutes = (app, _, done) => {
       const data = await getLinkDataById(linkId);
 
       // Only increment view count if throttle allows it (max once per 3 seconds)
-      if (canIncrementViewCount(data.linkId)) {
+      if (await canIncrementViewCount(data.linkId)) {
         console.log('Incrementing view count for link', data.linkId);
         await prismaQuery.link.update({
           where: {
@@ -705,6 +714,8 @@ export const addressRoutes = (app, _, done) => {
         console.log('Skipping view count increment for link', data.linkId);
       }
 
+      await recordLinkView({ linkId: data.linkId, request });
+
       // Remove linkId from response (internal use only)
       delete data.linkId;
 
@@ -773,6 +784,7 @@ export const addressRoutes = (app, _, done) => {
           
           // Add goal amount (prioritize chain-specific, fallback to link-level)
           data.linkData.goalAmount = chainConfig?.goalAmount || fullLinkData.goalAmount || null;
+          data.linkData.campaign = await getPublicCampaign(fullLinkData.id);
           
           // Calculate current collected amount from payments
           const collectedPayments = await prismaQuery.payment.findMany({
@@ -879,7 +891,7 @@ export const addressRoutes = (app, _, done) => {
       }
 
       // Only increment view count if throttle allows it (max once per 3 seconds)
-      if (canIncrementViewCount(data.linkData.id)) {
+      if (await canIncrementViewCount(data.linkData.id)) {
         console.log('Incrementing view count for link', data.linkData.id);
         await prismaQuery.link.update({
           where: {
@@ -893,6 +905,8 @@ export const addressRoutes = (app, _, done) => {
         console.log('Skipping view count increment for link', data.linkData.id);
       }
 
+      await recordLinkView({ linkId: data.linkData.id, request });
+
       return reply.status(200).send(data);
     } catch (error) {
       return handleError(reply, 500, "Error getting chain-specific address", 'GET_CHAIN_ADDRESS_ERROR', error);
@@ -915,7 +929,7 @@ export const addressRoutes = (app, _, done) => {
       const data = await getLinkData(username, tag);
 
       // Only increment view count if throttle allows it (max once per 3 seconds)
-      if (canIncrementViewCount(data.linkId)) {
+      if (await canIncrementViewCount(data.linkId)) {
         console.log('Incrementing view count for link', data.linkId);
         await prismaQuery.link.update({
           where: {
@@ -929,6 +943,8 @@ export const addressRoutes = (app, _, done) => {
         console.log('Skipping view count increment for link', data.linkId);
       }
 
+      await recordLinkView({ linkId: data.linkId, request });
+
       // Remove linkId from response (internal use only)
       delete data.linkId;
 
@@ -959,7 +975,7 @@ export const addressRoutes = (app, _, done) => {
       const data = await getLinkData(username, "");
 
       // Only increment view count if throttle allows it (max once per 3 seconds)
-      if (canIncrementViewCount(data.linkId)) {
+      if (await canIncrementViewCount(data.linkId)) {
         console.log('Incrementing view count for link', data.linkId);
         await prismaQuery.link.update({
           where: {
@@ -973,6 +989,8 @@ export const addressRoutes = (app, _, done) => {
         console.log('Skipping view count increment for link', data.linkId);
       }
 
+      await recordLinkView({ linkId: data.linkId, request });
+
       // Remove linkId from response (internal use only)
       delete data.linkId;
 
@@ -0,0 +1,551 @@
+import { CHAINS } from '../config.js';
+import { prismaQuery } from '../lib/prisma.js';
+import { getStealthScanPool } from '../lib/stealthScanPool.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { requireAdminRole } from '../middlewares/adminMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { validateRequiredFields } from '../utils/validationUtils.js';
+import { ADMIN_ROLES, serializeAdminAccount } from '../utils/adminUtils.js';
+import { cleanupOldCacheEntries, getCacheStats, invalidateUserBalanceCache } from '../utils/balanceCacheUtils.js';
+import { resetProcessingLog } from '../utils/processingLogUtils.js';
+
+const MAX_SEARCH_RESULTS = 20;
+const MAX_AUDIT_LOG_LIMIT = 100;
+const MAX_JOB_LIMIT = 100;
+
+const JOB_STATUSES = ['PENDING', 'RUNNING', 'COMPLETED', 'DEAD'];
+
+const PROCESSING_TYPES = [
+  'PAYMENT_LINK_SCAN',
+  'PAYMENT_PAYER_USER_ID_SCAN',
+  'WITHDRAWAL_USER_ID_SCAN',
+  'WITHDRAWAL_DESTINATION_USER_ID_SCAN'
+];
+
+// Never hand out key material, even to admins
+const walletSelect = {
+  id: true,
+  walletAddress: true,
+  chain: true,
+  loginMethod: true,
+  metaSpendPub: true,
+  metaViewPub: true,
+  metaKeyCustody: true,
+  isPrimary: true,
+  isActive: true,
+  createdAt: true
+};
+
+const linkSelect = {
+  id: true,
+  tag: true,
+  label: true,
+  type: true,
+  template: true,
+  supportedChains: true,
+  status: true,
+  archivedAt: true,
+  viewCount: true,
+  createdAt: true
+};
+
+const withRole = (role) => [authMiddleware, requireAdminRole(role)];
+
+/**
+ * Admin API. Every route needs an admin account (see AdminRole for what each role can do)
+ * and every request is audited.
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const adminRoutes = (app, _, done) => {
+  app.get('/me', {
+    preHandler: withRole(ADMIN_ROLES.SUPPORT),
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    return reply.send({ success: true, data: serializeAdminAccount(request.adminAccount) });
+  });
+
+  // Look up users by ID, username or wallet address
+  app.get('/users', {
+    preHandler: withRole(ADMIN_ROLES.SUPPORT),
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const query = typeof request.query.q === 'string' ? request.query.q.trim() : '';
+      if (query.length < 2) {
+        return handleError(reply, 400, 'q must be at least 2 characters', 'INVALID_QUERY');
+      }
+
+      const users = await prismaQuery.user.findMany({
+        where: {
+          OR: [
+            { id: query },
+            { username: { contains: query, mode: 'insensitive' } },
+            { wallets: { some: { walletAddress: { equals: query, mode: 'insensitive' } } } }
+          ]
+        },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          createdAt: true,
+          wallets: { select: walletSelect }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: MAX_SEARCH_RESULTS
+      });
+
+      return reply.send({ success: true, data: users });
+    } catch (error) {
+      return handleError(reply, 500, 'Error searching users', 'ADMIN_SEARCH_USERS_ERROR', error);
+    }
+  });
+
+  app.get('/users/:userId', {
+    preHandler: withRole(ADMIN_ROLES.SUPPORT),
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const user = await prismaQuery.user.findUnique({
+        where: { id: request.params.userId },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          createdAt: true,
+          updatedAt: true,
+          wallets: { select: walletSelect },
+          links: { select: linkSelect, orderBy: { createdAt: 'desc' } },
+          adminAccount: true,
+          _count: {
+            select: {
+              withdrawals: true,
+              invoices: true,
+              webhookEndpoints: true,
+              preparedTransactions: true,
+              scheduledWithdrawals: true
+            }
+          }
+        }
+      });
+      if (!user) {
+        return handleError(reply, 404, 'User not found', 'USER_NOT_FOUND');
+      }
+
+      return reply.send({
+        success: true,
+        data: {
+          ...user,
+          adminAccount: user.adminAccount ? serializeAdminAccount(user.adminAccount) : null
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error getting user', 'ADMIN_GET_USER_ERROR', error);
+    }
+  });
+
+  // Disabling archives the link, the same state as an owner archiving it
+  app.post('/links/:linkId/disable', {
+    preHandler: withRole(ADMIN_ROLES.OPS),
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const link = await prismaQuery.link.findUnique({ where: { id: request.params.linkId } });
+      if (!link) {
+        return handleError(reply, 404, 'Link not found', 'LINK_NOT_FOUND');
+      }
+      if (link.status === 'ARCHIVED') {
+        return handleError(reply, 409, 'Link is already disabled', 'LINK_ALREADY_DISABLED');
+      }
+
+      const updated = await prismaQuery.link.update({
+        where: { id: link.id },
+        data: { status: 'ARCHIVED', archivedAt: new Date() },
+        select: linkSelect
+      });
+
+      console.log(`Admin ${request.adminAccount.id} disabled link ${link.id}${request.body?.reason ? `: ${request.body.reason}` : ''}`);
+      return reply.send({ success: true, data: updated });
+    } catch (error) {
+      return handleError(reply, 500, 'Error disabling link', 'ADMIN_DISABLE_LINK_ERROR', error);
+    }
+  });
+
+  app.post('/links/:linkId/enable', {
+    preHandler: withRole(ADMIN_ROLES.OPS),
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const link = await prismaQuery.link.findUnique({ where: { id: request.params.linkId } });
+      if (!link) {
+        return handleError(reply, 404, 'Link not found', 'LINK_NOT_FOUND');
+      }
+      if (link.status === 'ACTIVE') {
+        return handleError(reply, 409, 'Link is already enabled', 'LINK_ALREADY_ENABLED');
+      }
+
+      // The owner may have reused the tag since
+      const tagTaken = await prismaQuery.link.findFirst({
+        where: { userId: link.userId, tag: link.tag, status: 'ACTIVE' },
+        select: { id: true }
+      });
+      if (tagTaken) {
+        return handleError(reply, 409, `The user has another active link tagged "${link.tag}"`, 'LINK_TAG_TAKEN');
+      }
+
+      const updated = await prismaQuery.link.update({
+        where: { id: link.id },
+        data: { status: 'ACTIVE', archivedAt: null },
+        select: linkSelect
+      });
+
+      return reply.send({ success: true, data: updated });
+    } catch (error) {
+      return handleError(reply, 500, 'Error enabling link', 'ADMIN_ENABLE_LINK_ERROR', error);
+    }
+  });
+
+  // Make the workers pick something up again. Indexer ranges are rewound through /indexer/admin/checkpoints/rewind
+  app.post('/reprocess', {
+    preHandler: withRole(ADMIN_ROLES.OPS),
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const validationResult = await validateRequiredFields(request.body, ['type'], reply);
+      if (validationResult !== true) return validationResult;
+
+      const { type } = request.body;
+
+      if (type === 'processing-log') {
+        const { processType, processId } = request.body;
+        if (!PROCESSING_TYPES.includes(processType) || typeof processId !== 'string' || processId === '') {
+          return handleError(reply, 400, `processing-log needs a processId and a processType of ${PROCESSING_TYPES.join(', ')}`, 'INVALID_REPROCESS_PARAMS');
+        }
+
+        // Without a log the item counts as unprocessed again
+        await resetProcessingLog(processId, processType);
+        return reply.send({ success: true, data: { type, processType, processId } });
+      }
+
+      if (type === 'user-balance') {
+        const { userId, chain } = request.body;
+        const chainConfig = CHAINS[chain];
+        if (typeof userId !== 'string' || !chainConfig) {
+          return handleError(reply, 400, 'user-balance needs a userId and a valid chain', 'INVALID_REPROCESS_PARAMS');
+        }
+
+        await invalidateUserBalanceCache(userId, chainConfig.id);
+        return reply.send({ success: true, data: { type, userId, chain: chainConfig.id } });
+      }
+
+      return handleError(reply, 400, 'type must be processing-log or user-balance', 'INVALID_REPROCESS_TYPE');
+    } catch (error) {
+      return handleError(reply, 500, 'Error reprocessing', 'ADMIN_REPROCESS_ERROR', error);
+    }
+  });
+
+  app.get('/cache/stats', {
+    preHandler: withRole(ADMIN_ROLES.SUPPORT),
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const stats = await getCacheStats();
+      return reply.send({ success: true, data: stats });
+    } catch (error) {
+      return handleError(reply, 500, 'Error getting cache stats', 'ADMIN_CACHE_STATS_ERROR', error);
+    }
+  });
+
+  app.post('/cache/cleanup', {
+    preHandler: withRole(ADMIN_ROLES.OPS),
+    config: {
+      rateLimit: {
+        max: 5,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      await cleanupOldCacheEntries();
+      return reply.send({ success: true, message: 'Cache cleanup completed' });
+    } catch (error) {
+      return handleError(reply, 500, 'Error cleaning up cache', 'ADMIN_CACHE_CLEANUP_ERROR', error);
+    }
+  });
+
+  // Scan pool of the instance that serves the request
+  app.get('/scan-pool/stats', {
+    preHandler: withRole(ADMIN_ROLES.SUPPORT),
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      return reply.send({ success: true, data: getStealthScanPool().getStats() });
+    } catch (error) {
+      return handleError(reply, 500, 'Error getting scan pool stats', 'ADMIN_SCAN_POOL_STATS_ERROR', error);
+    }
+  });
+
+  // Background jobs, by default the dead ones that ran out of attempts
+  app.get('/jobs', {
+    preHandler: withRole(ADMIN_ROLES.SUPPORT),
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { status = 'DEAD', name, cursor, limit } = request.query;
+      if (!JOB_STATUSES.includes(status)) {
+        return handleError(reply, 400, `status must be one of ${JOB_STATUSES.join(', ')}`, 'INVALID_JOB_STATUS');
+      }
+      const take = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_JOB_LIMIT);
+
+      const [jobs, statusCounts] = await Promise.all([
+        prismaQuery.job.findMany({
+          where: { status, ...(name && { name }) },
+          orderBy: [{ updatedAt: 'desc' }, { id: 'desc' }],
+          take: take + 1,
+          ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        }),
+        prismaQuery.job.groupBy({
+          by: ['status'],
+          _count: { _all: true }
+        })
+      ]);
+
+      const hasMore = jobs.length > take;
+      const page = hasMore ? jobs.slice(0, take) : jobs;
+
+      return reply.send({
+        success: true,
+        data: page,
+        counts: Object.fromEntries(JOB_STATUSES.map(jobStatus => [
+          jobStatus,
+          statusCounts.find(row => row.status === jobStatus)?._count._all || 0
+        ])),
+        pagination: { hasMore, nextCursor: hasMore ? page[page.length - 1].id : null }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error getting jobs', 'ADMIN_GET_JOBS_ERROR', error);
+    }
+  });
+
+  // Give a dead job a fresh set of attempts
+  app.post('/jobs/:jobId/retry', {
+    preHandler: withRole(ADMIN_ROLES.OPS),
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const job = await prismaQuery.job.findUnique({ where: { id: request.params.jobId } });
+      if (!job) {
+        return handleError(reply, 404, 'Job not found', 'JOB_NOT_FOUND');
+      }
+
+      const { count } = await prismaQuery.job.updateMany({
+        where: { id: job.id, status: 'DEAD' },
+        data: { status: 'PENDING', attempts: 0, runAt: new Date(), leasedBy: null, leaseExpiresAt: null }
+      });
+      if (count === 0) {
+        return handleError(reply, 409, `Only dead jobs can be retried, this one is ${job.status}`, 'JOB_NOT_DEAD');
+      }
+
+      const updated = await prismaQuery.job.findUnique({ where: { id: job.id } });
+      return reply.send({ success: true, data: updated });
+    } catch (error) {
+      return handleError(reply, 500, 'Error retrying job', 'ADMIN_RETRY_JOB_ERROR', error);
+    }
+  });
+
+  app.get('/accounts', {
+    preHandler: withRole(ADMIN_ROLES.SUPERADMIN),
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const adminAccounts = await prismaQuery.adminAccount.findMany({
+        include: { user: { select: { username: true } } },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      return reply.send({ success: true, data: adminAccounts.map(serializeAdminAccount) });
+    } catch (error) {
+      return handleError(reply, 500, 'Error getting admin accounts', 'ADMIN_GET_ACCOUNTS_ERROR', error);
+    }
+  });
+
+  // Grant or change a role. The user gets the role claim at their next sign in
+  app.post('/accounts', {
+    preHandler: withRole(ADMIN_ROLES.SUPERADMIN),
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const validationResult = await validateRequiredFields(request.body, ['userId', 'role'], reply);
+      if (validationResult !== true) return validationResult;
+
+      const { userId, role } = request.body;
+      if (!Object.values(ADMIN_ROLES).includes(role)) {
+        return handleError(reply, 400, `role must be one of ${Object.values(ADMIN_ROLES).join(', ')}`, 'INVALID_ROLE');
+      }
+      if (userId === request.user.id) {
+        return handleError(reply, 400, "You can't change your own role", 'ADMIN_SELF_UPDATE');
+      }
+
+      const user = await prismaQuery.user.findUnique({ where: { id: userId }, select: { id: true } });
+      if (!user) {
+        return handleError(reply, 404, 'User not found', 'USER_NOT_FOUND');
+      }
+
+      const data = { role, isActive: true, revokedAt: null, grantedById: request.adminAccount.id };
+      const adminAccount = await prismaQuery.adminAccount.upsert({
+        where: { userId },
+        create: { ...data, userId },
+        update: data,
+        include: { user: { select: { username: true } } }
+      });
+
+      return reply.send({ success: true, data: serializeAdminAccount(adminAccount) });
+    } catch (error) {
+      return handleError(reply, 500, 'Error granting admin role', 'ADMIN_GRANT_ROLE_ERROR', error);
+    }
+  });
+
+  // Takes effect on the next admin request, the role claim left in the JWT is ignored from then on
+  app.post('/accounts/:adminAccountId/revoke', {
+    preHandler: withRole(ADMIN_ROLES.SUPERADMIN),
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const adminAccount = await prismaQuery.adminAccount.findUnique({
+        where: { id: request.params.adminAccountId }
+      });
+      if (!adminAccount || !adminAccount.isActive) {
+        return handleError(reply, 404, 'Active admin account not found', 'ADMIN_ACCOUNT_NOT_FOUND');
+      }
+      if (adminAccount.id === request.adminAccount.id) {
+        return handleError(reply, 400, "You can't revoke your own admin access", 'ADMIN_SELF_UPDATE');
+      }
+
+      const revoked = await prismaQuery.adminAccount.update({
+        where: { id: adminAccount.id },
+        data: { isActive: false, revokedAt: new Date() },
+        include: { user: { select: { username: true } } }
+      });
+
+      return reply.send({ success: true, data: serializeAdminAccount(revoked) });
+    } catch (error) {
+      return handleError(reply, 500, 'Error revoking admin access', 'ADMIN_REVOKE_ERROR', error);
+    }
+  });
+
+  app.get('/audit-logs', {
+    preHandler: withRole(ADMIN_ROLES.SUPERADMIN),
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { adminAccountId, action, cursor, limit } = request.query;
+      const take = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_AUDIT_LOG_LIMIT);
+
+      const logs = await prismaQuery.adminAuditLog.findMany({
+        where: {
+          ...(adminAccountId && { adminAccountId }),
+          ...(action && { action: { contains: action } })
+        },
+        include: { adminAccount: { select: { userId: true, user: { select: { username: true } } } } },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: take + 1,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      const hasMore = logs.length > take;
+      const page = hasMore ? logs.slice(0, take) : logs;
+
+      return reply.send({
+        success: true,
+        data: page.map(log => ({
+          id: log.id,
+          adminAccountId: log.adminAccountId,
+          userId: log.adminAccount.userId,
+          username: log.adminAccount.user?.username ?? null,
+          role: log.role,
+          action: log.action,
+          params: log.params,
+          statusCode: log.statusCode,
+          ip: log.ip,
+          createdAt: log.createdAt
+        })),
+        pagination: { hasMore, nextCursor: hasMore ? page[page.length - 1].id : null }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error getting audit logs', 'ADMIN_GET_AUDIT_LOGS_ERROR', error);
+    }
+  });
+
+  done();
+};
@@ -5,6 +5,10 @@ import { findOrCreateUserWithWallet } from "../utils/authUtils.js";
 import { validateRequiredFields } from "../utils/validationUtils.js";
 import createTurnstileMiddleware from "../middlewares/turnstileMiddleware.js";
 import { prismaQuery } from "../lib/prisma.js";
+import PivyStealthAptos from "../lib/pivy-stealth/pivy-stealth-aptos.js";
+import { sealMetaViewPriv } from "../lib/keyVault.js";
+import { getAdminRoleClaim } from "../utils/adminUtils.js";
+import { getStateStore } from "../lib/stateStore.js";
 
 // Aptos imports (currently not used but kept for future expansion)
 
@@ -15,9 +19,24 @@ import {
   generateNonce,
 } from "@aptos-labs/siwa";
 
-// In-memory nonce store with expiration (5 minutes)
-const nonceStore = new Map();
+// Nonces live in the shared state store, the callback can land on another instance
 const NONCE_EXPIRY = 5 * 60 * 1000; // 5 minutes
+const nonceKey = (nonce) => `siwa-nonce:${nonce}`;
+
+// Client-encrypted spend key blobs are opaque to us, only bound their size
+const MAX_ENCRYPTED_SPEND_KEY_LENGTH = 4096;
+
+const hasMetaKeys = (wallet) => !!(wallet.metaSpendPub && wallet.metaViewPub && wallet.metaViewPriv);
+
+const isValidEncryptedSpendKey = (blob) => typeof blob === 'string' &&
+  blob.trim().length > 0 &&
+  blob.length <= MAX_ENCRYPTED_SPEND_KEY_LENGTH;
+
+// The stored spend key is only wiped once the client proves it can still derive it, by signing
+// this message with the spend key. issuedAt (ms) bounds how long a signature stays usable.
+const SPEND_KEY_PROOF_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+const spendKeyProofMessage = ({ chain, address, issuedAt }) =>
+  `PIVY | Spend Key Custody Migration | ${chain} | ${address.toLowerCase()} | ${issuedAt}`;
 
 
 /**
@@ -28,16 +47,6 @@ const NONCE_EXPIRY = 5 * 60 * 1000; // 5 minutes
  */
 export const authRoutes = (app, _, done) => {
 
-  // Clean up expired nonces every minute
-  setInterval(() => {
-    const now = Date.now();
-    for (const [nonce, timestamp] of nonceStore.entries()) {
-      if (now - timestamp > NONCE_EXPIRY) {
-        nonceStore.delete(nonce);
-      }
-    }
-  }, 60 * 1000);
-
   // SIWA: Get sign-in input for authentication
   app.get('/siwa/nonce', {
     config: {
@@ -59,8 +68,8 @@ export const authRoutes = (app, _, done) => {
         chainId: process.env.APTOS_NETWORK === 'mainnet' ? 1 : 2, // 1 = mainnet, 2 = testnet
       };
 
-      // Store nonce with timestamp (for expiration check)
-      nonceStore.set(nonce, Date.now());
+      // Store nonce until it's used or expires
+      await getStateStore().set(nonceKey(nonce), Date.now(), { ttlMs: NONCE_EXPIRY });
 
       return res.status(200).send({ data: input });
     } catch (error) {
@@ -101,6 +110,13 @@ export const authRoutes = (app, _, done) => {
           'SIWA_SIGNATURE_INVALID'
         );
       }
+
+      // Nonces are single use, a replayed sign-in output finds it gone
+      const nonce = signInOutput.input?.nonce;
+      if (!nonce || await getStateStore().take(nonceKey(nonce)) === null) {
+        return handleError(res, 401, 'Sign-in nonce is invalid or expired', 'SIWA_NONCE_INVALID');
+      }
+
       // Extract wallet address from sign-in output
       const walletAddress = signInOutput.input.address || signInOutput.address;
 
@@ -126,7 +142,8 @@ export const authRoutes = (app, _, done) => {
       //   await handleAirdropTestAptosTokens(deserializedOutput.address);
       // }
 
-      // Create JWT token
+      // Create JWT token, admins get their role as a claim
+      const adminRole = await getAdminRoleClaim(user.id);
       const token = jwt.sign({
         id: user.id,
         username: user.username,
@@ -135,7 +152,8 @@ export const authRoutes = (app, _, done) => {
         walletId: wallet.id,
         walletAddress: wallet.walletAddress,
         chain: wallet.chain,
-        loginMethod: wallet.loginMethod
+        loginMethod: wallet.loginMethod,
+        ...(adminRole && { adminRole })
       }, process.env.JWT_SECRET, {
         expiresIn: '30d'
       });
@@ -178,15 +196,32 @@ export const authRoutes = (app, _, done) => {
         return handleError(reply, 400, "metaKeys must be a non-empty array", 'INVALID_META_KEYS_FORMAT');
       }
 
-      // Validate each meta key entry
+      const pivy = new PivyStealthAptos();
+
+      // Validate each meta key entry. metaSpendPriv is no longer required: the spend key
+      // stays on the client, optionally backed up as a client-encrypted blob
       for (const metaKey of metaKeys) {
-        const metaKeyValidation = await validateRequiredFields(metaKey, ['chain', 'address', 'metaSpendPriv', 'metaSpendPub', 'metaViewPub', 'metaViewPriv'], reply);
+        const metaKeyValidation = await validateRequiredFields(metaKey, ['chain', 'address', 'metaSpendPub', 'metaViewPub', 'metaViewPriv'], reply);
         if (metaKeyValidation !== true) return;
 
         // Validate chain value
         if (!['APTOS'].includes(metaKey.chain)) {
           return handleError(reply, 400, "Invalid chain. Must be APTOS", 'INVALID_CHAIN');
         }
+
+        if (!pivy.metaKeyMatchesPub(metaKey.metaViewPriv, metaKey.metaViewPub)) {
+          return handleError(reply, 400, "metaViewPriv does not match metaViewPub", 'META_KEY_MISMATCH');
+        }
+
+        // Older clients still send the plaintext spend key, only use it as a consistency check
+        if (metaKey.metaSpendPriv && !pivy.metaKeyMatchesPub(metaKey.metaSpendPriv, metaKey.metaSpendPub)) {
+          return handleError(reply, 400, "metaSpendPriv does not match metaSpendPub", 'META_KEY_MISMATCH');
+        }
+
+        if (metaKey.metaSpendPrivEncrypted !== undefined && metaKey.metaSpendPrivEncrypted !== null &&
+          !isValidEncryptedSpendKey(metaKey.metaSpendPrivEncrypted)) {
+          return handleError(reply, 400, `metaSpendPrivEncrypted must be a non-empty string of at most ${MAX_ENCRYPTED_SPEND_KEY_LENGTH} characters`, 'INVALID_ENCRYPTED_SPEND_KEY');
+        }
       }
 
       // Get all user's wallets
@@ -198,11 +233,12 @@ export const authRoutes = (app, _, done) => {
       });
 
       const updatedWallets = [];
-      const notFoundWallets = [];
+      const failedWallets = [];
+      const warnings = [];
 
       // Process each meta key entry
       for (const metaKey of metaKeys) {
-        const { chain, address, metaSpendPriv, metaSpendPub, metaViewPub, metaViewPriv } = metaKey;
+        const { chain, address, metaSpendPriv, metaSpendPub, metaViewPub, metaViewPriv, metaSpendPrivEncrypted = null } = metaKey;
 
         // Find the corresponding wallet
         const targetWallet = userWallets.find(w =>
@@ -211,7 +247,7 @@ export const authRoutes = (app, _, done) => {
         );
 
         if (!targetWallet) {
-          notFoundWallets.push({
+          failedWallets.push({
             chain,
             address,
             error: `No ${chain} wallet found with address ${address}`
@@ -219,19 +255,41 @@ export const authRoutes = (app, _, done) => {
           continue;
         }
 
-        // Update the wallet with meta keys
+        // The stored spend key may be the only copy, it's only wiped with a spend key proof
+        if (targetWallet.metaKeyCustody === 'SERVER' && targetWallet.metaSpendPub) {
+          failedWallets.push({
+            chain,
+            address,
+            error: `${chain} wallet ${address} has server-held meta keys, move it out of server custody through /auth/meta-keys/migrate-custody`
+          });
+          continue;
+        }
+
+        // Update the wallet with meta keys. The plaintext spend key is never persisted,
+        // registering always moves the wallet into client custody
         const updatedWallet = await prismaQuery.userWallet.update({
           where: {
             id: targetWallet.id
           },
           data: {
-            metaSpendPriv,
+            metaSpendPriv: null,
+            metaSpendPrivEncrypted,
+            metaKeyCustody: metaSpendPrivEncrypted ? 'CLIENT_ENCRYPTED' : 'CLIENT',
             metaSpendPub,
             metaViewPub,
-            metaViewPriv
+            metaViewPriv: await sealMetaViewPriv(metaViewPriv),
+            ...(targetWallet.metaKeyCustody === 'SERVER' && { metaCustodyMigratedAt: new Date() })
           }
         });
 
+        if (metaSpendPriv) {
+          warnings.push({
+            chain,
+            address,
+            warning: 'metaSpendPriv was ignored and not stored, keep the spend key on the client'
+          });
+        }
+
         updatedWallets.push({
           id: updatedWallet.id,
           walletAddress: updatedWallet.walletAddress,
@@ -239,7 +297,8 @@ export const authRoutes = (app, _, done) => {
           loginMethod: updatedWallet.loginMethod,
           metaSpendPub: updatedWallet.metaSpendPub,
           metaViewPub: updatedWallet.metaViewPub,
-          hasMetaKeys: !!(updatedWallet.metaSpendPriv && updatedWallet.metaSpendPub && updatedWallet.metaViewPub && updatedWallet.metaViewPriv)
+          keyCustody: updatedWallet.metaKeyCustody,
+          hasMetaKeys: hasMetaKeys(updatedWallet)
         });
       }
 
@@ -249,16 +308,20 @@ export const authRoutes = (app, _, done) => {
         updatedWallets,
         totalProcessed: metaKeys.length,
         successCount: updatedWallets.length,
-        errorCount: notFoundWallets.length
+        errorCount: failedWallets.length
       };
 
-      if (notFoundWallets.length > 0) {
-        response.errors = notFoundWallets;
+      if (failedWallets.length > 0) {
+        response.errors = failedWallets;
+      }
+
+      if (warnings.length > 0) {
+        response.warnings = warnings;
       }
 
 
-      // If some wallets were not found, return partial success status
-      const statusCode = notFoundWallets.length > 0 ? 207 : 200; // 207 = Multi-Status
+      // If some wallets were not found or refused, return partial success status
+      const statusCode = failedWallets.length > 0 ? 207 : 200; // 207 = Multi-Status
 
       return reply.status(statusCode).send(response);
     } catch (error) {
@@ -266,6 +329,129 @@ export const authRoutes = (app, _, done) => {
     }
   })
 
+  // Move a legacy wallet out of server custody: the plaintext spend key is wiped and the
+  // client either keeps it locally or hands us a blob only it can decrypt
+  app.post('/meta-keys/migrate-custody', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const validation = await validateRequiredFields(request.body, ['chain', 'address', 'spendKeySignature', 'issuedAt'], reply);
+      if (validation !== true) return;
+
+      const { chain, address, spendKeySignature, issuedAt, metaSpendPrivEncrypted = null } = request.body;
+
+      const proofAge = Date.now() - Number(issuedAt);
+      if (!Number.isFinite(proofAge) || proofAge < -60 * 1000 || proofAge > SPEND_KEY_PROOF_MAX_AGE) {
+        return handleError(reply, 400, "issuedAt must be a timestamp (ms) from the last 10 minutes", 'SPEND_KEY_PROOF_EXPIRED');
+      }
+
+      if (metaSpendPrivEncrypted !== null && !isValidEncryptedSpendKey(metaSpendPrivEncrypted)) {
+        return handleError(reply, 400, `metaSpendPrivEncrypted must be a non-empty string of at most ${MAX_ENCRYPTED_SPEND_KEY_LENGTH} characters`, 'INVALID_ENCRYPTED_SPEND_KEY');
+      }
+
+      const wallet = await prismaQuery.userWallet.findFirst({
+        where: {
+          userId: request.user.id,
+          chain,
+          walletAddress: { equals: address, mode: 'insensitive' },
+          isActive: true
+        }
+      });
+
+      if (!wallet) {
+        return handleError(reply, 404, `No ${chain} wallet found with address ${address}`, 'WALLET_NOT_FOUND');
+      }
+
+      if (!hasMetaKeys(wallet)) {
+        return handleError(reply, 400, "Wallet has no meta keys registered", 'META_KEYS_NOT_REGISTERED');
+      }
+
+      // Without this a client that lost its derivation would lock the funds of every stealth address
+      const proofMessage = spendKeyProofMessage({ chain, address: wallet.walletAddress, issuedAt });
+      if (typeof spendKeySignature !== 'string' ||
+          !PivyStealthAptos.verifySpendKeySignature(spendKeySignature, proofMessage, wallet.metaSpendPub)) {
+        return handleError(reply, 403, "spendKeySignature does not verify against the registered metaSpendPub", 'INVALID_SPEND_KEY_PROOF');
+      }
+
+      const updatedWallet = await prismaQuery.userWallet.update({
+        where: { id: wallet.id },
+        data: {
+          metaSpendPriv: null,
+          metaSpendPrivEncrypted,
+          metaKeyCustody: metaSpendPrivEncrypted ? 'CLIENT_ENCRYPTED' : 'CLIENT',
+          metaCustodyMigratedAt: wallet.metaCustodyMigratedAt || new Date()
+        }
+      });
+
+      return reply.status(200).send({
+        message: "Meta key custody migrated",
+        wallet: {
+          id: updatedWallet.id,
+          walletAddress: updatedWallet.walletAddress,
+          chain: updatedWallet.chain,
+          keyCustody: updatedWallet.metaKeyCustody,
+          hasEncryptedSpendKey: !!updatedWallet.metaSpendPrivEncrypted,
+          migratedAt: updatedWallet.metaCustodyMigratedAt
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, "Error migrating meta key custody", 'MIGRATE_META_KEY_CUSTODY_ERROR', error);
+    }
+  })
+
+  // Hand the client-encrypted spend key blob back to its owner (e.g. when signing in on a new device)
+  app.get('/meta-keys/encrypted-spend-key', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { chain = 'APTOS', address } = request.query;
+
+      const wallet = await prismaQuery.userWallet.findFirst({
+        where: {
+          userId: request.user.id,
+          chain,
+          isActive: true,
+          ...(address
+            ? { walletAddress: { equals: address, mode: 'insensitive' } }
+            : { id: request.currentWallet?.id })
+        },
+        select: {
+          id: true,
+          walletAddress: true,
+          chain: true,
+          metaKeyCustody: true,
+          metaSpendPrivEncrypted: true
+        }
+      });
+
+      if (!wallet) {
+        return handleError(reply, 404, "Wallet not found", 'WALLET_NOT_FOUND');
+      }
+
+      return reply.status(200).send({
+        walletId: wallet.id,
+        walletAddress: wallet.walletAddress,
+        chain: wallet.chain,
+        keyCustody: wallet.metaKeyCustody,
+        metaSpendPrivEncrypted: wallet.metaSpendPrivEncrypted
+      });
+    } catch (error) {
+      return handleError(reply, 500, "Error getting encrypted spend key", 'GET_ENCRYPTED_SPEND_KEY_ERROR', error);
+    }
+  })
+
 
   app.get('/me', {
     preHandler: [authMiddleware],
@@ -300,7 +486,9 @@ export const authRoutes = (app, _, done) => {
         privyWalletId: wallet.privyWalletId,
         isPrimary: wallet.isPrimary,
         isActive: wallet.isActive,
-        hasMetaKeys: !!(wallet.metaSpendPriv && wallet.metaSpendPub && wallet.metaViewPub && wallet.metaViewPriv),
+        hasMetaKeys: hasMetaKeys(wallet),
+        keyCustody: wallet.metaKeyCustody,
+        hasEncryptedSpendKey: !!wallet.metaSpendPrivEncrypted,
         metaKeys: {
           metaSpendPub: wallet.metaSpendPub,
           metaViewPub: wallet.metaViewPub,
@@ -465,6 +653,7 @@ export const authRoutes = (app, _, done) => {
       }
 
       // Create new JWT with the target wallet context
+      const adminRole = await getAdminRoleClaim(targetWallet.user.id);
       const token = jwt.sign({
         id: targetWallet.user.id,
         username: targetWallet.user.username,
@@ -481,7 +670,8 @@ export const authRoutes = (app, _, done) => {
           loginMethod: w.loginMethod,
           walletAddress: w.walletAddress,
           privyWalletId: w.privyWalletId
-        }))
+        })),
+        ...(adminRole && { adminRole })
       }, process.env.JWT_SECRET, {
         expiresIn: '30d'
       });
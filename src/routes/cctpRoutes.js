@@ -1,8 +1,11 @@
 import axios from 'axios';
 import { CHAINS } from '../config.js';
 import { prismaQuery } from '../lib/prisma.js';
+import { getStateStore } from '../lib/stateStore.js';
 import { handleError, handleNotFoundError } from '../utils/errorHandler.js';
 import { validateRequiredFields } from '../utils/validationUtils.js';
+import { emitCctpStatusChanged } from '../utils/webhookUtils.js';
+import { selectFeePayer } from '../utils/feePayerPoolUtils.js';
 import createTurnstileMiddleware from '../middlewares/turnstileMiddleware.js';
 
 
@@ -11,20 +14,27 @@ import createTurnstileMiddleware from '../middlewares/turnstileMiddleware.js';
 
 // We'll implement these completion functions by extracting logic from the existing route
 
-// Rate limiter for Circle API calls (max 20 requests per second)
-let lastCircleApiCall = 0;
-const MIN_INTERVAL_BETWEEN_CALLS = 50; // 50ms = 20 calls per second
+// Rate limiter for Circle API calls (max 20 requests per second), counted per second
+// across all instances in the shared state store
+const MAX_CIRCLE_API_CALLS_PER_SECOND = 20;
 
 async function rateLimitedCircleApiCall(url) {
-  const now = Date.now();
-  const timeSinceLastCall = now - lastCircleApiCall;
-  
-  if (timeSinceLastCall < MIN_INTERVAL_BETWEEN_CALLS) {
-    const waitTime = MIN_INTERVAL_BETWEEN_CALLS - timeSinceLastCall;
-    await new Promise(resolve => setTimeout(resolve, waitTime));
+  for (;;) {
+    const second = Math.floor(Date.now() / 1000);
+    let calls;
+    try {
+      calls = await getStateStore().increment(`circle-api:${second}`, { ttlMs: 2000 });
+    } catch (error) {
+      // Circle answers 429 if we overshoot, the callers retry
+      console.error('Error checking Circle API rate limit:', error.message);
+      break;
+    }
+    if (calls <= MAX_CIRCLE_API_CALLS_PER_SECOND) break;
+
+    // This second's budget is spent, try again in the next one
+    await new Promise(resolve => setTimeout(resolve, Math.max((second + 1) * 1000 - Date.now(), 0)));
   }
-  
-  lastCircleApiCall = Date.now();
+
   return axios.get(url);
 }
 
@@ -110,12 +120,16 @@ export async function executeCctpCompletion(data) {
     });
     const aptosClient = new Aptos(aptosConfig);
 
-    // Get fee payer account
-    const feePayerAccount = GAS_SPONSORSHIP.APTOS.wallet;
-    if (!feePayerAccount) {
+    if (GAS_SPONSORSHIP.APTOS.wallets.length === 0) {
       throw new Error('Fee payer account not configured');
     }
 
+    // Any pool account in rotation can send the receive transaction
+    const feePayerAccount = await selectFeePayer(chainConfig.id);
+    if (!feePayerAccount) {
+      throw new Error('No fee payer account in rotation');
+    }
+
     console.log('🔧 Executing Aptos CCTP completion...');
     console.log('   Recipient:', recipientAddress);
     console.log('   Attestation object:', JSON.stringify(attestation, null, 2));
@@ -519,6 +533,8 @@ export const cctpRoutes = (app, _, done) => {
 
         console.log('CCTP transaction created:', cctpTransaction.id);
 
+        await emitCctpStatusChanged({ transaction: cctpTransaction, previousStatus: null, status: 'SUBMITTED' });
+
         // Transaction saved to database - CCTP worker will pick it up automatically
         console.log('✅ CCTP transaction saved to database, worker will process it automatically');
 
@@ -2,6 +2,14 @@ import { prismaQuery } from '../lib/prisma.js';
 import { authMiddleware } from '../middlewares/authMiddleware.js';
 import { processTemplateFiles, handleLinkFileUpload } from '../utils/fileHandlers.js';
 import { deleteLinkFiles, generateSignedUrl } from '../lib/s3Service.js';
+import {
+  verifyDownloadClaim,
+  findPaymentForProof,
+  paymentCoversLinkPrice,
+  createDownloadGrant,
+  consumeDownloadGrant,
+  DELIVERABLE_SIGNED_URL_TTL_SECONDS
+} from '../utils/downloadGrantUtils.js';
 
 /**
  * File routes for handling file operations
@@ -60,6 +68,12 @@ export const fileRoutes = (app, _, done) => {
         });
       }
 
+      // Deliverables are only reachable through a download grant, don't leak their storage location
+      if (file.type === 'DELIVERABLE') {
+        delete file.url;
+        delete file.s3Key;
+      }
+
       return reply.status(200).send({
         success: true,
         message: "File information retrieved successfully",
@@ -137,14 +151,52 @@ export const fileRoutes = (app, _, done) => {
         });
       }
 
+      // Deliverables require a download grant obtained through proof of payment
+      const isDeliverable = file.type === 'DELIVERABLE';
+      if (isDeliverable) {
+        const grantToken = request.query.grant || request.headers['x-download-grant'];
+
+        if (!grantToken || !file.link) {
+          return reply.status(402).send({
+            success: false,
+            message: "Payment required",
+            error: "A download grant is required to access this file",
+            data: null
+          });
+        }
+
+        const { grant, error: grantError } = await consumeDownloadGrant(grantToken, file.link.id);
+        if (!grant) {
+          return reply.status(403).send({
+            success: false,
+            message: "Download not allowed",
+            error: grantError,
+            data: null
+          });
+        }
+
+        console.log(`Download grant ${grant.id} used for file ${file.id} (${grant.downloadCount}/${grant.maxDownloads})`);
+      }
+
       // Use signed URLs since Contabo bucket policy blocks public access
       try {
-        const signedUrl = await generateSignedUrl(file.s3Key, 3600); // 1 hour expiration
+        const expiresIn = isDeliverable ? DELIVERABLE_SIGNED_URL_TTL_SECONDS : 3600; // 1 hour expiration for public files
+        const signedUrl = await generateSignedUrl(file.s3Key, expiresIn);
         console.log('Generated signed URL for file access:', file.id);
         
         return reply.redirect(signedUrl, 302);
       } catch (signedUrlError) {
         console.error('Error generating signed URL:', signedUrlError);
+
+        // Never fall back to the direct URL for paid files
+        if (isDeliverable) {
+          return reply.status(500).send({
+            success: false,
+            message: "Unable to access file",
+            error: "Failed to generate secure access URL",
+            data: null
+          });
+        }
         
         // Fallback to direct URL if signed URL fails
         console.log('Falling back to direct URL:', file.url);
@@ -173,6 +225,129 @@ export const fileRoutes = (app, _, done) => {
     }
   });
 
+  // Exchange a proof of payment (tx hash or signed claim) for a short-lived download grant
+  app.post('/download-grant', {
+    config: {
+      rateLimit: {
+        max: 20, // Allow up to 20 grant requests per minute
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { linkId, claim } = request.body || {};
+
+      if (!linkId || !claim) {
+        return reply.status(400).send({
+          success: false,
+          message: "Missing proof of payment",
+          error: "linkId and claim are required",
+          data: null
+        });
+      }
+
+      const link = await prismaQuery.link.findUnique({
+        where: { id: linkId },
+        select: {
+          id: true,
+          status: true,
+          template: true,
+          amountType: true
+        }
+      });
+
+      if (!link || link.status !== 'ACTIVE') {
+        return reply.status(404).send({
+          success: false,
+          message: "Link not found",
+          error: "The link does not exist or is no longer active",
+          data: null
+        });
+      }
+
+      if (link.template !== 'digital-product') {
+        return reply.status(400).send({
+          success: false,
+          message: "Link has no deliverables",
+          error: "Download grants are only available for digital-product links",
+          data: null
+        });
+      }
+
+      const verifiedClaim = verifyDownloadClaim(claim);
+      if (!verifiedClaim || verifiedClaim.linkId !== link.id) {
+        return reply.status(400).send({
+          success: false,
+          message: "Invalid claim",
+          error: "The claim is invalid, expired or issued for another link",
+          data: null
+        });
+      }
+
+      const payment = await findPaymentForProof({
+        linkId: link.id,
+        claim: verifiedClaim
+      });
+
+      if (!payment) {
+        // The indexer may not have picked the payment up yet, clients should retry
+        return reply.status(404).send({
+          success: false,
+          message: "Payment not found",
+          error: "No payment for this link matches the proof yet",
+          data: null
+        });
+      }
+
+      if (!await paymentCoversLinkPrice({ link, payment })) {
+        return reply.status(402).send({
+          success: false,
+          message: "Payment does not cover the price",
+          error: "The payment is not in the link's token or is below its price",
+          data: null
+        });
+      }
+
+      const ipAddress = request.ip || request.headers['x-forwarded-for'] || request.headers['x-real-ip'] || null;
+      const { grant, error: grantError } = await createDownloadGrant({
+        payment,
+        proofType: 'CLAIM',
+        ipAddress: Array.isArray(ipAddress) ? ipAddress[0] : ipAddress,
+        userAgent: request.headers['user-agent'] || null
+      });
+
+      if (!grant) {
+        return reply.status(403).send({
+          success: false,
+          message: "Download grant limit reached",
+          error: grantError,
+          data: null
+        });
+      }
+
+      return reply.status(200).send({
+        success: true,
+        message: "Download grant issued successfully",
+        data: {
+          token: grant.token,
+          linkId: grant.linkId,
+          expiresAt: grant.expiresAt,
+          downloadCount: grant.downloadCount,
+          maxDownloads: grant.maxDownloads
+        }
+      });
+
+    } catch (error) {
+      console.error('Error issuing download grant:', error);
+      return reply.status(500).send({
+        success: false,
+        message: "Error issuing download grant",
+        error: error.message,
+        data: null
+      });
+    }
+  });
+
   // Rate limit file uploads - moderate limits
   app.post('/upload/:linkId', {
     preHandler: [authMiddleware],
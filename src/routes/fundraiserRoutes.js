@@ -0,0 +1,322 @@
+import { prismaQuery } from '../lib/prisma.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { validateRequiredFields } from '../utils/validationUtils.js';
+import {
+  MAX_LEADERBOARD_SIZE,
+  endCampaign,
+  getCampaignProgress,
+  getTopSupporters,
+  refreshCampaignProgress,
+  serializeCampaign
+} from '../utils/fundraiserUtils.js';
+
+const MAX_MILESTONES = 10;
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const campaignInclude = {
+  milestones: true
+};
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Parse an optional date from the request body
+ * @returns {{date?: Date|null, error?: string}}
+ */
+const parseOptionalDate = (value, field) => {
+  if (value === undefined || value === null) return { date: null };
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return { error: `${field} must be a valid date` };
+  }
+  return { date };
+};
+
+/**
+ * Validate milestones ([{ id?, title, description?, targetUsd }])
+ * @returns {string|null} Error message
+ */
+const validateMilestones = (milestones, { goalUsd, autoArchiveOnGoal }) => {
+  if (!Array.isArray(milestones) || milestones.length > MAX_MILESTONES) {
+    return `milestones must be an array of at most ${MAX_MILESTONES} items`;
+  }
+
+  for (const [index, milestone] of milestones.entries()) {
+    if (!milestone || typeof milestone.title !== 'string' || milestone.title.trim() === '' || milestone.title.length > MAX_TITLE_LENGTH) {
+      return `Milestone at index ${index} must have a title of at most ${MAX_TITLE_LENGTH} characters`;
+    }
+    if (milestone.description !== undefined && milestone.description !== null &&
+      (typeof milestone.description !== 'string' || milestone.description.length > MAX_DESCRIPTION_LENGTH)) {
+      return `Milestone at index ${index} must have a description of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+    if (!isPositiveNumber(milestone.targetUsd)) {
+      return `Milestone at index ${index} must have a positive targetUsd`;
+    }
+    // The campaign would end before a stretch milestone could be reached
+    if (autoArchiveOnGoal && milestone.targetUsd > goalUsd) {
+      return `Milestone at index ${index} is above the goal, which can't be reached with autoArchiveOnGoal`;
+    }
+  }
+
+  if (new Set(milestones.map(m => m.targetUsd)).size !== milestones.length) {
+    return 'Milestones must have distinct targetUsd values';
+  }
+
+  return null;
+};
+
+/**
+ * Fundraiser campaigns on `fundraiser` template links
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const fundraiserRoutes = (app, _, done) => {
+  // Create or update the campaign of a link. Milestones are replaced as a whole, pass `id` to keep one.
+  app.post('/campaigns/:linkId', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 20,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const validation = await validateRequiredFields(request.body, ['goalUsd'], reply);
+      if (validation !== true) return;
+
+      const { goalUsd, autoArchiveOnGoal = false, milestones = [] } = request.body;
+
+      if (!isPositiveNumber(goalUsd)) {
+        return handleError(reply, 400, 'goalUsd must be a positive number', 'INVALID_GOAL');
+      }
+      if (typeof autoArchiveOnGoal !== 'boolean') {
+        return handleError(reply, 400, 'autoArchiveOnGoal must be a boolean', 'INVALID_CAMPAIGN');
+      }
+
+      const { date: startsAt, error: startsAtError } = parseOptionalDate(request.body.startsAt, 'startsAt');
+      const { date: endsAt, error: endsAtError } = parseOptionalDate(request.body.endsAt, 'endsAt');
+      if (startsAtError || endsAtError) {
+        return handleError(reply, 400, startsAtError || endsAtError, 'INVALID_CAMPAIGN_DATES');
+      }
+      if (endsAt && endsAt <= new Date()) {
+        return handleError(reply, 400, 'endsAt must be in the future', 'INVALID_CAMPAIGN_DATES');
+      }
+      if (startsAt && endsAt && startsAt >= endsAt) {
+        return handleError(reply, 400, 'startsAt must be before endsAt', 'INVALID_CAMPAIGN_DATES');
+      }
+
+      const milestonesError = validateMilestones(milestones, { goalUsd, autoArchiveOnGoal });
+      if (milestonesError) {
+        return handleError(reply, 400, milestonesError, 'INVALID_MILESTONES');
+      }
+
+      const link = await prismaQuery.link.findFirst({
+        where: { id: request.params.linkId, userId: request.user.id, status: 'ACTIVE' },
+        include: { fundraiserCampaign: { include: campaignInclude } }
+      });
+      if (!link) {
+        return handleError(reply, 404, 'Link not found', 'LINK_NOT_FOUND');
+      }
+      if (link.template !== 'fundraiser') {
+        return handleError(reply, 400, 'Campaigns are only available on fundraiser links', 'TEMPLATE_NOT_SUPPORTED');
+      }
+
+      const existing = link.fundraiserCampaign;
+      if (existing?.status === 'ENDED') {
+        return handleError(reply, 400, 'Campaign has already ended', 'CAMPAIGN_ENDED');
+      }
+
+      const existingMilestoneIds = new Set(existing?.milestones.map(m => m.id) || []);
+      const unknownMilestone = milestones.find(m => m.id && !existingMilestoneIds.has(m.id));
+      if (unknownMilestone) {
+        return handleError(reply, 400, `Unknown milestone ${unknownMilestone.id}`, 'INVALID_MILESTONES');
+      }
+
+      const campaignData = { goalUsd, startsAt, endsAt, autoArchiveOnGoal };
+
+      const campaign = await prismaQuery.$transaction(async (tx) => {
+        const saved = await tx.fundraiserCampaign.upsert({
+          where: { linkId: link.id },
+          create: { ...campaignData, linkId: link.id },
+          update: campaignData
+        });
+
+        const keptIds = milestones.filter(m => m.id).map(m => m.id);
+        await tx.fundraiserMilestone.deleteMany({
+          where: { campaignId: saved.id, id: { notIn: keptIds } }
+        });
+
+        for (const milestone of milestones) {
+          const milestoneData = {
+            title: milestone.title.trim(),
+            description: milestone.description ?? null,
+            targetUsd: milestone.targetUsd
+          };
+
+          if (milestone.id) {
+            const previous = existing.milestones.find(m => m.id === milestone.id);
+            await tx.fundraiserMilestone.update({
+              where: { id: milestone.id },
+              data: {
+                ...milestoneData,
+                // A moved target has to be reached again
+                ...(previous.targetUsd !== milestone.targetUsd && { reachedAt: null })
+              }
+            });
+          } else {
+            await tx.fundraiserMilestone.create({
+              data: { ...milestoneData, campaignId: saved.id }
+            });
+          }
+        }
+
+        return saved;
+      });
+
+      // Dates and goal changed, so the cached progress is stale
+      await refreshCampaignProgress(campaign.id);
+
+      const refreshed = await prismaQuery.fundraiserCampaign.findUnique({
+        where: { id: campaign.id },
+        include: campaignInclude
+      });
+
+      return reply.send({
+        success: true,
+        message: 'Campaign saved successfully',
+        data: serializeCampaign(refreshed, refreshed.progress)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error saving campaign', 'SAVE_CAMPAIGN_ERROR', error);
+    }
+  });
+
+  // End the campaign now and archive its link
+  app.post('/campaigns/:linkId/end', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const campaign = await prismaQuery.fundraiserCampaign.findFirst({
+        where: {
+          linkId: request.params.linkId,
+          link: { userId: request.user.id }
+        }
+      });
+      if (!campaign) {
+        return handleError(reply, 404, 'Campaign not found', 'CAMPAIGN_NOT_FOUND');
+      }
+
+      await refreshCampaignProgress(campaign.id);
+      const ended = await endCampaign(campaign, 'MANUAL');
+      if (!ended) {
+        return handleError(reply, 400, 'Campaign has already ended', 'CAMPAIGN_ENDED');
+      }
+
+      const updated = await prismaQuery.fundraiserCampaign.findUnique({
+        where: { id: campaign.id },
+        include: campaignInclude
+      });
+
+      return reply.send({
+        success: true,
+        message: 'Campaign ended successfully',
+        data: serializeCampaign(updated, updated.progress)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error ending campaign', 'END_CAMPAIGN_ERROR', error);
+    }
+  });
+
+  // Public campaign with its cached progress. Ended campaigns stay readable after their link is archived.
+  app.get('/campaigns/:linkId', {
+    config: {
+      rateLimit: {
+        max: 100,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const campaign = await prismaQuery.fundraiserCampaign.findUnique({
+        where: { linkId: request.params.linkId },
+        include: campaignInclude
+      });
+      if (!campaign) {
+        return handleError(reply, 404, 'Campaign not found', 'CAMPAIGN_NOT_FOUND');
+      }
+
+      const progress = await getCampaignProgress(campaign);
+
+      return reply.send({
+        success: true,
+        data: serializeCampaign(campaign, progress)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error fetching campaign', 'FETCH_CAMPAIGN_ERROR', error);
+    }
+  });
+
+  app.get('/campaigns/:linkId/progress', {
+    config: {
+      rateLimit: {
+        max: 100,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const campaign = await prismaQuery.fundraiserCampaign.findUnique({
+        where: { linkId: request.params.linkId }
+      });
+      if (!campaign) {
+        return handleError(reply, 404, 'Campaign not found', 'CAMPAIGN_NOT_FOUND');
+      }
+
+      return reply.send({
+        success: true,
+        data: await getCampaignProgress(campaign)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error fetching campaign progress', 'FETCH_CAMPAIGN_PROGRESS_ERROR', error);
+    }
+  });
+
+  app.get('/campaigns/:linkId/leaderboard', {
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(request.query.limit) || 10, 1), MAX_LEADERBOARD_SIZE);
+
+      const campaign = await prismaQuery.fundraiserCampaign.findUnique({
+        where: { linkId: request.params.linkId }
+      });
+      if (!campaign) {
+        return handleError(reply, 404, 'Campaign not found', 'CAMPAIGN_NOT_FOUND');
+      }
+
+      return reply.send({
+        success: true,
+        data: await getTopSupporters(campaign, limit)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error fetching leaderboard', 'FETCH_LEADERBOARD_ERROR', error);
+    }
+  });
+
+  done();
+};
@@ -0,0 +1,98 @@
+import { CHAINS } from '../config.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { requireAdminRole } from '../middlewares/adminMiddleware.js';
+import { ADMIN_ROLES } from '../utils/adminUtils.js';
+import { handleError } from '../utils/errorHandler.js';
+import {
+  INDEXER_STREAMS,
+  getIndexerCheckpoints,
+  rewindIndexerCheckpoints,
+  serializeCheckpoint
+} from '../utils/indexerCheckpointUtils.js';
+
+const parseVersion = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (!/^\d+$/.test(String(value))) return undefined;
+  return BigInt(value);
+};
+
+/**
+ * Indexer admin routes (checkpoint inspection and reindexing)
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const indexerRoutes = (app, _, done) => {
+  // Admin route to list the checkpoints of a chain
+  app.get('/admin/checkpoints', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.SUPPORT)]
+  }, async (request, reply) => {
+    try {
+      const { chain } = request.query;
+
+      const chainConfig = CHAINS[chain];
+      if (!chainConfig) {
+        return handleError(reply, 400, 'Invalid chain', 'INVALID_CHAIN');
+      }
+
+      const checkpoints = await getIndexerCheckpoints(chainConfig.id);
+
+      return reply.send({
+        success: true,
+        data: INDEXER_STREAMS.map(stream => serializeCheckpoint(checkpoints[stream]))
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to fetch indexer checkpoints', 'FETCH_CHECKPOINTS_ERROR', error);
+    }
+  });
+
+  // Admin route to rewind checkpoints and reindex a version range.
+  // Without toVersion the streams restart from fromVersion and follow the chain head (reset)
+  app.post('/admin/checkpoints/rewind', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.OPS)]
+  }, async (request, reply) => {
+    try {
+      const { chain, streams = INDEXER_STREAMS, fromVersion, toVersion } = request.body || {};
+
+      const chainConfig = CHAINS[chain];
+      if (!chainConfig) {
+        return handleError(reply, 400, 'Invalid chain', 'INVALID_CHAIN');
+      }
+
+      if (!Array.isArray(streams) || streams.length === 0 || streams.some(s => !INDEXER_STREAMS.includes(s))) {
+        return handleError(reply, 400, `streams must be a non-empty array of ${INDEXER_STREAMS.join(', ')}`, 'INVALID_STREAMS');
+      }
+
+      const from = parseVersion(fromVersion);
+      const to = parseVersion(toVersion);
+
+      if (from === null || from === undefined) {
+        return handleError(reply, 400, 'fromVersion must be a non-negative integer', 'INVALID_FROM_VERSION');
+      }
+      if (to === undefined || (to !== null && to < from)) {
+        return handleError(reply, 400, 'toVersion must be an integer greater than or equal to fromVersion', 'INVALID_TO_VERSION');
+      }
+
+      const checkpoints = await rewindIndexerCheckpoints({
+        chainId: chainConfig.id,
+        streams,
+        fromVersion: from,
+        toVersion: to
+      });
+
+      console.log(`Indexer checkpoints rewound on ${chainConfig.id} for ${streams.join(', ')}: ${from} -> ${to ?? 'head'}`);
+
+      return reply.send({
+        success: true,
+        message: to !== null
+          ? `Reindexing versions ${from} to ${to}`
+          : `Reindexing from version ${from}`,
+        data: checkpoints.map(serializeCheckpoint)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to rewind indexer checkpoints', 'REWIND_CHECKPOINTS_ERROR', error);
+    }
+  });
+
+  done();
+};
@@ -0,0 +1,297 @@
+import { prismaQuery } from '../lib/prisma.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { resolveChainAmounts } from '../utils/amountUtils.js';
+import { validateRequiredFields } from '../utils/validationUtils.js';
+import { generateInvoiceReference, serializeInvoice } from '../utils/invoiceUtils.js';
+
+const INVOICE_STATUSES = ['OPEN', 'PARTIALLY_PAID', 'PAID', 'OVERPAID', 'EXPIRED'];
+const CUSTOMER_FIELDS = ['name', 'email', 'company', 'address'];
+const MAX_LINE_ITEMS = 50;
+const MAX_TEXT_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+const invoiceInclude = {
+  amounts: { include: { mint: true } },
+  payments: {
+    select: { id: true, txHash: true, chain: true, amount: true, mintId: true, timestamp: true },
+    orderBy: { timestamp: 'asc' }
+  }
+};
+
+const isOptionalText = (value, maxLength) => {
+  return value === undefined || value === null || (typeof value === 'string' && value.length <= maxLength);
+};
+
+/**
+ * Validate the customer and line item metadata of an invoice
+ * @returns {string|null} Error message
+ */
+const validateInvoiceMetadata = ({ title, description, customer, lineItems }) => {
+  if (!isOptionalText(title, MAX_TEXT_LENGTH)) {
+    return `title must be a string of at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  if (!isOptionalText(description, MAX_DESCRIPTION_LENGTH)) {
+    return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+
+  if (customer !== undefined && customer !== null) {
+    if (typeof customer !== 'object' || Array.isArray(customer)) {
+      return 'customer must be an object';
+    }
+    const unknownFields = Object.keys(customer).filter(key => !CUSTOMER_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      return `Unknown customer fields: ${unknownFields.join(', ')}. Allowed: ${CUSTOMER_FIELDS.join(', ')}`;
+    }
+    if (CUSTOMER_FIELDS.some(key => !isOptionalText(customer[key], MAX_TEXT_LENGTH))) {
+      return `customer fields must be strings of at most ${MAX_TEXT_LENGTH} characters`;
+    }
+    if (customer.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customer.email)) {
+      return 'customer.email has invalid email format';
+    }
+  }
+
+  if (lineItems !== undefined && lineItems !== null) {
+    if (!Array.isArray(lineItems) || lineItems.length > MAX_LINE_ITEMS) {
+      return `lineItems must be an array of at most ${MAX_LINE_ITEMS} items`;
+    }
+    for (const [index, item] of lineItems.entries()) {
+      if (!item || typeof item.description !== 'string' || item.description.trim() === '' || item.description.length > MAX_TEXT_LENGTH) {
+        return `Line item at index ${index} must have a description of at most ${MAX_TEXT_LENGTH} characters`;
+      }
+      if (item.quantity !== undefined && !(Number.isFinite(item.quantity) && item.quantity > 0)) {
+        return `Line item at index ${index} must have a positive quantity`;
+      }
+      if (item.unitAmount !== undefined && !(typeof item.unitAmount === 'string' && /^\d+(\.\d+)?$/.test(item.unitAmount))) {
+        return `Line item at index ${index} must have unitAmount as a decimal string`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ *
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const invoiceRoutes = (app, _, done) => {
+  app.post('/create-invoice', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 20,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const validation = await validateRequiredFields(request.body, ['linkId', 'amounts'], reply);
+      if (validation !== true) return;
+
+      const { linkId, amounts, dueAt = null, title = null, description = null, customer = null, lineItems = null } = request.body;
+
+      const metadataError = validateInvoiceMetadata({ title, description, customer, lineItems });
+      if (metadataError) {
+        return handleError(reply, 400, metadataError, 'INVALID_INVOICE');
+      }
+
+      let dueDate = null;
+      if (dueAt !== null) {
+        dueDate = new Date(dueAt);
+        if (isNaN(dueDate.getTime()) || dueDate <= new Date()) {
+          return handleError(reply, 400, 'dueAt must be a date in the future', 'INVALID_DUE_DATE');
+        }
+      }
+
+      const link = await prismaQuery.link.findFirst({
+        where: { id: linkId, userId: request.user.id, status: 'ACTIVE' }
+      });
+      if (!link) {
+        return handleError(reply, 404, 'Link not found', 'LINK_NOT_FOUND');
+      }
+
+      const { amounts: invoiceAmounts, error: amountsError } = await resolveChainAmounts(amounts, link);
+      if (amountsError) {
+        return handleError(reply, 400, amountsError.message, amountsError.code);
+      }
+
+      const invoice = await prismaQuery.invoice.create({
+        data: {
+          reference: generateInvoiceReference(),
+          userId: request.user.id,
+          linkId: link.id,
+          title,
+          description,
+          customer,
+          lineItems,
+          dueAt: dueDate,
+          amounts: {
+            create: invoiceAmounts
+          }
+        },
+        include: invoiceInclude
+      });
+
+      return reply.status(201).send({
+        success: true,
+        message: 'Invoice created successfully',
+        data: serializeInvoice(invoice, { isOwner: true })
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error creating invoice', 'CREATE_INVOICE_ERROR', error);
+    }
+  });
+
+  app.get('/my-invoices', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { status, linkId, cursor } = request.query;
+      const limit = Math.min(Math.max(parseInt(request.query.limit) || 20, 1), 100);
+
+      if (status && !INVOICE_STATUSES.includes(status)) {
+        return handleError(reply, 400, `status must be one of ${INVOICE_STATUSES.join(', ')}`, 'INVALID_STATUS');
+      }
+
+      const invoices = await prismaQuery.invoice.findMany({
+        where: {
+          userId: request.user.id,
+          ...(status && { status }),
+          ...(linkId && { linkId })
+        },
+        include: invoiceInclude,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: limit + 1,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      const hasMore = invoices.length > limit;
+      const page = invoices.slice(0, limit);
+
+      return reply.send({
+        success: true,
+        data: page.map(invoice => serializeInvoice(invoice, { isOwner: true })),
+        pagination: {
+          hasMore,
+          nextCursor: hasMore ? page[page.length - 1].id : null
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error fetching invoices', 'FETCH_INVOICES_ERROR', error);
+    }
+  });
+
+  // Public view for the payer, by payable reference
+  app.get('/pay/:reference', {
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const invoice = await prismaQuery.invoice.findUnique({
+        where: { reference: request.params.reference },
+        include: {
+          ...invoiceInclude,
+          link: { select: { id: true, tag: true, label: true, emoji: true, backgroundColor: true } },
+          user: { select: { username: true } }
+        }
+      });
+
+      if (!invoice) {
+        return handleError(reply, 404, 'Invoice not found', 'INVOICE_NOT_FOUND');
+      }
+
+      return reply.send({
+        success: true,
+        data: {
+          ...serializeInvoice(invoice),
+          recipient: {
+            username: invoice.user.username,
+            link: invoice.link
+          }
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error fetching invoice', 'FETCH_INVOICE_ERROR', error);
+    }
+  });
+
+  app.get('/:invoiceId', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const invoice = await prismaQuery.invoice.findFirst({
+        where: { id: request.params.invoiceId, userId: request.user.id },
+        include: invoiceInclude
+      });
+
+      if (!invoice) {
+        return handleError(reply, 404, 'Invoice not found', 'INVOICE_NOT_FOUND');
+      }
+
+      return reply.send({
+        success: true,
+        data: serializeInvoice(invoice, { isOwner: true })
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error fetching invoice', 'FETCH_INVOICE_ERROR', error);
+    }
+  });
+
+  // Only invoices that never received a payment can be deleted
+  app.post('/delete-invoice/:invoiceId', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const invoice = await prismaQuery.invoice.findFirst({
+        where: { id: request.params.invoiceId, userId: request.user.id },
+        include: { _count: { select: { payments: true } } }
+      });
+
+      if (!invoice) {
+        return handleError(reply, 404, 'Invoice not found', 'INVOICE_NOT_FOUND');
+      }
+      if (invoice._count.payments > 0) {
+        return handleError(reply, 400, 'Invoices with payments cannot be deleted', 'INVOICE_HAS_PAYMENTS');
+      }
+
+      await prismaQuery.invoice.delete({
+        where: { id: invoice.id }
+      });
+
+      return reply.send({
+        success: true,
+        message: 'Invoice deleted successfully',
+        data: { id: invoice.id }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error deleting invoice', 'DELETE_INVOICE_ERROR', error);
+    }
+  });
+
+  done();
+};
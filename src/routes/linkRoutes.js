@@ -7,6 +7,13 @@ import {
 } from "../utils/linkUtils.js";
 import { deleteLinkFiles } from '../lib/s3Service.js';
 import { handleCreateLink, handleUpdateLink } from "../utils/linkCreator.js";
+import { getLinkAnalytics } from "../utils/linkViewUtils.js";
+import {
+  MAX_ANALYTICS_DAYS,
+  MAX_CONVERSION_WINDOW_MINUTES,
+  parseAnalyticsDays,
+  parseConversionWindow
+} from "../utils/analyticsUtils.js";
 
 /**
  *
@@ -409,6 +416,51 @@ export const linkRoutes = (app, _, done) => {
     }
   });
 
+  // Views, referrers and view-to-payment conversion of a link, archived links included
+  app.get('/:linkId/analytics', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { linkId } = request.params;
+
+      const days = parseAnalyticsDays(request.query.days);
+      if (!days) {
+        return handleError(reply, 400, `days must be an integer between 1 and ${MAX_ANALYTICS_DAYS}`, 'INVALID_DAYS');
+      }
+      const windowMinutes = parseConversionWindow(request.query.window);
+      if (!windowMinutes) {
+        return handleError(reply, 400, `window must be a number of minutes between 1 and ${MAX_CONVERSION_WINDOW_MINUTES}`, 'INVALID_CONVERSION_WINDOW');
+      }
+
+      const link = await prismaQuery.link.findUnique({
+        where: { id: linkId },
+        select: { id: true, userId: true, viewCount: true }
+      });
+      if (!link || link.userId !== request.user.id) {
+        return handleNotFoundError(reply, 'Link');
+      }
+
+      const analytics = await getLinkAnalytics({ linkId, days, windowMinutes });
+
+      return reply.send({
+        success: true,
+        data: {
+          linkId,
+          viewCount: link.viewCount,
+          ...analytics
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error fetching link analytics', 'GET_LINK_ANALYTICS_ERROR', error);
+    }
+  });
+
   app.get('/my-links', {
     preHandler: [authMiddleware],
     config: {
@@ -1,47 +1,48 @@
+import { NFC_TAGS } from '../config.js';
 import { prismaQuery } from '../lib/prisma.js';
 import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { requireAdminRole } from '../middlewares/adminMiddleware.js';
+import { ADMIN_ROLES } from '../utils/adminUtils.js';
 import { handleError } from '../utils/errorHandler.js';
-import { getAlphanumericId } from '../utils/miscUtils.js';
-
-// Admin middleware to check admin password
-const adminMiddleware = async (request, reply) => {
-  try {
-    const adminPass = request.query.pass;
-
-    if (!adminPass) {
-      return handleError(reply, 401, 'Admin password required', 'ADMIN_PASS_MISSING');
-    }
-
-    if (!process.env.ADMIN_PASS) {
-      return handleError(reply, 500, 'Admin password not configured', 'ADMIN_PASS_NOT_CONFIGURED');
-    }
-
-    if (adminPass !== process.env.ADMIN_PASS) {
-      return handleError(reply, 401, 'Invalid admin password', 'ADMIN_PASS_INVALID');
-    }
-
-    return true;
-  } catch (error) {
-    return handleError(reply, 500, 'Internal server error', 'ADMIN_MIDDLEWARE_ERROR', error);
-  }
-};
-
-// Generate a unique tag ID
-const generateTagId = () => {
-  return getAlphanumericId(16).toUpperCase();
-};
-
-// Create admin routes for NFC tag management
-export const nfcTagRoutes = (app, _, done) => {
+import {
+  MAX_BATCH_SIZE,
+  TAG_ID_LENGTH,
+  assignTag,
+  buildTagUrl,
+  createTagBatch,
+  encodeNdefUriMessage,
+  generateTagId,
+  releaseTag,
+  tagUserSelect,
+  toCsv
+} from '../utils/nfcTagUtils.js';
+import { SUN_PARAMS, TAP_STATUS, buildSdmTemplate, enableTagSdm, verifyTagTap } from '../utils/nfcSunUtils.js';
+import { attachConversions, getDailyTapStats, getTagActivityReport, recordTapEvent } from '../utils/nfcTapUtils.js';
+import {
+  MAX_ANALYTICS_DAYS,
+  MAX_CONVERSION_WINDOW_MINUTES,
+  parseAnalyticsDays,
+  parseConversionWindow
+} from '../utils/analyticsUtils.js';
+
+const EXPORT_FORMATS = ['csv', 'ndef'];
+const ACTIVITY_FILTERS = ['ACTIVE', 'DORMANT'];
+const MAX_TAP_LIST_LIMIT = 100;
+
+/**
+ * NFC tag admin routes (provisioning, export for the encoding station, reassignment), registered under /admin/nfc
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const nfcTagAdminRoutes = (app, _, done) => {
   // Admin route to create NFC tags
-  app.post('/admin/create-tag', {
-    preHandler: adminMiddleware
+  app.post('/create-tag', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.OPS)]
   }, async (request, reply) => {
     try {
-      const baseUrl = 'https://pivy.me/tag';
-
       const tagId = generateTagId();
-      const tagUrl = `${baseUrl}/${tagId}`;
+      const tagUrl = buildTagUrl(tagId);
 
       const tag = await prismaQuery.nFCTag.create({
         data: {
@@ -64,8 +65,8 @@ export const nfcTagRoutes = (app, _, done) => {
   });
 
   // Admin route to get all NFC tags with filtering
-  app.get('/admin/tags', {
-    preHandler: adminMiddleware
+  app.get('/tags', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.SUPPORT)]
   }, async (request, reply) => {
     try {
       const { status, userId, isInjected, limit = 1000, offset = 0 } = request.query;
@@ -78,13 +79,7 @@ export const nfcTagRoutes = (app, _, done) => {
       const tags = await prismaQuery.nFCTag.findMany({
         where,
         include: {
-          user: {
-            select: {
-              id: true,
-              username: true,
-              email: true
-            }
-          }
+          user: { select: tagUserSelect }
         },
         orderBy: {
           createdAt: 'desc'
@@ -112,8 +107,8 @@ export const nfcTagRoutes = (app, _, done) => {
   });
 
   // Admin route to delete an NFC tag
-  app.post('/admin/:tagId/delete', {
-    preHandler: adminMiddleware
+  app.post('/:tagId/delete', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.OPS)]
   }, async (request, reply) => {
     try {
       const { tagId } = request.params;
@@ -143,8 +138,8 @@ export const nfcTagRoutes = (app, _, done) => {
   });
 
   // Admin route to mark an NFC tag as injected
-  app.post('/admin/:tagId/inject', {
-    preHandler: adminMiddleware
+  app.post('/:tagId/inject', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.OPS)]
   }, async (request, reply) => {
     try {
       const { tagId } = request.params;
@@ -164,13 +159,7 @@ export const nfcTagRoutes = (app, _, done) => {
           isInjected: Boolean(isInjected)
         },
         include: {
-          user: {
-            select: {
-              id: true,
-              username: true,
-              email: true
-            }
-          }
+          user: { select: tagUserSelect }
         }
       });
 
@@ -186,6 +175,296 @@ export const nfcTagRoutes = (app, _, done) => {
     }
   });
 
+  // Provision N tags at once
+  app.post('/batches', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.OPS)],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { count, label = null } = request.body || {};
+
+      if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_SIZE) {
+        return handleError(reply, 400, `count must be an integer between 1 and ${MAX_BATCH_SIZE}`, 'INVALID_BATCH_COUNT');
+      }
+      if (label !== null && (typeof label !== 'string' || label.length > 100)) {
+        return handleError(reply, 400, 'label must be a string of at most 100 characters', 'INVALID_BATCH_LABEL');
+      }
+
+      const batch = await createTagBatch({ count, label, createdByAdminId: request.adminAccount.id });
+
+      reply.code(201).send({
+        success: true,
+        message: `${count} NFC tags provisioned`,
+        data: batch
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to provision NFC tags', 'CREATE_BATCH_ERROR', error);
+    }
+  });
+
+  app.get('/batches', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.SUPPORT)],
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const batches = await prismaQuery.nFCTagBatch.findMany({
+        orderBy: { createdAt: 'desc' },
+        take: 100
+      });
+
+      const claimedCounts = await prismaQuery.nFCTag.groupBy({
+        by: ['batchId'],
+        where: { batchId: { in: batches.map(batch => batch.id) }, status: 'CLAIMED' },
+        _count: { _all: true }
+      });
+      const claimedByBatch = new Map(claimedCounts.map(row => [row.batchId, row._count._all]));
+
+      reply.send({
+        success: true,
+        data: batches.map(batch => ({ ...batch, claimedCount: claimedByBatch.get(batch.id) || 0 }))
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to fetch NFC tag batches', 'FETCH_BATCHES_ERROR', error);
+    }
+  });
+
+  // Encoding station files: CSV, or NDEF messages (one URI record per tag, hex) as JSON
+  app.get('/batches/:batchId/export', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.OPS)],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { format = 'csv' } = request.query;
+      if (!EXPORT_FORMATS.includes(format)) {
+        return handleError(reply, 400, `format must be one of ${EXPORT_FORMATS.join(', ')}`, 'INVALID_EXPORT_FORMAT');
+      }
+
+      const batch = await prismaQuery.nFCTagBatch.findUnique({
+        where: { id: request.params.batchId },
+        include: { tags: { orderBy: { tagId: 'asc' } } }
+      });
+      if (!batch) {
+        return handleError(reply, 404, 'NFC tag batch not found', 'BATCH_NOT_FOUND');
+      }
+
+      await prismaQuery.nFCTagBatch.update({
+        where: { id: batch.id },
+        data: { lastExportedAt: new Date() }
+      });
+
+      // SUN enabled tags are encoded with the placeholder URL the chip fills in
+      const records = batch.tags.map(tag => {
+        const ndefMessage = tag.sdmEnabled
+          ? buildSdmTemplate(tag.tagUrl).ndefMessage
+          : encodeNdefUriMessage(tag.tagUrl);
+        return {
+          tagId: tag.tagId,
+          tagUrl: tag.tagUrl,
+          status: tag.status,
+          isInjected: tag.isInjected,
+          sdmEnabled: tag.sdmEnabled,
+          ndefMessage: ndefMessage.toString('hex'),
+          ndefLength: ndefMessage.length
+        };
+      });
+
+      if (format === 'csv') {
+        return reply
+          .header('Content-Type', 'text/csv; charset=utf-8')
+          .header('Content-Disposition', `attachment; filename="nfc-batch-${batch.id}.csv"`)
+          .send(toCsv(['tagId', 'tagUrl', 'status', 'isInjected', 'sdmEnabled', 'ndefMessage'], records));
+      }
+
+      return reply
+        .header('Content-Disposition', `attachment; filename="nfc-batch-${batch.id}.ndef.json"`)
+        .send({
+          batchId: batch.id,
+          label: batch.label,
+          baseUrl: batch.baseUrl,
+          count: records.length,
+          records: records.map(({ tagId, tagUrl, sdmEnabled, ndefMessage, ndefLength }) => ({ tagId, tagUrl, sdmEnabled, ndefMessage, ndefLength }))
+        });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to export NFC tag batch', 'EXPORT_BATCH_ERROR', error);
+    }
+  });
+
+  // Move a tag to another user, e.g. a replacement card. The user's current tag is released
+  app.post('/:tagId/reassign', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.OPS)],
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { userId } = request.body || {};
+      if (!userId || typeof userId !== 'string') {
+        return handleError(reply, 400, 'userId is required', 'MISSING_USER_ID');
+      }
+
+      const tag = await prismaQuery.nFCTag.findUnique({ where: { tagId: request.params.tagId } });
+      if (!tag) {
+        return handleError(reply, 404, 'NFC tag not found', 'TAG_NOT_FOUND');
+      }
+      if (tag.status === 'DISABLED') {
+        return handleError(reply, 409, 'NFC tag is disabled', 'TAG_DISABLED');
+      }
+      if (tag.userId === userId) {
+        return handleError(reply, 409, 'NFC tag already belongs to this user', 'TAG_ALREADY_ASSIGNED');
+      }
+
+      const user = await prismaQuery.user.findUnique({ where: { id: userId }, select: { id: true } });
+      if (!user) {
+        return handleError(reply, 404, 'User not found', 'USER_NOT_FOUND');
+      }
+
+      const reassignedTag = await assignTag({ tag, userId });
+
+      reply.send({
+        success: true,
+        message: 'NFC tag reassigned',
+        data: { ...reassignedTag, previousUserId: tag.userId }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to reassign NFC tag', 'REASSIGN_TAG_ERROR', error);
+    }
+  });
+
+  app.post('/:tagId/unclaim', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.OPS)],
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const tag = await prismaQuery.nFCTag.findUnique({ where: { tagId: request.params.tagId } });
+      if (!tag) {
+        return handleError(reply, 404, 'NFC tag not found', 'TAG_NOT_FOUND');
+      }
+      if (tag.status !== 'CLAIMED') {
+        return handleError(reply, 409, 'NFC tag is not claimed', 'TAG_NOT_CLAIMED');
+      }
+
+      const releasedTag = await releaseTag(tag);
+
+      reply.send({
+        success: true,
+        message: 'NFC tag unclaimed',
+        data: { ...releasedTag, previousUserId: tag.userId }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to unclaim NFC tag', 'UNCLAIM_TAG_ERROR', error);
+    }
+  });
+
+  // Claimed tags that were tapped in the last `days` days vs. dormant ones
+  app.get('/reports/activity', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.SUPPORT)],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { activity, limit = 500 } = request.query;
+
+      const days = parseAnalyticsDays(request.query.days);
+      if (!days) {
+        return handleError(reply, 400, `days must be an integer between 1 and ${MAX_ANALYTICS_DAYS}`, 'INVALID_DAYS');
+      }
+      if (activity && !ACTIVITY_FILTERS.includes(activity)) {
+        return handleError(reply, 400, `activity must be one of ${ACTIVITY_FILTERS.join(', ')}`, 'INVALID_ACTIVITY_FILTER');
+      }
+
+      const { summary, tags } = await getTagActivityReport({ days });
+
+      reply.send({
+        success: true,
+        data: {
+          days,
+          summary,
+          tags: tags
+            .filter(tag => !activity || tag.activity === activity)
+            .slice(0, Math.min(Math.max(parseInt(limit) || 500, 1), 1000))
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to build NFC tag activity report', 'TAG_ACTIVITY_REPORT_ERROR', error);
+    }
+  });
+
+  // Issue NTAG 424 SDM keys for a tag. Calling it again rotates the keys, the tag has to be re-encoded.
+  app.post('/:tagId/sdm', {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.OPS)],
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const tag = await prismaQuery.nFCTag.findUnique({ where: { tagId: request.params.tagId } });
+      if (!tag) {
+        return handleError(reply, 404, 'NFC tag not found', 'TAG_NOT_FOUND');
+      }
+
+      const { keys, template } = await enableTagSdm(tag);
+
+      // Keys are not stored in the clear and can't be fetched again
+      reply.header('Cache-Control', 'no-store').send({
+        success: true,
+        message: 'NFC tag SDM keys issued',
+        data: {
+          tagId: tag.tagId,
+          metaReadKey: keys.metaReadKey,
+          fileReadKey: keys.fileReadKey,
+          url: template.url,
+          ndefMessage: template.ndefMessage.toString('hex'),
+          ndefLength: template.ndefMessage.length,
+          piccDataOffset: template.piccDataOffset,
+          sdmMacInputOffset: template.sdmMacInputOffset,
+          sdmMacOffset: template.sdmMacOffset
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to issue NFC tag SDM keys', 'ENABLE_TAG_SDM_ERROR', error);
+    }
+  });
+
+  done();
+};
+
+/**
+ * NFC tag user routes (claim, unclaim) and the public scan endpoint, registered under /nfc
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const nfcTagRoutes = (app, _, done) => {
   // User route to claim an NFC tag
   app.post('/:tagId/claim', {
     preHandler: authMiddleware
@@ -194,8 +473,8 @@ export const nfcTagRoutes = (app, _, done) => {
       const { tagId } = request.params;
       const userId = request.user.id;
 
-      // Validate tagId length (minimum 20 characters)
-      if (!tagId || tagId.length < 20) {
+      // Validate tagId length (at least TAG_ID_LENGTH characters)
+      if (!tagId || tagId.length < TAG_ID_LENGTH) {
         return handleError(reply, 400, 'ERROR', 'INVALID_TAG_ID');
       }
 
@@ -206,19 +485,14 @@ export const nfcTagRoutes = (app, _, done) => {
 
       // Auto-create tag if it doesn't exist (can be disabled via env var for security)
       if (!tag) {
-        const autoCreateEnabled = process.env.NFC_AUTO_CREATE_ENABLED !== 'false'; // Default to true
-
-        if (!autoCreateEnabled) {
+        if (!NFC_TAGS.AUTO_CREATE_ENABLED) {
           return handleError(reply, 404, 'NFC tag not found', 'TAG_NOT_FOUND');
         }
 
-        const baseUrl = 'https://pivy.me/tag';
-        const tagUrl = `${baseUrl}/${tagId}`;
-
         tag = await prismaQuery.nFCTag.create({
           data: {
             tagId,
-            tagUrl,
+            tagUrl: buildTagUrl(tagId),
             status: 'AVAILABLE',
             isInjected: true // Mark as injected since it's being used
           }
@@ -234,44 +508,8 @@ export const nfcTagRoutes = (app, _, done) => {
         return handleError(reply, 409, 'You have already claimed this NFC tag', 'TAG_ALREADY_CLAIMED_BY_USER');
       }
 
-      // Find any existing claimed tag for this user and unclaim it
-      const existingUserTag = await prismaQuery.nFCTag.findFirst({
-        where: {
-          userId,
-          status: 'CLAIMED'
-        }
-      });
-
-      // Unclaim the existing tag for this user (set it back to AVAILABLE)
-      if (existingUserTag) {
-        await prismaQuery.nFCTag.update({
-          where: { id: existingUserTag.id },
-          data: {
-            userId: null,
-            status: 'AVAILABLE',
-            claimedAt: null
-          }
-        });
-      }
-
-      // Claim the tag
-      const claimedTag = await prismaQuery.nFCTag.update({
-        where: { tagId },
-        data: {
-          userId,
-          status: 'CLAIMED',
-          claimedAt: new Date()
-        },
-        include: {
-          user: {
-            select: {
-              id: true,
-              username: true,
-              email: true
-            }
-          }
-        }
-      });
+      // A user holds one tag, their previous one goes back to AVAILABLE
+      const claimedTag = await assignTag({ tag, userId });
 
       reply.send({
         success: true,
@@ -313,18 +551,135 @@ export const nfcTagRoutes = (app, _, done) => {
     }
   });
 
+  // Taps on the user's tags while they held them, newest first
+  app.get('/my-tag/taps', {
+    preHandler: authMiddleware,
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { limit = 50, offset = 0, window } = request.query;
+
+      const windowMinutes = parseConversionWindow(window);
+      if (!windowMinutes) {
+        return handleError(reply, 400, `window must be a number of minutes between 1 and ${MAX_CONVERSION_WINDOW_MINUTES}`, 'INVALID_CONVERSION_WINDOW');
+      }
+
+      const taps = await prismaQuery.nFCTapEvent.findMany({
+        where: { ownerId: request.user.id },
+        select: {
+          id: true,
+          tapStatus: true,
+          userAgent: true,
+          deviceClass: true,
+          createdAt: true,
+          nfcTag: { select: { tagId: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(Math.max(parseInt(limit) || 50, 1), MAX_TAP_LIST_LIMIT),
+        skip: Math.max(parseInt(offset) || 0, 0)
+      });
+
+      const withConversions = await attachConversions(taps, request.user.id, windowMinutes);
+
+      reply.send({
+        success: true,
+        data: {
+          windowMinutes,
+          taps: withConversions.map(({ nfcTag, ...tap }) => ({ ...tap, tagId: nfcTag.tagId }))
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to fetch NFC tag taps', 'FETCH_TAG_TAPS_ERROR', error);
+    }
+  });
+
+  app.get('/my-tag/taps/daily', {
+    preHandler: authMiddleware,
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const days = parseAnalyticsDays(request.query.days);
+      if (!days) {
+        return handleError(reply, 400, `days must be an integer between 1 and ${MAX_ANALYTICS_DAYS}`, 'INVALID_DAYS');
+      }
+      const windowMinutes = parseConversionWindow(request.query.window);
+      if (!windowMinutes) {
+        return handleError(reply, 400, `window must be a number of minutes between 1 and ${MAX_CONVERSION_WINDOW_MINUTES}`, 'INVALID_CONVERSION_WINDOW');
+      }
+
+      const stats = await getDailyTapStats({ ownerId: request.user.id, days, windowMinutes });
+
+      reply.send({
+        success: true,
+        data: {
+          days,
+          windowMinutes,
+          tapCount: stats.reduce((sum, day) => sum + day.tapCount, 0),
+          convertedCount: stats.reduce((sum, day) => sum + day.convertedCount, 0),
+          daily: stats
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to fetch NFC tag tap stats', 'FETCH_TAG_TAP_STATS_ERROR', error);
+    }
+  });
+
+  // User route to give up their NFC tag, it becomes claimable again
+  app.post('/my-tag/unclaim', {
+    preHandler: authMiddleware,
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const tag = await prismaQuery.nFCTag.findFirst({
+        where: {
+          userId: request.user.id,
+          status: 'CLAIMED'
+        }
+      });
+      if (!tag) {
+        return handleError(reply, 404, 'You have no NFC tag', 'TAG_NOT_FOUND');
+      }
+
+      const releasedTag = await releaseTag(tag);
+
+      reply.send({
+        success: true,
+        message: 'NFC tag unclaimed',
+        data: { tagId: releasedTag.tagId, status: releasedTag.status }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to unclaim NFC tag', 'UNCLAIM_USER_TAG_ERROR', error);
+    }
+  });
+
   // Public route to get NFC tag info by tagId (for when someone scans the NFC tag)
   app.get('/:tagId', async (request, reply) => {
     try {
       const { tagId } = request.params;
 
-      // Validate tagId length (minimum 20 characters)
-      if (!tagId || tagId.length < 20) {
+      // Validate tagId length (at least TAG_ID_LENGTH characters)
+      if (!tagId || tagId.length < TAG_ID_LENGTH) {
         return handleError(reply, 400, 'Invalid tag ID - must be at least 20 characters', 'INVALID_TAG_ID');
       }
 
       let tag = await prismaQuery.nFCTag.findUnique({
         where: { tagId },
+        omit: { sdmUid: true, rejectedTapCount: true, lastRejectedAt: true },
         include: {
           user: {
             select: {
@@ -340,19 +695,14 @@ export const nfcTagRoutes = (app, _, done) => {
 
       // Auto-create tag if it doesn't exist (can be disabled via env var for security)
       if (!tag) {
-        const autoCreateEnabled = process.env.NFC_AUTO_CREATE_ENABLED !== 'false'; // Default to true
-
-        if (!autoCreateEnabled) {
+        if (!NFC_TAGS.AUTO_CREATE_ENABLED) {
           return handleError(reply, 404, 'NFC tag not found', 'TAG_NOT_FOUND');
         }
 
-        const baseUrl = 'https://pivy.me/tag';
-        const tagUrl = `${baseUrl}/${tagId}`;
-
         tag = await prismaQuery.nFCTag.create({
           data: {
             tagId,
-            tagUrl,
+            tagUrl: buildTagUrl(tagId),
             status: 'AVAILABLE',
             isInjected: true // Mark as injected since it's being used
           },
@@ -370,6 +720,26 @@ export const nfcTagRoutes = (app, _, done) => {
         });
       }
 
+      // SUN enabled tags have to prove the scan came from the chip
+      let tap = null;
+      if (tag.sdmEnabled) {
+        tap = await verifyTagTap({
+          tag,
+          piccData: request.query[SUN_PARAMS.PICC_DATA],
+          cmac: request.query[SUN_PARAMS.CMAC]
+        });
+
+        if (tap.status === TAP_STATUS.INVALID) {
+          return handleError(reply, 403, 'NFC tag scan could not be verified', 'TAP_INVALID');
+        }
+        if (tap.status === TAP_STATUS.REPLAYED) {
+          return handleError(reply, 409, 'NFC tag scan was already used', 'TAP_REPLAYED');
+        }
+        if (tap.status === TAP_STATUS.UNVERIFIED && NFC_TAGS.REQUIRE_SUN) {
+          return handleError(reply, 403, 'NFC tag scan is missing its verification params', 'TAP_UNVERIFIED');
+        }
+      }
+
       // Increment viewed count
       await prismaQuery.nFCTag.update({
         where: { tagId },
@@ -380,6 +750,8 @@ export const nfcTagRoutes = (app, _, done) => {
         }
       });
 
+      await recordTapEvent({ tag, tap, userAgent: request.headers['user-agent'] || null });
+
       // If tag is disabled, don't show user info
       if (tag.status === 'DISABLED') {
         return reply.send({
@@ -388,7 +760,8 @@ export const nfcTagRoutes = (app, _, done) => {
             tagId: tag.tagId,
             status: tag.status,
             viewedCount: tag.viewedCount + 1, // Include updated count
-            createdAt: tag.createdAt
+            createdAt: tag.createdAt,
+            ...(tap && { tap })
           }
         });
       }
@@ -397,7 +770,8 @@ export const nfcTagRoutes = (app, _, done) => {
         success: true,
         data: {
           ...tag,
-          viewedCount: tag.viewedCount + 1 // Include updated count
+          viewedCount: tag.viewedCount + 1, // Include updated count
+          ...(tap && { tap })
         }
       });
 
@@ -11,7 +11,7 @@ import { turnstilePay } from "../middlewares/turnstileMiddleware.js";
  */
 export const validatePaymentInfoData = (paymentData) => {
   const errors = [];
-  const allowedTypes = ['email', 'name', 'telegram', 'note'];
+  const allowedTypes = ['email', 'name', 'telegram', 'note', 'display_name'];
 
   if (!Array.isArray(paymentData)) {
     errors.push('Payment data must be an array');
@@ -65,6 +65,16 @@ export const validatePaymentInfoData = (paymentData) => {
       }
     }
 
+    // Public name on fundraiser leaderboards, supporters without one stay anonymous
+    if (item.type === 'display_name') {
+      if (item.value.length > 40) {
+        errors.push(`Display name at index ${index} exceeds maximum length of 40 characters`);
+      }
+      if (item.value.trim().length < 2) {
+        errors.push(`Display name at index ${index} must be at least 2 characters long`);
+      }
+    }
+
     if (item.type === 'telegram_username') {
       if (item.value.length > 100) {
         errors.push(`Telegram username at index ${index} exceeds maximum length of 100 characters`);
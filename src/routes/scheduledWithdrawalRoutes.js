@@ -0,0 +1,219 @@
+import { CHAINS, GAS_SPONSORSHIP } from '../config.js';
+import { prismaQuery } from '../lib/prisma.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { gasSponsorshipMiddleware } from '../middlewares/gasSponsorshipMiddleware.js';
+import { handleDetailedError, handleError } from '../utils/errorHandler.js';
+import { validateRequiredFields } from '../utils/validationUtils.js';
+import { validateAptosAddress } from '../utils/aptosUtils.js';
+import { parsePlanParams } from '../utils/coinSelectionUtils.js';
+import {
+  DEFAULT_WINDOW_MINUTES,
+  MAX_WINDOW_MINUTES,
+  MIN_WINDOW_MINUTES,
+  approveScheduledWithdrawal,
+  cancelScheduledWithdrawal,
+  createScheduledWithdrawal,
+  getScheduledWithdrawal,
+  serializeScheduledWithdrawal
+} from '../utils/scheduledWithdrawalUtils.js';
+
+const PENDING_STATUSES = ['AWAITING_SIGNATURES', 'SCHEDULED'];
+const MAX_LIST_LIMIT = 50;
+
+/**
+ * Withdrawals released by the backend over a random window, so the stealth addresses
+ * don't land together on chain
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const scheduledWithdrawalRoutes = (app, _, done) => {
+  // Plan with jittered amounts and prepare the transactions the user has to sign
+  app.post('/', {
+    preHandler: [authMiddleware, gasSponsorshipMiddleware],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const validationResult = await validateRequiredFields(request.body, ['chain', 'recipient', 'token', 'amount'], reply);
+      if (validationResult !== true) return validationResult;
+
+      const { chain, recipient, token, windowMinutes = DEFAULT_WINDOW_MINUTES } = request.body;
+
+      const chainConfig = CHAINS[chain];
+      if (!chainConfig) return handleError(reply, 400, 'Invalid chain', 'INVALID_CHAIN');
+
+      if (chainConfig.id !== 'APTOS_MAINNET' && chainConfig.id !== 'APTOS_TESTNET') {
+        return handleError(reply, 400, 'Chain not supported', 'CHAIN_UNSUPPORTED');
+      }
+      if (!validateAptosAddress(recipient)) {
+        return handleError(reply, 400, 'Invalid recipient address', 'INVALID_RECIPIENT');
+      }
+      if (!Number.isInteger(windowMinutes) || windowMinutes < MIN_WINDOW_MINUTES || windowMinutes > MAX_WINDOW_MINUTES) {
+        return handleError(reply, 400, `windowMinutes must be an integer between ${MIN_WINDOW_MINUTES} and ${MAX_WINDOW_MINUTES}`, 'INVALID_WINDOW');
+      }
+
+      const planParams = parsePlanParams(request.body);
+      if (planParams.error) return handleError(reply, 400, planParams.error, 'INVALID_PLAN');
+
+      if (GAS_SPONSORSHIP.APTOS.wallets.length === 0) {
+        return handleError(reply, 500, 'Aptos fee payer not set', 'FEE_PAYER_MISSING');
+      }
+
+      const result = await createScheduledWithdrawal({
+        userId: request.user.id,
+        chainConfig,
+        recipient,
+        token,
+        windowMinutes,
+        ...planParams
+      });
+      if (result.error) {
+        return handleDetailedError(reply, result.error.status, result.error.message, result.error.code, result.error.details);
+      }
+
+      return reply.send({
+        success: true,
+        data: {
+          scheduledWithdrawal: serializeScheduledWithdrawal(result.scheduledWithdrawal),
+          transactions: result.transactions,
+          plan: result.plan
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error scheduling withdrawal', 'SCHEDULE_WITHDRAWAL_ERROR', error);
+    }
+  });
+
+  // Pending schedules by default, ?status=all for the history
+  app.get('/', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { status, limit } = request.query;
+      const take = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIST_LIMIT);
+
+      const scheduledWithdrawals = await prismaQuery.scheduledWithdrawal.findMany({
+        where: {
+          userId: request.user.id,
+          ...(status !== 'all' && { status: { in: PENDING_STATUSES } })
+        },
+        include: {
+          items: {
+            include: { preparedTransaction: true },
+            orderBy: { createdAt: 'asc' }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        take
+      });
+
+      return reply.send({ success: true, data: scheduledWithdrawals.map(serializeScheduledWithdrawal) });
+    } catch (error) {
+      return handleError(reply, 500, 'Error getting scheduled withdrawals', 'GET_SCHEDULED_WITHDRAWALS_ERROR', error);
+    }
+  });
+
+  app.get('/:id', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const scheduledWithdrawal = await getScheduledWithdrawal({ id: request.params.id, userId: request.user.id });
+      if (!scheduledWithdrawal) {
+        return handleError(reply, 404, 'Scheduled withdrawal not found', 'SCHEDULED_WITHDRAWAL_NOT_FOUND');
+      }
+
+      return reply.send({ success: true, data: serializeScheduledWithdrawal(scheduledWithdrawal) });
+    } catch (error) {
+      return handleError(reply, 500, 'Error getting scheduled withdrawal', 'GET_SCHEDULED_WITHDRAWAL_ERROR', error);
+    }
+  });
+
+  // Hand over the sender signatures and start the release window
+  app.post('/:id/approve', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const validationResult = await validateRequiredFields(request.body, ['signatures'], reply);
+      if (validationResult !== true) return validationResult;
+
+      const { signatures } = request.body;
+      if (!Array.isArray(signatures)) {
+        return handleError(reply, 400, 'signatures must be an array', 'INVALID_SIGNATURES');
+      }
+
+      const scheduledWithdrawal = await getScheduledWithdrawal({ id: request.params.id, userId: request.user.id });
+      if (!scheduledWithdrawal) {
+        return handleError(reply, 404, 'Scheduled withdrawal not found', 'SCHEDULED_WITHDRAWAL_NOT_FOUND');
+      }
+
+      const result = await approveScheduledWithdrawal({ scheduledWithdrawal, signatures });
+      if (result.error) {
+        return handleError(reply, result.error.status, result.error.message, result.error.code);
+      }
+
+      return reply.send({ success: true, data: serializeScheduledWithdrawal(result.scheduledWithdrawal) });
+    } catch (error) {
+      return handleError(reply, 500, 'Error approving scheduled withdrawal', 'APPROVE_SCHEDULED_WITHDRAWAL_ERROR', error);
+    }
+  });
+
+  app.post('/:id/cancel', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const scheduledWithdrawal = await prismaQuery.scheduledWithdrawal.findFirst({
+        where: { id: request.params.id, userId: request.user.id }
+      });
+      if (!scheduledWithdrawal) {
+        return handleError(reply, 404, 'Scheduled withdrawal not found', 'SCHEDULED_WITHDRAWAL_NOT_FOUND');
+      }
+
+      const result = await cancelScheduledWithdrawal(scheduledWithdrawal);
+      if (result.error) {
+        return handleError(reply, result.error.status, result.error.message, result.error.code);
+      }
+
+      const updated = await getScheduledWithdrawal({ id: scheduledWithdrawal.id, userId: request.user.id });
+      return reply.send({
+        success: true,
+        data: {
+          ...serializeScheduledWithdrawal(updated),
+          cancelledCount: result.cancelledCount
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error cancelling scheduled withdrawal', 'CANCEL_SCHEDULED_WITHDRAWAL_ERROR', error);
+    }
+  });
+
+  done();
+};
@@ -0,0 +1,118 @@
+import { prismaQuery } from '../lib/prisma.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import {
+  MAX_STREAMS_PER_USER,
+  STREAM_TICKET_TTL_SECONDS,
+  addStreamConnection,
+  formatSseEvent,
+  getStreamCount,
+  issueStreamTicket,
+  verifyStreamTicket
+} from '../utils/activityStreamUtils.js';
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Below the usual 30-60s proxy idle timeouts
+
+/**
+ * Realtime activity stream (Server-Sent Events)
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const streamRoutes = (app, _, done) => {
+  // Trade the JWT for a short lived ticket usable in the EventSource URL
+  app.post('/ticket', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const ticket = issueStreamTicket({
+        userId: request.user.id,
+        walletId: request.currentWallet.id
+      });
+
+      return reply.send({
+        success: true,
+        data: {
+          ticket,
+          expiresIn: STREAM_TICKET_TTL_SECONDS
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to issue stream ticket', 'STREAM_TICKET_ERROR', error);
+    }
+  });
+
+  // Authenticated with ?ticket= (EventSource) or the usual Authorization header
+  app.get('/activity', {
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    let userId;
+
+    if (request.query.ticket) {
+      const ticket = verifyStreamTicket(request.query.ticket);
+      if (!ticket) {
+        return handleError(reply, 401, 'Invalid or expired stream ticket', 'STREAM_TICKET_INVALID');
+      }
+
+      const user = await prismaQuery.user.findUnique({
+        where: { id: ticket.id },
+        select: { id: true }
+      });
+      if (!user) {
+        return handleError(reply, 401, 'User not found', 'USER_NOT_FOUND');
+      }
+      userId = user.id;
+    } else {
+      await authMiddleware(request, reply);
+      if (reply.sent) return reply;
+      userId = request.user.id;
+    }
+
+    if (getStreamCount(userId) >= MAX_STREAMS_PER_USER) {
+      return handleError(reply, 429, `At most ${MAX_STREAMS_PER_USER} activity streams can be open at once`, 'TOO_MANY_STREAMS');
+    }
+
+    // Take over the raw response, keeping headers set by hooks (CORS)
+    reply.hijack();
+    reply.raw.writeHead(200, {
+      ...reply.getHeaders(),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    reply.raw.write(`retry: 5000\n\n`);
+    reply.raw.write(formatSseEvent({
+      type: 'READY',
+      eventId: null,
+      createdAt: new Date().toISOString(),
+      data: { userId }
+    }));
+
+    const removeConnection = addStreamConnection(userId, (event) => {
+      reply.raw.write(formatSseEvent(event));
+    });
+
+    const heartbeat = setInterval(() => {
+      reply.raw.write(`: ping\n\n`);
+    }, HEARTBEAT_INTERVAL_MS);
+
+    request.raw.on('close', () => {
+      clearInterval(heartbeat);
+      removeConnection();
+    });
+  });
+
+  done();
+};
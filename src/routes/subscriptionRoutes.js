@@ -0,0 +1,235 @@
+import { prismaQuery } from '../lib/prisma.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import { resolveChainAmounts } from '../utils/amountUtils.js';
+import { validateRequiredFields } from '../utils/validationUtils.js';
+import {
+  SUBSCRIPTION_INTERVALS,
+  serializeSubscriber,
+  serializeSubscriptionPlan
+} from '../utils/subscriptionUtils.js';
+
+const SUBSCRIBER_STATUSES = ['ACTIVE', 'LAPSED'];
+const MAX_INTERVAL_COUNT = 12;
+const MAX_GRACE_PERIOD_DAYS = 30;
+
+const planInclude = {
+  amounts: { include: { mint: true } }
+};
+
+/**
+ * Subscription plans on payment links
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const subscriptionRoutes = (app, _, done) => {
+  // Create or replace the plan of a link
+  app.post('/plans/:linkId', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 20,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const validation = await validateRequiredFields(request.body, ['interval', 'amounts'], reply);
+      if (validation !== true) return;
+
+      const { interval, amounts, intervalCount = 1, gracePeriodDays = 3 } = request.body;
+
+      if (!SUBSCRIPTION_INTERVALS.includes(interval)) {
+        return handleError(reply, 400, `interval must be one of ${SUBSCRIPTION_INTERVALS.join(', ')}`, 'INVALID_INTERVAL');
+      }
+      if (!Number.isInteger(intervalCount) || intervalCount < 1 || intervalCount > MAX_INTERVAL_COUNT) {
+        return handleError(reply, 400, `intervalCount must be an integer between 1 and ${MAX_INTERVAL_COUNT}`, 'INVALID_INTERVAL');
+      }
+      if (!Number.isInteger(gracePeriodDays) || gracePeriodDays < 0 || gracePeriodDays > MAX_GRACE_PERIOD_DAYS) {
+        return handleError(reply, 400, `gracePeriodDays must be an integer between 0 and ${MAX_GRACE_PERIOD_DAYS}`, 'INVALID_GRACE_PERIOD');
+      }
+
+      const link = await prismaQuery.link.findFirst({
+        where: { id: request.params.linkId, userId: request.user.id, status: 'ACTIVE' }
+      });
+      if (!link) {
+        return handleError(reply, 404, 'Link not found', 'LINK_NOT_FOUND');
+      }
+      if (link.template !== 'simple-payment') {
+        return handleError(reply, 400, 'Subscriptions are only available on simple-payment links', 'TEMPLATE_NOT_SUPPORTED');
+      }
+
+      const { amounts: planAmounts, error: amountsError } = await resolveChainAmounts(amounts, link);
+      if (amountsError) {
+        return handleError(reply, 400, amountsError.message, amountsError.code);
+      }
+
+      const planData = { interval, intervalCount, gracePeriodDays, isActive: true };
+
+      // Amounts are replaced as a whole, existing subscribers keep their paid periods
+      const plan = await prismaQuery.$transaction(async (tx) => {
+        const saved = await tx.subscriptionPlan.upsert({
+          where: { linkId: link.id },
+          create: { ...planData, linkId: link.id },
+          update: planData
+        });
+
+        await tx.subscriptionPlanAmount.deleteMany({
+          where: { planId: saved.id }
+        });
+        await tx.subscriptionPlanAmount.createMany({
+          data: planAmounts.map(planAmount => ({ ...planAmount, planId: saved.id }))
+        });
+
+        return tx.subscriptionPlan.findUnique({
+          where: { id: saved.id },
+          include: planInclude
+        });
+      });
+
+      return reply.send({
+        success: true,
+        message: 'Subscription plan saved successfully',
+        data: serializeSubscriptionPlan(plan)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error saving subscription plan', 'SAVE_SUBSCRIPTION_PLAN_ERROR', error);
+    }
+  });
+
+  // Stop counting payments towards the plan, subscribers run out their paid periods
+  app.post('/plans/:linkId/disable', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 20,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const plan = await prismaQuery.subscriptionPlan.findFirst({
+        where: {
+          linkId: request.params.linkId,
+          link: { userId: request.user.id }
+        }
+      });
+      if (!plan) {
+        return handleError(reply, 404, 'Subscription plan not found', 'SUBSCRIPTION_PLAN_NOT_FOUND');
+      }
+
+      const updated = await prismaQuery.subscriptionPlan.update({
+        where: { id: plan.id },
+        data: { isActive: false },
+        include: planInclude
+      });
+
+      return reply.send({
+        success: true,
+        message: 'Subscription plan disabled successfully',
+        data: serializeSubscriptionPlan(updated)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error disabling subscription plan', 'DISABLE_SUBSCRIPTION_PLAN_ERROR', error);
+    }
+  });
+
+  // Public, the pay page shows the plan to subscribers
+  app.get('/plans/:linkId', {
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const plan = await prismaQuery.subscriptionPlan.findFirst({
+        where: {
+          linkId: request.params.linkId,
+          link: { status: 'ACTIVE' }
+        },
+        include: planInclude
+      });
+      if (!plan) {
+        return handleError(reply, 404, 'Subscription plan not found', 'SUBSCRIPTION_PLAN_NOT_FOUND');
+      }
+
+      return reply.send({
+        success: true,
+        data: serializeSubscriptionPlan(plan)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error fetching subscription plan', 'FETCH_SUBSCRIPTION_PLAN_ERROR', error);
+    }
+  });
+
+  app.get('/links/:linkId/subscribers', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { status, cursor } = request.query;
+      const limit = Math.min(Math.max(parseInt(request.query.limit) || 20, 1), 100);
+
+      if (status && !SUBSCRIBER_STATUSES.includes(status)) {
+        return handleError(reply, 400, `status must be one of ${SUBSCRIBER_STATUSES.join(', ')}`, 'INVALID_STATUS');
+      }
+
+      const plan = await prismaQuery.subscriptionPlan.findFirst({
+        where: {
+          linkId: request.params.linkId,
+          link: { userId: request.user.id }
+        },
+        select: { id: true }
+      });
+      if (!plan) {
+        return handleError(reply, 404, 'Subscription plan not found', 'SUBSCRIPTION_PLAN_NOT_FOUND');
+      }
+
+      const [subscribers, counts] = await Promise.all([
+        prismaQuery.subscriber.findMany({
+          where: {
+            planId: plan.id,
+            ...(status && { status })
+          },
+          include: { payerUser: { select: { username: true } } },
+          orderBy: [{ currentPeriodEnd: 'desc' }, { id: 'desc' }],
+          take: limit + 1,
+          ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        }),
+        prismaQuery.subscriber.groupBy({
+          by: ['status'],
+          where: { planId: plan.id },
+          _count: { _all: true }
+        })
+      ]);
+
+      const hasMore = subscribers.length > limit;
+      const page = subscribers.slice(0, limit);
+
+      return reply.send({
+        success: true,
+        data: page.map(serializeSubscriber),
+        counts: Object.fromEntries(SUBSCRIBER_STATUSES.map(s => [
+          s,
+          counts.find(c => c.status === s)?._count._all || 0
+        ])),
+        pagination: {
+          hasMore,
+          nextCursor: hasMore ? page[page.length - 1].id : null
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Error fetching subscribers', 'FETCH_SUBSCRIBERS_ERROR', error);
+    }
+  });
+
+  done();
+};
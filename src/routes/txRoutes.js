@@ -1,10 +1,25 @@
 import { CHAINS, GAS_SPONSORSHIP } from "../config.js";
-import { handleError } from "../utils/errorHandler.js";
+import { handleDetailedError, handleError } from "../utils/errorHandler.js";
 import { validateRequiredFields } from "../utils/validationUtils.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { requireAdminRole } from "../middlewares/adminMiddleware.js";
+import { ADMIN_ROLES } from "../utils/adminUtils.js";
+import { gasSponsorshipMiddleware } from "../middlewares/gasSponsorshipMiddleware.js";
 import { sleep, getAlphanumericId } from "../utils/miscUtils.js";
 import { prismaQuery } from "../lib/prisma.js";
 import { validatePaymentInfoData } from "./payRoutes.js";
+import { issueDownloadClaim } from "../utils/downloadGrantUtils.js";
+import { PAYABLE_INVOICE_STATUSES, computeInvoiceStatus } from "../utils/invoiceUtils.js";
+import { vetSponsoredTransaction } from "../utils/sponsorshipPolicyUtils.js";
+import { getSponsorshipSummary, reserveSponsorship } from "../utils/gasSponsorshipUtils.js";
+import { MAX_REPORT_DAYS, getFeePayerReport, selectFeePayer } from "../utils/feePayerPoolUtils.js";
+import {
+  createPreparedTransaction,
+  prepareSponsoredWithdrawal,
+  serializePreparedTransaction,
+  submitPreparedTransaction
+} from "../utils/preparedTransactionUtils.js";
+import { MAX_PLANNED_WITHDRAWALS, parsePlanParams, planWithdrawal } from "../utils/coinSelectionUtils.js";
 import bs58 from "bs58";
 
 /**
@@ -14,24 +29,52 @@ import bs58 from "bs58";
  * @param {Function} done
  */
 export const txRoutes = (app, _, done) => {
-  // Aptos Withdrawal Endpoint
-  app.post("/prepare-aptos-withdrawal", {
-    preHandler: [authMiddleware]
+  // Plan which stealth addresses a withdrawal would drain, without building or signing anything
+  app.post("/plan-aptos-withdrawal", {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
   }, async (request, reply) => {
     try {
-      const validationResult = await validateRequiredFields(request.body,
-        ["chain", "recipient", "token", "withdrawals"], reply);
+      const validationResult = await validateRequiredFields(request.body, ["chain", "token", "amount"], reply);
       if (validationResult !== true) return validationResult;
 
-      const { chain, recipient, token: coinType, withdrawals } = request.body;
+      const chainConfig = CHAINS[request.body.chain];
+      if (!chainConfig) return handleError(reply, 400, "Invalid chain", "INVALID_CHAIN");
 
-      if (!Array.isArray(withdrawals) || withdrawals.length === 0) {
-        return handleError(reply, 400, "withdrawals must be a non-empty array", "BAD_ITEMS");
+      if (chainConfig.id !== "APTOS_MAINNET" && chainConfig.id !== "APTOS_TESTNET") {
+        return handleError(reply, 400, "Chain not supported", "CHAIN_UNSUPPORTED");
       }
-      if (withdrawals.length > 100) {
-        return handleError(reply, 400, "withdrawals must be less than 100", "BAD_ITEMS");
+
+      const planParams = parsePlanParams(request.body);
+      if (planParams.error) return handleError(reply, 400, planParams.error, "INVALID_PLAN");
+
+      const result = await planWithdrawal({ userId: request.user.id, chainConfig, token: request.body.token, ...planParams });
+      if (result.error) {
+        return handleDetailedError(reply, 400, result.error.message, result.error.code, result.error.details);
       }
 
+      return reply.send({ success: true, data: result.plan });
+    } catch (error) {
+      return handleError(reply, 500, "Error planning withdrawal", "PLAN_WITHDRAWAL_ERROR", error);
+    }
+  });
+
+  // Aptos Withdrawal Endpoint
+  app.post("/prepare-aptos-withdrawal", {
+    preHandler: [authMiddleware, gasSponsorshipMiddleware]
+  }, async (request, reply) => {
+    try {
+      const validationResult = await validateRequiredFields(request.body,
+        ["chain", "recipient", "token"], reply);
+      if (validationResult !== true) return validationResult;
+
+      const { chain, recipient, token: coinType } = request.body;
+
       const chainConfig = CHAINS[chain];
       if (!chainConfig) return handleError(reply, 400, "Invalid chain", "INVALID_CHAIN");
 
@@ -39,18 +82,46 @@ export const txRoutes = (app, _, done) => {
         return handleError(reply, 400, "Chain not supported", "CHAIN_UNSUPPORTED");
       }
 
+      // Either explicit withdrawals, or an amount the backend plans the withdrawals for
+      let { withdrawals } = request.body;
+      let plan = null;
+      if (withdrawals === undefined && request.body.amount !== undefined) {
+        const planParams = parsePlanParams(request.body);
+        if (planParams.error) return handleError(reply, 400, planParams.error, "INVALID_PLAN");
+
+        const result = await planWithdrawal({ userId: request.user.id, chainConfig, token: coinType, ...planParams });
+        if (result.error) {
+          return handleDetailedError(reply, 400, result.error.message, result.error.code, result.error.details);
+        }
+        plan = result.plan;
+        withdrawals = plan.withdrawals;
+      }
+
+      if (!Array.isArray(withdrawals) || withdrawals.length === 0) {
+        return handleError(reply, 400, "withdrawals must be a non-empty array", "BAD_ITEMS");
+      }
+      if (withdrawals.length > MAX_PLANNED_WITHDRAWALS) {
+        return handleError(reply, 400, "withdrawals must be less than 100", "BAD_ITEMS");
+      }
+
       const aptosSponsorship = GAS_SPONSORSHIP.APTOS;
-      if (!aptosSponsorship.wallet) {
+      if (aptosSponsorship.wallets.length === 0) {
         return handleError(reply, 500, "Aptos fee payer not set", "FEE_PAYER_MISSING");
       }
 
+      // One payer signs the whole batch
+      const feePayer = await selectFeePayer(chainConfig.id);
+      if (!feePayer) {
+        return handleError(reply, 503, "Gas sponsorship is temporarily unavailable, please try again later.", "FEE_PAYER_UNAVAILABLE");
+      }
+
       const { Aptos, AptosConfig, Network } = await import('@aptos-labs/ts-sdk');
       const network = chain === 'APTOS_TESTNET' ? Network.TESTNET : Network.MAINNET;
       const config = new AptosConfig({ network });
       const aptos = new Aptos(config);
 
       const sponsoredOutcomes = [];
-      const feePayerAddress = aptosSponsorship.wallet.accountAddress.toString();
+      const feePayerAddress = feePayer.accountAddress.toString();
 
       for (let i = 0; i < withdrawals.length; i++) {
         const w = withdrawals[i];
@@ -60,51 +131,29 @@ export const txRoutes = (app, _, done) => {
         }
 
         try {
-          const totalWithdrawalAmount = BigInt(w.amount);
-          const feeAmount = aptosSponsorship.FEE_BPS > 0
-            ? (totalWithdrawalAmount * BigInt(aptosSponsorship.FEE_BPS) + 9999n) / 10000n
-            : 0n;
-          const recipientAmount = totalWithdrawalAmount - feeAmount;
-
-          // Detect token type (CoinType vs FungibleAsset)
-          const isNative = coinType === '0x1::aptos_coin::AptosCoin';
-
-          // Fetch sender account info to get the correct sequence number
-          const senderAccount = await aptos.getAccountInfo({ accountAddress: w.fromStealthAddress });
-
-          // Build transaction
-          const txBuilder = {
-            sender: w.fromStealthAddress,
-            withFeePayer: true,
-            data: {
-              function: isNative
-                ? `${chainConfig.pivyStealthProgramId}::pivy_stealth::withdraw_coin`
-                : `${chainConfig.pivyStealthProgramId}::pivy_stealth::withdraw`,
-              typeArguments: isNative ? [coinType] : [],
-              functionArguments: isNative
-                ? [recipientAmount.toString(), recipient]
-                : [coinType, recipientAmount.toString(), recipient],
-            },
-            options: {
-              accountSequenceNumber: senderAccount.sequence_number,
-            },
-          };
-
-          const transaction = await aptos.transaction.build.simple(txBuilder);
-
-          // Sign with sponsor (fee payer)
-          const feePayerAuth = await aptos.transaction.signAsFeePayer({
-            signer: aptosSponsorship.wallet,
-            transaction,
+          const prepared = await prepareSponsoredWithdrawal({
+            aptos,
+            chainConfig,
+            feePayer,
+            userId: request.user.id,
+            recipient,
+            coinType,
+            fromStealthAddress: w.fromStealthAddress,
+            amount: w.amount,
           });
+          if (prepared.error) {
+            sponsoredOutcomes.push({ ok: false, index: i, error: prepared.error });
+            continue;
+          }
 
           sponsoredOutcomes.push({
             ok: true,
             index: i,
             result: {
-              transactionBytes: Buffer.from(transaction.bcsToBytes()).toString('base64'),
-              feePayerAuthenticator: Buffer.from(feePayerAuth.bcsToBytes()).toString('base64'),
+              transactionBytes: Buffer.from(prepared.transaction.bcsToBytes()).toString('base64'),
+              feePayerAuthenticator: Buffer.from(prepared.feePayerAuthenticator.bcsToBytes()).toString('base64'),
               feePayerAddress,
+              preparedTransactionId: prepared.preparedTransaction.id,
             }
           });
         } catch (e) {
@@ -122,7 +171,7 @@ export const txRoutes = (app, _, done) => {
         }
       }
 
-      return reply.send({ chain: chainConfig.id, outcomes: sponsoredOutcomes });
+      return reply.send({ chain: chainConfig.id, outcomes: sponsoredOutcomes, ...(plan && { plan }) });
     } catch (error) {
       console.error("Error preparing Aptos withdrawal:", error);
       return handleError(reply, 500, "Internal error", "INTERNAL");
@@ -131,14 +180,14 @@ export const txRoutes = (app, _, done) => {
 
   // Aptos Stealth Payment Endpoint (for username withdrawals)
   app.post("/prepare-aptos-stealth-payment", {
-    preHandler: [authMiddleware]
+    preHandler: [authMiddleware, gasSponsorshipMiddleware]
   }, async (request, reply) => {
     try {
       const validationResult = await validateRequiredFields(request.body,
         ["chain", "fromAddress", "recipientUsername", "token", "amount"], reply);
       if (validationResult !== true) return validationResult;
 
-      const { chain, fromAddress, recipientUsername, token: coinType, amount, paymentData = [] } = request.body;
+      const { chain, fromAddress, recipientUsername, token: coinType, amount, paymentData = [], linkId = null, invoiceReference = null } = request.body;
 
       const chainConfig = CHAINS[chain];
       if (!chainConfig) return handleError(reply, 400, "Invalid chain", "INVALID_CHAIN");
@@ -147,6 +196,11 @@ export const txRoutes = (app, _, done) => {
         return handleError(reply, 400, "Chain not supported", "CHAIN_UNSUPPORTED");
       }
 
+      // The note carries either the invoice reference or the payment info id
+      if (invoiceReference && paymentData && paymentData.length > 0) {
+        return handleError(reply, 400, "paymentData can't be combined with an invoice", "PAYMENT_DATA_WITH_INVOICE");
+      }
+
       // 1. Validate and save payment data if provided
       let paymentInfoId = null;
       if (paymentData && paymentData.length > 0) {
@@ -186,6 +240,64 @@ export const txRoutes = (app, _, done) => {
 
       const { metaSpendPub, metaViewPub } = recipientWallet;
 
+      // Optional invoice the payment settles, it decides the link
+      let invoice = null;
+      if (invoiceReference) {
+        invoice = await prismaQuery.invoice.findFirst({
+          where: { reference: invoiceReference, userId: recipient.id },
+          include: {
+            amounts: { include: { mint: true } },
+            payments: { select: { chain: true, mintId: true, amount: true } }
+          }
+        });
+        if (!invoice) {
+          return handleError(reply, 404, "Invoice not found for recipient", "INVOICE_NOT_FOUND");
+        }
+        // The expiry worker may not have caught up with the due date yet
+        const isOverdue = invoice.status === 'OPEN' && invoice.dueAt && invoice.dueAt < new Date();
+        if (!PAYABLE_INVOICE_STATUSES.includes(invoice.status) || isOverdue) {
+          return handleError(reply, 400, `Invoice is already ${isOverdue ? 'expired' : invoice.status.toLowerCase()}`, "INVOICE_NOT_PAYABLE");
+        }
+        if (linkId && linkId !== invoice.linkId) {
+          return handleError(reply, 400, "linkId does not match the invoice", "INVOICE_LINK_MISMATCH");
+        }
+
+        const invoiceAmount = invoice.amounts.find(a => a.chain === chainConfig.id);
+        if (!invoiceAmount || invoiceAmount.mint.mintAddress !== coinType) {
+          return handleError(reply, 400, `Invoice is not payable in ${coinType} on ${chainConfig.id}`, "INVOICE_TOKEN_MISMATCH");
+        }
+
+        // Invoices are reconciled on exact totals, so the payment has to settle what's left
+        const { paidByChain } = computeInvoiceStatus(invoice);
+        const remaining = invoiceAmount.amount - paidByChain[chainConfig.id];
+        let requested;
+        try {
+          requested = BigInt(amount);
+        } catch {
+          requested = null;
+        }
+        if (requested !== remaining) {
+          return handleError(reply, 400, `Amount must be the remaining balance of the invoice, ${remaining} (raw)`, "INVOICE_AMOUNT_MISMATCH");
+        }
+      }
+
+      // Optional link the payment is made for (e.g. a digital product)
+      let link = null;
+      const paymentLinkId = invoice ? invoice.linkId : linkId;
+      if (paymentLinkId) {
+        link = await prismaQuery.link.findFirst({
+          where: { id: paymentLinkId, userId: recipient.id, status: 'ACTIVE' },
+          select: { id: true, template: true, fundraiserCampaign: { select: { startsAt: true } } }
+        });
+        if (!link) {
+          return handleError(reply, 404, "Link not found for recipient", "LINK_NOT_FOUND");
+        }
+        // Ended campaigns archive their link, so only the start needs checking
+        if (link.fundraiserCampaign?.startsAt && link.fundraiserCampaign.startsAt > new Date()) {
+          return handleError(reply, 400, "Campaign has not started yet", "CAMPAIGN_NOT_STARTED");
+        }
+      }
+
       // 3. Perform cryptographic operations
       const PivyStealthAptos = (await import('../lib/pivy-stealth/pivy-stealth-aptos.js')).default;
       const pivy = new PivyStealthAptos();
@@ -194,15 +306,22 @@ export const txRoutes = (app, _, done) => {
       const stealthAddress = await pivy.deriveStealthPub(metaSpendPub, metaViewPub, ephemeral.privateKey);
       const encryptedMemo = await pivy.encryptEphemeralPrivKey(ephemeral.privateKey, metaViewPub);
 
-      // Encrypt the paymentInfoId as the note (if payment data was provided)
+      // Encrypt the invoice reference or the paymentInfoId as the note (if any)
       let encryptedNote = new Uint8Array(0);
-      if (paymentInfoId) {
-        const noteResult = await pivy.encryptNote(paymentInfoId, ephemeral.privateKey, metaViewPub);
+      const noteValue = invoice ? invoice.reference : paymentInfoId;
+      if (noteValue) {
+        const noteResult = await pivy.encryptNote(noteValue, ephemeral.privateKey, metaViewPub);
         encryptedNote = new Uint8Array(noteResult);
       }
 
-      const labelStr = "personal"; // or use linkId if provided
-      const labelBytes = pivy.pad32(pivy.toBytes(labelStr));
+      // Encrypt the linkId as the label so the indexer can attribute the payment to the link
+      let labelBytes;
+      if (link) {
+        const labelResult = await pivy.encryptNote(link.id, ephemeral.privateKey, metaViewPub);
+        labelBytes = new Uint8Array(labelResult);
+      } else {
+        labelBytes = pivy.pad32(pivy.toBytes("personal"));
+      }
 
       const ephPubBytes = bs58.decode(ephemeral.publicKeyB58);
       const payloadBytes = bs58.decode(encryptedMemo); // Decode base58 to raw bytes
@@ -257,23 +376,65 @@ export const txRoutes = (app, _, done) => {
         },
         options: {
           accountSequenceNumber: senderAccount.sequence_number,
+          maxGasAmount: GAS_SPONSORSHIP.APTOS.MAX_GAS_AMOUNT,
         },
       };
 
       const transaction = await aptos.transaction.build.simple(txBuilder);
 
       // 5. Sponsorship
-      const aptosSponsorship = GAS_SPONSORSHIP.APTOS;
-      if (!aptosSponsorship.wallet) {
+      if (GAS_SPONSORSHIP.APTOS.wallets.length === 0) {
         return handleError(reply, 500, "Aptos fee payer not set", "FEE_PAYER_MISSING");
       }
 
+      const feePayer = await selectFeePayer(chainConfig.id);
+      if (!feePayer) {
+        return handleError(reply, 503, "Gas sponsorship is temporarily unavailable, please try again later.", "FEE_PAYER_UNAVAILABLE");
+      }
+
+      // Policy and simulation must pass before the fee payer signs anything
+      const rejection = await vetSponsoredTransaction({
+        aptos,
+        feePayer,
+        chainConfig,
+        userId: request.user.id,
+        transaction,
+        coinType,
+        amount: BigInt(amount),
+      });
+      if (rejection) {
+        return handleDetailedError(reply, rejection.status, rejection.message, rejection.code, rejection.details);
+      }
+
+      const functionName = isNative ? 'pivy_stealth::pay_coin' : 'pivy_stealth::pay';
+      // Counted against the budget before the fee payer signs
+      const { sponsorship, error: budgetError } = await reserveSponsorship({
+        userId: request.user.id,
+        chain: chainConfig.id,
+        functionName,
+        transaction,
+        feePayer,
+      });
+      if (budgetError) {
+        return handleDetailedError(reply, 403, budgetError.message, budgetError.code, budgetError.details);
+      }
+
       const feePayerAuth = await aptos.transaction.signAsFeePayer({
-        signer: aptosSponsorship.wallet,
+        signer: feePayer,
         transaction,
       });
 
-      const feePayerAddress = aptosSponsorship.wallet.accountAddress.toString();
+      const preparedTransaction = await createPreparedTransaction({
+        userId: request.user.id,
+        chain: chainConfig.id,
+        functionName,
+        transaction,
+        feePayerAuthenticator: feePayerAuth,
+        feePayer,
+        sponsorship,
+      });
+
+      const feePayerAddress = feePayer.accountAddress.toString();
 
       const sponsoredOutcome = {
         ok: true,
@@ -281,10 +442,20 @@ export const txRoutes = (app, _, done) => {
           transactionBytes: Buffer.from(transaction.bcsToBytes()).toString('base64'),
           feePayerAuthenticator: Buffer.from(feePayerAuth.bcsToBytes()).toString('base64'),
           feePayerAddress,
+          preparedTransactionId: preparedTransaction.id,
         }
       };
 
-      return reply.send({ chain: chainConfig.id, outcome: sponsoredOutcome });
+      // Digital product buyers get a claim they can exchange for a download grant once indexed
+      const downloadClaim = link?.template === 'digital-product'
+        ? issueDownloadClaim({
+            linkId: link.id,
+            stealthAddress: stealthAddress.stealthAptosAddress,
+            ephemeralPubkey: ephemeral.publicKeyB58
+          })
+        : null;
+
+      return reply.send({ chain: chainConfig.id, outcome: sponsoredOutcome, downloadClaim });
 
     } catch (error) {
       console.error("Error preparing Aptos stealth payment:", error);
@@ -292,5 +463,109 @@ export const txRoutes = (app, _, done) => {
     }
   });
 
+  // Submit a prepared transaction with the sender's signature and wait for it to commit
+  app.post("/submit", {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const validationResult = await validateRequiredFields(request.body,
+        ["preparedTransactionId", "senderAuthenticator"], reply);
+      if (validationResult !== true) return validationResult;
+
+      const { preparedTransactionId, senderAuthenticator } = request.body;
+      if (typeof senderAuthenticator !== 'string') {
+        return handleError(reply, 400, "senderAuthenticator must be a base64 string", "INVALID_SENDER_AUTHENTICATOR");
+      }
+
+      const preparedTransaction = await prismaQuery.preparedTransaction.findFirst({
+        where: { id: preparedTransactionId, userId: request.user.id },
+        include: { scheduledWithdrawalItem: { select: { id: true } } }
+      });
+      if (!preparedTransaction) {
+        return handleError(reply, 404, "Prepared transaction not found", "PREPARED_TRANSACTION_NOT_FOUND");
+      }
+      // Released by the backend at its scheduled time
+      if (preparedTransaction.scheduledWithdrawalItem) {
+        return handleError(reply, 409, "Transaction belongs to a scheduled withdrawal", "TRANSACTION_SCHEDULED");
+      }
+
+      const result = await submitPreparedTransaction({ preparedTransaction, senderAuthenticator });
+      if (result.error) {
+        return handleError(reply, result.error.status, result.error.message, result.error.code);
+      }
+
+      return reply.send({ success: true, data: serializePreparedTransaction(result.preparedTransaction) });
+    } catch (error) {
+      return handleError(reply, 500, "Error submitting transaction", "SUBMIT_TRANSACTION_ERROR", error);
+    }
+  });
+
+  // Lifecycle of a prepared transaction
+  app.get("/prepared/:id", {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const preparedTransaction = await prismaQuery.preparedTransaction.findFirst({
+        where: { id: request.params.id, userId: request.user.id }
+      });
+      if (!preparedTransaction) {
+        return handleError(reply, 404, "Prepared transaction not found", "PREPARED_TRANSACTION_NOT_FOUND");
+      }
+
+      return reply.send({ success: true, data: serializePreparedTransaction(preparedTransaction) });
+    } catch (error) {
+      return handleError(reply, 500, "Error fetching prepared transaction", "FETCH_PREPARED_TRANSACTION_ERROR", error);
+    }
+  });
+
+  // Remaining daily gas sponsorship of the signed-in user
+  app.get("/sponsorship", {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 30,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const summary = await getSponsorshipSummary(request.user.id);
+      return reply.send({ success: true, data: summary });
+    } catch (error) {
+      return handleError(reply, 500, "Error fetching gas sponsorship", "FETCH_SPONSORSHIP_ERROR", error);
+    }
+  });
+
+  // Admin route with the balance and sponsored spend over time of every fee payer in the pool
+  app.get("/admin/fee-payers", {
+    preHandler: [authMiddleware, requireAdminRole(ADMIN_ROLES.SUPPORT)]
+  }, async (request, reply) => {
+    try {
+      const { chain } = request.query;
+
+      const chainConfig = CHAINS[chain];
+      if (!chainConfig) return handleError(reply, 400, "Invalid chain", "INVALID_CHAIN");
+
+      const days = Math.min(Math.max(parseInt(request.query.days) || 7, 1), MAX_REPORT_DAYS);
+      const report = await getFeePayerReport({ chain: chainConfig.id, days });
+
+      return reply.send({ success: true, data: report });
+    } catch (error) {
+      return handleError(reply, 500, "Error fetching fee payers", "FETCH_FEE_PAYERS_ERROR", error);
+    }
+  });
+
   done();
 }
\ No newline at end of file
@@ -1,16 +1,17 @@
 import { CHAINS } from "../config.js";
 import { prismaQuery } from "../lib/prisma.js";
+import { getRealtimeBus } from "../lib/realtimeBus.js";
+import { getStateStore } from "../lib/stateStore.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
 import { getAptosPortfolio, createAptosClient } from "../utils/aptosUtils.js";
-import { getCacheStats, cleanupOldCacheEntries } from "../utils/balanceCacheUtils.js";
 import { getCombinedUserBalance, getBalanceCalculationStats } from "../utils/activityBalanceCalculator.js";
 import { RESTRICTED_USERNAME } from "../constants/restricted-username.js";
 
-// Simple in-memory cache implementation
-const balanceCache = new Map();
-const activitiesCache = new Map();
+// Response caches live in the shared state store so every instance sees invalidations
 const CACHE_DURATION = 30 * 1000; // 30 seconds in milliseconds
 const ACTIVITIES_CACHE_DURATION = 10 * 1000; // 10 seconds for activities
+// Outlives every activities entry, so a version that expired can't bring old entries back
+const ACTIVITIES_VERSION_TTL = 24 * 60 * 60 * 1000;
 
 // Helper function to check if username is restricted
 const isUsernameRestricted = (username) => {
@@ -20,61 +21,59 @@ const isUsernameRestricted = (username) => {
 };
 
 
-const getCachedBalance = (address, chain) => {
-  const key = `${chain.id}_${address}`;
-  const cached = balanceCache.get(key);
-  if (!cached) return null;
-
-  // Check if cache has expired
-  if (Date.now() - cached.timestamp > CACHE_DURATION) {
-    balanceCache.delete(key);
+// A cache that can't be reached is a miss, not a failed request
+const readCache = async (key) => {
+  try {
+    return await getStateStore().get(key);
+  } catch (error) {
+    console.error(`Error reading cache ${key}:`, error.message);
     return null;
   }
-
-  return cached.data;
 };
 
-const setCachedBalance = (address, chain, data) => {
-  const key = `${chain.id}_${address}`;
-  balanceCache.set(key, {
-    data,
-    timestamp: Date.now()
-  });
+const writeCache = async (key, data, ttlMs) => {
+  try {
+    await getStateStore().set(key, data, { ttlMs });
+  } catch (error) {
+    console.error(`Error writing cache ${key}:`, error.message);
+  }
 };
 
-const getCachedActivities = (userId, chainIds, limit) => {
-  const key = `${userId}_${chainIds.join(',')}_${limit}`;
-  const cached = activitiesCache.get(key);
-  if (!cached) return null;
+const getCachedBalance = (address, chain) => readCache(`balance:${chain.id}_${address}`);
 
-  // Check if cache has expired
-  if (Date.now() - cached.timestamp > ACTIVITIES_CACHE_DURATION) {
-    activitiesCache.delete(key);
-    return null;
-  }
+const setCachedBalance = (address, chain, data) => writeCache(`balance:${chain.id}_${address}`, data, CACHE_DURATION);
 
-  return cached.data;
-};
+const activitiesVersionKey = (userId) => `activities-version:${userId}`;
 
-const setCachedActivities = (userId, chainIds, limit, data) => {
-  const key = `${userId}_${chainIds.join(',')}_${limit}`;
-  activitiesCache.set(key, {
-    data,
-    timestamp: Date.now()
-  });
+// Entries are keyed by the user's current version, invalidating bumps it instead of
+// deleting every chain/limit combination
+const getActivitiesCacheKey = async (userId, chainIds, limit) => {
+  const version = await readCache(activitiesVersionKey(userId)) || 0;
+  return `activities:${userId}_${version}_${chainIds.join(',')}_${limit}`;
 };
 
+const getCachedActivities = (cacheKey) => readCache(cacheKey);
+
+const setCachedActivities = (cacheKey, data) => writeCache(cacheKey, data, ACTIVITIES_CACHE_DURATION);
+
 // Global function to invalidate activities cache for a user
-global.invalidateActivitiesCache = (userId) => {
-  // Remove all cached entries for this user
-  for (const [key] of activitiesCache) {
-    if (key.startsWith(`${userId}_`)) {
-      activitiesCache.delete(key);
-    }
+global.invalidateActivitiesCache = async (userId) => {
+  try {
+    await getStateStore().increment(activitiesVersionKey(userId), { ttlMs: ACTIVITIES_VERSION_TTL });
+    console.log(`Activities cache invalidated for user: ${userId}`);
+  } catch (error) {
+    console.error(`Error invalidating activities cache for user ${userId}:`, error.message);
   }
-  console.log(`Activities cache invalidated for user: ${userId}`);
 };
 
+// Payments can be indexed by another instance. With a shared store that instance already
+// bumped the version, a per-process store has to hear about it on the bus
+getRealtimeBus().subscribe((event) => {
+  if (event?.userId && getStateStore().name === 'memory') {
+    global.invalidateActivitiesCache(event.userId);
+  }
+});
+
 /**
  *
  * @param {import("fastify").FastifyInstance} app
@@ -259,7 +258,7 @@ export const userRoutes = (app, _, done) => {
       }
 
       // Check cache first with chain-specific key
-      const cachedBalance = getCachedBalance(address, chain);
+      const cachedBalance = await getCachedBalance(address, chain);
       if (cachedBalance) {
         return reply.code(200).send(cachedBalance);
       }
@@ -270,7 +269,7 @@ export const userRoutes = (app, _, done) => {
         const portfolioInfo = await getAptosPortfolio(address, chain.id, aptosClient);
 
         // Cache the result before sending with chain-specific key
-        setCachedBalance(address, chain, portfolioInfo);
+        await setCachedBalance(address, chain, portfolioInfo);
 
         return reply.code(200).send(portfolioInfo);
       }
@@ -336,7 +335,8 @@ export const userRoutes = (app, _, done) => {
 
       // Check cache first
       const chainIds = chains.map(c => c.id);
-      const cachedActivities = getCachedActivities(request.user.id, chainIds, limit);
+      const cacheKey = await getActivitiesCacheKey(request.user.id, chainIds, limit);
+      const cachedActivities = await getCachedActivities(cacheKey);
       if (cachedActivities) {
         return reply.send(cachedActivities);
       }
@@ -646,7 +646,7 @@ export const userRoutes = (app, _, done) => {
       const limitedActivities = allActivities.slice(0, limit);
 
       // Cache the results
-      setCachedActivities(request.user.id, chainIds, limit, limitedActivities);
+      await setCachedActivities(cacheKey, limitedActivities);
 
       return reply.send(limitedActivities);
     } catch (error) {
@@ -993,48 +993,6 @@ export const userRoutes = (app, _, done) => {
     }
   })
 
-
-  // Cache management endpoints
-  app.get('/cache/stats', {
-    preHandler: [authMiddleware],
-    config: {
-      rateLimit: {
-        max: 30, // Allow up to 30 cache stats requests per minute
-        timeWindow: '1 minute'
-      }
-    }
-  }, async (request, reply) => {
-    try {
-      const stats = await getCacheStats();
-      return reply.send(stats);
-    } catch (error) {
-      console.error('Error getting cache stats:', error);
-      return reply.status(500).send({
-        error: 'Failed to get cache stats'
-      });
-    }
-  })
-
-  app.post('/cache/cleanup', {
-    preHandler: [authMiddleware],
-    config: {
-      rateLimit: {
-        max: 5, // Allow up to 5 cache cleanup operations per minute
-        timeWindow: '1 minute'
-      }
-    }
-  }, async (request, reply) => {
-    try {
-      await cleanupOldCacheEntries();
-      return reply.send({ success: true, message: 'Cache cleanup completed' });
-    } catch (error) {
-      console.error('Error during cache cleanup:', error);
-      return reply.status(500).send({
-        error: 'Failed to cleanup cache'
-      });
-    }
-  })
-
   // Save Aptos withdrawal group
   app.post('/aptos/withdrawal-group', {
     preHandler: [authMiddleware]
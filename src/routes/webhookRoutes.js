@@ -0,0 +1,343 @@
+import { prismaQuery } from '../lib/prisma.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { handleError } from '../utils/errorHandler.js';
+import {
+  MAX_WEBHOOK_ENDPOINTS_PER_USER,
+  WEBHOOK_EVENT_TYPES,
+  createWebhookReplay,
+  createWebhookTestDelivery,
+  deliverWebhookNow,
+  generateWebhookSecret,
+  serializeWebhookDelivery,
+  serializeWebhookEndpoint,
+  validateWebhookUrl
+} from '../utils/webhookUtils.js';
+
+const MAX_DESCRIPTION_LENGTH = 200;
+const DELIVERY_STATUSES = ['PENDING', 'SUCCEEDED', 'FAILED'];
+
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0 || events.some(e => !WEBHOOK_EVENT_TYPES.includes(e))) {
+    return `events must be a non-empty array of ${WEBHOOK_EVENT_TYPES.join(', ')}`;
+  }
+  return null;
+};
+
+const validateDescription = (description) => {
+  if (description !== undefined && description !== null &&
+    (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  return null;
+};
+
+const findUserEndpoint = (endpointId, userId) => {
+  return prismaQuery.webhookEndpoint.findFirst({
+    where: { id: endpointId, userId }
+  });
+};
+
+/**
+ * Webhook endpoint management, delivery log, replay and test-fire
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const webhookRoutes = (app, _, done) => {
+  app.get('/endpoints', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const endpoints = await prismaQuery.webhookEndpoint.findMany({
+        where: { userId: request.user.id },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      return reply.send({
+        success: true,
+        data: endpoints.map(serializeWebhookEndpoint)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to fetch webhook endpoints', 'FETCH_WEBHOOKS_ERROR', error);
+    }
+  });
+
+  // The signing secret is only returned here and on rotate-secret
+  app.post('/endpoints', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { url, events = WEBHOOK_EVENT_TYPES, description = null } = request.body || {};
+
+      const validationError = validateWebhookUrl(url) || validateEvents(events) || validateDescription(description);
+      if (validationError) {
+        return handleError(reply, 400, validationError, 'INVALID_WEBHOOK');
+      }
+
+      const endpointCount = await prismaQuery.webhookEndpoint.count({
+        where: { userId: request.user.id }
+      });
+      if (endpointCount >= MAX_WEBHOOK_ENDPOINTS_PER_USER) {
+        return handleError(reply, 400, `You can have at most ${MAX_WEBHOOK_ENDPOINTS_PER_USER} webhook endpoints`, 'WEBHOOK_LIMIT_REACHED');
+      }
+
+      const endpoint = await prismaQuery.webhookEndpoint.create({
+        data: {
+          userId: request.user.id,
+          url,
+          description,
+          events: [...new Set(events)],
+          secret: generateWebhookSecret()
+        }
+      });
+
+      return reply.send({
+        success: true,
+        data: {
+          ...serializeWebhookEndpoint(endpoint),
+          secret: endpoint.secret
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to create webhook endpoint', 'CREATE_WEBHOOK_ERROR', error);
+    }
+  });
+
+  app.post('/endpoints/:endpointId/update', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 20,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { url, events, description, isActive } = request.body || {};
+
+      const endpoint = await findUserEndpoint(request.params.endpointId, request.user.id);
+      if (!endpoint) {
+        return handleError(reply, 404, 'Webhook endpoint not found', 'WEBHOOK_NOT_FOUND');
+      }
+
+      const validationError = (url !== undefined && validateWebhookUrl(url)) ||
+        (events !== undefined && validateEvents(events)) ||
+        validateDescription(description);
+      if (validationError) {
+        return handleError(reply, 400, validationError, 'INVALID_WEBHOOK');
+      }
+      if (isActive !== undefined && typeof isActive !== 'boolean') {
+        return handleError(reply, 400, 'isActive must be a boolean', 'INVALID_WEBHOOK');
+      }
+
+      const updatedEndpoint = await prismaQuery.webhookEndpoint.update({
+        where: { id: endpoint.id },
+        data: {
+          ...(url !== undefined && { url }),
+          ...(events !== undefined && { events: [...new Set(events)] }),
+          ...(description !== undefined && { description }),
+          ...(isActive !== undefined && { isActive }),
+          // Re-enabling starts from a clean failure count
+          ...(isActive === true && { disabledAt: null, consecutiveFailures: 0 })
+        }
+      });
+
+      return reply.send({
+        success: true,
+        data: serializeWebhookEndpoint(updatedEndpoint)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to update webhook endpoint', 'UPDATE_WEBHOOK_ERROR', error);
+    }
+  });
+
+  app.post('/endpoints/:endpointId/rotate-secret', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 5,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const endpoint = await findUserEndpoint(request.params.endpointId, request.user.id);
+      if (!endpoint) {
+        return handleError(reply, 404, 'Webhook endpoint not found', 'WEBHOOK_NOT_FOUND');
+      }
+
+      const updatedEndpoint = await prismaQuery.webhookEndpoint.update({
+        where: { id: endpoint.id },
+        data: { secret: generateWebhookSecret() }
+      });
+
+      return reply.send({
+        success: true,
+        data: {
+          ...serializeWebhookEndpoint(updatedEndpoint),
+          secret: updatedEndpoint.secret
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to rotate webhook secret', 'ROTATE_WEBHOOK_SECRET_ERROR', error);
+    }
+  });
+
+  app.post('/endpoints/:endpointId/delete', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 10,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const endpoint = await findUserEndpoint(request.params.endpointId, request.user.id);
+      if (!endpoint) {
+        return handleError(reply, 404, 'Webhook endpoint not found', 'WEBHOOK_NOT_FOUND');
+      }
+
+      // Deliveries are removed with the endpoint (cascade)
+      await prismaQuery.webhookEndpoint.delete({
+        where: { id: endpoint.id }
+      });
+
+      return reply.send({
+        success: true,
+        data: { id: endpoint.id }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to delete webhook endpoint', 'DELETE_WEBHOOK_ERROR', error);
+    }
+  });
+
+  // Send a TEST event right away and return the outcome
+  app.post('/endpoints/:endpointId/test', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 5,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const endpoint = await findUserEndpoint(request.params.endpointId, request.user.id);
+      if (!endpoint) {
+        return handleError(reply, 404, 'Webhook endpoint not found', 'WEBHOOK_NOT_FOUND');
+      }
+
+      const delivery = await createWebhookTestDelivery(endpoint);
+      const result = await deliverWebhookNow(delivery.id);
+
+      return reply.send({
+        success: true,
+        data: serializeWebhookDelivery(result || delivery)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to send test webhook', 'TEST_WEBHOOK_ERROR', error);
+    }
+  });
+
+  // Delivery log of an endpoint, newest first
+  app.get('/endpoints/:endpointId/deliveries', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 60,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { status, cursor } = request.query;
+      const limit = Math.min(Math.max(parseInt(request.query.limit) || 20, 1), 100);
+
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return handleError(reply, 400, `status must be one of ${DELIVERY_STATUSES.join(', ')}`, 'INVALID_STATUS');
+      }
+
+      const endpoint = await findUserEndpoint(request.params.endpointId, request.user.id);
+      if (!endpoint) {
+        return handleError(reply, 404, 'Webhook endpoint not found', 'WEBHOOK_NOT_FOUND');
+      }
+
+      const deliveries = await prismaQuery.webhookDelivery.findMany({
+        where: {
+          endpointId: endpoint.id,
+          ...(status && { status })
+        },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: limit + 1,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      const hasMore = deliveries.length > limit;
+      const page = deliveries.slice(0, limit);
+
+      return reply.send({
+        success: true,
+        data: page.map(serializeWebhookDelivery),
+        pagination: {
+          hasMore,
+          nextCursor: hasMore ? page[page.length - 1].id : null
+        }
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to fetch webhook deliveries', 'FETCH_WEBHOOK_DELIVERIES_ERROR', error);
+    }
+  });
+
+  // Re-send a past delivery with the same payload (same eventId, so receivers can dedupe)
+  app.post('/deliveries/:deliveryId/replay', {
+    preHandler: [authMiddleware],
+    config: {
+      rateLimit: {
+        max: 20,
+        timeWindow: '1 minute'
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const delivery = await prismaQuery.webhookDelivery.findFirst({
+        where: {
+          id: request.params.deliveryId,
+          endpoint: { userId: request.user.id }
+        },
+        include: { endpoint: true }
+      });
+
+      if (!delivery) {
+        return handleError(reply, 404, 'Webhook delivery not found', 'WEBHOOK_DELIVERY_NOT_FOUND');
+      }
+      if (!delivery.endpoint.isActive) {
+        return handleError(reply, 400, 'Webhook endpoint is disabled, enable it before replaying', 'WEBHOOK_DISABLED');
+      }
+
+      const replay = await createWebhookReplay(delivery);
+      const result = await deliverWebhookNow(replay.id);
+
+      return reply.send({
+        success: true,
+        data: serializeWebhookDelivery(result || replay)
+      });
+    } catch (error) {
+      return handleError(reply, 500, 'Failed to replay webhook delivery', 'REPLAY_WEBHOOK_ERROR', error);
+    }
+  });
+
+  done();
+};
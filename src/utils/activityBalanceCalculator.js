@@ -782,3 +782,60 @@ export async function trackBalanceAccuracy(userId, chain, rpcTotal, activityTota
     return null;
   }
 }
+
+/**
+ * Per stealth address balance of one token, in raw units, from payments, withdrawals and adjustments.
+ * Same rules as calculateUserBalanceFromActivities, without the display formatting.
+ * @param {string} userId - User ID
+ * @param {string} chain - Chain ID
+ * @param {string} mintAddress - Coin type or fungible asset address
+ * @returns {Promise<Array<{address: string, balance: bigint, firstPaymentTimestamp: number|null, paymentCount: number}>>}
+ * Addresses with a positive balance
+ */
+export async function getStealthAddressLedger(userId, chain, mintAddress) {
+  const [payments, withdrawals, adjustments] = await Promise.all([
+    prismaQuery.payment.findMany({
+      where: { link: { userId }, chain, mint: { mintAddress } },
+      select: { stealthOwnerPubkey: true, amount: true, timestamp: true }
+    }),
+    prismaQuery.withdrawal.findMany({
+      where: { userId, chain, mint: { mintAddress } },
+      select: { stealthOwnerPubkey: true, amount: true, amountAfterFee: true }
+    }),
+    prismaQuery.balanceAdjustment.findMany({
+      where: { userId, chain, mintAddress },
+      select: { stealthOwnerPubkey: true, adjustmentAmount: true }
+    })
+  ]);
+
+  const ledger = new Map();
+  const entryFor = (address) => {
+    if (!ledger.has(address)) {
+      ledger.set(address, { address, balance: new BigNumber(0), firstPaymentTimestamp: null, paymentCount: 0 });
+    }
+    return ledger.get(address);
+  };
+
+  for (const payment of payments) {
+    const entry = entryFor(payment.stealthOwnerPubkey);
+    entry.balance = entry.balance.plus(payment.amount);
+    entry.paymentCount++;
+    if (entry.firstPaymentTimestamp === null || payment.timestamp < entry.firstPaymentTimestamp) {
+      entry.firstPaymentTimestamp = payment.timestamp;
+    }
+  }
+
+  for (const withdrawal of withdrawals) {
+    const entry = entryFor(withdrawal.stealthOwnerPubkey);
+    entry.balance = entry.balance.minus(withdrawal.amountAfterFee || withdrawal.amount);
+  }
+
+  for (const adjustment of adjustments) {
+    const entry = entryFor(adjustment.stealthOwnerPubkey);
+    entry.balance = entry.balance.plus(adjustment.adjustmentAmount);
+  }
+
+  return Array.from(ledger.values())
+    .filter(entry => entry.balance.gt(0))
+    .map(entry => ({ ...entry, balance: BigInt(entry.balance.integerValue(BigNumber.ROUND_FLOOR).toFixed(0)) }));
+}
@@ -0,0 +1,114 @@
+import jwt from 'jsonwebtoken';
+import { getRealtimeBus } from '../lib/realtimeBus.js';
+
+// EventSource can't send an Authorization header, so the client trades its JWT for a short ticket
+const STREAM_TICKET_PURPOSE = 'activity_stream';
+// Tickets sit in the stream URL (and so in access logs), the audience keeps them from verifying as anything else
+const STREAM_TICKET_AUDIENCE = 'pivy:activity-stream';
+export const STREAM_TICKET_TTL_SECONDS = 60;
+
+export const MAX_STREAMS_PER_USER = 5;
+
+// userId -> Set of send(event) callbacks, for the connections held by this instance
+const connections = new Map();
+let unsubscribeBus = null;
+
+/**
+ * Issue a short lived ticket to open the activity stream
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.walletId - Wallet the user is signed in with
+ * @returns {string} Signed ticket
+ */
+export const issueStreamTicket = ({ userId, walletId }) => {
+  return jwt.sign({
+    purpose: STREAM_TICKET_PURPOSE,
+    id: userId,
+    walletId
+  }, process.env.JWT_SECRET, {
+    expiresIn: STREAM_TICKET_TTL_SECONDS,
+    audience: STREAM_TICKET_AUDIENCE
+  });
+};
+
+/**
+ * Verify a stream ticket
+ * @param {string} ticket - Ticket from issueStreamTicket
+ * @returns {Object|null} Ticket payload, or null if invalid/expired
+ */
+export const verifyStreamTicket = (ticket) => {
+  try {
+    const payload = jwt.verify(ticket, process.env.JWT_SECRET, { algorithms: ['HS256'], audience: STREAM_TICKET_AUDIENCE });
+    if (payload?.purpose !== STREAM_TICKET_PURPOSE || !payload.id) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+const dispatchUserEvent = (event) => {
+  const userConnections = connections.get(event?.userId);
+  if (!userConnections) return;
+
+  for (const send of userConnections) {
+    try {
+      send(event);
+    } catch (error) {
+      console.error('Error writing activity stream event:', error);
+    }
+  }
+};
+
+export const getStreamCount = (userId) => connections.get(userId)?.size || 0;
+
+/**
+ * Register an open stream. The bus subscription is shared by all streams of the instance
+ * and dropped when the last one closes.
+ * @param {string} userId - User ID
+ * @param {Function} send - Called with every event for the user
+ * @returns {Function} Call when the stream closes
+ */
+export const addStreamConnection = (userId, send) => {
+  if (!connections.has(userId)) {
+    connections.set(userId, new Set());
+  }
+  connections.get(userId).add(send);
+
+  if (!unsubscribeBus) {
+    unsubscribeBus = getRealtimeBus().subscribe(dispatchUserEvent);
+  }
+
+  return () => {
+    const userConnections = connections.get(userId);
+    if (userConnections) {
+      userConnections.delete(send);
+      if (userConnections.size === 0) {
+        connections.delete(userId);
+      }
+    }
+
+    if (connections.size === 0 && unsubscribeBus) {
+      unsubscribeBus();
+      unsubscribeBus = null;
+    }
+  };
+};
+
+/**
+ * Format an event as a Server-Sent Events message
+ * @param {Object} event - Bus event
+ * @returns {string}
+ */
+export const formatSseEvent = (event) => {
+  const lines = [`event: ${event.type}`];
+  if (event.eventId) {
+    lines.push(`id: ${event.eventId}`);
+  }
+  lines.push(`data: ${JSON.stringify({
+    type: event.type,
+    eventId: event.eventId,
+    createdAt: event.createdAt,
+    data: event.data
+  })}`);
+  return `${lines.join('\n')}\n\n`;
+};
@@ -0,0 +1,74 @@
+import { prismaQuery } from '../lib/prisma.js';
+
+export const ADMIN_ROLES = {
+  SUPPORT: 'SUPPORT',
+  OPS: 'OPS',
+  SUPERADMIN: 'SUPERADMIN'
+};
+
+// Each role can do everything the roles before it can
+const ROLE_RANK = [ADMIN_ROLES.SUPPORT, ADMIN_ROLES.OPS, ADMIN_ROLES.SUPERADMIN];
+
+/**
+ * @param {string} role - Role of the admin
+ * @param {string} minRole - Least role the action needs
+ * @returns {boolean}
+ */
+export const hasAdminRole = (role, minRole) => ROLE_RANK.includes(role) && ROLE_RANK.indexOf(role) >= ROLE_RANK.indexOf(minRole);
+
+/**
+ * Role claim for the JWT of a user signing in
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Role of the user's active admin account
+ */
+export const getAdminRoleClaim = async (userId) => {
+  const adminAccount = await prismaQuery.adminAccount.findUnique({
+    where: { userId },
+    select: { role: true, isActive: true }
+  });
+  return adminAccount?.isActive ? adminAccount.role : null;
+};
+
+/**
+ * onResponse hook: audit every request that reached an admin role check with an admin account
+ * @param {import("fastify").FastifyRequest} request
+ * @param {import("fastify").FastifyReply} reply
+ */
+export const recordAdminRequest = async (request, reply) => {
+  const adminAccount = request.adminAccount;
+  if (!adminAccount) return;
+
+  try {
+    await prismaQuery.adminAuditLog.create({
+      data: {
+        adminAccountId: adminAccount.id,
+        role: adminAccount.role,
+        action: `${request.method} ${request.routeOptions?.url || request.url.split('?')[0]}`,
+        params: {
+          params: request.params || {},
+          query: request.query || {},
+          body: request.body && typeof request.body === 'object' ? request.body : {}
+        },
+        statusCode: reply.statusCode,
+        ip: request.ip || null
+      }
+    });
+  } catch (error) {
+    console.error(`Error recording admin action of ${adminAccount.id}:`, error.message);
+  }
+};
+
+/**
+ * Public shape of an AdminAccount row, with its user when included
+ */
+export const serializeAdminAccount = (adminAccount) => ({
+  id: adminAccount.id,
+  userId: adminAccount.userId,
+  username: adminAccount.user?.username ?? null,
+  role: adminAccount.role,
+  isActive: adminAccount.isActive,
+  grantedById: adminAccount.grantedById,
+  revokedAt: adminAccount.revokedAt,
+  createdAt: adminAccount.createdAt,
+  updatedAt: adminAccount.updatedAt
+});
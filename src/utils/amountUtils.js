@@ -0,0 +1,73 @@
+import BigNumber from 'bignumber.js';
+import { CHAINS } from '../config.js';
+import { getOrCreateMintData } from './linkUtils.js';
+
+/**
+ * Convert a human readable amount to the smallest unit of a mint
+ * @param {string|number} amount - e.g. "12.5"
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint|null} Raw amount, or null if not a positive amount with at most `decimals` decimals
+ */
+export const toRawAmount = (amount, decimals) => {
+  const value = new BigNumber(amount);
+  if (!value.isFinite() || value.lte(0)) return null;
+
+  const raw = value.shiftedBy(decimals);
+  if (!raw.isInteger()) return null;
+
+  return BigInt(raw.toFixed(0));
+};
+
+/**
+ * Format a raw amount back to a human readable string
+ * @param {bigint} raw - Raw amount
+ * @param {number} decimals - Mint decimals
+ * @returns {string}
+ */
+export const fromRawAmount = (raw, decimals) => {
+  return new BigNumber(raw.toString()).shiftedBy(-decimals).toFixed();
+};
+
+/**
+ * Resolve a per-chain amount list from a request ([{ chain, mint, amount, isNative? }])
+ * into rows with mintId and raw amount, checked against the chains the link accepts.
+ * @param {Array} amounts - Request amounts
+ * @param {Object} link - Link the amounts are for
+ * @returns {Promise<{amounts?: Array<{chain, mintId, amount}>, error?: {message, code}}>}
+ */
+export const resolveChainAmounts = async (amounts, link) => {
+  if (!Array.isArray(amounts) || amounts.length === 0) {
+    return { error: { message: 'amounts must be a non-empty array of { chain, mint, amount }', code: 'INVALID_AMOUNTS' } };
+  }
+  if (new Set(amounts.map(a => a?.chain)).size !== amounts.length) {
+    return { error: { message: 'Only one amount per chain is allowed', code: 'INVALID_AMOUNTS' } };
+  }
+
+  const resolved = [];
+  for (const entry of amounts) {
+    const chainConfig = CHAINS[entry?.chain];
+    if (!chainConfig) {
+      return { error: { message: `Invalid chain ${entry?.chain}`, code: 'INVALID_CHAIN' } };
+    }
+    if (link.supportedChains.length > 0 && !link.supportedChains.includes(chainConfig.id)) {
+      return { error: { message: `Link does not accept payments on ${chainConfig.id}`, code: 'CHAIN_NOT_SUPPORTED' } };
+    }
+    if (!entry.mint || typeof entry.mint !== 'string') {
+      return { error: { message: `Missing mint for ${chainConfig.id}`, code: 'INVALID_AMOUNTS' } };
+    }
+
+    const mint = await getOrCreateMintData(chainConfig.id, entry.mint, entry.isNative || false);
+    const rawAmount = toRawAmount(entry.amount, mint.decimals);
+    if (rawAmount === null) {
+      return { error: { message: `Amount for ${chainConfig.id} must be positive with at most ${mint.decimals} decimals`, code: 'INVALID_AMOUNTS' } };
+    }
+
+    resolved.push({
+      chain: chainConfig.id,
+      mintId: mint.id,
+      amount: rawAmount
+    });
+  }
+
+  return { amounts: resolved };
+};
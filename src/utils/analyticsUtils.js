@@ -0,0 +1,68 @@
+export const DEFAULT_CONVERSION_WINDOW_MINUTES = 30;
+export const MAX_CONVERSION_WINDOW_MINUTES = 1440;
+export const DEFAULT_ANALYTICS_DAYS = 30;
+export const MAX_ANALYTICS_DAYS = 90;
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Link unfurlers and crawlers that fetch URLs without a person behind them
+const BOT_PATTERN = /bot|crawl|spider|preview|facebookexternalhit|whatsapp|telegram|slack|discord|curl|wget|python-requests|axios|node-fetch/i;
+
+/**
+ * Rough device class from the user agent, enough to tell phones from desktops and link previews
+ * @param {string|null} userAgent
+ * @returns {string} DeviceClass
+ */
+export const classifyDevice = (userAgent) => {
+  if (!userAgent) return 'OTHER';
+  if (BOT_PATTERN.test(userAgent)) return 'BOT';
+  if (/iPhone|iPad|iPod/.test(userAgent)) return 'IOS';
+  if (/Android/.test(userAgent)) return 'ANDROID';
+  if (/Windows|Macintosh|X11|Linux|CrOS/.test(userAgent)) return 'DESKTOP';
+  return 'OTHER';
+};
+
+/**
+ * @param {*} value - Query param
+ * @returns {number|null} Conversion window in minutes, null when out of range
+ */
+export const parseConversionWindow = (value) => {
+  if (value === undefined) return DEFAULT_CONVERSION_WINDOW_MINUTES;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_CONVERSION_WINDOW_MINUTES) return null;
+  return minutes;
+};
+
+/**
+ * @param {*} value - Query param
+ * @returns {number|null} Report length in days, null when out of range
+ */
+export const parseAnalyticsDays = (value) => {
+  if (value === undefined) return DEFAULT_ANALYTICS_DAYS;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_ANALYTICS_DAYS) return null;
+  return days;
+};
+
+/**
+ * First UTC midnight of a report covering the last `days` days, today included
+ * @param {number} days
+ * @returns {Date}
+ */
+export const getReportStart = (days) => {
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  return new Date(today.getTime() - (days - 1) * DAY_MS);
+};
+
+/**
+ * One entry per day from `since`, days missing from `rowsByDate` get `emptyRow`
+ * @param {Date} since - UTC midnight
+ * @param {number} days
+ * @param {Map<string, Object>} rowsByDate - Keyed by YYYY-MM-DD
+ * @param {Object} emptyRow
+ * @returns {Array<Object>}
+ */
+export const fillDays = (since, days, rowsByDate, emptyRow) => Array.from({ length: days }, (_, i) => {
+  const date = new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10);
+  return { date, ...emptyRow, ...rowsByDate.get(date) };
+});
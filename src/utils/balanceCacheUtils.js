@@ -1,4 +1,5 @@
 import { prismaQuery } from "../lib/prisma.js";
+import { publishUserEvent } from "../lib/realtimeBus.js";
 
 // Cache duration constants
 const FULL_REFRESH_INTERVAL = 10 * 60 * 1000; // 10 minutes
@@ -397,6 +398,38 @@ async function getCachedAddressBalances(addresses, chain) {
   };
 }
 
+/**
+ * Fresh cached on-chain balances of one token for a set of addresses
+ * @param {Array<string>} addresses - Stealth addresses
+ * @param {Object} chain - CHAINS entry
+ * @param {Object} mint - MintDataCache row ({ mintAddress, isNative })
+ * @returns {Promise<Map<string, number>>} Display unit balances keyed by address, only entries refreshed
+ * within ADDRESS_CACHE_INTERVAL that hold the token
+ */
+export async function getFreshCachedTokenBalances(addresses, chain, mint) {
+  const cachedBalances = await prismaQuery.addressBalanceCache.findMany({
+    where: {
+      address: { in: addresses },
+      chain: chain.id,
+      lastFetched: { gte: new Date(Date.now() - ADDRESS_CACHE_INTERVAL) }
+    }
+  });
+
+  const balances = new Map();
+  for (const cached of cachedBalances) {
+    if (mint.isNative) {
+      balances.set(cached.address, parseFloat(cached.nativeBalance));
+      continue;
+    }
+
+    const tokenBalances = Array.isArray(cached.tokenBalances) ? cached.tokenBalances : [];
+    const token = tokenBalances.find(t => t.mintAddress === mint.mintAddress);
+    if (token) balances.set(cached.address, token.total);
+  }
+
+  return balances;
+}
+
 /**
  * Refresh user balances in the background (non-blocking)
  */
@@ -652,8 +685,15 @@ export async function invalidateCacheForNewPayment(payment) {
       
       // Invalidate activities cache for this user (if available globally)
       if (global.invalidateActivitiesCache) {
-        global.invalidateActivitiesCache(link.userId);
+        await global.invalidateActivitiesCache(link.userId);
       }
+
+      // Tell open activity streams to refetch balances
+      await publishUserEvent({
+        userId: link.userId,
+        type: 'BALANCE_CHANGED',
+        data: { chain, address: stealthOwnerPubkey }
+      });
     }
 
   } catch (error) {
@@ -707,8 +747,15 @@ export async function invalidateCacheForNewWithdrawal(withdrawal) {
       
       // Invalidate activities cache for this user (if available globally)
       if (global.invalidateActivitiesCache) {
-        global.invalidateActivitiesCache(userId);
+        await global.invalidateActivitiesCache(userId);
       }
+
+      // Tell open activity streams to refetch balances
+      await publishUserEvent({
+        userId,
+        type: 'BALANCE_CHANGED',
+        data: { chain, address: stealthOwnerPubkey }
+      });
     }
 
   } catch (error) {
@@ -0,0 +1,219 @@
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import BigNumber from 'bignumber.js';
+import crypto from 'crypto';
+import { prismaQuery } from '../lib/prisma.js';
+import { getStealthAddressLedger } from './activityBalanceCalculator.js';
+import { getFreshCachedTokenBalances } from './balanceCacheUtils.js';
+
+export const WITHDRAWAL_STRATEGIES = {
+  FEWEST_TRANSACTIONS: 'fewest-transactions', // Largest balances first, one address when one is enough
+  OLDEST_FIRST: 'oldest-first', // Addresses that received their first payment earliest
+  PRIVACY: 'privacy' // A single address, so no two stealth addresses are linked by a shared recipient
+};
+
+// Same cap as the withdrawals array of /tx/prepare-aptos-withdrawal
+export const MAX_PLANNED_WITHDRAWALS = 100;
+
+// With jitter, each address keeps a random share of its balance (basis points) so withdrawn amounts
+// don't match the balances that were paid in
+const JITTER_MIN_KEEP_BPS = 500;
+const JITTER_MAX_KEEP_BPS = 4000;
+
+/**
+ * Amount and strategy of a withdrawal plan request
+ * @returns {{amount?: bigint, strategy?: string, error?: string}}
+ */
+export const parsePlanParams = ({ amount, strategy = WITHDRAWAL_STRATEGIES.FEWEST_TRANSACTIONS }) => {
+  if (!/^\d+$/.test(String(amount)) || BigInt(amount) <= 0n) {
+    return { error: 'amount must be a positive raw integer amount' };
+  }
+  if (!Object.values(WITHDRAWAL_STRATEGIES).includes(strategy)) {
+    return { error: `strategy must be one of ${Object.values(WITHDRAWAL_STRATEGIES).join(', ')}` };
+  }
+  return { amount: BigInt(amount), strategy };
+};
+
+const normalizeAddress = (address) => {
+  try {
+    return AccountAddress.from(address).toStringLong();
+  } catch (error) {
+    return address;
+  }
+};
+
+/**
+ * Stealth addresses with a sponsored transaction still in flight. Their next sequence number is taken,
+ * and the ledger doesn't reflect the pending withdrawal yet.
+ */
+const getBusyAddresses = async (userId, chain) => {
+  const inFlight = await prismaQuery.preparedTransaction.findMany({
+    where: {
+      userId,
+      chain,
+      status: { in: ['PREPARED', 'SUBMITTED'] },
+      expiresAt: { gt: new Date() }
+    },
+    select: { sender: true }
+  });
+  return new Set(inFlight.map(tx => tx.sender));
+};
+
+/**
+ * Spendable raw balance of an address: its ledger balance, capped by a fresh cached on-chain balance
+ */
+const toSpendable = (entry, cachedBalances, decimals) => {
+  const cached = cachedBalances.get(entry.address);
+  if (cached === undefined) return entry.balance;
+
+  const cachedRaw = BigInt(new BigNumber(cached).shiftedBy(decimals).integerValue(BigNumber.ROUND_FLOOR).toFixed(0));
+  return cachedRaw < entry.balance ? cachedRaw : entry.balance;
+};
+
+const selectAddresses = (candidates, amount, strategy) => {
+  if (strategy === WITHDRAWAL_STRATEGIES.PRIVACY) {
+    // Smallest address that covers the amount, larger ones stay untouched
+    const single = candidates
+      .filter(c => c.spendable >= amount)
+      .sort((a, b) => (a.spendable < b.spendable ? -1 : a.spendable > b.spendable ? 1 : 0))[0];
+    return single ? [single] : null;
+  }
+
+  let ordered;
+  if (strategy === WITHDRAWAL_STRATEGIES.OLDEST_FIRST) {
+    ordered = [...candidates].sort((a, b) => (a.firstPaymentTimestamp ?? Infinity) - (b.firstPaymentTimestamp ?? Infinity));
+  } else {
+    const single = selectAddresses(candidates, amount, WITHDRAWAL_STRATEGIES.PRIVACY);
+    if (single) return single;
+    ordered = [...candidates].sort((a, b) => (a.spendable > b.spendable ? -1 : a.spendable < b.spendable ? 1 : 0));
+  }
+
+  const selected = [];
+  let covered = 0n;
+  for (const candidate of ordered) {
+    if (covered >= amount) break;
+    selected.push(candidate);
+    covered += candidate.spendable;
+  }
+  return covered >= amount ? selected : null;
+};
+
+// Least an address gives with jitter, when it keeps the largest share
+const minJitteredSpendable = (spendable) => spendable - (spendable * BigInt(JITTER_MAX_KEEP_BPS)) / 10000n;
+
+const applyJitter = (candidates) => candidates.map(candidate => {
+  const keepBps = BigInt(crypto.randomInt(JITTER_MIN_KEEP_BPS, JITTER_MAX_KEEP_BPS + 1));
+  return { ...candidate, spendable: candidate.spendable - (candidate.spendable * keepBps) / 10000n };
+});
+
+/**
+ * Plan which stealth addresses to withdraw a token amount from. Nothing is built or signed.
+ * @param {Object} params
+ * @param {string} params.userId - User withdrawing
+ * @param {Object} params.chainConfig - CHAINS entry
+ * @param {string} params.token - Coin type or fungible asset address
+ * @param {bigint} params.amount - Raw amount to take out of the stealth addresses
+ * @param {string} [params.strategy] - One of WITHDRAWAL_STRATEGIES
+ * @param {boolean} [params.jitter] - Leave part of every address behind, JITTER_NOT_POSSIBLE when the amount needs too much of it
+ * @returns {Promise<{plan?: Object, error?: {code: string, message: string, details?: Object}}>}
+ */
+export const planWithdrawal = async ({ userId, chainConfig, token, amount, strategy = WITHDRAWAL_STRATEGIES.FEWEST_TRANSACTIONS, jitter = false }) => {
+  const mint = await prismaQuery.mintDataCache.findUnique({
+    where: { mintAddress_chain: { mintAddress: token, chain: chainConfig.id } }
+  });
+  if (!mint) {
+    return { error: { code: 'TOKEN_NOT_FOUND', message: 'Token not found on this chain' } };
+  }
+
+  const [ledger, busyAddresses] = await Promise.all([
+    getStealthAddressLedger(userId, chainConfig.id, token),
+    getBusyAddresses(userId, chainConfig.id)
+  ]);
+  const cachedBalances = await getFreshCachedTokenBalances(ledger.map(entry => entry.address), chainConfig, mint);
+
+  const skippedAddresses = [];
+  const candidates = [];
+  for (const entry of ledger) {
+    if (busyAddresses.has(normalizeAddress(entry.address))) {
+      skippedAddresses.push({ address: entry.address, reason: 'TRANSACTION_IN_FLIGHT' });
+      continue;
+    }
+    const spendable = toSpendable(entry, cachedBalances, mint.decimals);
+    if (spendable > 0n) candidates.push({ ...entry, spendable });
+  }
+
+  const totalAvailable = candidates.reduce((sum, c) => sum + c.spendable, 0n);
+  const maxSingleAddressAmount = candidates.reduce((max, c) => (c.spendable > max ? c.spendable : max), 0n);
+  const availability = {
+    totalAvailable: totalAvailable.toString(),
+    maxSingleAddressAmount: maxSingleAddressAmount.toString()
+  };
+
+  if (totalAvailable < amount) {
+    return { error: { code: 'INSUFFICIENT_BALANCE', message: `Not enough balance across your stealth addresses (available: ${totalAvailable})`, details: availability } };
+  }
+
+  const selected = selectAddresses(jitter ? applyJitter(candidates) : candidates, amount, strategy);
+  // Without jitter the withdrawn amounts would match the balances paid in, so don't plan one without it
+  if (!selected && jitter && selectAddresses(candidates, amount, strategy)) {
+    const jitterSafeAmounts = candidates.map(c => minJitteredSpendable(c.spendable));
+    const maxJitteredAmount = strategy === WITHDRAWAL_STRATEGIES.PRIVACY
+      ? jitterSafeAmounts.reduce((max, value) => (value > max ? value : max), 0n)
+      : jitterSafeAmounts.reduce((sum, value) => sum + value, 0n);
+    return {
+      error: {
+        code: 'JITTER_NOT_POSSIBLE',
+        message: `This amount would leave too little behind in your stealth addresses, lower it (${maxJitteredAmount} always works)`,
+        details: { ...availability, maxJitteredAmount: maxJitteredAmount.toString() }
+      }
+    };
+  }
+  if (!selected) {
+    return {
+      error: {
+        code: 'NO_SINGLE_ADDRESS',
+        message: `No single stealth address holds this amount (largest: ${maxSingleAddressAmount}), lower it or use another strategy`,
+        details: availability
+      }
+    };
+  }
+  if (selected.length > MAX_PLANNED_WITHDRAWALS) {
+    return {
+      error: {
+        code: 'TOO_MANY_WITHDRAWALS',
+        message: `Withdrawing this amount needs more than ${MAX_PLANNED_WITHDRAWALS} transactions, lower it`,
+        details: availability
+      }
+    };
+  }
+
+  // Every address is drained (down to its jitter share) except the last one, which only gives what is left
+  const spendableByAddress = new Map(candidates.map(c => [c.address, c.spendable]));
+  let remaining = amount;
+  const withdrawals = selected.map(candidate => {
+    const take = candidate.spendable < remaining ? candidate.spendable : remaining;
+    const balance = spendableByAddress.get(candidate.address);
+    remaining -= take;
+    return {
+      fromStealthAddress: candidate.address,
+      amount: take.toString(),
+      balance: balance.toString(),
+      remainingBalance: (balance - take).toString()
+    };
+  });
+
+  return {
+    plan: {
+      chain: chainConfig.id,
+      token,
+      decimals: mint.decimals,
+      symbol: mint.symbol,
+      amount: amount.toString(),
+      strategy,
+      isJittered: jitter,
+      transactionCount: withdrawals.length,
+      ...availability,
+      withdrawals,
+      skippedAddresses
+    }
+  };
+};
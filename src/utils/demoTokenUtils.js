@@ -1,11 +1,33 @@
 // eslint-disable-next-line no-unused-vars
 import { NetworkChain } from "@prisma/client";
 import { prismaQuery } from "../lib/prisma.js";
+import { getStateStore } from "../lib/stateStore.js";
 
-// Queue system for throttling airdrop requests
+// Queue system for throttling airdrop requests. The queue keeps this process's requests in
+// order, the spacing between airdrops is a slot in the shared state store so it holds
+// across all instances
 const airdropQueue = [];
 let isProcessing = false;
 const AIRDROP_DELAY = 1000; // 1 second delay between airdrops
+const AIRDROP_SLOT_POLL_INTERVAL = 250;
+
+// Wait until no instance has sent an airdrop within AIRDROP_DELAY, and take the slot
+const waitForAirdropSlot = async () => {
+  for (;;) {
+    try {
+      const claimed = await getStateStore().set('airdrop-slot', Date.now(), {
+        ttlMs: AIRDROP_DELAY,
+        onlyIfAbsent: true
+      });
+      if (claimed) return;
+    } catch (error) {
+      // Don't hold airdrops back on the store, the faucet rate limits us at worst
+      console.error('Error claiming airdrop slot:', error.message);
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, AIRDROP_SLOT_POLL_INTERVAL));
+  }
+};
 
 const processQueue = async () => {
   if (isProcessing || airdropQueue.length === 0) return;
@@ -16,16 +38,13 @@ const processQueue = async () => {
     const { userId, chain, resolve, reject } = airdropQueue.shift();
 
     try {
+      // Wait for our turn to avoid rate limits
+      await waitForAirdropSlot();
       const result = await executeDemoTokenSend({ userId, chain });
       resolve(result);
     } catch (error) {
       reject(error);
     }
-
-    // Wait before processing next item to avoid rate limits
-    if (airdropQueue.length > 0) {
-      await new Promise(resolve => setTimeout(resolve, AIRDROP_DELAY));
-    }
   }
 
   isProcessing = false;
@@ -0,0 +1,179 @@
+import BigNumber from 'bignumber.js';
+import jwt from 'jsonwebtoken';
+import { prismaQuery } from '../lib/prisma.js';
+import { getAlphanumericId } from './miscUtils.js';
+
+// Download grants are short-lived on purpose: buyers exchange their proof of payment
+// for a grant right before downloading, so a leaked grant token dies quickly.
+export const DOWNLOAD_GRANT_TTL_SECONDS = 60 * 60; // 1 hour
+export const DOWNLOAD_GRANT_MAX_DOWNLOADS = 5;
+// Caps how many grants a single payment can mint, so a leaked claim can't be farmed forever
+export const DOWNLOAD_GRANTS_PER_PAYMENT = 3;
+// Signed URL lifetime handed out for deliverables (thumbnails keep the 1 hour URL)
+export const DELIVERABLE_SIGNED_URL_TTL_SECONDS = 5 * 60;
+
+const DOWNLOAD_CLAIM_PURPOSE = 'download_claim';
+const DOWNLOAD_CLAIM_TTL = '7d';
+
+/**
+ * Issue a signed claim for a stealth payment that is about to be sent to a link.
+ * The claim can later be exchanged for a download grant once the payment is indexed.
+ * @param {Object} params
+ * @param {string} params.linkId - Link the payment is paying for
+ * @param {string} params.stealthAddress - Stealth address the payment is sent to
+ * @param {string} params.ephemeralPubkey - Ephemeral public key (base58) used for the payment
+ * @returns {string} Signed claim
+ */
+export const issueDownloadClaim = ({ linkId, stealthAddress, ephemeralPubkey }) => {
+  return jwt.sign({
+    purpose: DOWNLOAD_CLAIM_PURPOSE,
+    linkId,
+    stealthAddress,
+    ephemeralPubkey
+  }, process.env.JWT_SECRET, {
+    expiresIn: DOWNLOAD_CLAIM_TTL
+  });
+};
+
+/**
+ * Verify a signed download claim
+ * @param {string} claim - Signed claim from issueDownloadClaim
+ * @returns {Object|null} Claim payload, or null if invalid/expired
+ */
+export const verifyDownloadClaim = (claim) => {
+  try {
+    const payload = jwt.verify(claim, process.env.JWT_SECRET);
+    if (payload?.purpose !== DOWNLOAD_CLAIM_PURPOSE) return null;
+    if (!payload.linkId || !payload.stealthAddress || !payload.ephemeralPubkey) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find the indexed payment behind a download claim. Only the payer gets the claim, unlike the
+ * tx hash of the payment which anyone can read on chain.
+ * @param {Object} params
+ * @param {string} params.linkId - Link id
+ * @param {Object} params.claim - Verified claim payload
+ * @returns {Promise<Object|null>} Payment or null
+ */
+export const findPaymentForProof = async ({ linkId, claim }) => {
+  return prismaQuery.payment.findFirst({
+    where: {
+      linkId,
+      stealthOwnerPubkey: claim.stealthAddress,
+      ephemeralPubkey: claim.ephemeralPubkey
+    }
+  });
+};
+
+/**
+ * Check a payment pays the price of the link on its chain: the configured mint, and at least
+ * the configured amount for FIXED links
+ * @param {Object} params
+ * @param {Object} params.link - Link with `amountType`
+ * @param {Object} params.payment - Indexed payment
+ * @returns {Promise<boolean>}
+ */
+export const paymentCoversLinkPrice = async ({ link, payment }) => {
+  const chainConfig = await prismaQuery.linkChainConfig.findUnique({
+    where: { linkId_chain: { linkId: link.id, chain: payment.chain } },
+    include: { mint: true }
+  });
+
+  if (!chainConfig?.mint || chainConfig.mintId !== payment.mintId) return false;
+  if (link.amountType !== 'FIXED') return payment.amount > 0n;
+  if (!chainConfig.amount) return false;
+
+  const price = new BigNumber(chainConfig.amount)
+    .shiftedBy(chainConfig.mint.decimals)
+    .integerValue(BigNumber.ROUND_CEIL);
+  return payment.amount >= BigInt(price.toFixed(0));
+};
+
+/**
+ * Create a download grant for a payment, reusing a still-valid grant when one exists
+ * @param {Object} params
+ * @param {Object} params.payment - Payment the grant is tied to
+ * @param {"CLAIM"} params.proofType - How the payment was proven (older grants have "TX_HASH")
+ * @param {string|null} params.ipAddress - Requester IP
+ * @param {string|null} params.userAgent - Requester user agent
+ * @returns {Promise<{grant: Object|null, error: string|null}>}
+ */
+export const createDownloadGrant = async ({ payment, proofType, ipAddress = null, userAgent = null }) => {
+  const now = new Date();
+
+  const grants = await prismaQuery.fileDownloadGrant.findMany({
+    where: { paymentId: payment.id },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const activeGrant = grants.find(g => g.expiresAt > now && g.downloadCount < g.maxDownloads);
+  if (activeGrant) {
+    return { grant: activeGrant, error: null };
+  }
+
+  if (grants.length >= DOWNLOAD_GRANTS_PER_PAYMENT) {
+    return { grant: null, error: 'GRANT_LIMIT_REACHED' };
+  }
+
+  const grant = await prismaQuery.fileDownloadGrant.create({
+    data: {
+      token: getAlphanumericId(32),
+      linkId: payment.linkId,
+      paymentId: payment.id,
+      proofType,
+      maxDownloads: DOWNLOAD_GRANT_MAX_DOWNLOADS,
+      expiresAt: new Date(now.getTime() + DOWNLOAD_GRANT_TTL_SECONDS * 1000),
+      ipAddress,
+      userAgent: userAgent?.substring(0, 500) || null
+    }
+  });
+
+  return { grant, error: null };
+};
+
+/**
+ * Consume one download from a grant. The increment is conditional so concurrent
+ * requests can't push a grant past its download limit.
+ * @param {string} token - Grant token
+ * @param {string} linkId - Link the requested file belongs to
+ * @returns {Promise<{grant: Object|null, error: string|null}>}
+ */
+export const consumeDownloadGrant = async (token, linkId) => {
+  const grant = await prismaQuery.fileDownloadGrant.findUnique({
+    where: { token }
+  });
+
+  if (!grant || grant.linkId !== linkId) {
+    return { grant: null, error: 'GRANT_INVALID' };
+  }
+
+  const now = new Date();
+  if (grant.expiresAt <= now) {
+    return { grant: null, error: 'GRANT_EXPIRED' };
+  }
+
+  const result = await prismaQuery.fileDownloadGrant.updateMany({
+    where: {
+      id: grant.id,
+      downloadCount: { lt: grant.maxDownloads },
+      expiresAt: { gt: now }
+    },
+    data: {
+      downloadCount: { increment: 1 },
+      lastDownloadAt: now
+    }
+  });
+
+  if (result.count === 0) {
+    return { grant: null, error: 'GRANT_EXHAUSTED' };
+  }
+
+  return {
+    grant: { ...grant, downloadCount: grant.downloadCount + 1 },
+    error: null
+  };
+};
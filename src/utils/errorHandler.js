@@ -1,6 +1,6 @@
 import { prismaQuery } from '../lib/prisma.js';
 
-export const handleError = async (reply, statusCode, message, errorCode, originalError = null, context = null) => {
+export const handleError = async (reply, statusCode, message, errorCode, originalError = null, context = null, responseDetails = null) => {
   try {
     const request = reply.request;
     const userId = request.user?.id || null;
@@ -50,7 +50,8 @@ export const handleError = async (reply, statusCode, message, errorCode, origina
         ...(process.env.NODE_ENV === 'development' && originalError && {
           details: originalError.message,
           stack: originalError.stack
-        })
+        }),
+        ...(responseDetails && { details: responseDetails })
       },
       data: null,
       timestamp: new Date().toISOString()
@@ -63,7 +64,8 @@ export const handleError = async (reply, statusCode, message, errorCode, origina
       success: false,
       error: {
         code: errorCode,
-        message
+        message,
+        ...(responseDetails && { details: responseDetails })
       },
       data: null
     });
@@ -81,6 +83,19 @@ export const handleValidationError = (reply, missingFields) => {
   );
 };
 
+// For errors the client can act on (e.g. a shortfall or a limit), details are also sent back as error.details
+export const handleDetailedError = (reply, statusCode, message, errorCode, details) => {
+  return handleError(
+    reply,
+    statusCode,
+    message,
+    errorCode,
+    null,
+    details,
+    details
+  );
+};
+
 export const handleNotFoundError = (reply, resource) => {
   return handleError(
     reply,
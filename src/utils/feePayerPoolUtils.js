@@ -0,0 +1,255 @@
+import { GAS_SPONSORSHIP } from '../config.js';
+import { prismaQuery } from '../lib/prisma.js';
+import { createAptosClient } from './aptosUtils.js';
+import { formatApt } from './gasSponsorshipUtils.js';
+
+// Rotation state is read from the balance monitor's rows, cached per process
+const POOL_STATE_MAX_AGE_MS = 30 * 1000; // 30 seconds
+// least-used picks the payer with the fewest signatures in this window
+const LEAST_USED_WINDOW_SECONDS = 60 * 60;
+
+const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const SNAPSHOT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_REPORT_DAYS = 30;
+
+const poolStates = new Map(); // chain -> { fetchedAt, accounts: Map<address, FeePayerAccount> }
+const roundRobinCursors = new Map(); // chain -> index of the last selected payer
+
+/**
+ * @param {import('@aptos-labs/ts-sdk').Account} account - Fee payer account
+ * @returns {string} Long form address
+ */
+export const getFeePayerAddress = (account) => account.accountAddress.toStringLong();
+
+const getPoolState = async (chain) => {
+  const cached = poolStates.get(chain);
+  if (cached && Date.now() - cached.fetchedAt < POOL_STATE_MAX_AGE_MS) {
+    return cached.accounts;
+  }
+
+  const rows = await prismaQuery.feePayerAccount.findMany({
+    where: { chain }
+  });
+  const accounts = new Map(rows.map(row => [row.address, row]));
+  poolStates.set(chain, { fetchedAt: Date.now(), accounts });
+  return accounts;
+};
+
+const pickLeastUsed = async (chain, candidates) => {
+  const usage = await prismaQuery.gasSponsorshipLog.groupBy({
+    by: ['feePayer'],
+    where: {
+      chain,
+      feePayer: { in: candidates.map(getFeePayerAddress) },
+      timestamp: { gte: Math.floor(Date.now() / 1000) - LEAST_USED_WINDOW_SECONDS }
+    },
+    _count: { _all: true }
+  });
+  const counts = new Map(usage.map(row => [row.feePayer, row._count._all]));
+
+  // Ties go to the first configured payer
+  return candidates.reduce((best, candidate) =>
+    (counts.get(getFeePayerAddress(candidate)) || 0) < (counts.get(getFeePayerAddress(best)) || 0) ? candidate : best
+  );
+};
+
+/**
+ * Pick the fee payer that signs the next sponsored transaction on a chain. Payers the balance
+ * monitor took out of rotation are skipped, payers it hasn't checked yet are used.
+ * @param {string} chain - Chain ID
+ * @returns {Promise<import('@aptos-labs/ts-sdk').Account|null>} Null when every payer is out of rotation
+ */
+export const selectFeePayer = async (chain) => {
+  const { wallets, FEE_PAYER_SELECTION } = GAS_SPONSORSHIP.APTOS;
+  if (wallets.length === 0) return null;
+
+  const accounts = await getPoolState(chain);
+  const candidates = wallets.filter(wallet => accounts.get(getFeePayerAddress(wallet))?.isInRotation !== false);
+  if (candidates.length === 0) return null;
+
+  if (FEE_PAYER_SELECTION === 'least-used') {
+    return pickLeastUsed(chain, candidates);
+  }
+
+  const cursor = ((roundRobinCursors.get(chain) ?? -1) + 1) % candidates.length;
+  roundRobinCursors.set(chain, cursor);
+  return candidates[cursor];
+};
+
+/**
+ * Check the APT balance of every pool payer on a chain, take payers below FEE_PAYER_MIN_BALANCE
+ * out of rotation (and back in once topped up), and keep an hourly balance history.
+ * A failed balance check leaves the payer's rotation unchanged.
+ * @param {string} chain - Chain ID
+ * @returns {Promise<number>} Payers in rotation after the check
+ */
+export const refreshFeePayerBalances = async (chain) => {
+  const { wallets, FEE_PAYER_MIN_BALANCE } = GAS_SPONSORSHIP.APTOS;
+  const aptos = createAptosClient(chain);
+  let inRotationCount = 0;
+
+  for (const wallet of wallets) {
+    const address = getFeePayerAddress(wallet);
+    const previous = await prismaQuery.feePayerAccount.findUnique({
+      where: { chain_address: { chain, address } }
+    });
+
+    let balance;
+    try {
+      balance = BigInt(await aptos.getAccountAPTAmount({ accountAddress: address }));
+    } catch (error) {
+      console.error(`Error checking fee payer ${address} balance on ${chain}:`, error.message);
+      await prismaQuery.feePayerAccount.upsert({
+        where: { chain_address: { chain, address } },
+        create: { chain, address, lastError: error.message?.substring(0, 500) || 'Unknown error' },
+        update: { lastError: error.message?.substring(0, 500) || 'Unknown error' }
+      });
+      if (previous?.isInRotation !== false) inRotationCount++;
+      continue;
+    }
+
+    const isInRotation = balance >= FEE_PAYER_MIN_BALANCE;
+    if (isInRotation) inRotationCount++;
+
+    if (!isInRotation && previous?.isInRotation !== false) {
+      console.warn(`⚠️ Fee payer ${address} on ${chain} is low on APT (${formatApt(balance)} APT), taking it out of rotation`);
+    } else if (isInRotation && previous?.isInRotation === false) {
+      console.log(`Fee payer ${address} on ${chain} topped up (${formatApt(balance)} APT), back in rotation`);
+    }
+
+    const data = { balance, balanceCheckedAt: new Date(), isInRotation, lastError: null };
+    const account = await prismaQuery.feePayerAccount.upsert({
+      where: { chain_address: { chain, address } },
+      create: { ...data, chain, address },
+      update: data
+    });
+
+    const lastSnapshot = await prismaQuery.feePayerBalanceSnapshot.findFirst({
+      where: { feePayerAccountId: account.id },
+      orderBy: { createdAt: 'desc' }
+    });
+    if (!lastSnapshot || Date.now() - lastSnapshot.createdAt.getTime() >= SNAPSHOT_INTERVAL_MS) {
+      await prismaQuery.feePayerBalanceSnapshot.create({
+        data: { feePayerAccountId: account.id, balance }
+      });
+    }
+  }
+
+  if (wallets.length > 0 && inRotationCount === 0) {
+    console.error(`🚨 Every fee payer on ${chain} is out of rotation, gas sponsorship is unavailable`);
+  }
+
+  poolStates.delete(chain);
+  return inRotationCount;
+};
+
+/**
+ * Delete balance snapshots past their retention
+ * @returns {Promise<number>} Deleted snapshots
+ */
+export const pruneFeePayerSnapshots = async () => {
+  const result = await prismaQuery.feePayerBalanceSnapshot.deleteMany({
+    where: { createdAt: { lt: new Date(Date.now() - SNAPSHOT_RETENTION_MS) } }
+  });
+  return result.count;
+};
+
+/**
+ * Daily sponsored spend of the pool payers on a chain
+ * @returns {Promise<Map<string, Array<Object>>>} Days keyed by fee payer address
+ */
+const getDailySpend = async (chain, addresses, since) => {
+  if (addresses.length === 0) return new Map();
+
+  const rows = await prismaQuery.$queryRaw`
+    SELECT
+      "feePayer",
+      date_trunc('day', to_timestamp("timestamp") AT TIME ZONE 'UTC') AS "day",
+      COUNT(*)::int AS "signedCount",
+      (COUNT(*) FILTER (WHERE "status"::text = 'LANDED'))::int AS "landedCount",
+      COALESCE(SUM("estimatedGasFee"), 0)::bigint AS "estimatedGasFee",
+      COALESCE(SUM("gasFee") FILTER (WHERE "status"::text = 'LANDED'), 0)::bigint AS "gasFee"
+    FROM "GasSponsorshipLog"
+    WHERE "chain"::text = ${chain}
+      AND "feePayer" = ANY(${addresses})
+      AND "timestamp" >= ${Math.floor(since.getTime() / 1000)}
+    GROUP BY "feePayer", "day"
+    ORDER BY "day" ASC`;
+
+  const spendByPayer = new Map();
+  for (const row of rows) {
+    const days = spendByPayer.get(row.feePayer) || [];
+    days.push({
+      date: row.day.toISOString().slice(0, 10),
+      signedCount: row.signedCount,
+      landedCount: row.landedCount,
+      estimatedGasFee: row.estimatedGasFee.toString(),
+      gasFee: row.gasFee.toString(),
+      gasFeeApt: formatApt(row.gasFee)
+    });
+    spendByPayer.set(row.feePayer, days);
+  }
+  return spendByPayer;
+};
+
+/**
+ * Balance and sponsored spend over time of every pool payer on a chain
+ * @param {Object} params
+ * @param {string} params.chain - Chain ID
+ * @param {number} params.days - History length, at most MAX_REPORT_DAYS
+ * @returns {Promise<Object>}
+ */
+export const getFeePayerReport = async ({ chain, days }) => {
+  const { wallets, FEE_PAYER_SELECTION, FEE_PAYER_MIN_BALANCE } = GAS_SPONSORSHIP.APTOS;
+  const addresses = wallets.map(getFeePayerAddress);
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const [accounts, spendByPayer] = await Promise.all([
+    prismaQuery.feePayerAccount.findMany({
+      where: { chain, address: { in: addresses } },
+      include: {
+        snapshots: {
+          where: { createdAt: { gte: since } },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    }),
+    getDailySpend(chain, addresses, since)
+  ]);
+  const accountsByAddress = new Map(accounts.map(account => [account.address, account]));
+
+  return {
+    chain,
+    selection: FEE_PAYER_SELECTION,
+    minBalance: FEE_PAYER_MIN_BALANCE.toString(),
+    minBalanceApt: formatApt(FEE_PAYER_MIN_BALANCE),
+    days,
+    feePayers: addresses.map(address => {
+      const account = accountsByAddress.get(address);
+      const dailySpend = spendByPayer.get(address) || [];
+      const totalGasFee = dailySpend.reduce((sum, day) => sum + BigInt(day.gasFee), 0n);
+
+      return {
+        address,
+        isInRotation: account?.isInRotation ?? true,
+        balance: account?.balance?.toString() ?? null,
+        balanceApt: account?.balance !== null && account?.balance !== undefined ? formatApt(account.balance) : null,
+        balanceCheckedAt: account?.balanceCheckedAt ?? null,
+        lastError: account?.lastError ?? null,
+        balanceHistory: (account?.snapshots || []).map(snapshot => ({
+          balance: snapshot.balance.toString(),
+          balanceApt: formatApt(snapshot.balance),
+          at: snapshot.createdAt
+        })),
+        spend: {
+          signedCount: dailySpend.reduce((sum, day) => sum + day.signedCount, 0),
+          gasFee: totalGasFee.toString(),
+          gasFeeApt: formatApt(totalGasFee),
+          daily: dailySpend
+        }
+      };
+    })
+  };
+};
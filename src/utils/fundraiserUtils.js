@@ -0,0 +1,390 @@
+import { prismaQuery } from '../lib/prisma.js';
+import { fromRawAmount } from './amountUtils.js';
+
+// The public progress endpoint serves the stored snapshot while it is this fresh
+export const PROGRESS_MAX_AGE_MS = 60 * 1000; // 1 minute
+
+export const MAX_LEADERBOARD_SIZE = 50;
+
+// Per-instance dedupe of concurrent refreshes of the same campaign
+const refreshesInFlight = new Map();
+
+/**
+ * Payments of a fundraiser link that count towards its campaign
+ * @param {Object} campaign - FundraiserCampaign row
+ */
+const campaignPaymentsWhere = (campaign) => ({
+  linkId: campaign.linkId,
+  ...((campaign.startsAt || campaign.endsAt) && {
+    timestamp: {
+      ...(campaign.startsAt && { gte: Math.floor(campaign.startsAt.getTime() / 1000) }),
+      ...(campaign.endsAt && { lte: Math.floor(campaign.endsAt.getTime() / 1000) })
+    }
+  })
+});
+
+// PIVY users are grouped across their stealth addresses, other payers by address
+const getSupporterKey = ({ payerUserId, payerPubKey }) => {
+  return payerUserId ? `user:${payerUserId}` : `address:${payerPubKey}`;
+};
+
+const toUsd = (rawAmount, mint) => {
+  return Number(fromRawAmount(rawAmount, mint.decimals)) * (mint.priceUsd || 0);
+};
+
+/**
+ * Sum the payments of a campaign per token and normalise them to USD at current prices
+ * @param {Object} campaign - FundraiserCampaign row
+ * @returns {Promise<Object>} Progress snapshot
+ */
+export const computeCampaignProgress = async (campaign) => {
+  const where = campaignPaymentsWhere(campaign);
+
+  const [totals, supporters] = await Promise.all([
+    prismaQuery.payment.groupBy({
+      by: ['chain', 'mintId'],
+      where,
+      _sum: { amount: true },
+      _count: { _all: true }
+    }),
+    prismaQuery.payment.groupBy({
+      by: ['payerUserId', 'payerPubKey'],
+      where
+    })
+  ]);
+
+  const mints = await prismaQuery.mintDataCache.findMany({
+    where: { id: { in: [...new Set(totals.map(t => t.mintId))] } }
+  });
+  const mintsById = new Map(mints.map(mint => [mint.id, mint]));
+
+  const tokens = totals
+    .filter(t => mintsById.has(t.mintId))
+    .map(t => {
+      const mint = mintsById.get(t.mintId);
+      const raw = t._sum.amount ?? 0n;
+      return {
+        chain: t.chain,
+        raw: raw.toString(),
+        ui: fromRawAmount(raw, mint.decimals),
+        usdValue: toUsd(raw, mint),
+        paymentCount: t._count._all,
+        token: {
+          symbol: mint.symbol,
+          name: mint.name,
+          decimals: mint.decimals,
+          imageUrl: mint.imageUrl,
+          mintAddress: mint.mintAddress,
+          priceUsd: mint.priceUsd || 0
+        }
+      };
+    })
+    .sort((a, b) => b.usdValue - a.usdValue);
+
+  const raisedUsd = tokens.reduce((sum, t) => sum + t.usdValue, 0);
+
+  return {
+    raisedUsd,
+    goalUsd: campaign.goalUsd,
+    progressPercentage: campaign.goalUsd > 0 ? Math.min((raisedUsd / campaign.goalUsd) * 100, 100) : 0,
+    paymentCount: tokens.reduce((sum, t) => sum + t.paymentCount, 0),
+    supporterCount: new Set(supporters.map(getSupporterKey)).size,
+    tokens,
+    updatedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * End a campaign and archive its link so it stops taking payments
+ * @param {Object} campaign - FundraiserCampaign row
+ * @param {string} reason - DEADLINE, GOAL_REACHED or MANUAL
+ * @returns {Promise<boolean>} False if the campaign had already ended
+ */
+export const endCampaign = async (campaign, reason) => {
+  const now = new Date();
+
+  const ended = await prismaQuery.$transaction(async (tx) => {
+    const result = await tx.fundraiserCampaign.updateMany({
+      where: { id: campaign.id, status: 'ACTIVE' },
+      data: { status: 'ENDED', endedAt: now, endReason: reason }
+    });
+    if (result.count === 0) return false;
+
+    await tx.link.updateMany({
+      where: { id: campaign.linkId, status: 'ACTIVE' },
+      data: { status: 'ARCHIVED', archivedAt: now }
+    });
+    return true;
+  });
+
+  if (ended) {
+    console.log(`Fundraiser campaign ${campaign.id} of link ${campaign.linkId} ended: ${reason}`);
+  }
+  return ended;
+};
+
+const doRefreshCampaignProgress = async (campaignId) => {
+  const campaign = await prismaQuery.fundraiserCampaign.findUnique({
+    where: { id: campaignId }
+  });
+  if (!campaign) return null;
+
+  const progress = await computeCampaignProgress(campaign);
+  const now = new Date();
+
+  const [updated] = await Promise.all([
+    prismaQuery.fundraiserCampaign.update({
+      where: { id: campaign.id },
+      data: { progress, progressUpdatedAt: now }
+    }),
+    prismaQuery.fundraiserMilestone.updateMany({
+      where: {
+        campaignId: campaign.id,
+        reachedAt: null,
+        targetUsd: { lte: progress.raisedUsd }
+      },
+      data: { reachedAt: now }
+    })
+  ]);
+
+  if (campaign.status === 'ACTIVE' && campaign.autoArchiveOnGoal && progress.raisedUsd >= campaign.goalUsd) {
+    await endCampaign(campaign, 'GOAL_REACHED');
+  }
+
+  return updated;
+};
+
+/**
+ * Recompute and store the progress of a campaign, marking reached milestones and
+ * ending the campaign when it reached its goal with autoArchiveOnGoal
+ * @param {string} campaignId - FundraiserCampaign ID
+ * @returns {Promise<Object|null>} Campaign with the fresh progress
+ */
+export const refreshCampaignProgress = (campaignId) => {
+  if (!refreshesInFlight.has(campaignId)) {
+    refreshesInFlight.set(campaignId, doRefreshCampaignProgress(campaignId).finally(() => {
+      refreshesInFlight.delete(campaignId);
+    }));
+  }
+  return refreshesInFlight.get(campaignId);
+};
+
+/**
+ * Refresh the campaign of a link after one of its payments was indexed
+ * @param {string} linkId - Link ID
+ */
+export const refreshLinkCampaign = async (linkId) => {
+  const campaign = await prismaQuery.fundraiserCampaign.findUnique({
+    where: { linkId },
+    select: { id: true }
+  });
+  if (campaign) {
+    await refreshCampaignProgress(campaign.id);
+  }
+};
+
+/**
+ * Stored progress of a campaign, recomputed first when older than PROGRESS_MAX_AGE_MS
+ * @param {Object} campaign - FundraiserCampaign row
+ * @returns {Promise<Object>} Progress snapshot
+ */
+export const getCampaignProgress = async (campaign) => {
+  const isFresh = campaign.progress && campaign.progressUpdatedAt &&
+    Date.now() - campaign.progressUpdatedAt.getTime() < PROGRESS_MAX_AGE_MS;
+  if (isFresh) return campaign.progress;
+
+  const refreshed = await refreshCampaignProgress(campaign.id);
+  return refreshed?.progress ?? null;
+};
+
+/**
+ * End active campaigns past their end date
+ * @returns {Promise<number>} Number of campaigns ended
+ */
+export const endExpiredCampaigns = async () => {
+  const expired = await prismaQuery.fundraiserCampaign.findMany({
+    where: {
+      status: 'ACTIVE',
+      endsAt: { lt: new Date() }
+    }
+  });
+
+  let endedCount = 0;
+  for (const campaign of expired) {
+    // Final snapshot before the link is archived
+    await refreshCampaignProgress(campaign.id);
+    if (await endCampaign(campaign, 'DEADLINE')) {
+      endedCount++;
+    }
+  }
+  return endedCount;
+};
+
+/**
+ * Refresh active campaigns whose progress is older than maxAgeMs, so USD totals follow token prices
+ * @param {number} maxAgeMs
+ * @returns {Promise<number>} Number of campaigns refreshed
+ */
+export const refreshStaleCampaigns = async (maxAgeMs) => {
+  const stale = await prismaQuery.fundraiserCampaign.findMany({
+    where: {
+      status: 'ACTIVE',
+      OR: [
+        { progressUpdatedAt: null },
+        { progressUpdatedAt: { lt: new Date(Date.now() - maxAgeMs) } }
+      ]
+    },
+    select: { id: true },
+    take: 200
+  });
+
+  for (const campaign of stale) {
+    await refreshCampaignProgress(campaign.id);
+  }
+  return stale.length;
+};
+
+/**
+ * Public display name a supporter chose for a payment (paymentData `display_name`)
+ * @param {Array|null} collectedData - PaymentInfo.collectedData
+ * @returns {string|null}
+ */
+const getDisplayName = (collectedData) => {
+  if (!Array.isArray(collectedData)) return null;
+  return collectedData.find(item => item?.type === 'display_name')?.value?.trim() || null;
+};
+
+/**
+ * Top supporters of a campaign by USD contributed. Supporters are anonymous unless they
+ * set a public display name on one of their payments; addresses and usernames are never exposed.
+ * @param {Object} campaign - FundraiserCampaign row
+ * @param {number} limit - Number of supporters
+ * @returns {Promise<Array>}
+ */
+export const getTopSupporters = async (campaign, limit) => {
+  const where = campaignPaymentsWhere(campaign);
+
+  const contributions = await prismaQuery.payment.groupBy({
+    by: ['payerUserId', 'payerPubKey', 'mintId'],
+    where,
+    _sum: { amount: true },
+    _count: { _all: true },
+    _max: { timestamp: true }
+  });
+
+  const mints = await prismaQuery.mintDataCache.findMany({
+    where: { id: { in: [...new Set(contributions.map(c => c.mintId))] } }
+  });
+  const mintsById = new Map(mints.map(mint => [mint.id, mint]));
+
+  const supporters = new Map();
+  for (const contribution of contributions) {
+    const mint = mintsById.get(contribution.mintId);
+    if (!mint) continue;
+
+    const key = getSupporterKey(contribution);
+    const supporter = supporters.get(key) || { key, payers: [], totalUsd: 0, paymentCount: 0, lastPaymentAt: 0 };
+    supporter.payers.push({ payerUserId: contribution.payerUserId, payerPubKey: contribution.payerPubKey });
+    supporter.totalUsd += toUsd(contribution._sum.amount ?? 0n, mint);
+    supporter.paymentCount += contribution._count._all;
+    supporter.lastPaymentAt = Math.max(supporter.lastPaymentAt, contribution._max.timestamp || 0);
+    supporters.set(key, supporter);
+  }
+
+  const top = [...supporters.values()]
+    .sort((a, b) => b.totalUsd - a.totalUsd || a.lastPaymentAt - b.lastPaymentAt)
+    .slice(0, limit);
+
+  if (top.length === 0) return [];
+
+  // Latest display name each top supporter chose
+  const namedPayments = await prismaQuery.payment.findMany({
+    where: {
+      ...where,
+      paymentInfo: { isNot: null },
+      OR: top.flatMap(supporter => supporter.payers.map(payer => (
+        payer.payerUserId ? { payerUserId: payer.payerUserId } : { payerUserId: null, payerPubKey: payer.payerPubKey }
+      )))
+    },
+    select: {
+      payerUserId: true,
+      payerPubKey: true,
+      paymentInfo: { select: { collectedData: true } }
+    },
+    orderBy: { timestamp: 'desc' }
+  });
+
+  const displayNames = new Map();
+  for (const payment of namedPayments) {
+    const key = getSupporterKey(payment);
+    const displayName = getDisplayName(payment.paymentInfo?.collectedData);
+    if (displayName && !displayNames.has(key)) {
+      displayNames.set(key, displayName);
+    }
+  }
+
+  return top.map((supporter, index) => ({
+    rank: index + 1,
+    displayName: displayNames.get(supporter.key) || null,
+    isAnonymous: !displayNames.has(supporter.key),
+    totalUsd: supporter.totalUsd,
+    paymentCount: supporter.paymentCount,
+    lastPaymentAt: supporter.lastPaymentAt
+  }));
+};
+
+/**
+ * Whether a campaign takes payments right now
+ * @param {Object} campaign - FundraiserCampaign row
+ * @param {Date} [now]
+ * @returns {string} UPCOMING, ACTIVE or ENDED
+ */
+export const getCampaignPhase = (campaign, now = new Date()) => {
+  if (campaign.status === 'ENDED' || (campaign.endsAt && campaign.endsAt < now)) return 'ENDED';
+  if (campaign.startsAt && campaign.startsAt > now) return 'UPCOMING';
+  return 'ACTIVE';
+};
+
+/**
+ * API view of a campaign
+ * @param {Object} campaign - FundraiserCampaign with `milestones`
+ * @param {Object|null} progress - Progress snapshot
+ * @returns {Object}
+ */
+export const serializeCampaign = (campaign, progress) => ({
+  id: campaign.id,
+  linkId: campaign.linkId,
+  status: getCampaignPhase(campaign),
+  goalUsd: campaign.goalUsd,
+  startsAt: campaign.startsAt,
+  endsAt: campaign.endsAt,
+  autoArchiveOnGoal: campaign.autoArchiveOnGoal,
+  endedAt: campaign.endedAt,
+  endReason: campaign.endReason,
+  milestones: [...campaign.milestones]
+    .sort((a, b) => a.targetUsd - b.targetUsd)
+    .map(milestone => ({
+      id: milestone.id,
+      title: milestone.title,
+      description: milestone.description,
+      targetUsd: milestone.targetUsd,
+      reachedAt: milestone.reachedAt
+    })),
+  progress,
+  createdAt: campaign.createdAt
+});
+
+/**
+ * Public campaign of a link with its cached progress, for the link pages
+ * @param {string} linkId - Link ID
+ * @returns {Promise<Object|null>} Serialized campaign, null if the link has none
+ */
+export const getPublicCampaign = async (linkId) => {
+  const campaign = await prismaQuery.fundraiserCampaign.findUnique({
+    where: { linkId },
+    include: { milestones: true }
+  });
+  if (!campaign) return null;
+
+  return serializeCampaign(campaign, await getCampaignProgress(campaign));
+};
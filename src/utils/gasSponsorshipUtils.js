@@ -0,0 +1,249 @@
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { GAS_SPONSORSHIP } from '../config.js';
+import { prismaQuery } from '../lib/prisma.js';
+import { fromRawAmount } from './amountUtils.js';
+
+// Limits are shared by mainnet and testnet, like the fee payer pool
+const APTOS_SPONSORED_CHAINS = ['APTOS_MAINNET', 'APTOS_TESTNET'];
+const APT_DECIMALS = 8;
+
+const SPONSORSHIP_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Unlanded signatures keep counting this long past their expiration, to cover indexer lag
+const LANDING_GRACE_MS = 10 * 60 * 1000; // 10 minutes
+
+export const formatApt = (raw) => fromRawAmount(raw, APT_DECIMALS);
+
+const normalizeAddress = (address) => AccountAddress.from(address).toStringLong();
+
+/**
+ * Sponsored gas in the last 24 hours: actual fees of landed transactions plus
+ * estimates of signatures that may still land
+ * @param {Object} [filter]
+ * @param {string} [filter.userId] - Only this user
+ * @param {string} [filter.functionName] - Only this entry function
+ * @param {Object} [db] - Prisma client or transaction
+ * @returns {Promise<bigint>} Octas
+ */
+export const getSponsorshipUsage = async ({ userId, functionName } = {}, db = prismaQuery) => {
+  const where = {
+    chain: { in: APTOS_SPONSORED_CHAINS },
+    timestamp: { gte: Math.floor(Date.now() / 1000) - SPONSORSHIP_WINDOW_SECONDS },
+    ...(userId && { userId }),
+    ...(functionName && { function: functionName })
+  };
+
+  const [landed, pending] = await Promise.all([
+    db.gasSponsorshipLog.aggregate({
+      _sum: { gasFee: true },
+      where: { ...where, status: 'LANDED' }
+    }),
+    db.gasSponsorshipLog.aggregate({
+      _sum: { estimatedGasFee: true },
+      where: {
+        ...where,
+        status: 'SIGNED',
+        expiresAt: { gt: new Date(Date.now() - LANDING_GRACE_MS) }
+      }
+    })
+  ]);
+
+  return (landed._sum.gasFee || 0n) + (pending._sum.estimatedGasFee || 0n);
+};
+
+/**
+ * Usage and remaining budget of a user for every sponsorship limit
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Raw octas as strings, with APT formatted amounts
+ */
+export const getSponsorshipSummary = async (userId) => {
+  const aptosSponsorship = GAS_SPONSORSHIP.APTOS;
+  const functionLimits = Object.entries(aptosSponsorship.ONE_DAY_FUNCTION_LIMITS || {});
+
+  const [userUsed, globalUsed, functionUsages] = await Promise.all([
+    getSponsorshipUsage({ userId }),
+    getSponsorshipUsage(),
+    Promise.all(functionLimits.map(([functionName]) => getSponsorshipUsage({ userId, functionName })))
+  ]);
+
+  const describe = (limit, used) => {
+    const remaining = limit === null || limit === undefined ? null : (used >= limit ? 0n : limit - used);
+    return {
+      limit: limit?.toString() ?? null,
+      used: used.toString(),
+      remaining: remaining?.toString() ?? null,
+      limitApt: limit ? formatApt(limit) : null,
+      usedApt: formatApt(used),
+      remainingApt: remaining !== null ? formatApt(remaining) : null
+    };
+  };
+
+  const user = describe(aptosSponsorship.ONE_DAY_HARD_LIMIT, userUsed);
+  const globalLimit = aptosSponsorship.ONE_DAY_GLOBAL_LIMIT;
+  const globalExhausted = Boolean(globalLimit) && globalUsed >= globalLimit;
+
+  return {
+    windowSeconds: SPONSORSHIP_WINDOW_SECONDS,
+    user,
+    functions: functionLimits.map(([functionName, limit], index) => ({
+      function: functionName,
+      ...describe(limit, functionUsages[index])
+    })),
+    // The global budget is shared, users only see whether it still has room
+    isGloballyAvailable: !globalExhausted
+  };
+};
+
+/**
+ * Check that sponsoring a transaction keeps the user, its entry function and the platform within their daily limits
+ * @param {Object} params
+ * @param {string} params.userId - User the transaction is sponsored for
+ * @param {string} [params.functionName] - Entry function, omitted for a pre-check before building
+ * @param {bigint} [params.estimatedGasFee] - Most the transaction can cost, 0 for a pre-check
+ * @param {Object} [params.db] - Prisma client or transaction
+ * @returns {Promise<{message: string, code: string, details: Object}|null>} Error, or null if within budget
+ */
+export const checkSponsorshipBudget = async ({ userId, functionName = null, estimatedGasFee = 0n, db = prismaQuery }) => {
+  const aptosSponsorship = GAS_SPONSORSHIP.APTOS;
+  const functionLimit = functionName ? aptosSponsorship.ONE_DAY_FUNCTION_LIMITS?.[functionName] : null;
+
+  const checks = [
+    { scope: 'user', limit: aptosSponsorship.ONE_DAY_HARD_LIMIT, usage: () => getSponsorshipUsage({ userId }, db) },
+    { scope: 'function', limit: functionLimit, usage: () => getSponsorshipUsage({ userId, functionName }, db) },
+    { scope: 'global', limit: aptosSponsorship.ONE_DAY_GLOBAL_LIMIT, usage: () => getSponsorshipUsage({}, db) }
+  ];
+
+  for (const { scope, limit, usage } of checks) {
+    if (!limit) continue;
+
+    const used = await usage();
+    const isExceeded = estimatedGasFee > 0n ? used + estimatedGasFee > limit : used >= limit;
+    if (!isExceeded) continue;
+
+    if (scope === 'global') {
+      return {
+        message: 'Gas sponsorship is temporarily unavailable, please try again later.',
+        code: 'SPONSORSHIP_UNAVAILABLE',
+        details: {}
+      };
+    }
+
+    const label = scope === 'function' ? `Daily gas sponsorship limit for ${functionName}` : 'Daily gas sponsorship limit';
+    return {
+      message: `${label} exceeded. Used: ${formatApt(used)} APT / ${formatApt(limit)} APT.`,
+      code: 'SPONSORSHIP_LIMIT_EXCEEDED',
+      details: {
+        scope,
+        ...(scope === 'function' && { function: functionName }),
+        usage: used.toString(),
+        limit: limit.toString()
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Worst case fee of a built transaction
+ * @param {import('@aptos-labs/ts-sdk').SimpleTransaction} transaction
+ * @returns {bigint} Octas
+ */
+export const getEstimatedGasFee = (transaction) => {
+  const rawTransaction = transaction.rawTransaction;
+  return BigInt(rawTransaction.max_gas_amount) * BigInt(rawTransaction.gas_unit_price);
+};
+
+/**
+ * Record a fee payer signature. Re-signing the same sender and sequence number replaces the
+ * previous row, since only one of them can land.
+ * @param {Object} params
+ * @param {string} params.userId - User the transaction is sponsored for
+ * @param {string} params.chain - Chain ID
+ * @param {string} params.functionName - Entry function, e.g. "pivy_stealth::pay"
+ * @param {import('@aptos-labs/ts-sdk').SimpleTransaction} params.transaction - Transaction the fee payer signs
+ * @param {import('@aptos-labs/ts-sdk').Account} params.feePayer - Pool account that signs
+ * @param {Object} [params.db] - Prisma client or transaction
+ * @returns {Promise<Object>} GasSponsorshipLog row
+ */
+export const recordSponsorship = async ({ userId, chain, functionName, transaction, feePayer, db = prismaQuery }) => {
+  const rawTransaction = transaction.rawTransaction;
+  const sender = rawTransaction.sender.toStringLong();
+  const sequenceNumber = BigInt(rawTransaction.sequence_number);
+
+  const data = {
+    userId,
+    function: functionName,
+    feePayer: feePayer.accountAddress.toStringLong(),
+    estimatedGasFee: getEstimatedGasFee(transaction),
+    expiresAt: new Date(Number(rawTransaction.expiration_timestamp_secs) * 1000),
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+
+  return db.gasSponsorshipLog.upsert({
+    where: {
+      chain_sender_sequenceNumber: { chain, sender, sequenceNumber }
+    },
+    create: { ...data, chain, sender, sequenceNumber },
+    update: data
+  });
+};
+
+/**
+ * Check the budget and record the sponsorship in one step, before the fee payer signs. Reservations
+ * are serialized on a Postgres advisory lock (the global one when there is a global limit, the user's
+ * otherwise), so concurrent prepares can't all pass on the same remaining budget. A signature that
+ * then fails keeps its reservation until the transaction expires.
+ * @param {Object} params - See recordSponsorship
+ * @returns {Promise<{sponsorship?: Object, error?: {message: string, code: string, details: Object}}>}
+ */
+export const reserveSponsorship = async ({ userId, chain, functionName, transaction, feePayer }) => {
+  const lockKey = GAS_SPONSORSHIP.APTOS.ONE_DAY_GLOBAL_LIMIT ? 'gas-sponsorship' : `gas-sponsorship:${userId}`;
+
+  return prismaQuery.$transaction(async (db) => {
+    await db.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${lockKey}))`;
+
+    const budgetError = await checkSponsorshipBudget({
+      userId,
+      functionName,
+      estimatedGasFee: getEstimatedGasFee(transaction),
+      db
+    });
+    if (budgetError) return { error: budgetError };
+
+    return { sponsorship: await recordSponsorship({ userId, chain, functionName, transaction, feePayer, db }) };
+  });
+};
+
+/**
+ * Settle the sponsorship of a transaction the indexer saw on chain, failed transactions included
+ * @param {Object} params
+ * @param {string} params.chain - Chain ID
+ * @param {Object} params.tx - Transaction from the REST API
+ * @returns {Promise<boolean>} Whether the transaction was one we sponsored
+ */
+export const recordLandedSponsorship = async ({ chain, tx }) => {
+  if (tx.type !== 'user_transaction' || !tx.sender || tx.sequence_number === undefined) return false;
+  // Only transactions paid by one of our fee payers count
+  if (tx.signature?.type !== 'fee_payer_signature' || !tx.signature.fee_payer_address) return false;
+  const feePayerAddress = normalizeAddress(tx.signature.fee_payer_address);
+  if (!GAS_SPONSORSHIP.APTOS.wallets.some(wallet => wallet.accountAddress.toStringLong() === feePayerAddress)) return false;
+
+  const result = await prismaQuery.gasSponsorshipLog.updateMany({
+    where: {
+      chain,
+      sender: normalizeAddress(tx.sender),
+      sequenceNumber: BigInt(tx.sequence_number),
+      status: 'SIGNED'
+    },
+    data: {
+      status: 'LANDED',
+      txHash: tx.hash,
+      feePayer: feePayerAddress,
+      gasFee: BigInt(tx.gas_used) * BigInt(tx.gas_unit_price),
+      landedAt: new Date(Math.floor(Number(tx.timestamp) / 1000))
+    }
+  });
+
+  return result.count > 0;
+};
@@ -0,0 +1,206 @@
+import { prismaQuery } from "../lib/prisma.js";
+
+export const INDEXER_STREAMS = ['PAYMENTS', 'WITHDRAWALS'];
+
+// Upper bound used for the indexer query when no reindex range is active
+export const MAX_LEDGER_VERSION = 9223372036854775807n;
+
+/**
+ * Highest numeric version already stored for a stream. Only used to seed a checkpoint the
+ * first time a chain/stream is seen, so existing deployments don't rescan from genesis.
+ * @param {string} chainId - Chain ID
+ * @param {string} stream - PAYMENTS or WITHDRAWALS
+ * @returns {Promise<bigint>}
+ */
+const getLegacyResumeVersion = async (chainId, stream) => {
+  try {
+    // txHash holds the ledger version, compare it numerically (not as a string)
+    const rows = stream === 'PAYMENTS'
+      ? await prismaQuery.$queryRaw`
+          SELECT MAX(CAST("txHash" AS BIGINT)) AS "maxVersion" FROM "Payment"
+          WHERE "chain"::text = ${chainId} AND "txHash" ~ '^[0-9]+$'`
+      : await prismaQuery.$queryRaw`
+          SELECT MAX(CAST("txHash" AS BIGINT)) AS "maxVersion" FROM "Withdrawal"
+          WHERE "chain"::text = ${chainId} AND "txHash" ~ '^[0-9]+$'`;
+
+    return rows[0]?.maxVersion ? BigInt(rows[0].maxVersion) : 0n;
+  } catch (error) {
+    console.error('Error reading legacy resume version:', error);
+    return 0n;
+  }
+};
+
+/**
+ * Load the checkpoints of every stream for a chain, creating missing ones
+ * @param {string} chainId - Chain ID
+ * @returns {Promise<Object>} Checkpoints keyed by stream
+ */
+export const getIndexerCheckpoints = async (chainId) => {
+  const rows = await prismaQuery.indexerCheckpoint.findMany({
+    where: { chain: chainId }
+  });
+
+  const checkpoints = Object.fromEntries(rows.map(row => [row.stream, row]));
+
+  for (const stream of INDEXER_STREAMS) {
+    if (checkpoints[stream]) continue;
+
+    const seedVersion = await getLegacyResumeVersion(chainId, stream);
+    console.log(`Creating ${stream} checkpoint for ${chainId} at version ${seedVersion}`);
+
+    checkpoints[stream] = await prismaQuery.indexerCheckpoint.upsert({
+      where: { chain_stream: { chain: chainId, stream } },
+      update: {},
+      create: {
+        chain: chainId,
+        stream,
+        lastProcessedVersion: seedVersion
+      }
+    });
+  }
+
+  return checkpoints;
+};
+
+/**
+ * Version the scan has to resume after: the least advanced stream
+ * @param {Object} checkpoints - Checkpoints keyed by stream
+ * @returns {bigint}
+ */
+export const getScanStartVersion = (checkpoints) => {
+  return INDEXER_STREAMS
+    .map(stream => checkpoints[stream].lastProcessedVersion)
+    .reduce((min, version) => (version < min ? version : min));
+};
+
+/**
+ * Version the scan has to stop at, when a stream is inside a reindex range
+ * @param {Object} checkpoints - Checkpoints keyed by stream
+ * @returns {bigint|null}
+ */
+export const getScanEndVersion = (checkpoints) => {
+  const endVersions = INDEXER_STREAMS
+    .map(stream => checkpoints[stream])
+    .filter(cp => cp.reindexEndVersion !== null && cp.lastProcessedVersion < cp.reindexEndVersion)
+    .map(cp => cp.reindexEndVersion);
+
+  if (endVersions.length === 0) return null;
+  return endVersions.reduce((min, version) => (version < min ? version : min));
+};
+
+/**
+ * Whether a stream still has to process a given version
+ * @param {Object} checkpoints - Checkpoints keyed by stream
+ * @param {string} stream - PAYMENTS or WITHDRAWALS
+ * @param {bigint} version - Ledger version
+ * @returns {boolean}
+ */
+export const isVersionPending = (checkpoints, stream, version) => {
+  return checkpoints[stream].lastProcessedVersion < version;
+};
+
+const getNextCheckpointData = (checkpoint, version) => {
+  // Reached the end of a reindex range: jump back to where the stream was before the rewind
+  if (checkpoint.reindexEndVersion !== null && version >= checkpoint.reindexEndVersion) {
+    const resumeVersion = checkpoint.reindexResumeVersion ?? 0n;
+    return {
+      lastProcessedVersion: resumeVersion > version ? resumeVersion : version,
+      reindexEndVersion: null,
+      reindexResumeVersion: null
+    };
+  }
+
+  return { lastProcessedVersion: version };
+};
+
+/**
+ * Advance every stream that is behind `version`. Meant to run inside the same
+ * transaction that inserts the rows of that version, so both commit together.
+ * @param {import("@prisma/client").Prisma.TransactionClient} db - Transaction client
+ * @param {Object} checkpoints - Checkpoints keyed by stream
+ * @param {bigint} version - Ledger version that was fully processed
+ * @returns {Promise<Object>} Updated checkpoints keyed by stream (apply after commit)
+ */
+export const advanceIndexerCheckpoints = async (db, checkpoints, version) => {
+  const updated = {};
+
+  for (const stream of INDEXER_STREAMS) {
+    const checkpoint = checkpoints[stream];
+    if (checkpoint.lastProcessedVersion >= version) continue;
+
+    updated[stream] = await db.indexerCheckpoint.update({
+      where: { id: checkpoint.id },
+      data: getNextCheckpointData(checkpoint, version)
+    });
+  }
+
+  return updated;
+};
+
+/**
+ * Finish the reindex of every stream whose range ends at or before `endVersion`.
+ * Called when the indexer has no more transactions inside the range.
+ * @param {Object} checkpoints - Checkpoints keyed by stream
+ * @param {bigint} endVersion - End of the scanned range
+ * @returns {Promise<Object>} Updated checkpoints keyed by stream
+ */
+export const completeIndexerReindex = async (checkpoints, endVersion) => {
+  const updated = {};
+
+  for (const stream of INDEXER_STREAMS) {
+    const checkpoint = checkpoints[stream];
+    if (checkpoint.reindexEndVersion === null || checkpoint.reindexEndVersion > endVersion) continue;
+
+    updated[stream] = await prismaQuery.indexerCheckpoint.update({
+      where: { id: checkpoint.id },
+      data: getNextCheckpointData(checkpoint, checkpoint.reindexEndVersion)
+    });
+    console.log(`Reindex of ${stream} on ${checkpoint.chain} finished, resuming at ${updated[stream].lastProcessedVersion}`);
+  }
+
+  return updated;
+};
+
+/**
+ * Rewind checkpoints so the indexer reprocesses a version range.
+ * Without `toVersion` the streams simply restart from `fromVersion` (reset).
+ * @param {Object} params
+ * @param {string} params.chainId - Chain ID
+ * @param {string[]} params.streams - Streams to rewind
+ * @param {bigint} params.fromVersion - First version to reindex
+ * @param {bigint|null} params.toVersion - Last version to reindex
+ * @returns {Promise<Object[]>} Updated checkpoints
+ */
+export const rewindIndexerCheckpoints = async ({ chainId, streams, fromVersion, toVersion = null }) => {
+  const checkpoints = await getIndexerCheckpoints(chainId);
+  const rewindTo = fromVersion > 0n ? fromVersion - 1n : 0n;
+
+  return prismaQuery.$transaction(streams.map(stream => {
+    const checkpoint = checkpoints[stream];
+    // Keep the original resume point if a reindex is already running
+    const resumeVersion = checkpoint.reindexResumeVersion ?? checkpoint.lastProcessedVersion;
+
+    return prismaQuery.indexerCheckpoint.update({
+      where: { id: checkpoint.id },
+      data: {
+        lastProcessedVersion: rewindTo,
+        reindexEndVersion: toVersion,
+        reindexResumeVersion: toVersion !== null ? resumeVersion : null
+      }
+    });
+  }));
+};
+
+/**
+ * JSON friendly view of a checkpoint (BigInt -> string)
+ * @param {Object} checkpoint - IndexerCheckpoint row
+ * @returns {Object}
+ */
+export const serializeCheckpoint = (checkpoint) => ({
+  chain: checkpoint.chain,
+  stream: checkpoint.stream,
+  lastProcessedVersion: checkpoint.lastProcessedVersion.toString(),
+  reindexEndVersion: checkpoint.reindexEndVersion?.toString() ?? null,
+  reindexResumeVersion: checkpoint.reindexResumeVersion?.toString() ?? null,
+  updatedAt: checkpoint.updatedAt
+});
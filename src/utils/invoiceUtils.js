@@ -0,0 +1,186 @@
+import { prismaQuery } from '../lib/prisma.js';
+import { fromRawAmount } from './amountUtils.js';
+import { getAlphanumericId } from './miscUtils.js';
+
+// References are matched from the decrypted payment note, like PaymentInfo ids
+export const INVOICE_REFERENCE_PREFIX = 'inv_';
+const INVOICE_REFERENCE_REGEX = /^inv_[A-Za-z0-9]{16}$/;
+
+// Invoices that can still receive payments, open ones only until their due date
+export const PAYABLE_INVOICE_STATUSES = ['OPEN', 'PARTIALLY_PAID'];
+
+export const generateInvoiceReference = () => `${INVOICE_REFERENCE_PREFIX}${getAlphanumericId(16)}`;
+
+export const isInvoiceReference = (value) => typeof value === 'string' && INVOICE_REFERENCE_REGEX.test(value.trim());
+
+/**
+ * Work out the status of an invoice from its matched payments.
+ * Only payments in the mint requested for their chain count, and totals are compared exactly.
+ * @param {Object} invoice - Invoice with `amounts` and `payments`
+ * @param {Date} [now]
+ * @returns {{status: string, paidByChain: Object}} paidByChain holds raw totals keyed by chain
+ */
+export const computeInvoiceStatus = (invoice, now = new Date()) => {
+  const paidByChain = {};
+
+  for (const invoiceAmount of invoice.amounts) {
+    paidByChain[invoiceAmount.chain] = invoice.payments
+      .filter(p => p.chain === invoiceAmount.chain && p.mintId === invoiceAmount.mintId)
+      .reduce((sum, p) => sum + BigInt(p.amount), 0n);
+  }
+
+  const totals = invoice.amounts.map(invoiceAmount => ({
+    due: invoiceAmount.amount,
+    paid: paidByChain[invoiceAmount.chain]
+  }));
+
+  let status;
+  if (totals.some(t => t.paid > t.due)) {
+    status = 'OVERPAID';
+  } else if (totals.some(t => t.paid === t.due)) {
+    status = 'PAID';
+  } else if (totals.some(t => t.paid > 0n)) {
+    status = 'PARTIALLY_PAID';
+  } else if (invoice.dueAt && invoice.dueAt < now) {
+    status = 'EXPIRED';
+  } else {
+    status = 'OPEN';
+  }
+
+  return { status, paidByChain };
+};
+
+/**
+ * Recompute and store the status of an invoice
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object|null>} Updated invoice
+ */
+export const reconcileInvoice = async (invoiceId) => {
+  const invoice = await prismaQuery.invoice.findUnique({
+    where: { id: invoiceId },
+    include: {
+      amounts: true,
+      payments: { select: { chain: true, mintId: true, amount: true } }
+    }
+  });
+
+  if (!invoice) return null;
+
+  const { status } = computeInvoiceStatus(invoice);
+  if (status === invoice.status) return invoice;
+
+  const isSettled = status === 'PAID' || status === 'OVERPAID';
+
+  console.log(`Invoice ${invoice.reference} ${invoice.status} -> ${status}`);
+
+  return prismaQuery.invoice.update({
+    where: { id: invoice.id },
+    data: {
+      status,
+      ...(isSettled && !invoice.paidAt && { paidAt: new Date() })
+    }
+  });
+};
+
+/**
+ * Attach an indexed payment to the invoice its note references, then reconcile the invoice.
+ * The payment must have been made to the link the invoice belongs to.
+ * @param {Object} params
+ * @param {Object} params.payment - Payment row
+ * @param {string} params.reference - Decrypted note
+ * @param {Object|null} params.link - Link the payment was attributed to
+ * @returns {Promise<Object|null>} Reconciled invoice, null if the note matched no invoice
+ */
+export const matchPaymentToInvoice = async ({ payment, reference, link }) => {
+  if (!isInvoiceReference(reference)) return null;
+
+  const invoice = await prismaQuery.invoice.findUnique({
+    where: { reference: reference.trim() }
+  });
+
+  if (!invoice) return null;
+
+  if (!link || link.id !== invoice.linkId) {
+    console.log(`Payment ${payment.id} references invoice ${invoice.reference} but was made to another link, ignoring`);
+    return null;
+  }
+
+  if (payment.invoiceId !== invoice.id) {
+    await prismaQuery.payment.update({
+      where: { id: payment.id },
+      data: { invoice: { connect: { id: invoice.id } } }
+    });
+  }
+
+  console.log('Successfully linked invoice', invoice.reference, 'to payment', payment.id);
+  return reconcileInvoice(invoice.id);
+};
+
+/**
+ * Mark open invoices past their due date as expired
+ * @returns {Promise<number>} Number of invoices expired
+ */
+export const expireOverdueInvoices = async () => {
+  const result = await prismaQuery.invoice.updateMany({
+    where: {
+      status: 'OPEN',
+      dueAt: { lt: new Date() }
+    },
+    data: { status: 'EXPIRED' }
+  });
+  return result.count;
+};
+
+const serializeInvoiceAmount = (invoiceAmount, paidByChain) => ({
+  chain: invoiceAmount.chain,
+  amount: fromRawAmount(invoiceAmount.amount, invoiceAmount.mint.decimals),
+  rawAmount: invoiceAmount.amount.toString(),
+  paidAmount: fromRawAmount(paidByChain[invoiceAmount.chain] ?? 0n, invoiceAmount.mint.decimals),
+  rawPaidAmount: (paidByChain[invoiceAmount.chain] ?? 0n).toString(),
+  mint: {
+    address: invoiceAmount.mint.mintAddress,
+    name: invoiceAmount.mint.name,
+    symbol: invoiceAmount.mint.symbol,
+    decimals: invoiceAmount.mint.decimals,
+    imageUrl: invoiceAmount.mint.imageUrl,
+    isNative: invoiceAmount.mint.isNative
+  }
+});
+
+/**
+ * API view of an invoice. The public (payer) view leaves out customer data and payments.
+ * @param {Object} invoice - Invoice with `amounts.mint` and `payments`
+ * @param {Object} [options]
+ * @param {boolean} [options.isOwner] - Include owner-only fields
+ * @returns {Object}
+ */
+export const serializeInvoice = (invoice, { isOwner = false } = {}) => {
+  // Expiry is also swept by a worker, but reads should never show a stale OPEN
+  const { status, paidByChain } = computeInvoiceStatus(invoice);
+
+  return {
+    id: invoice.id,
+    reference: invoice.reference,
+    linkId: invoice.linkId,
+    title: invoice.title,
+    description: invoice.description,
+    lineItems: invoice.lineItems,
+    status,
+    dueAt: invoice.dueAt,
+    paidAt: invoice.paidAt,
+    amounts: invoice.amounts.map(invoiceAmount => serializeInvoiceAmount(invoiceAmount, paidByChain)),
+    createdAt: invoice.createdAt,
+    ...(isOwner && {
+      customer: invoice.customer,
+      payments: invoice.payments.map(payment => ({
+        id: payment.id,
+        txHash: payment.txHash,
+        chain: payment.chain,
+        amount: payment.amount.toString(),
+        mintId: payment.mintId,
+        timestamp: payment.timestamp
+      })),
+      updatedAt: invoice.updatedAt
+    })
+  };
+};
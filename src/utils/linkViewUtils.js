@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import { LINK_ANALYTICS } from '../config.js';
+import { prismaQuery } from '../lib/prisma.js';
+import { getStateStore } from '../lib/stateStore.js';
+import { classifyDevice, fillDays, getReportStart } from './analyticsUtils.js';
+
+// Query params the frontend forwards from the page URL, mapped to LinkView columns
+const UTM_PARAMS = {
+  utm_source: 'utmSource',
+  utm_medium: 'utmMedium',
+  utm_campaign: 'utmCampaign',
+  utm_term: 'utmTerm',
+  utm_content: 'utmContent'
+};
+const MAX_PARAM_LENGTH = 200;
+const TOP_LIMIT = 10;
+
+// Same visitor reloading the page, recorded once per window
+const VIEW_DEDUP_MS = 30 * 60 * 1000; // 30 minutes
+
+const getVisitorHash = (linkId, request) => crypto
+  .createHmac('sha256', LINK_ANALYTICS.VISITOR_HASH_SECRET)
+  .update(`link-view|${linkId}|${request.ip || ''}|${request.headers['user-agent'] || ''}`)
+  .digest('hex')
+  .slice(0, 32);
+
+// Claims the window for this visitor, shared by all instances
+const isRecentView = async (linkId, visitorHash) => !(await getStateStore().set(
+  `link-view:${linkId}:${visitorHash}`,
+  Date.now(),
+  { ttlMs: VIEW_DEDUP_MS, onlyIfAbsent: true }
+));
+
+// The API is called by the frontend, so the original referrer comes as a query param
+const parseReferrer = (value) => {
+  if (typeof value !== 'string' || !value) return { referrer: null, referrerHost: null };
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return { referrer: null, referrerHost: null };
+    return {
+      referrer: `${url.origin}${url.pathname}`.substring(0, 500),
+      referrerHost: url.hostname.substring(0, MAX_PARAM_LENGTH)
+    };
+  } catch {
+    return { referrer: null, referrerHost: null };
+  }
+};
+
+const parseUtmParams = (query = {}) => Object.fromEntries(
+  Object.entries(UTM_PARAMS).map(([param, column]) => [
+    column,
+    typeof query[param] === 'string' && query[param].trim()
+      ? query[param].trim().substring(0, MAX_PARAM_LENGTH)
+      : null
+  ])
+);
+
+/**
+ * Log a view of a public link page. Never throws, a lost event shouldn't fail the page.
+ * @param {Object} params
+ * @param {string} params.linkId
+ * @param {import("fastify").FastifyRequest} params.request - Public link request, with `referrer` and `utm_*` query params
+ */
+export const recordLinkView = async ({ linkId, request }) => {
+  try {
+    const visitorHash = getVisitorHash(linkId, request);
+    if (await isRecentView(linkId, visitorHash)) return;
+
+    await prismaQuery.linkView.create({
+      data: {
+        linkId,
+        visitorHash,
+        ...parseReferrer(request.query?.referrer),
+        ...parseUtmParams(request.query),
+        deviceClass: classifyDevice(request.headers['user-agent'] || null)
+      }
+    });
+  } catch (error) {
+    console.error(`Error recording view of link ${linkId}:`, error.message);
+  }
+};
+
+/**
+ * Views, unique visitors and view-to-payment conversion of a link. A visitor converted when
+ * a payment to the link landed within `windowMinutes` after one of their views. Bots are left out.
+ * @param {Object} params
+ * @param {string} params.linkId
+ * @param {number} params.days - At most MAX_ANALYTICS_DAYS
+ * @param {number} params.windowMinutes - Conversion window
+ * @returns {Promise<Object>}
+ */
+export const getLinkAnalytics = async ({ linkId, days, windowMinutes }) => {
+  const since = getReportStart(days);
+  const windowSeconds = windowMinutes * 60;
+  const viewWhere = { linkId, deviceClass: { not: 'BOT' }, createdAt: { gte: since } };
+
+  const [dailyViews, dailyPayments, [totals], referrers, campaigns, devices] = await Promise.all([
+    prismaQuery.$queryRaw`
+      SELECT
+        date_trunc('day', v."createdAt") AS "day",
+        COUNT(*)::int AS "views",
+        COUNT(DISTINCT v."visitorHash")::int AS "uniqueVisitors",
+        (COUNT(DISTINCT v."visitorHash") FILTER (WHERE EXISTS (
+          SELECT 1
+          FROM "Payment" p
+          WHERE p."linkId" = v."linkId"
+            AND p."timestamp" >= EXTRACT(EPOCH FROM v."createdAt")::int
+            AND p."timestamp" <= EXTRACT(EPOCH FROM v."createdAt")::int + ${windowSeconds}
+        )))::int AS "convertedVisitors"
+      FROM "LinkView" v
+      WHERE v."linkId" = ${linkId}
+        AND v."deviceClass"::text <> 'BOT'
+        AND v."createdAt" >= ${since}
+      GROUP BY "day"
+      ORDER BY "day" ASC`,
+    prismaQuery.$queryRaw`
+      SELECT
+        date_trunc('day', to_timestamp("timestamp") AT TIME ZONE 'UTC') AS "day",
+        COUNT(*)::int AS "payments"
+      FROM "Payment"
+      WHERE "linkId" = ${linkId}
+        AND "timestamp" >= ${Math.floor(since.getTime() / 1000)}
+      GROUP BY "day"
+      ORDER BY "day" ASC`,
+    // Unique visitors over the period, daily ones don't add up
+    prismaQuery.$queryRaw`
+      SELECT
+        COUNT(*)::int AS "views",
+        COUNT(DISTINCT v."visitorHash")::int AS "uniqueVisitors",
+        (COUNT(DISTINCT v."visitorHash") FILTER (WHERE EXISTS (
+          SELECT 1
+          FROM "Payment" p
+          WHERE p."linkId" = v."linkId"
+            AND p."timestamp" >= EXTRACT(EPOCH FROM v."createdAt")::int
+            AND p."timestamp" <= EXTRACT(EPOCH FROM v."createdAt")::int + ${windowSeconds}
+        )))::int AS "convertedVisitors"
+      FROM "LinkView" v
+      WHERE v."linkId" = ${linkId}
+        AND v."deviceClass"::text <> 'BOT'
+        AND v."createdAt" >= ${since}`,
+    prismaQuery.linkView.groupBy({
+      by: ['referrerHost'],
+      where: viewWhere,
+      _count: { _all: true },
+      orderBy: { _count: { id: 'desc' } },
+      take: TOP_LIMIT
+    }),
+    prismaQuery.linkView.groupBy({
+      by: ['utmSource', 'utmMedium', 'utmCampaign'],
+      where: { ...viewWhere, utmSource: { not: null } },
+      _count: { _all: true },
+      orderBy: { _count: { id: 'desc' } },
+      take: TOP_LIMIT
+    }),
+    // Bots included, so owners can see how much of the traffic is link previews
+    prismaQuery.linkView.groupBy({
+      by: ['deviceClass'],
+      where: { linkId, createdAt: { gte: since } },
+      _count: { _all: true }
+    })
+  ]);
+
+  const toDate = (day) => day.toISOString().slice(0, 10);
+  const paymentsByDate = new Map(dailyPayments.map(row => [toDate(row.day), row.payments]));
+  const viewsByDate = new Map(dailyViews.map(({ day, ...stats }) => [
+    toDate(day),
+    { ...stats, payments: paymentsByDate.get(toDate(day)) || 0 }
+  ]));
+  // Days with payments but no recorded views still show up
+  for (const [date, payments] of paymentsByDate) {
+    if (!viewsByDate.has(date)) viewsByDate.set(date, { payments });
+  }
+
+  const payments = dailyPayments.reduce((sum, row) => sum + row.payments, 0);
+
+  return {
+    days,
+    windowMinutes,
+    funnel: {
+      views: totals.views,
+      uniqueVisitors: totals.uniqueVisitors,
+      convertedVisitors: totals.convertedVisitors,
+      payments,
+      conversionRate: totals.uniqueVisitors > 0 ? totals.convertedVisitors / totals.uniqueVisitors : 0
+    },
+    daily: fillDays(since, days, viewsByDate, { views: 0, uniqueVisitors: 0, convertedVisitors: 0, payments: 0 }),
+    // referrerHost null = direct or not forwarded by the client
+    referrers: referrers.map(row => ({ referrerHost: row.referrerHost, views: row._count._all })),
+    campaigns: campaigns.map(row => ({
+      utmSource: row.utmSource,
+      utmMedium: row.utmMedium,
+      utmCampaign: row.utmCampaign,
+      views: row._count._all
+    })),
+    devices: Object.fromEntries(devices.map(row => [row.deviceClass, row._count._all]))
+  };
+};
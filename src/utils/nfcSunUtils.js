@@ -0,0 +1,259 @@
+/**
+ * NTAG 424 DNA secure unique NFC (SUN) messages
+ * ---------------------------------------------
+ * With secure dynamic messaging (SDM) on, the chip rewrites its URL on every tap:
+ *
+ *   <tagUrl>?picc_data=<32 hex>&cmac=<16 hex>
+ *
+ * picc_data is AES-128-CBC(K_SDMMetaRead, zero IV) of tag byte || UID || read counter (LE),
+ * cmac is the SDM MAC over an empty input, keyed with a session key derived from
+ * K_SDMFileRead, the UID and the counter (NXP AN12196). A copied URL keeps an old
+ * counter, so it's caught as a replay once the real tag has been tapped again.
+ */
+
+import crypto from 'crypto';
+import { prismaQuery } from '../lib/prisma.js';
+import { openSecret, sealSecret } from '../lib/keyVault.js';
+import { encodeNdefUriMessage } from './nfcTagUtils.js';
+
+export const SUN_PARAMS = {
+  PICC_DATA: 'picc_data',
+  CMAC: 'cmac'
+};
+
+export const TAP_STATUS = {
+  VERIFIED: 'VERIFIED',
+  // No SUN params, e.g. the bare tag URL was shared or typed in
+  UNVERIFIED: 'UNVERIFIED',
+  INVALID: 'INVALID',
+  REPLAYED: 'REPLAYED'
+};
+
+const BLOCK_SIZE = 16;
+const ZERO_BLOCK = Buffer.alloc(BLOCK_SIZE);
+const PICC_DATA_LENGTH = 16;
+const SDM_MAC_LENGTH = 8;
+const UID_LENGTH = 7;
+
+// PICCDataTag: bit 7 UID mirrored, bit 6 counter mirrored, bits 3..0 UID length
+const PICC_DATA_TAG = 0x80 | 0x40 | UID_LENGTH;
+
+// Session vector prefix for the SDM file read MAC key
+const SV2_PREFIX = Buffer.from('3cc300010080', 'hex');
+
+// NDEF file = 2 byte NLEN || NDEF message, SDM offsets count from the start of the file
+const NDEF_FILE_HEADER_LENGTH = 2;
+
+const aesEcbEncryptBlock = (key, block) => {
+  const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(block), cipher.final()]);
+};
+
+// Left shift by one bit, XOR Rb on carry (RFC 4493 subkey generation)
+const deriveSubkey = (input) => {
+  const output = Buffer.alloc(BLOCK_SIZE);
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    output[i] = ((input[i] << 1) | (i + 1 < BLOCK_SIZE ? input[i + 1] >> 7 : 0)) & 0xff;
+  }
+  if (input[0] & 0x80) output[BLOCK_SIZE - 1] ^= 0x87;
+  return output;
+};
+
+const xorBlock = (a, b) => Buffer.from(a.map((byte, i) => byte ^ b[i]));
+
+/**
+ * AES-128 CMAC (RFC 4493)
+ * @param {Buffer} key - 16 byte key
+ * @param {Buffer} message
+ * @returns {Buffer} 16 byte MAC
+ */
+export const aesCmac = (key, message) => {
+  const k1 = deriveSubkey(aesEcbEncryptBlock(key, ZERO_BLOCK));
+  const k2 = deriveSubkey(k1);
+
+  const blockCount = Math.max(Math.ceil(message.length / BLOCK_SIZE), 1);
+  const isComplete = message.length > 0 && message.length % BLOCK_SIZE === 0;
+
+  const lastStart = (blockCount - 1) * BLOCK_SIZE;
+  const lastBlock = isComplete
+    ? xorBlock(message.subarray(lastStart), k1)
+    : xorBlock(Buffer.concat([message.subarray(lastStart), Buffer.from([0x80]), ZERO_BLOCK]).subarray(0, BLOCK_SIZE), k2);
+
+  let state = ZERO_BLOCK;
+  for (let i = 0; i < blockCount - 1; i++) {
+    state = aesEcbEncryptBlock(key, xorBlock(state, message.subarray(i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE)));
+  }
+  return aesEcbEncryptBlock(key, xorBlock(state, lastBlock));
+};
+
+/**
+ * @returns {{metaReadKey: string, fileReadKey: string}} Fresh AES-128 keys as hex
+ */
+export const generateSdmKeys = () => ({
+  metaReadKey: crypto.randomBytes(BLOCK_SIZE).toString('hex'),
+  fileReadKey: crypto.randomBytes(BLOCK_SIZE).toString('hex')
+});
+
+const decryptPiccData = (metaReadKey, piccData) => {
+  const decipher = crypto.createDecipheriv('aes-128-cbc', metaReadKey, ZERO_BLOCK);
+  decipher.setAutoPadding(false);
+  const plain = Buffer.concat([decipher.update(piccData), decipher.final()]);
+
+  if (plain[0] !== PICC_DATA_TAG) return null;
+  return {
+    uid: plain.subarray(1, 1 + UID_LENGTH),
+    counterBytes: plain.subarray(1 + UID_LENGTH, 4 + UID_LENGTH)
+  };
+};
+
+const computeSdmMac = (fileReadKey, uid, counterBytes) => {
+  const sessionKey = aesCmac(fileReadKey, Buffer.concat([SV2_PREFIX, uid, counterBytes]));
+  const mac = aesCmac(sessionKey, Buffer.alloc(0));
+  // The chip sends the odd bytes of the full MAC
+  return Buffer.from(mac.filter((_, i) => i % 2 === 1));
+};
+
+/**
+ * Check the picc_data/cmac pair of a tap. Doesn't look at the stored counter, see the caller.
+ * @param {Object} params
+ * @param {{metaReadKey: string, fileReadKey: string}} params.keys - Tag keys as hex
+ * @param {string} params.piccData - picc_data query param
+ * @param {string} params.cmac - cmac query param
+ * @returns {{valid: boolean, uid?: string, counter?: number, reason?: string}}
+ */
+export const verifySunMessage = ({ keys, piccData, cmac }) => {
+  if (!/^[0-9a-fA-F]+$/.test(piccData) || piccData.length !== PICC_DATA_LENGTH * 2) {
+    return { valid: false, reason: 'MALFORMED_PICC_DATA' };
+  }
+  if (!/^[0-9a-fA-F]+$/.test(cmac) || cmac.length !== SDM_MAC_LENGTH * 2) {
+    return { valid: false, reason: 'MALFORMED_CMAC' };
+  }
+
+  const decrypted = decryptPiccData(Buffer.from(keys.metaReadKey, 'hex'), Buffer.from(piccData, 'hex'));
+  if (!decrypted) {
+    return { valid: false, reason: 'BAD_PICC_DATA' };
+  }
+
+  const expectedMac = computeSdmMac(Buffer.from(keys.fileReadKey, 'hex'), decrypted.uid, decrypted.counterBytes);
+  if (!crypto.timingSafeEqual(expectedMac, Buffer.from(cmac, 'hex'))) {
+    return { valid: false, reason: 'BAD_CMAC' };
+  }
+
+  return {
+    valid: true,
+    uid: decrypted.uid.toString('hex').toUpperCase(),
+    counter: decrypted.counterBytes.readUIntLE(0, 3)
+  };
+};
+
+/**
+ * URL and SDM file settings to write to a tag at the encoding station. The zeroed
+ * placeholders are what the chip overwrites on each tap.
+ * @param {string} tagUrl
+ * @returns {{url: string, ndefMessage: Buffer, piccDataOffset: number, sdmMacInputOffset: number, sdmMacOffset: number}}
+ */
+export const buildSdmTemplate = (tagUrl) => {
+  const piccDataMarker = `?${SUN_PARAMS.PICC_DATA}=`;
+  const cmacMarker = `&${SUN_PARAMS.CMAC}=`;
+  const url = `${tagUrl}${piccDataMarker}${'0'.repeat(PICC_DATA_LENGTH * 2)}${cmacMarker}${'0'.repeat(SDM_MAC_LENGTH * 2)}`;
+  const ndefMessage = encodeNdefUriMessage(url);
+
+  const offsetAfter = (marker) => NDEF_FILE_HEADER_LENGTH + ndefMessage.indexOf(marker) + marker.length;
+  const sdmMacOffset = offsetAfter(cmacMarker);
+
+  return {
+    url,
+    ndefMessage,
+    piccDataOffset: offsetAfter(piccDataMarker),
+    // MAC over an empty input
+    sdmMacInputOffset: sdmMacOffset,
+    sdmMacOffset
+  };
+};
+
+/**
+ * Issue fresh SDM keys for a tag. The raw keys are only returned here, for the encoding station.
+ * The counter and pinned UID are cleared, URLs MACed with the old keys no longer verify anyway.
+ * @param {Object} tag - NFCTag row
+ * @returns {Promise<{keys: {metaReadKey: string, fileReadKey: string}, template: Object}>}
+ */
+export const enableTagSdm = async (tag) => {
+  const keys = generateSdmKeys();
+
+  await prismaQuery.nFCTag.update({
+    where: { id: tag.id },
+    data: {
+      sdmEnabled: true,
+      sdmKeys: await sealSecret(JSON.stringify(keys)),
+      sdmUid: null,
+      lastTapCounter: null,
+      lastTapAt: null
+    }
+  });
+
+  return { keys, template: buildSdmTemplate(tag.tagUrl) };
+};
+
+const rejectTap = async (tag, status, reason) => {
+  console.warn(`⚠️ NFC tag ${tag.tagId} tap rejected: ${status} (${reason})`);
+  await prismaQuery.nFCTag.update({
+    where: { id: tag.id },
+    data: {
+      rejectedTapCount: { increment: 1 },
+      lastRejectedAt: new Date()
+    }
+  });
+  return { status, reason };
+};
+
+/**
+ * Verify a scan of a SUN enabled tag and move its tap counter forward
+ * @param {Object} params
+ * @param {Object} params.tag - NFCTag row with sdmEnabled, tap state is read fresh
+ * @param {string} [params.piccData] - picc_data query param
+ * @param {string} [params.cmac] - cmac query param
+ * @returns {Promise<{status: string, counter?: number, reason?: string}>} One of TAP_STATUS
+ */
+export const verifyTagTap = async ({ tag, piccData, cmac }) => {
+  if (!piccData || !cmac) {
+    return { status: TAP_STATUS.UNVERIFIED, reason: 'MISSING_SUN_PARAMS' };
+  }
+
+  const { sdmKeys, sdmUid, lastTapCounter } = await prismaQuery.nFCTag.findUnique({
+    where: { id: tag.id },
+    select: { sdmKeys: true, sdmUid: true, lastTapCounter: true }
+  });
+  if (!sdmKeys) {
+    return rejectTap(tag, TAP_STATUS.INVALID, 'NO_SDM_KEYS');
+  }
+
+  const result = verifySunMessage({ keys: JSON.parse(await openSecret(sdmKeys)), piccData, cmac });
+  if (!result.valid) {
+    return rejectTap(tag, TAP_STATUS.INVALID, result.reason);
+  }
+  if (sdmUid && sdmUid !== result.uid) {
+    return rejectTap(tag, TAP_STATUS.INVALID, 'UID_MISMATCH');
+  }
+
+  // Conditional so the same URL can't pass twice, even concurrently
+  const { count } = await prismaQuery.nFCTag.updateMany({
+    where: {
+      id: tag.id,
+      OR: [
+        { lastTapCounter: null },
+        { lastTapCounter: { lt: result.counter } }
+      ]
+    },
+    data: {
+      sdmUid: result.uid,
+      lastTapCounter: result.counter,
+      lastTapAt: new Date()
+    }
+  });
+  if (count === 0) {
+    return rejectTap(tag, TAP_STATUS.REPLAYED, `counter ${result.counter} <= ${lastTapCounter}`);
+  }
+
+  return { status: TAP_STATUS.VERIFIED, counter: result.counter };
+};
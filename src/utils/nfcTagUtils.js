@@ -0,0 +1,124 @@
+import { NFC_TAGS } from '../config.js';
+import { prismaQuery } from '../lib/prisma.js';
+import { getAlphanumericId } from './miscUtils.js';
+
+// Claim and scan reject shorter IDs
+export const TAG_ID_LENGTH = 20;
+export const MAX_BATCH_SIZE = 1000;
+
+// NDEF URI record abbreviations (NFC Forum URI RTD), longest prefixes first
+const URI_PREFIXES = [
+  [0x02, 'https://www.'],
+  [0x01, 'http://www.'],
+  [0x04, 'https://'],
+  [0x03, 'http://']
+];
+
+export const tagUserSelect = {
+  id: true,
+  username: true,
+  email: true
+};
+
+export const generateTagId = () => getAlphanumericId(TAG_ID_LENGTH).toUpperCase();
+
+export const buildTagUrl = (tagId, baseUrl = NFC_TAGS.BASE_URL) => `${baseUrl}/${tagId}`;
+
+/**
+ * NDEF message with a single URI record, as written to the tag by the encoding station
+ * @param {string} url - Tag URL
+ * @returns {Buffer}
+ */
+export const encodeNdefUriMessage = (url) => {
+  const [prefixCode, prefix] = URI_PREFIXES.find(([, candidate]) => url.startsWith(candidate)) || [0x00, ''];
+  const payload = Buffer.concat([Buffer.from([prefixCode]), Buffer.from(url.slice(prefix.length), 'utf8')]);
+  const type = Buffer.from('U');
+
+  // MB | ME | TNF well-known, plus SR when the payload length fits one byte
+  const isShort = payload.length < 256;
+  const header = Buffer.from([isShort ? 0xD1 : 0xC1, type.length]);
+  const payloadLength = isShort ? Buffer.from([payload.length]) : Buffer.alloc(4);
+  if (!isShort) payloadLength.writeUInt32BE(payload.length);
+
+  return Buffer.concat([header, payloadLength, type, payload]);
+};
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<string>} columns - Header, also the keys read from each row
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','))
+].join('\n') + '\n';
+
+/**
+ * Provision a batch of AVAILABLE tags under the current base URL
+ * @param {Object} params
+ * @param {number} params.count - Tags to create, at most MAX_BATCH_SIZE
+ * @param {string} [params.label] - Free text, e.g. the print run
+ * @param {string} [params.createdByAdminId] - AdminAccount provisioning the batch
+ * @returns {Promise<Object>} NFCTagBatch row
+ */
+export const createTagBatch = async ({ count, label = null, createdByAdminId = null }) => {
+  const baseUrl = NFC_TAGS.BASE_URL;
+  const tagIds = new Set();
+  while (tagIds.size < count) tagIds.add(generateTagId());
+
+  return prismaQuery.$transaction(async (tx) => {
+    const batch = await tx.nFCTagBatch.create({
+      data: { label, count, baseUrl, createdByAdminId }
+    });
+
+    await tx.nFCTag.createMany({
+      data: [...tagIds].map(tagId => ({
+        tagId,
+        tagUrl: buildTagUrl(tagId, baseUrl),
+        status: 'AVAILABLE',
+        batchId: batch.id
+      }))
+    });
+
+    return batch;
+  });
+};
+
+/**
+ * Give a tag to a user. A user holds one tag at a time, their current tag goes back to AVAILABLE.
+ * @param {Object} params
+ * @param {Object} params.tag - NFCTag row
+ * @param {string} params.userId - New holder
+ * @returns {Promise<Object>} Updated tag with its user
+ */
+export const assignTag = async ({ tag, userId }) => {
+  return prismaQuery.$transaction(async (tx) => {
+    await tx.nFCTag.updateMany({
+      where: { userId, id: { not: tag.id } },
+      data: { userId: null, status: 'AVAILABLE', claimedAt: null }
+    });
+
+    return tx.nFCTag.update({
+      where: { id: tag.id },
+      data: { userId, status: 'CLAIMED', claimedAt: new Date() },
+      include: { user: { select: tagUserSelect } }
+    });
+  });
+};
+
+/**
+ * Detach a tag from its holder and make it claimable again
+ * @param {Object} tag - NFCTag row
+ * @returns {Promise<Object>} Updated tag
+ */
+export const releaseTag = async (tag) => {
+  return prismaQuery.nFCTag.update({
+    where: { id: tag.id },
+    data: { userId: null, status: 'AVAILABLE', claimedAt: null }
+  });
+};
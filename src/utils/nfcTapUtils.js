@@ -0,0 +1,156 @@
+import { prismaQuery } from '../lib/prisma.js';
+import { DAY_MS, classifyDevice, fillDays, getReportStart } from './analyticsUtils.js';
+
+/**
+ * Log a scan of the public tag endpoint. Never throws, a lost event shouldn't fail the scan.
+ * @param {Object} params
+ * @param {Object} params.tag - NFCTag row
+ * @param {Object|null} params.tap - SUN verification result, null for tags without SDM
+ * @param {string|null} params.userAgent
+ */
+export const recordTapEvent = async ({ tag, tap, userAgent }) => {
+  try {
+    await prismaQuery.nFCTapEvent.create({
+      data: {
+        nfcTagId: tag.id,
+        ownerId: tag.userId,
+        tapStatus: tap?.status || null,
+        userAgent: userAgent?.substring(0, 500) || null,
+        deviceClass: classifyDevice(userAgent)
+      }
+    });
+  } catch (error) {
+    console.error(`Error recording tap of NFC tag ${tag.tagId}:`, error.message);
+  }
+};
+
+/**
+ * Mark each tap that was followed by a payment to its owner within the window.
+ * Every tap in the window of a payment counts as converted.
+ * @param {Array<Object>} taps - NFCTapEvent rows of one owner
+ * @param {string} ownerId
+ * @param {number} windowMinutes
+ * @returns {Promise<Array<Object>>} Taps with converted and paymentId
+ */
+export const attachConversions = async (taps, ownerId, windowMinutes) => {
+  if (taps.length === 0) return [];
+
+  const windowSeconds = windowMinutes * 60;
+  const tapSeconds = taps.map(tap => Math.floor(tap.createdAt.getTime() / 1000));
+
+  const payments = await prismaQuery.payment.findMany({
+    where: {
+      link: { userId: ownerId },
+      timestamp: {
+        gte: Math.min(...tapSeconds),
+        lte: Math.max(...tapSeconds) + windowSeconds
+      }
+    },
+    select: { id: true, timestamp: true },
+    orderBy: { timestamp: 'asc' }
+  });
+
+  return taps.map((tap, i) => {
+    const payment = payments.find(p => p.timestamp >= tapSeconds[i] && p.timestamp <= tapSeconds[i] + windowSeconds);
+    return {
+      ...tap,
+      converted: !!payment,
+      paymentId: payment?.id || null
+    };
+  });
+};
+
+/**
+ * Taps and converted taps per UTC day for an owner, days without taps included. Bots are left out.
+ * @param {Object} params
+ * @param {string} params.ownerId
+ * @param {number} params.days - At most MAX_ANALYTICS_DAYS
+ * @param {number} params.windowMinutes - Conversion window
+ * @returns {Promise<Array<{date: string, tapCount: number, convertedCount: number}>>}
+ */
+export const getDailyTapStats = async ({ ownerId, days, windowMinutes }) => {
+  const since = getReportStart(days);
+
+  const rows = await prismaQuery.$queryRaw`
+    SELECT
+      date_trunc('day', e."createdAt") AS "day",
+      COUNT(*)::int AS "tapCount",
+      (COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1
+        FROM "Payment" p
+        JOIN "Link" l ON l."id" = p."linkId"
+        WHERE l."userId" = e."ownerId"
+          AND p."timestamp" >= EXTRACT(EPOCH FROM e."createdAt")::int
+          AND p."timestamp" <= EXTRACT(EPOCH FROM e."createdAt")::int + ${windowMinutes * 60}
+      )))::int AS "convertedCount"
+    FROM "NFCTapEvent" e
+    WHERE e."ownerId" = ${ownerId}
+      AND e."deviceClass"::text <> 'BOT'
+      AND e."createdAt" >= ${since}
+    GROUP BY "day"
+    ORDER BY "day" ASC`;
+
+  const statsByDate = new Map(rows.map(({ day, ...stats }) => [day.toISOString().slice(0, 10), stats]));
+
+  return fillDays(since, days, statsByDate, { tapCount: 0, convertedCount: 0 });
+};
+
+/**
+ * Claimed tags split by whether they were tapped (by anything but a bot) in the last `days` days
+ * @param {Object} params
+ * @param {number} params.days - At most MAX_ANALYTICS_DAYS
+ * @returns {Promise<{summary: Object, tags: Array<Object>}>} Tags sorted by recent taps, dormant last
+ */
+export const getTagActivityReport = async ({ days }) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const tags = await prismaQuery.nFCTag.findMany({
+    where: { status: 'CLAIMED' },
+    select: {
+      id: true,
+      tagId: true,
+      claimedAt: true,
+      viewedCount: true,
+      user: { select: { id: true, username: true } }
+    }
+  });
+
+  const [recentTaps, lastTaps] = await Promise.all([
+    prismaQuery.nFCTapEvent.groupBy({
+      by: ['nfcTagId'],
+      where: { deviceClass: { not: 'BOT' }, createdAt: { gte: since } },
+      _count: { _all: true }
+    }),
+    prismaQuery.nFCTapEvent.groupBy({
+      by: ['nfcTagId'],
+      where: { deviceClass: { not: 'BOT' } },
+      _max: { createdAt: true }
+    })
+  ]);
+
+  const recentCounts = new Map(recentTaps.map(row => [row.nfcTagId, row._count._all]));
+  const lastTapAts = new Map(lastTaps.map(row => [row.nfcTagId, row._max.createdAt]));
+
+  const report = tags
+    .map(({ id, ...tag }) => {
+      const recentTapCount = recentCounts.get(id) || 0;
+      return {
+        ...tag,
+        activity: recentTapCount > 0 ? 'ACTIVE' : 'DORMANT',
+        recentTapCount,
+        lastTapAt: lastTapAts.get(id) || null
+      };
+    })
+    .sort((a, b) => b.recentTapCount - a.recentTapCount || (b.lastTapAt?.getTime() || 0) - (a.lastTapAt?.getTime() || 0));
+
+  const activeCount = report.filter(tag => tag.activity === 'ACTIVE').length;
+
+  return {
+    summary: {
+      claimedCount: report.length,
+      activeCount,
+      dormantCount: report.length - activeCount
+    },
+    tags: report
+  };
+};
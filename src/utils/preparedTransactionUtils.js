@@ -0,0 +1,414 @@
+import { AccountAddress, AccountAuthenticator, Deserializer, SimpleTransaction, generateSigningMessageForTransaction } from '@aptos-labs/ts-sdk';
+import { GAS_SPONSORSHIP } from '../config.js';
+import { prismaQuery } from '../lib/prisma.js';
+import { createAptosClient } from './aptosUtils.js';
+import { recordLandedSponsorship, reserveSponsorship } from './gasSponsorshipUtils.js';
+import { vetSponsoredTransaction } from './sponsorshipPolicyUtils.js';
+
+// How long /tx/submit waits for the commit before answering with SUBMITTED
+const COMMIT_WAIT_SECONDS = 20;
+// Unlanded transactions are only expired this long past their expiration, to cover indexer lag
+const EXPIRY_GRACE_MS = 10 * 60 * 1000; // 10 minutes
+// Committed transactions older than this are left to the regular indexer
+const EARLY_INDEX_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const RECONCILE_BATCH_SIZE = 50;
+
+const toBase64 = (serializable) => Buffer.from(serializable.bcsToBytes()).toString('base64');
+const fromBase64 = (value) => new Deserializer(Buffer.from(value, 'base64'));
+
+const normalizeAddress = (address) => AccountAddress.from(address).toStringLong();
+
+/**
+ * Store a transaction the fee payer just signed
+ * @param {Object} params
+ * @param {string} params.userId - User the transaction is sponsored for
+ * @param {string} params.chain - Chain ID
+ * @param {string} params.functionName - Entry function, e.g. "pivy_stealth::pay"
+ * @param {import('@aptos-labs/ts-sdk').SimpleTransaction} params.transaction - Transaction signed by the fee payer
+ * @param {import('@aptos-labs/ts-sdk').AccountAuthenticator} params.feePayerAuthenticator
+ * @param {import('@aptos-labs/ts-sdk').Account} params.feePayer - Pool account that signed
+ * @param {Object} params.sponsorship - GasSponsorshipLog row of the signature
+ * @returns {Promise<Object>} PreparedTransaction row
+ */
+export const createPreparedTransaction = async ({ userId, chain, functionName, transaction, feePayerAuthenticator, feePayer, sponsorship }) => {
+  const rawTransaction = transaction.rawTransaction;
+
+  return prismaQuery.preparedTransaction.create({
+    data: {
+      userId,
+      chain,
+      function: functionName,
+      sender: rawTransaction.sender.toStringLong(),
+      sequenceNumber: BigInt(rawTransaction.sequence_number),
+      feePayer: feePayer.accountAddress.toStringLong(),
+      transactionBytes: toBase64(transaction),
+      feePayerAuthenticator: toBase64(feePayerAuthenticator),
+      gasSponsorshipLogId: sponsorship.id,
+      expiresAt: new Date(Number(rawTransaction.expiration_timestamp_secs) * 1000)
+    }
+  });
+};
+
+/**
+ * Build, vet and fee payer sign one stealth address withdrawal, then record its sponsorship
+ * @param {Object} params
+ * @param {import('@aptos-labs/ts-sdk').Aptos} params.aptos - Client for the chain
+ * @param {Object} params.chainConfig - CHAINS entry
+ * @param {import('@aptos-labs/ts-sdk').Account} params.feePayer - Pool account that signs
+ * @param {string} params.userId - User the withdrawal is sponsored for
+ * @param {string} params.recipient - Destination address
+ * @param {string} params.coinType - Coin type or fungible asset address
+ * @param {string} params.fromStealthAddress - Stealth address to withdraw from
+ * @param {string|bigint} params.amount - Raw amount taken from the stealth address, FEE_BPS included
+ * @param {number} [params.expireTimestamp] - Expiration (unix seconds), defaults to the SDK's
+ * @returns {Promise<{transaction?: Object, feePayerAuthenticator?: Object, preparedTransaction?: Object, error?: {code: string, message: string, details?: Object}}>}
+ */
+export const prepareSponsoredWithdrawal = async ({ aptos, chainConfig, feePayer, userId, recipient, coinType, fromStealthAddress, amount, expireTimestamp }) => {
+  const aptosSponsorship = GAS_SPONSORSHIP.APTOS;
+
+  const totalWithdrawalAmount = BigInt(amount);
+  const feeAmount = aptosSponsorship.FEE_BPS > 0
+    ? (totalWithdrawalAmount * BigInt(aptosSponsorship.FEE_BPS) + 9999n) / 10000n
+    : 0n;
+  const recipientAmount = totalWithdrawalAmount - feeAmount;
+
+  // Detect token type (CoinType vs FungibleAsset)
+  const isNative = coinType === '0x1::aptos_coin::AptosCoin';
+
+  // Fetch sender account info to get the correct sequence number
+  const senderAccount = await aptos.getAccountInfo({ accountAddress: fromStealthAddress });
+
+  const transaction = await aptos.transaction.build.simple({
+    sender: fromStealthAddress,
+    withFeePayer: true,
+    data: {
+      function: isNative
+        ? `${chainConfig.pivyStealthProgramId}::pivy_stealth::withdraw_coin`
+        : `${chainConfig.pivyStealthProgramId}::pivy_stealth::withdraw`,
+      typeArguments: isNative ? [coinType] : [],
+      functionArguments: isNative
+        ? [recipientAmount.toString(), recipient]
+        : [coinType, recipientAmount.toString(), recipient],
+    },
+    options: {
+      accountSequenceNumber: senderAccount.sequence_number,
+      maxGasAmount: aptosSponsorship.MAX_GAS_AMOUNT,
+      ...(expireTimestamp && { expireTimestamp }),
+    },
+  });
+
+  // Policy and simulation must pass before the fee payer signs anything
+  const rejection = await vetSponsoredTransaction({
+    aptos,
+    feePayer,
+    chainConfig,
+    userId,
+    transaction,
+    coinType,
+    amount: recipientAmount,
+  });
+  if (rejection) {
+    return { error: { code: rejection.code, message: rejection.message, details: rejection.details } };
+  }
+
+  const functionName = isNative ? 'pivy_stealth::withdraw_coin' : 'pivy_stealth::withdraw';
+  // Counted against the budget before the fee payer signs
+  const { sponsorship, error: budgetError } = await reserveSponsorship({
+    userId,
+    chain: chainConfig.id,
+    functionName,
+    transaction,
+    feePayer,
+  });
+  if (budgetError) {
+    return { error: { code: budgetError.code, message: budgetError.message, details: budgetError.details } };
+  }
+
+  const feePayerAuthenticator = await aptos.transaction.signAsFeePayer({
+    signer: feePayer,
+    transaction,
+  });
+
+  const preparedTransaction = await createPreparedTransaction({
+    userId,
+    chain: chainConfig.id,
+    functionName,
+    transaction,
+    feePayerAuthenticator,
+    feePayer,
+    sponsorship,
+  });
+
+  return { transaction, feePayerAuthenticator, preparedTransaction };
+};
+
+/**
+ * Record the outcome of a committed transaction and settle its sponsorship
+ * @param {Object} preparedTransaction - PreparedTransaction row
+ * @param {Object} tx - Committed transaction from the REST API
+ * @returns {Promise<Object>} Updated row
+ */
+const settleCommittedTransaction = async (preparedTransaction, tx) => {
+  const updated = await prismaQuery.preparedTransaction.update({
+    where: { id: preparedTransaction.id },
+    data: {
+      status: tx.success ? 'COMMITTED' : 'FAILED',
+      txHash: tx.hash,
+      version: BigInt(tx.version),
+      vmStatus: tx.vm_status,
+      committedAt: new Date(Math.floor(Number(tx.timestamp) / 1000))
+    }
+  });
+
+  try {
+    await recordLandedSponsorship({ chain: preparedTransaction.chain, tx });
+  } catch (error) {
+    console.error(`Error recording landed sponsorship for ${tx.hash}:`, error.message);
+  }
+
+  return updated;
+};
+
+/**
+ * Check a sender signature ahead of submission, for transactions the backend submits later.
+ * Only Ed25519 signatures are verified, other schemes are only parsed.
+ * @param {Object} params
+ * @param {Object} params.preparedTransaction - PreparedTransaction row
+ * @param {string} params.senderAuthenticator - Base64 BCS AccountAuthenticator of the sender
+ * @returns {string|null} Error message, or null if the signature can be submitted
+ */
+export const checkSenderAuthenticator = ({ preparedTransaction, senderAuthenticator }) => {
+  let transaction, senderAuth;
+  try {
+    transaction = SimpleTransaction.deserialize(fromBase64(preparedTransaction.transactionBytes));
+    senderAuth = AccountAuthenticator.deserialize(fromBase64(senderAuthenticator));
+  } catch (error) {
+    return 'senderAuthenticator must be a base64 BCS account authenticator';
+  }
+
+  if (senderAuth.isEd25519() && !senderAuth.public_key.verifySignature({
+    message: generateSigningMessageForTransaction(transaction),
+    signature: senderAuth.signature
+  })) {
+    return 'senderAuthenticator does not sign this transaction';
+  }
+
+  return null;
+};
+
+/**
+ * Submit a prepared transaction with the sender's signature and wait for it to commit.
+ * @param {Object} params
+ * @param {Object} params.preparedTransaction - PreparedTransaction row, owned by the caller
+ * @param {string} params.senderAuthenticator - Base64 BCS AccountAuthenticator of the sender
+ * @returns {Promise<{preparedTransaction?: Object, error?: {status: number, code: string, message: string}}>}
+ * The row is still SUBMITTED when the commit took longer than COMMIT_WAIT_SECONDS
+ */
+export const submitPreparedTransaction = async ({ preparedTransaction, senderAuthenticator }) => {
+  if (preparedTransaction.status !== 'PREPARED') {
+    return { error: { status: 409, code: 'TRANSACTION_ALREADY_SUBMITTED', message: `Transaction is already ${preparedTransaction.status.toLowerCase()}` } };
+  }
+  if (preparedTransaction.expiresAt <= new Date()) {
+    return { error: { status: 400, code: 'TRANSACTION_EXPIRED', message: 'Transaction has expired, prepare it again' } };
+  }
+
+  let transaction, senderAuth, feePayerAuth;
+  try {
+    transaction = SimpleTransaction.deserialize(fromBase64(preparedTransaction.transactionBytes));
+    feePayerAuth = AccountAuthenticator.deserialize(fromBase64(preparedTransaction.feePayerAuthenticator));
+    senderAuth = AccountAuthenticator.deserialize(fromBase64(senderAuthenticator));
+  } catch (error) {
+    return { error: { status: 400, code: 'INVALID_SENDER_AUTHENTICATOR', message: 'senderAuthenticator must be a base64 BCS account authenticator' } };
+  }
+
+  // Claim the row so concurrent calls can't submit it twice
+  const claimed = await prismaQuery.preparedTransaction.updateMany({
+    where: { id: preparedTransaction.id, status: 'PREPARED' },
+    data: { status: 'SUBMITTED', submittedAt: new Date(), submitError: null }
+  });
+  if (claimed.count === 0) {
+    return { error: { status: 409, code: 'TRANSACTION_ALREADY_SUBMITTED', message: 'Transaction is already submitted' } };
+  }
+
+  const aptos = createAptosClient(preparedTransaction.chain);
+
+  let pendingTransaction;
+  try {
+    pendingTransaction = await aptos.transaction.submit.simple({
+      transaction,
+      senderAuthenticator: senderAuth,
+      feePayerAuthenticator: feePayerAuth
+    });
+  } catch (error) {
+    // Rejected before reaching the mempool (bad signature, stale sequence number...), the client may retry
+    const submitError = error.message?.substring(0, 500) || 'Unknown error';
+    await prismaQuery.preparedTransaction.update({
+      where: { id: preparedTransaction.id },
+      data: { status: 'PREPARED', submittedAt: null, submitError }
+    });
+    return { error: { status: 400, code: 'SUBMIT_FAILED', message: `Transaction was rejected: ${submitError}` } };
+  }
+
+  const submitted = await prismaQuery.preparedTransaction.update({
+    where: { id: preparedTransaction.id },
+    data: { txHash: pendingTransaction.hash }
+  });
+
+  try {
+    const tx = await aptos.waitForTransaction({
+      transactionHash: pendingTransaction.hash,
+      options: { timeoutSecs: COMMIT_WAIT_SECONDS, checkSuccess: false }
+    });
+    return { preparedTransaction: await settleCommittedTransaction(submitted, tx) };
+  } catch (error) {
+    // Not committed yet, the worker picks it up from here
+    console.log(`Transaction ${pendingTransaction.hash} not committed after ${COMMIT_WAIT_SECONDS}s:`, error.message);
+    return { preparedTransaction: submitted };
+  }
+};
+
+/**
+ * Whether a landed transaction is the one a PreparedTransaction row holds. Re-prepared transactions
+ * share sender and sequence number, the expiration and fee payer tell them apart.
+ */
+const isSameTransaction = (preparedTransaction, tx) =>
+  Number(tx.expiration_timestamp_secs) === Math.floor(preparedTransaction.expiresAt.getTime() / 1000) &&
+  Boolean(tx.signature?.fee_payer_address) &&
+  normalizeAddress(tx.signature.fee_payer_address) === preparedTransaction.feePayer;
+
+/**
+ * Settle submitted transactions that committed after /tx/submit stopped waiting, and expire
+ * prepared ones that never landed. Prepared transactions the client submitted itself are matched
+ * through their landed sponsorship.
+ * @returns {Promise<{committed: number, expired: number}>}
+ */
+export const reconcilePreparedTransactions = async () => {
+  const expiredBefore = new Date(Date.now() - EXPIRY_GRACE_MS);
+  const stats = { committed: 0, expired: 0 };
+
+  const submitted = await prismaQuery.preparedTransaction.findMany({
+    where: { status: 'SUBMITTED', txHash: { not: null } },
+    orderBy: { submittedAt: 'asc' },
+    take: RECONCILE_BATCH_SIZE
+  });
+
+  for (const preparedTransaction of submitted) {
+    try {
+      const tx = await createAptosClient(preparedTransaction.chain)
+        .getTransactionByHash({ transactionHash: preparedTransaction.txHash })
+        .catch(error => {
+          if (error.status === 404) return null;
+          throw error;
+        });
+
+      if (tx && tx.type !== 'pending_transaction') {
+        await settleCommittedTransaction(preparedTransaction, tx);
+        stats.committed++;
+      } else if (preparedTransaction.expiresAt < expiredBefore) {
+        await prismaQuery.preparedTransaction.update({
+          where: { id: preparedTransaction.id },
+          data: { status: 'EXPIRED' }
+        });
+        stats.expired++;
+      }
+    } catch (error) {
+      console.error(`Error reconciling prepared transaction ${preparedTransaction.id}:`, error.message);
+    }
+  }
+
+  // Also covers rows claimed for submission whose hash was never saved
+  const unsubmitted = await prismaQuery.preparedTransaction.findMany({
+    where: {
+      OR: [{ status: 'PREPARED' }, { status: 'SUBMITTED', txHash: null }],
+      expiresAt: { lt: expiredBefore }
+    },
+    orderBy: { expiresAt: 'asc' },
+    take: RECONCILE_BATCH_SIZE
+  });
+
+  for (const preparedTransaction of unsubmitted) {
+    try {
+      const sponsorship = await prismaQuery.gasSponsorshipLog.findUnique({
+        where: {
+          chain_sender_sequenceNumber: {
+            chain: preparedTransaction.chain,
+            sender: preparedTransaction.sender,
+            sequenceNumber: preparedTransaction.sequenceNumber
+          }
+        }
+      });
+
+      if (sponsorship?.status === 'LANDED' && sponsorship.txHash) {
+        const tx = await createAptosClient(preparedTransaction.chain)
+          .getTransactionByHash({ transactionHash: sponsorship.txHash });
+        if (isSameTransaction(preparedTransaction, tx)) {
+          await settleCommittedTransaction(preparedTransaction, tx);
+          stats.committed++;
+          continue;
+        }
+      }
+
+      await prismaQuery.preparedTransaction.update({
+        where: { id: preparedTransaction.id },
+        data: { status: 'EXPIRED' }
+      });
+      stats.expired++;
+    } catch (error) {
+      console.error(`Error reconciling prepared transaction ${preparedTransaction.id}:`, error.message);
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Committed transactions of a chain the stealth worker hasn't indexed ahead of the GraphQL indexer yet
+ * @param {string} chain - Chain ID
+ * @returns {Promise<Array<{id: string, version: bigint}>>} Oldest first
+ */
+export const getUnindexedCommittedTransactions = async (chain) => {
+  return prismaQuery.preparedTransaction.findMany({
+    where: {
+      chain,
+      status: 'COMMITTED',
+      indexedAt: null,
+      version: { not: null },
+      committedAt: { gte: new Date(Date.now() - EARLY_INDEX_WINDOW_MS) }
+    },
+    select: { id: true, version: true },
+    orderBy: { version: 'asc' },
+    take: RECONCILE_BATCH_SIZE
+  });
+};
+
+/**
+ * @param {Array<string>} ids - PreparedTransaction IDs
+ */
+export const markPreparedTransactionsIndexed = async (ids) => {
+  if (ids.length === 0) return;
+  await prismaQuery.preparedTransaction.updateMany({
+    where: { id: { in: ids } },
+    data: { indexedAt: new Date() }
+  });
+};
+
+/**
+ * Public shape of a PreparedTransaction row (bytes and authenticators left out)
+ */
+export const serializePreparedTransaction = (preparedTransaction) => ({
+  id: preparedTransaction.id,
+  chain: preparedTransaction.chain,
+  function: preparedTransaction.function,
+  sender: preparedTransaction.sender,
+  sequenceNumber: preparedTransaction.sequenceNumber.toString(),
+  feePayer: preparedTransaction.feePayer,
+  status: preparedTransaction.status,
+  txHash: preparedTransaction.txHash,
+  version: preparedTransaction.version?.toString() ?? null,
+  vmStatus: preparedTransaction.vmStatus,
+  submitError: preparedTransaction.submitError,
+  expiresAt: preparedTransaction.expiresAt,
+  submittedAt: preparedTransaction.submittedAt,
+  committedAt: preparedTransaction.committedAt,
+  createdAt: preparedTransaction.createdAt
+});
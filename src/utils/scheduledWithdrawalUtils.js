@@ -0,0 +1,447 @@
+import crypto from 'crypto';
+import { prismaQuery } from '../lib/prisma.js';
+import { createAptosClient } from './aptosUtils.js';
+import { planWithdrawal } from './coinSelectionUtils.js';
+import { selectFeePayer } from './feePayerPoolUtils.js';
+import { checkSenderAuthenticator, prepareSponsoredWithdrawal, submitPreparedTransaction } from './preparedTransactionUtils.js';
+
+export const MIN_WINDOW_MINUTES = 10;
+export const MAX_WINDOW_MINUTES = 24 * 60;
+export const DEFAULT_WINDOW_MINUTES = 6 * 60;
+
+// Unsigned schedules expire after this, it is also the latest a release can start after preparation
+const SIGNATURE_TIMEOUT_MS = 15 * 60 * 1000; // 15 minutes
+// Transactions stay valid this long past their release time, to cover worker delays and retries
+const EXPIRATION_MARGIN_SECONDS = 30 * 60;
+const MAX_RELEASE_ATTEMPTS = 3;
+const RELEASE_RETRY_DELAY_MS = 60 * 1000; // 1 minute
+const RELEASE_BATCH_SIZE = 20;
+
+const OPEN_ITEM_STATUSES = ['PENDING', 'RELEASED'];
+
+const scheduleError = (status, code, message, details) => ({ error: { status, code, message, ...(details && { details }) } });
+
+/**
+ * Cancel the pending items of a schedule and the prepared transactions behind them. Their signed
+ * sponsorships stop counting against the budget right away, the fee payer signature never left the server.
+ * @returns {Promise<number>} Cancelled items
+ */
+const cancelPendingItems = async (scheduledWithdrawalId, lastError = null) => {
+  const cancelled = await prismaQuery.scheduledWithdrawalItem.updateMany({
+    where: { scheduledWithdrawalId, status: 'PENDING' },
+    data: { status: 'CANCELLED', lastError }
+  });
+  if (cancelled.count === 0) return 0;
+
+  const cancelledItemFilter = { is: { scheduledWithdrawalId, status: 'CANCELLED' } };
+  await prismaQuery.gasSponsorshipLog.updateMany({
+    where: {
+      status: 'SIGNED',
+      preparedTransactions: { some: { status: 'PREPARED', scheduledWithdrawalItem: cancelledItemFilter } }
+    },
+    data: { expiresAt: new Date() }
+  });
+  await prismaQuery.preparedTransaction.updateMany({
+    where: { status: 'PREPARED', scheduledWithdrawalItem: cancelledItemFilter },
+    data: { status: 'CANCELLED' }
+  });
+
+  return cancelled.count;
+};
+
+/**
+ * Plan a withdrawal with jittered amounts and prepare one sponsored transaction per stealth address,
+ * each with a random release time within the window. Nothing is released before the user signs.
+ * @param {Object} params
+ * @param {string} params.userId - User withdrawing
+ * @param {Object} params.chainConfig - CHAINS entry
+ * @param {string} params.recipient - Destination address
+ * @param {string} params.token - Coin type or fungible asset address
+ * @param {bigint} params.amount - Raw amount to take out of the stealth addresses
+ * @param {string} params.strategy - One of WITHDRAWAL_STRATEGIES
+ * @param {number} params.windowMinutes - Release window after approval
+ * @returns {Promise<{scheduledWithdrawal?: Object, transactions?: Array<Object>, plan?: Object, error?: Object}>}
+ */
+export const createScheduledWithdrawal = async ({ userId, chainConfig, recipient, token, amount, strategy, windowMinutes }) => {
+  const planned = await planWithdrawal({ userId, chainConfig, token, amount, strategy, jitter: true });
+  if (planned.error) {
+    return scheduleError(400, planned.error.code, planned.error.message, planned.error.details);
+  }
+  const { plan } = planned;
+
+  // One payer signs the whole schedule
+  const feePayer = await selectFeePayer(chainConfig.id);
+  if (!feePayer) {
+    return scheduleError(503, 'FEE_PAYER_UNAVAILABLE', 'Gas sponsorship is temporarily unavailable, please try again later.');
+  }
+
+  const signBy = new Date(Date.now() + SIGNATURE_TIMEOUT_MS);
+  const scheduledWithdrawal = await prismaQuery.scheduledWithdrawal.create({
+    data: {
+      userId,
+      chain: chainConfig.id,
+      recipient,
+      token,
+      amount: plan.amount,
+      strategy,
+      windowMinutes,
+      signBy
+    }
+  });
+
+  const aptos = createAptosClient(chainConfig.id);
+  const transactions = [];
+
+  for (const [index, withdrawal] of plan.withdrawals.entries()) {
+    const releaseOffsetSeconds = crypto.randomInt(0, windowMinutes * 60 + 1);
+
+    let prepared;
+    try {
+      prepared = await prepareSponsoredWithdrawal({
+        aptos,
+        chainConfig,
+        feePayer,
+        userId,
+        recipient,
+        coinType: token,
+        fromStealthAddress: withdrawal.fromStealthAddress,
+        amount: withdrawal.amount,
+        expireTimestamp: Math.floor(signBy.getTime() / 1000) + releaseOffsetSeconds + EXPIRATION_MARGIN_SECONDS
+      });
+    } catch (error) {
+      console.error(`Error preparing scheduled withdrawal ${scheduledWithdrawal.id} at index ${index}:`, error);
+      prepared = { error: { code: 'BUILD_ERROR', message: error.message } };
+    }
+
+    // A partial schedule would leave part of the amount behind, drop it as a whole
+    if (prepared.error) {
+      await cancelPendingItems(scheduledWithdrawal.id, prepared.error.message);
+      await prismaQuery.scheduledWithdrawal.update({
+        where: { id: scheduledWithdrawal.id },
+        data: { status: 'CANCELLED' }
+      });
+      return scheduleError(400, prepared.error.code, `Withdrawal from ${withdrawal.fromStealthAddress} can't be prepared: ${prepared.error.message}`, {
+        index,
+        fromStealthAddress: withdrawal.fromStealthAddress,
+        ...prepared.error.details
+      });
+    }
+
+    await prismaQuery.scheduledWithdrawalItem.create({
+      data: {
+        scheduledWithdrawalId: scheduledWithdrawal.id,
+        preparedTransactionId: prepared.preparedTransaction.id,
+        fromStealthAddress: withdrawal.fromStealthAddress,
+        amount: withdrawal.amount,
+        releaseOffsetSeconds
+      }
+    });
+
+    // The fee payer signature is kept server side, so the client can't submit ahead of schedule
+    transactions.push({
+      preparedTransactionId: prepared.preparedTransaction.id,
+      fromStealthAddress: withdrawal.fromStealthAddress,
+      amount: withdrawal.amount,
+      transactionBytes: Buffer.from(prepared.transaction.bcsToBytes()).toString('base64'),
+      feePayerAddress: feePayer.accountAddress.toString()
+    });
+  }
+
+  return {
+    scheduledWithdrawal: await getScheduledWithdrawal({ id: scheduledWithdrawal.id, userId }),
+    transactions,
+    plan
+  };
+};
+
+/**
+ * @param {Object} params
+ * @param {string} params.id - ScheduledWithdrawal ID
+ * @param {string} params.userId - Owner
+ * @returns {Promise<Object|null>} Schedule with its items and their prepared transactions
+ */
+export const getScheduledWithdrawal = async ({ id, userId }) => {
+  return prismaQuery.scheduledWithdrawal.findFirst({
+    where: { id, userId },
+    include: {
+      items: {
+        include: { preparedTransaction: true },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+};
+
+/**
+ * Store the user's signatures and start the release window
+ * @param {Object} params
+ * @param {Object} params.scheduledWithdrawal - Schedule from getScheduledWithdrawal
+ * @param {Array<{preparedTransactionId: string, senderAuthenticator: string}>} params.signatures - One per item
+ * @returns {Promise<{scheduledWithdrawal?: Object, error?: Object}>}
+ */
+export const approveScheduledWithdrawal = async ({ scheduledWithdrawal, signatures }) => {
+  if (scheduledWithdrawal.status !== 'AWAITING_SIGNATURES') {
+    return scheduleError(409, 'SCHEDULE_NOT_AWAITING_SIGNATURES', `Scheduled withdrawal is already ${scheduledWithdrawal.status.toLowerCase()}`);
+  }
+  if (scheduledWithdrawal.signBy <= new Date()) {
+    return scheduleError(400, 'SCHEDULE_EXPIRED', 'Scheduled withdrawal was not signed in time, schedule it again');
+  }
+
+  const signaturesById = new Map(signatures.map(signature => [signature?.preparedTransactionId, signature?.senderAuthenticator]));
+  for (const item of scheduledWithdrawal.items) {
+    const senderAuthenticator = signaturesById.get(item.preparedTransactionId);
+    if (typeof senderAuthenticator !== 'string') {
+      return scheduleError(400, 'MISSING_SIGNATURE', `Missing senderAuthenticator for prepared transaction ${item.preparedTransactionId}`);
+    }
+    const signatureError = checkSenderAuthenticator({ preparedTransaction: item.preparedTransaction, senderAuthenticator });
+    if (signatureError) {
+      return scheduleError(400, 'INVALID_SENDER_AUTHENTICATOR', `${signatureError} (prepared transaction ${item.preparedTransactionId})`);
+    }
+  }
+
+  const approvedAt = new Date();
+  const approved = await prismaQuery.$transaction(async (tx) => {
+    // Claim the schedule so a concurrent approval or the expiry can't race it
+    const claimed = await tx.scheduledWithdrawal.updateMany({
+      where: { id: scheduledWithdrawal.id, status: 'AWAITING_SIGNATURES' },
+      data: { status: 'SCHEDULED', approvedAt }
+    });
+    if (claimed.count === 0) return false;
+
+    for (const item of scheduledWithdrawal.items) {
+      await tx.preparedTransaction.update({
+        where: { id: item.preparedTransactionId },
+        data: { senderAuthenticator: signaturesById.get(item.preparedTransactionId) }
+      });
+      await tx.scheduledWithdrawalItem.update({
+        where: { id: item.id },
+        data: { releaseAt: new Date(approvedAt.getTime() + item.releaseOffsetSeconds * 1000) }
+      });
+    }
+    return true;
+  });
+  if (!approved) {
+    return scheduleError(409, 'SCHEDULE_NOT_AWAITING_SIGNATURES', 'Scheduled withdrawal is no longer awaiting signatures');
+  }
+
+  return { scheduledWithdrawal: await getScheduledWithdrawal({ id: scheduledWithdrawal.id, userId: scheduledWithdrawal.userId }) };
+};
+
+/**
+ * Cancel what hasn't been released yet. Released transactions can't be recalled and are still settled.
+ * @param {Object} scheduledWithdrawal - ScheduledWithdrawal row
+ * @returns {Promise<{cancelledCount?: number, error?: Object}>}
+ */
+export const cancelScheduledWithdrawal = async (scheduledWithdrawal) => {
+  if (!['AWAITING_SIGNATURES', 'SCHEDULED'].includes(scheduledWithdrawal.status)) {
+    return scheduleError(409, 'SCHEDULE_NOT_CANCELLABLE', `Scheduled withdrawal is already ${scheduledWithdrawal.status.toLowerCase()}`);
+  }
+
+  const cancelledCount = await cancelPendingItems(scheduledWithdrawal.id);
+  await prismaQuery.scheduledWithdrawal.update({
+    where: { id: scheduledWithdrawal.id },
+    data: { status: 'CANCELLED' }
+  });
+
+  return { cancelledCount };
+};
+
+/**
+ * Add a committed transaction to the schedule's withdrawal group, so the activity shows one withdrawal
+ */
+const addToWithdrawalGroup = async (scheduledWithdrawalId, version) => {
+  const scheduledWithdrawal = await prismaQuery.scheduledWithdrawal.findUnique({
+    where: { id: scheduledWithdrawalId }
+  });
+
+  // Withdrawals are indexed with their ledger version as txHash
+  if (scheduledWithdrawal.withdrawalGroupId) {
+    await prismaQuery.withdrawalGroup.update({
+      where: { id: scheduledWithdrawal.withdrawalGroupId },
+      data: { txHashes: { push: version.toString() } }
+    });
+    return;
+  }
+
+  const withdrawalGroup = await prismaQuery.withdrawalGroup.create({
+    data: {
+      userId: scheduledWithdrawal.userId,
+      chain: scheduledWithdrawal.chain,
+      txHashes: [version.toString()]
+    }
+  });
+  await prismaQuery.scheduledWithdrawal.update({
+    where: { id: scheduledWithdrawalId },
+    data: { withdrawalGroupId: withdrawalGroup.id }
+  });
+};
+
+/**
+ * Move a released item along with its prepared transaction
+ * @returns {Promise<string|null>} New item status, or null while it is still in flight
+ */
+const settleReleasedItem = async (item, preparedTransaction) => {
+  if (preparedTransaction.status === 'COMMITTED') {
+    await addToWithdrawalGroup(item.scheduledWithdrawalId, preparedTransaction.version);
+    await prismaQuery.scheduledWithdrawalItem.update({
+      where: { id: item.id },
+      data: { status: 'COMMITTED' }
+    });
+    return 'COMMITTED';
+  }
+
+  if (['FAILED', 'EXPIRED', 'CANCELLED'].includes(preparedTransaction.status)) {
+    await prismaQuery.scheduledWithdrawalItem.update({
+      where: { id: item.id },
+      data: { status: 'FAILED', lastError: preparedTransaction.vmStatus || `Transaction ${preparedTransaction.status.toLowerCase()}` }
+    });
+    return 'FAILED';
+  }
+
+  return null;
+};
+
+/**
+ * Submit one due item. Rejected submissions are retried a few times before the item fails.
+ * @returns {Promise<string>} Item status afterwards
+ */
+const releaseItem = async (item) => {
+  // Claim the item so a cancellation can't race the submission
+  const claimed = await prismaQuery.scheduledWithdrawalItem.updateMany({
+    where: { id: item.id, status: 'PENDING' },
+    data: { status: 'RELEASED', releasedAt: new Date(), attempts: { increment: 1 } }
+  });
+  if (claimed.count === 0) return item.status;
+
+  const preparedTransaction = await prismaQuery.preparedTransaction.findUnique({
+    where: { id: item.preparedTransactionId }
+  });
+  const result = await submitPreparedTransaction({
+    preparedTransaction,
+    senderAuthenticator: preparedTransaction.senderAuthenticator
+  });
+
+  if (result.error) {
+    if (result.error.code === 'SUBMIT_FAILED' && item.attempts + 1 < MAX_RELEASE_ATTEMPTS) {
+      await prismaQuery.scheduledWithdrawalItem.update({
+        where: { id: item.id },
+        data: { status: 'PENDING', releaseAt: new Date(Date.now() + RELEASE_RETRY_DELAY_MS), releasedAt: null, lastError: result.error.message }
+      });
+      return 'PENDING';
+    }
+
+    await prismaQuery.scheduledWithdrawalItem.update({
+      where: { id: item.id },
+      data: { status: 'FAILED', lastError: result.error.message }
+    });
+    await prismaQuery.preparedTransaction.updateMany({
+      where: { id: item.preparedTransactionId, status: 'PREPARED' },
+      data: { status: 'CANCELLED' }
+    });
+    return 'FAILED';
+  }
+
+  return (await settleReleasedItem(item, result.preparedTransaction)) || 'RELEASED';
+};
+
+/**
+ * Expire unsigned schedules, release due items, settle released ones and complete finished schedules
+ * @returns {Promise<{released: number, committed: number, failed: number, expired: number, completed: number}>}
+ */
+export const processScheduledWithdrawals = async () => {
+  const stats = { released: 0, committed: 0, failed: 0, expired: 0, completed: 0 };
+
+  const unsigned = await prismaQuery.scheduledWithdrawal.findMany({
+    where: { status: 'AWAITING_SIGNATURES', signBy: { lt: new Date() } },
+    take: RELEASE_BATCH_SIZE
+  });
+  for (const scheduledWithdrawal of unsigned) {
+    const expired = await prismaQuery.scheduledWithdrawal.updateMany({
+      where: { id: scheduledWithdrawal.id, status: 'AWAITING_SIGNATURES' },
+      data: { status: 'EXPIRED' }
+    });
+    if (expired.count === 0) continue;
+    await cancelPendingItems(scheduledWithdrawal.id, 'Not signed in time');
+    stats.expired++;
+  }
+
+  const due = await prismaQuery.scheduledWithdrawalItem.findMany({
+    where: {
+      status: 'PENDING',
+      releaseAt: { lte: new Date() },
+      scheduledWithdrawal: { status: 'SCHEDULED' }
+    },
+    orderBy: { releaseAt: 'asc' },
+    take: RELEASE_BATCH_SIZE
+  });
+  for (const item of due) {
+    try {
+      const status = await releaseItem(item);
+      if (status === 'RELEASED') stats.released++;
+      if (status === 'COMMITTED') stats.committed++;
+      if (status === 'FAILED') stats.failed++;
+    } catch (error) {
+      console.error(`Error releasing scheduled withdrawal item ${item.id}:`, error.message);
+    }
+  }
+
+  // Commits the submission didn't wait for are settled by the prepared transaction worker
+  const released = await prismaQuery.scheduledWithdrawalItem.findMany({
+    where: {
+      status: 'RELEASED',
+      preparedTransaction: { status: { in: ['COMMITTED', 'FAILED', 'EXPIRED', 'CANCELLED'] } }
+    },
+    include: { preparedTransaction: true },
+    take: RELEASE_BATCH_SIZE
+  });
+  for (const item of released) {
+    try {
+      const status = await settleReleasedItem(item, item.preparedTransaction);
+      if (status === 'COMMITTED') stats.committed++;
+      if (status === 'FAILED') stats.failed++;
+    } catch (error) {
+      console.error(`Error settling scheduled withdrawal item ${item.id}:`, error.message);
+    }
+  }
+
+  const completed = await prismaQuery.scheduledWithdrawal.updateMany({
+    where: {
+      status: 'SCHEDULED',
+      items: { none: { status: { in: OPEN_ITEM_STATUSES } } }
+    },
+    data: { status: 'COMPLETED' }
+  });
+  stats.completed = completed.count;
+
+  return stats;
+};
+
+/**
+ * Public shape of a schedule (signatures and transaction bytes left out)
+ */
+export const serializeScheduledWithdrawal = (scheduledWithdrawal) => ({
+  id: scheduledWithdrawal.id,
+  chain: scheduledWithdrawal.chain,
+  recipient: scheduledWithdrawal.recipient,
+  token: scheduledWithdrawal.token,
+  amount: scheduledWithdrawal.amount,
+  strategy: scheduledWithdrawal.strategy,
+  windowMinutes: scheduledWithdrawal.windowMinutes,
+  status: scheduledWithdrawal.status,
+  signBy: scheduledWithdrawal.signBy,
+  approvedAt: scheduledWithdrawal.approvedAt,
+  withdrawalGroupId: scheduledWithdrawal.withdrawalGroupId,
+  createdAt: scheduledWithdrawal.createdAt,
+  items: (scheduledWithdrawal.items || []).map(item => ({
+    id: item.id,
+    preparedTransactionId: item.preparedTransactionId,
+    fromStealthAddress: item.fromStealthAddress,
+    amount: item.amount,
+    status: item.status,
+    releaseAt: item.releaseAt,
+    releasedAt: item.releasedAt,
+    txHash: item.preparedTransaction?.txHash ?? null,
+    version: item.preparedTransaction?.version?.toString() ?? null,
+    lastError: item.lastError
+  }))
+});
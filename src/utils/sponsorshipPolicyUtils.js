@@ -0,0 +1,190 @@
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { GAS_SPONSORSHIP } from '../config.js';
+import { prismaQuery } from '../lib/prisma.js';
+
+const normalizeAddress = (address) => {
+  try {
+    return AccountAddress.from(address).toStringLong();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Coin types are struct tags ("0x1::aptos_coin::AptosCoin"), fungible assets are addresses
+const normalizeCoinType = (coinType) => {
+  if (typeof coinType !== 'string') return null;
+  const [address, ...rest] = coinType.split('::');
+  const normalizedAddress = normalizeAddress(address);
+  if (!normalizedAddress) return null;
+  return [normalizedAddress, ...rest].join('::');
+};
+
+const rejection = (status, code, message, details = {}) => ({ status, code, message, details });
+
+/**
+ * Entry function a built transaction calls
+ * @param {import('@aptos-labs/ts-sdk').SimpleTransaction} transaction
+ * @returns {{address: string, module: string, name: string}|null} Null for non entry function payloads
+ */
+const getEntryFunction = (transaction) => {
+  const entryFunction = transaction.rawTransaction.payload?.entryFunction;
+  if (!entryFunction) return null;
+
+  return {
+    address: entryFunction.module_name.address.toStringLong(),
+    module: entryFunction.module_name.name.identifier,
+    name: entryFunction.function_name.identifier
+  };
+};
+
+const matchesFunctionPattern = (pattern, { module, name }) => {
+  const [patternModule, patternName] = pattern.split('::');
+  return patternModule === module && (patternName === '*' || patternName === name);
+};
+
+/**
+ * Check the sender is a PIVY stealth address attributed to the user, through the link of a
+ * payment it received or a withdrawal it made. Unattributed addresses are rejected, anybody
+ * could claim those.
+ * @returns {Promise<Object|null>} Rejection
+ */
+const checkKnownSender = async ({ chain, sender, userId }) => {
+  // Indexed addresses may have their leading zeros trimmed
+  const senderAddresses = [...new Set([sender, `0x${sender.slice(2).replace(/^0+(?=.)/, '')}`])];
+
+  const [payments, withdrawals] = await Promise.all([
+    prismaQuery.payment.findMany({
+      where: { chain, stealthOwnerPubkey: { in: senderAddresses } },
+      select: { link: { select: { userId: true } } },
+      take: 20
+    }),
+    prismaQuery.withdrawal.findMany({
+      where: { chain, stealthOwnerPubkey: { in: senderAddresses }, userId: { not: null } },
+      select: { userId: true },
+      take: 20
+    })
+  ]);
+
+  if (payments.length === 0) {
+    return rejection(403, 'POLICY_SENDER_UNKNOWN', 'Sender is not a PIVY stealth address');
+  }
+
+  const ownerIds = new Set([
+    ...payments.map(p => p.link?.userId),
+    ...withdrawals.map(w => w.userId)
+  ].filter(Boolean));
+  if (ownerIds.size === 0) {
+    return rejection(403, 'POLICY_SENDER_UNATTRIBUTED', 'Sender is not attributed to any user yet');
+  }
+  if (ownerIds.size > 1 || !ownerIds.has(userId)) {
+    return rejection(403, 'POLICY_SENDER_NOT_OWNED', 'Sender belongs to another user');
+  }
+
+  return null;
+};
+
+/**
+ * Check a built transaction against the declarative sponsorship policy (GAS_SPONSORSHIP.APTOS.POLICY)
+ * @param {Object} params
+ * @param {Object} params.chainConfig - CHAINS entry
+ * @param {string} params.userId - User asking for sponsorship
+ * @param {import('@aptos-labs/ts-sdk').SimpleTransaction} params.transaction - Built transaction
+ * @param {string} params.coinType - Coin type or fungible asset moved by the transaction
+ * @param {bigint} params.amount - Raw amount moved by the transaction
+ * @returns {Promise<Object|null>} Rejection ({ status, code, message, details }), or null if allowed
+ */
+export const evaluateSponsorshipPolicy = async ({ chainConfig, userId, transaction, coinType, amount }) => {
+  const policy = GAS_SPONSORSHIP.APTOS.POLICY;
+
+  const entryFunction = getEntryFunction(transaction);
+  const programAddress = normalizeAddress(chainConfig.pivyStealthProgramId);
+  const isAllowedFunction = entryFunction &&
+    entryFunction.address === programAddress &&
+    policy.allowedFunctions.some(pattern => matchesFunctionPattern(pattern, entryFunction));
+  if (!isAllowedFunction) {
+    const functionId = entryFunction ? `${entryFunction.address}::${entryFunction.module}::${entryFunction.name}` : null;
+    return rejection(403, 'POLICY_FUNCTION_NOT_ALLOWED', 'Entry function is not sponsored', { function: functionId });
+  }
+
+  const sender = transaction.rawTransaction.sender.toStringLong();
+  if (policy.senderDenylist.some(address => normalizeAddress(address) === sender)) {
+    return rejection(403, 'POLICY_SENDER_DENIED', 'Sender is not allowed to use gas sponsorship', { sender });
+  }
+  if (policy.senderAllowlist.length > 0 && !policy.senderAllowlist.some(address => normalizeAddress(address) === sender)) {
+    return rejection(403, 'POLICY_SENDER_NOT_ALLOWED', 'Sender is not on the sponsorship allowlist', { sender });
+  }
+
+  const normalizedCoinType = normalizeCoinType(coinType);
+  if (policy.allowedCoinTypes && !policy.allowedCoinTypes.some(allowed => normalizeCoinType(allowed) === normalizedCoinType)) {
+    return rejection(403, 'POLICY_COIN_NOT_ALLOWED', `Token ${coinType} is not sponsored`, { coinType });
+  }
+
+  const maxAmountEntry = Object.entries(policy.maxAmounts || {})
+    .find(([maxCoinType]) => normalizeCoinType(maxCoinType) === normalizedCoinType);
+  if (maxAmountEntry && amount > BigInt(maxAmountEntry[1])) {
+    return rejection(403, 'POLICY_AMOUNT_EXCEEDED', `Amount exceeds the sponsored maximum of ${maxAmountEntry[1]} for ${coinType}`, {
+      coinType,
+      amount: amount.toString(),
+      maxAmount: maxAmountEntry[1].toString()
+    });
+  }
+
+  if (policy.requireKnownSender) {
+    const senderRejection = await checkKnownSender({ chain: chainConfig.id, sender, userId });
+    if (senderRejection) return senderRejection;
+  }
+
+  return null;
+};
+
+/**
+ * Simulate a transaction with the fee payer and reject it if it would abort or need more gas than MAX_GAS_AMOUNT
+ * @param {Object} params
+ * @param {import('@aptos-labs/ts-sdk').Aptos} params.aptos - Client for the transaction's network
+ * @param {import('@aptos-labs/ts-sdk').SimpleTransaction} params.transaction - Built transaction
+ * @param {import('@aptos-labs/ts-sdk').Account} params.feePayer - Pool account that will sign
+ * @returns {Promise<Object|null>} Rejection, or null if the simulation succeeded
+ */
+export const simulateSponsoredTransaction = async ({ aptos, transaction, feePayer }) => {
+  const aptosSponsorship = GAS_SPONSORSHIP.APTOS;
+
+  let simulation;
+  try {
+    // No sender public key: the sender signs client side, so the auth key check is skipped
+    [simulation] = await aptos.transaction.simulate.simple({
+      transaction,
+      feePayerPublicKey: feePayer.publicKey
+    });
+  } catch (error) {
+    console.error('Error simulating sponsored transaction:', error);
+    return rejection(502, 'SIMULATION_ERROR', 'Could not simulate the transaction, please try again');
+  }
+
+  if (!simulation?.success) {
+    return rejection(400, 'SIMULATION_FAILED', `Transaction would fail: ${simulation?.vm_status || 'unknown error'}`, {
+      vmStatus: simulation?.vm_status || null
+    });
+  }
+
+  const gasUsed = BigInt(simulation.gas_used);
+  if (gasUsed > BigInt(aptosSponsorship.MAX_GAS_AMOUNT)) {
+    return rejection(400, 'SIMULATION_GAS_EXCEEDED', `Transaction needs ${gasUsed} gas units, more than the sponsored ${aptosSponsorship.MAX_GAS_AMOUNT}`, {
+      gasUsed: gasUsed.toString(),
+      maxGasAmount: aptosSponsorship.MAX_GAS_AMOUNT
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Everything a transaction must pass before the fee payer signs it: policy first (cheap), then simulation
+ * @param {Object} params - evaluateSponsorshipPolicy params plus `aptos` and `feePayer`
+ * @returns {Promise<Object|null>} Rejection, or null if it can be sponsored
+ */
+export const vetSponsoredTransaction = async ({ aptos, feePayer, ...params }) => {
+  const policyRejection = await evaluateSponsorshipPolicy(params);
+  if (policyRejection) return policyRejection;
+
+  return simulateSponsoredTransaction({ aptos, transaction: params.transaction, feePayer });
+};
@@ -0,0 +1,318 @@
+import { prismaQuery } from '../lib/prisma.js';
+import { fromRawAmount } from './amountUtils.js';
+import { emitSubscriptionRenewalDue } from './webhookUtils.js';
+
+export const SUBSCRIPTION_INTERVALS = ['WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Renewal reminders go out this long before a period ends
+const RENEWAL_REMINDER_WINDOW_MS = 3 * 24 * 60 * 60 * 1000; // 3 days
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A single payment can prepay at most this many periods
+const MAX_PREPAID_PERIODS = 24n;
+
+const BATCH_SIZE = 500;
+
+/**
+ * Add `count` plan intervals to a date. Months are clamped to their last day (Jan 31 + 1 month = Feb 28/29).
+ * @param {Date} date
+ * @param {string} interval - WEEKLY, MONTHLY or YEARLY
+ * @param {number} count
+ * @returns {Date}
+ */
+export const addInterval = (date, interval, count = 1) => {
+  if (interval === 'WEEKLY') {
+    return new Date(date.getTime() + count * 7 * DAY_MS);
+  }
+
+  const months = interval === 'YEARLY' ? 12 * count : count;
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+
+  return result;
+};
+
+export const getSubscriberKey = ({ payerUserId, chain, payerAddress }) => {
+  return payerUserId ? `user:${payerUserId}` : `address:${chain}:${payerAddress}`;
+};
+
+/**
+ * PIVY user behind a payment. Payments sent from a stealth address are attributed to
+ * the owner of that address, since the address itself changes on every payment.
+ * @param {Object} payment - Payment row
+ * @returns {Promise<string|null>}
+ */
+const resolvePayerUserId = async (payment) => {
+  if (payment.payerUserId) return payment.payerUserId;
+  if (!payment.payerPubKey) return null;
+
+  const payerStealthPayment = await prismaQuery.payment.findFirst({
+    where: {
+      stealthOwnerPubkey: payment.payerPubKey,
+      chain: payment.chain
+    },
+    select: { link: { select: { userId: true } } }
+  });
+
+  return payerStealthPayment?.link?.userId || null;
+};
+
+/**
+ * Count an indexed payment towards the subscription plan of its link.
+ * Payments of at least one period price extend the subscriber by as many whole periods as they cover.
+ * @param {Object} params
+ * @param {Object} params.payment - Payment row
+ * @param {Object} params.link - Link the payment was attributed to
+ * @returns {Promise<Object|null>} Updated subscriber, null if the payment doesn't count
+ */
+export const recordSubscriptionPayment = async ({ payment, link }, isRetry = false) => {
+  if (!link || payment.subscriberId) return null;
+
+  const plan = await prismaQuery.subscriptionPlan.findUnique({
+    where: { linkId: link.id },
+    include: { amounts: true }
+  });
+
+  if (!plan || !plan.isActive) return null;
+
+  const planAmount = plan.amounts.find(a => a.chain === payment.chain && a.mintId === payment.mintId);
+  if (!planAmount) {
+    console.log(`Payment ${payment.id} is not in the subscription token of link ${link.id}, ignoring`);
+    return null;
+  }
+
+  const amount = BigInt(payment.amount);
+  if (amount < planAmount.amount) {
+    console.log(`Payment ${payment.id} is below the subscription price of link ${link.id}, ignoring`);
+    return null;
+  }
+
+  const periods = amount / planAmount.amount > MAX_PREPAID_PERIODS ? MAX_PREPAID_PERIODS : amount / planAmount.amount;
+  const paidAt = new Date(payment.timestamp * 1000);
+  const payerUserId = await resolvePayerUserId(payment);
+  const subscriberKey = getSubscriberKey({ payerUserId, chain: payment.chain, payerAddress: payment.payerPubKey });
+
+  const existing = await prismaQuery.subscriber.findUnique({
+    where: { planId_subscriberKey: { planId: plan.id, subscriberKey } }
+  });
+
+  // Renewals inside the grace period continue the previous period, later ones start over
+  const isContinuing = existing &&
+    existing.currentPeriodEnd.getTime() + plan.gracePeriodDays * DAY_MS >= paidAt.getTime();
+  const periodStart = isContinuing ? existing.currentPeriodEnd : paidAt;
+  const periodEnd = addInterval(periodStart, plan.interval, plan.intervalCount * Number(periods));
+
+  const subscriberData = {
+    payerAddress: payment.payerPubKey,
+    chain: payment.chain,
+    status: periodEnd > new Date() ? 'ACTIVE' : 'LAPSED',
+    currentPeriodStart: isContinuing ? existing.currentPeriodStart : periodStart,
+    currentPeriodEnd: periodEnd,
+    lastPaymentAt: paidAt,
+    ...(payerUserId && { payerUser: { connect: { id: payerUserId } } })
+  };
+
+  try {
+    const [subscriber] = await prismaQuery.$transaction(async (tx) => {
+      const saved = existing
+        ? await tx.subscriber.update({
+            where: { id: existing.id },
+            data: { ...subscriberData, paymentCount: { increment: 1 } }
+          })
+        : await tx.subscriber.create({
+            data: {
+              ...subscriberData,
+              plan: { connect: { id: plan.id } },
+              subscriberKey,
+              paymentCount: 1
+            }
+          });
+
+      // Conditional so a payment processed twice concurrently only counts once
+      const claimed = await tx.payment.updateMany({
+        where: { id: payment.id, subscriberId: null },
+        data: { subscriberId: saved.id }
+      });
+      if (claimed.count === 0) {
+        throw new Error('PAYMENT_ALREADY_COUNTED');
+      }
+
+      return [saved];
+    });
+
+    console.log(`Subscriber ${subscriber.id} of link ${link.id} paid through ${periodEnd.toISOString()}`);
+    return subscriber;
+  } catch (error) {
+    if (error.message === 'PAYMENT_ALREADY_COUNTED') return null;
+    // Another payment from the same payer created the subscriber first
+    if (error.code === 'P2002' && !isRetry) {
+      return recordSubscriptionPayment({ payment, link }, true);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mark subscribers whose period (plus grace) ended as lapsed
+ * @returns {Promise<number>} Number of subscribers lapsed
+ */
+export const lapseExpiredSubscribers = async () => {
+  const now = Date.now();
+  let lapsedCount = 0;
+  let cursor = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const candidates = await prismaQuery.subscriber.findMany({
+      where: {
+        status: 'ACTIVE',
+        currentPeriodEnd: { lt: new Date(now) }
+      },
+      select: {
+        id: true,
+        currentPeriodEnd: true,
+        plan: { select: { gracePeriodDays: true } }
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    hasMore = candidates.length === BATCH_SIZE;
+    if (candidates.length === 0) break;
+    cursor = candidates[candidates.length - 1].id;
+
+    const lapsedIds = candidates
+      .filter(s => s.currentPeriodEnd.getTime() + s.plan.gracePeriodDays * DAY_MS < now)
+      .map(s => s.id);
+
+    if (lapsedIds.length > 0) {
+      const result = await prismaQuery.subscriber.updateMany({
+        where: { id: { in: lapsedIds }, status: 'ACTIVE', currentPeriodEnd: { lt: new Date(now) } },
+        data: { status: 'LAPSED' }
+      });
+      lapsedCount += result.count;
+    }
+  }
+
+  return lapsedCount;
+};
+
+/**
+ * Emit SUBSCRIPTION_RENEWAL_DUE once per period for subscribers whose period ends soon
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendRenewalReminders = async () => {
+  const now = new Date();
+  let sentCount = 0;
+  let cursor = null;
+  let hasMore = true;
+
+  // Reminded subscribers stay in the window until their period ends, page past them
+  while (hasMore) {
+    const dueSoon = await prismaQuery.subscriber.findMany({
+      where: {
+        status: 'ACTIVE',
+        currentPeriodEnd: {
+          gt: now,
+          lte: new Date(now.getTime() + RENEWAL_REMINDER_WINDOW_MS)
+        },
+        plan: { isActive: true }
+      },
+      include: {
+        plan: {
+          include: {
+            link: { select: { id: true, userId: true, tag: true, label: true } },
+            amounts: { include: { mint: true } }
+          }
+        }
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    hasMore = dueSoon.length === BATCH_SIZE;
+    if (dueSoon.length === 0) break;
+    cursor = dueSoon[dueSoon.length - 1].id;
+
+    for (const subscriber of dueSoon) {
+      if (subscriber.renewalReminderFor?.getTime() === subscriber.currentPeriodEnd.getTime()) continue;
+
+      // Claim the reminder so concurrent runs don't send it twice
+      const claimed = await prismaQuery.subscriber.updateMany({
+        where: {
+          id: subscriber.id,
+          currentPeriodEnd: subscriber.currentPeriodEnd,
+          OR: [
+            { renewalReminderFor: null },
+            { renewalReminderFor: { not: subscriber.currentPeriodEnd } }
+          ]
+        },
+        data: { renewalReminderFor: subscriber.currentPeriodEnd }
+      });
+      if (claimed.count === 0) continue;
+
+      await emitSubscriptionRenewalDue({
+        subscriber: serializeSubscriber(subscriber),
+        plan: serializeSubscriptionPlan(subscriber.plan),
+        ownerUserId: subscriber.plan.link.userId,
+        payerUserId: subscriber.payerUserId
+      });
+      sentCount++;
+    }
+  }
+
+  return sentCount;
+};
+
+/**
+ * API view of a plan
+ * @param {Object} plan - SubscriptionPlan with `amounts.mint`
+ */
+export const serializeSubscriptionPlan = (plan) => ({
+  id: plan.id,
+  linkId: plan.linkId,
+  interval: plan.interval,
+  intervalCount: plan.intervalCount,
+  gracePeriodDays: plan.gracePeriodDays,
+  isActive: plan.isActive,
+  amounts: plan.amounts.map(planAmount => ({
+    chain: planAmount.chain,
+    amount: fromRawAmount(planAmount.amount, planAmount.mint.decimals),
+    rawAmount: planAmount.amount.toString(),
+    mint: {
+      address: planAmount.mint.mintAddress,
+      name: planAmount.mint.name,
+      symbol: planAmount.mint.symbol,
+      decimals: planAmount.mint.decimals,
+      imageUrl: planAmount.mint.imageUrl,
+      isNative: planAmount.mint.isNative
+    }
+  })),
+  createdAt: plan.createdAt,
+  updatedAt: plan.updatedAt
+});
+
+/**
+ * API view of a subscriber
+ * @param {Object} subscriber - Subscriber row (optionally with `payerUser`)
+ */
+export const serializeSubscriber = (subscriber) => ({
+  id: subscriber.id,
+  status: subscriber.status,
+  payerAddress: subscriber.payerAddress,
+  payerUserId: subscriber.payerUserId,
+  payerUsername: subscriber.payerUser?.username ?? null,
+  chain: subscriber.chain,
+  currentPeriodStart: subscriber.currentPeriodStart,
+  currentPeriodEnd: subscriber.currentPeriodEnd,
+  lastPaymentAt: subscriber.lastPaymentAt,
+  paymentCount: subscriber.paymentCount,
+  createdAt: subscriber.createdAt
+});
@@ -0,0 +1,624 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { prismaQuery } from '../lib/prisma.js';
+import { publishUserEvent } from '../lib/realtimeBus.js';
+
+/**
+ * Outbound webhooks
+ * -----------------
+ * Events are written to WebhookDelivery (one row per subscribed endpoint) and sent by the
+ * webhook worker, so emitting never blocks the indexer on a slow receiver.
+ *
+ * Every request is signed with the endpoint secret:
+ *   X-Pivy-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ */
+
+export const WEBHOOK_EVENT_TYPES = ['PAYMENT_RECEIVED', 'WITHDRAWAL_RECORDED', 'CCTP_STATUS_CHANGED', 'SUBSCRIPTION_RENEWAL_DUE'];
+
+export const MAX_WEBHOOK_ENDPOINTS_PER_USER = 10;
+export const MAX_WEBHOOK_ATTEMPTS = 10;
+
+// Endpoint gets disabled after this many deliveries in a row exhausted their retries
+const DISABLE_AFTER_FAILED_DELIVERIES = 5;
+
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30 seconds, doubled on every attempt
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+const DELIVERY_LEASE_MS = 2 * 60 * 1000; // A claimed delivery is retried if the worker dies mid-send
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string}
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Delay before the next attempt once `attemptCount` attempts have failed
+ * @param {number} attemptCount
+ * @returns {number} Milliseconds
+ */
+export const getWebhookRetryDelay = (attemptCount) => {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attemptCount - 1, 0)), MAX_RETRY_DELAY_MS);
+};
+
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+
+  const normalized = address.toLowerCase();
+  if (normalized.startsWith('::ffff:')) {
+    return isPrivateAddress(normalized.slice('::ffff:'.length));
+  }
+  return normalized === '::1' || normalized === '::' ||
+    normalized.startsWith('fc') || normalized.startsWith('fd') || normalized.startsWith('fe80');
+};
+
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+/**
+ * Check a webhook URL before storing it
+ * @param {string} url
+ * @returns {string|null} Error message, or null when the URL is acceptable
+ */
+export const validateWebhookUrl = (url) => {
+  if (typeof url !== 'string' || url.length === 0 || url.length > 2048) {
+    return 'url must be a string of at most 2048 characters';
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url is not a valid URL';
+  }
+
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && allowPrivateUrls())) {
+    return 'url must use https';
+  }
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivateUrls() && (hostname === 'localhost' || (net.isIP(hostname) && isPrivateAddress(hostname)))) {
+    return 'url must point to a public host';
+  }
+
+  return null;
+};
+
+// dns.lookup that refuses private addresses. The delivery agents resolve through it, so the
+// address checked is the one the socket connects to: a public name can start pointing inside
+// our network (DNS rebinding) but can't swap addresses between a check and the connection.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const privateAddress = addresses.find(entry => isPrivateAddress(entry.address));
+    if (privateAddress) {
+      return callback(new Error(`Refusing to deliver to private address ${privateAddress.address} for ${hostname}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// IP literals are connected to without a lookup, check them up front
+const assertPublicHost = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new Error(`Refusing to deliver to private address ${hostname}`);
+  }
+};
+
+/**
+ * Queue an event for every active endpoint of a user subscribed to it.
+ * Never throws, a webhook problem must not break indexing.
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the endpoints
+ * @param {string} params.eventType - One of WEBHOOK_EVENT_TYPES
+ * @param {string} params.eventKey - Unique key of the source event (dedupes re-processing)
+ * @param {Object} params.data - Event data, must be JSON serializable
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export const emitWebhookEvent = async ({ userId, eventType, eventKey, data }) => {
+  try {
+    if (!userId) return 0;
+
+    const endpoints = await prismaQuery.webhookEndpoint.findMany({
+      where: {
+        userId,
+        isActive: true,
+        events: { has: eventType }
+      },
+      select: { id: true }
+    });
+
+    if (endpoints.length === 0) return 0;
+
+    const payload = {
+      eventId: eventKey,
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    const result = await prismaQuery.webhookDelivery.createMany({
+      data: endpoints.map(endpoint => ({
+        endpointId: endpoint.id,
+        eventType,
+        eventKey,
+        payload
+      })),
+      skipDuplicates: true
+    });
+
+    if (result.count > 0) {
+      console.log(`Queued ${result.count} ${eventType} webhook deliveries for user ${userId}`);
+    }
+    return result.count;
+  } catch (error) {
+    console.error(`Error emitting ${eventType} webhook:`, error);
+    return 0;
+  }
+};
+
+// Activity events go to the user's webhooks and to their open realtime streams
+const emitUserEvent = async (event) => {
+  await Promise.all([
+    emitWebhookEvent(event),
+    publishUserEvent({
+      userId: event.userId,
+      type: event.eventType,
+      eventId: event.eventKey,
+      data: event.data
+    })
+  ]);
+};
+
+const serializeMint = (mint) => mint && ({
+  address: mint.mintAddress,
+  symbol: mint.symbol,
+  decimals: mint.decimals
+});
+
+/**
+ * Fire PAYMENT_RECEIVED once a payment is linked to a link
+ * @param {string} paymentId - Payment ID
+ */
+export const emitPaymentReceived = async (paymentId) => {
+  try {
+    const payment = await prismaQuery.payment.findUnique({
+      where: { id: paymentId },
+      include: {
+        mint: true,
+        link: { select: { id: true, userId: true, tag: true, label: true, type: true } }
+      }
+    });
+
+    if (!payment?.link) return;
+
+    await emitUserEvent({
+      userId: payment.link.userId,
+      eventType: 'PAYMENT_RECEIVED',
+      eventKey: `payment:${payment.id}`,
+      data: {
+        paymentId: payment.id,
+        txHash: payment.txHash,
+        chain: payment.chain,
+        amount: payment.amount.toString(),
+        mint: serializeMint(payment.mint),
+        payerAddress: payment.payerPubKey,
+        stealthOwnerPubkey: payment.stealthOwnerPubkey,
+        timestamp: payment.timestamp,
+        link: {
+          id: payment.link.id,
+          tag: payment.link.tag,
+          label: payment.link.label,
+          type: payment.link.type
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error emitting payment webhook:', error);
+  }
+};
+
+/**
+ * Fire WITHDRAWAL_RECORDED once a withdrawal is attributed to a user
+ * @param {Object} withdrawal - Withdrawal row (txHash, stealthOwnerPubkey, mintId identify it)
+ */
+export const emitWithdrawalRecorded = async ({ txHash, stealthOwnerPubkey, mintId }) => {
+  try {
+    const withdrawal = await prismaQuery.withdrawal.findUnique({
+      where: {
+        txHash_stealthOwnerPubkey_mintId: { txHash, stealthOwnerPubkey, mintId }
+      },
+      include: { mint: true }
+    });
+
+    if (!withdrawal?.userId) return;
+
+    await emitUserEvent({
+      userId: withdrawal.userId,
+      eventType: 'WITHDRAWAL_RECORDED',
+      eventKey: `withdrawal:${withdrawal.chain}:${withdrawal.txHash}:${withdrawal.stealthOwnerPubkey}:${withdrawal.mintId}`,
+      data: {
+        txHash: withdrawal.txHash,
+        chain: withdrawal.chain,
+        stealthOwnerPubkey: withdrawal.stealthOwnerPubkey,
+        destinationAddress: withdrawal.destinationPubkey,
+        amount: withdrawal.amount,
+        amountAfterFee: withdrawal.amountAfterFee,
+        mint: serializeMint(withdrawal.mint),
+        isInternalTransfer: withdrawal.isInternalTransfer,
+        timestamp: withdrawal.timestamp
+      }
+    });
+  } catch (error) {
+    console.error('Error emitting withdrawal webhook:', error);
+  }
+};
+
+/**
+ * Fire CCTP_STATUS_CHANGED when a CCTP transaction moves to a new status
+ * @param {Object} params
+ * @param {Object} params.transaction - CctpTransaction row (with `link` when already loaded)
+ * @param {string|null} params.previousStatus - Status before the change, null on creation
+ * @param {string} params.status - New status
+ * @param {string} [params.destTxHash] - Destination tx, once completed
+ * @param {string} [params.errorMessage] - Failure reason
+ */
+export const emitCctpStatusChanged = async ({ transaction, previousStatus, status, destTxHash = null, errorMessage = null }) => {
+  try {
+    if (previousStatus === status) return;
+
+    const userId = transaction.link?.userId ?? (await prismaQuery.link.findUnique({
+      where: { id: transaction.linkId },
+      select: { userId: true }
+    }))?.userId;
+
+    await emitUserEvent({
+      userId,
+      eventType: 'CCTP_STATUS_CHANGED',
+      eventKey: `cctp:${transaction.id}:${status}`,
+      data: {
+        transactionId: transaction.id,
+        linkId: transaction.linkId,
+        chain: transaction.chain,
+        srcDomain: transaction.srcDomain,
+        srcTxHash: transaction.srcTxHash,
+        destTxHash: destTxHash ?? transaction.destTxHash ?? null,
+        amount: transaction.amount,
+        status,
+        previousStatus,
+        errorMessage
+      }
+    });
+  } catch (error) {
+    console.error('Error emitting CCTP webhook:', error);
+  }
+};
+
+/**
+ * Fire SUBSCRIPTION_RENEWAL_DUE to the plan owner when a subscriber's period is about to end.
+ * The subscriber, when known to be a PIVY user, also gets it on their realtime stream.
+ * @param {Object} params
+ * @param {Object} params.subscriber - Serialized subscriber
+ * @param {Object} params.plan - Serialized subscription plan
+ * @param {string} params.ownerUserId - Owner of the subscription link
+ * @param {string|null} [params.payerUserId] - Subscriber's user ID
+ */
+export const emitSubscriptionRenewalDue = async ({ subscriber, plan, ownerUserId, payerUserId = null }) => {
+  try {
+    const eventKey = `subscription:${subscriber.id}:renewal:${subscriber.currentPeriodEnd.toISOString()}`;
+    const data = { subscriber, plan };
+
+    await Promise.all([
+      emitUserEvent({
+        userId: ownerUserId,
+        eventType: 'SUBSCRIPTION_RENEWAL_DUE',
+        eventKey,
+        data
+      }),
+      payerUserId && publishUserEvent({
+        userId: payerUserId,
+        type: 'SUBSCRIPTION_RENEWAL_DUE',
+        eventId: eventKey,
+        data
+      })
+    ]);
+  } catch (error) {
+    console.error('Error emitting subscription renewal webhook:', error);
+  }
+};
+
+/**
+ * Claim a pending delivery so only one worker sends it
+ * @param {string} deliveryId
+ * @returns {Promise<boolean>}
+ */
+const claimWebhookDelivery = async (deliveryId) => {
+  const now = new Date();
+  const result = await prismaQuery.webhookDelivery.updateMany({
+    where: {
+      id: deliveryId,
+      status: 'PENDING',
+      nextAttemptAt: { lte: now }
+    },
+    data: {
+      nextAttemptAt: new Date(now.getTime() + DELIVERY_LEASE_MS)
+    }
+  });
+  return result.count === 1;
+};
+
+const recordEndpointFailure = async (endpoint) => {
+  const updated = await prismaQuery.webhookEndpoint.update({
+    where: { id: endpoint.id },
+    data: { consecutiveFailures: { increment: 1 } }
+  });
+
+  if (updated.isActive && updated.consecutiveFailures >= DISABLE_AFTER_FAILED_DELIVERIES) {
+    await prismaQuery.webhookEndpoint.update({
+      where: { id: endpoint.id },
+      data: { isActive: false, disabledAt: new Date() }
+    });
+    console.log(`Webhook endpoint ${endpoint.id} disabled after ${updated.consecutiveFailures} failed deliveries`);
+  }
+};
+
+/**
+ * Send one delivery and record the outcome (schedules the retry on failure).
+ * The delivery must already be claimed.
+ * @param {Object} delivery - WebhookDelivery row with its endpoint
+ * @returns {Promise<Object>} Updated delivery
+ */
+export const sendWebhookDelivery = async (delivery) => {
+  const { endpoint } = delivery;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attemptCount = delivery.attemptCount + 1;
+
+  let responseStatus = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  try {
+    const isPrivateAllowed = allowPrivateUrls();
+    if (!isPrivateAllowed) assertPublicHost(endpoint.url);
+
+    const response = await axios.post(endpoint.url, body, {
+      ...(!isPrivateAllowed && deliveryAgents),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Pivy-Webhooks/1.0',
+        'X-Pivy-Event': delivery.eventType,
+        'X-Pivy-Delivery': delivery.id,
+        'X-Pivy-Signature': signWebhookPayload(endpoint.secret, timestamp, body)
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      // A redirect would be followed without the checks above
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: () => true
+    });
+
+    responseStatus = response.status;
+    responseBody = typeof response.data === 'string'
+      ? response.data.slice(0, MAX_RESPONSE_BODY_LENGTH)
+      : null;
+
+    if (response.status < 200 || response.status >= 300) {
+      errorMessage = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  const now = new Date();
+
+  if (!errorMessage) {
+    const [updated] = await prismaQuery.$transaction([
+      prismaQuery.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: {
+          status: 'SUCCEEDED',
+          attemptCount,
+          lastAttemptAt: now,
+          deliveredAt: now,
+          nextAttemptAt: null,
+          responseStatus,
+          responseBody,
+          errorMessage: null
+        }
+      }),
+      prismaQuery.webhookEndpoint.update({
+        where: { id: endpoint.id },
+        data: { consecutiveFailures: 0 }
+      })
+    ]);
+    return updated;
+  }
+
+  const exhausted = attemptCount >= MAX_WEBHOOK_ATTEMPTS;
+  const updated = await prismaQuery.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: exhausted ? 'FAILED' : 'PENDING',
+      attemptCount,
+      lastAttemptAt: now,
+      nextAttemptAt: exhausted ? null : new Date(now.getTime() + getWebhookRetryDelay(attemptCount)),
+      responseStatus,
+      responseBody,
+      errorMessage
+    }
+  });
+
+  if (exhausted && delivery.eventType !== 'TEST') {
+    await recordEndpointFailure(endpoint);
+  }
+
+  return updated;
+};
+
+/**
+ * Claim and send a delivery right away (test-fire and replay)
+ * @param {string} deliveryId
+ * @returns {Promise<Object|null>} Updated delivery, null if another worker claimed it first
+ */
+export const deliverWebhookNow = async (deliveryId) => {
+  if (!(await claimWebhookDelivery(deliveryId))) return null;
+
+  const delivery = await prismaQuery.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { endpoint: true }
+  });
+  return sendWebhookDelivery(delivery);
+};
+
+/**
+ * Send the deliveries that are due
+ * @param {number} limit - Max deliveries per run
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export const processDueWebhookDeliveries = async (limit = 50) => {
+  const dueDeliveries = await prismaQuery.webhookDelivery.findMany({
+    where: {
+      status: 'PENDING',
+      nextAttemptAt: { lte: new Date() },
+      endpoint: { isActive: true }
+    },
+    include: { endpoint: true },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: limit
+  });
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const delivery of dueDeliveries) {
+    try {
+      if (!(await claimWebhookDelivery(delivery.id))) continue;
+
+      const updated = await sendWebhookDelivery(delivery);
+      if (updated.status === 'SUCCEEDED') {
+        sent++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      failed++;
+      console.error(`Error sending webhook delivery ${delivery.id}:`, error);
+    }
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Queue a copy of a delivery with the same payload
+ * @param {Object} delivery - Original WebhookDelivery
+ * @returns {Promise<Object>} New delivery
+ */
+export const createWebhookReplay = async (delivery) => {
+  return prismaQuery.webhookDelivery.create({
+    data: {
+      endpointId: delivery.endpointId,
+      eventType: delivery.eventType,
+      eventKey: `${delivery.eventKey}:replay:${crypto.randomUUID()}`,
+      payload: delivery.payload,
+      replayOfId: delivery.replayOfId || delivery.id
+    }
+  });
+};
+
+/**
+ * Queue a TEST event for an endpoint
+ * @param {Object} endpoint - WebhookEndpoint
+ * @returns {Promise<Object>} New delivery
+ */
+export const createWebhookTestDelivery = async (endpoint) => {
+  const eventKey = `test:${crypto.randomUUID()}`;
+  return prismaQuery.webhookDelivery.create({
+    data: {
+      endpointId: endpoint.id,
+      eventType: 'TEST',
+      eventKey,
+      payload: {
+        eventId: eventKey,
+        type: 'TEST',
+        createdAt: new Date().toISOString(),
+        data: {
+          message: 'Test event from PIVY',
+          endpointId: endpoint.id
+        }
+      }
+    }
+  });
+};
+
+/**
+ * API view of an endpoint (never includes the secret)
+ */
+export const serializeWebhookEndpoint = (endpoint) => ({
+  id: endpoint.id,
+  url: endpoint.url,
+  description: endpoint.description,
+  events: endpoint.events,
+  isActive: endpoint.isActive,
+  consecutiveFailures: endpoint.consecutiveFailures,
+  disabledAt: endpoint.disabledAt,
+  createdAt: endpoint.createdAt,
+  updatedAt: endpoint.updatedAt
+});
+
+/**
+ * API view of a delivery
+ */
+export const serializeWebhookDelivery = (delivery) => ({
+  id: delivery.id,
+  endpointId: delivery.endpointId,
+  eventType: delivery.eventType,
+  eventId: delivery.payload?.eventId ?? delivery.eventKey,
+  status: delivery.status,
+  attemptCount: delivery.attemptCount,
+  nextAttemptAt: delivery.nextAttemptAt,
+  lastAttemptAt: delivery.lastAttemptAt,
+  deliveredAt: delivery.deliveredAt,
+  responseStatus: delivery.responseStatus,
+  responseBody: delivery.responseBody,
+  errorMessage: delivery.errorMessage,
+  replayOfId: delivery.replayOfId,
+  payload: delivery.payload,
+  createdAt: delivery.createdAt
+});
@@ -1,16 +1,34 @@
-import { Aptos, AptosConfig, Network } from "@aptos-labs/ts-sdk";
-import { CHAINS, isTestnet } from "../../config.js";
+import { Aptos, AptosConfig } from "@aptos-labs/ts-sdk";
+import { getEnabledChains } from "../../config.js";
 import { prismaQuery } from "../../lib/prisma.js";
 import bs58 from 'bs58';
 import { getOrCreateAptosTokenCache } from "../../utils/aptosUtils.js";
-import { processAptosPaymentTx, processAptosWithdrawalTx, reprocessUserIdScans } from "./helpers/aptosActivityHelpers.js";
+import { loadScanUsers, processAptosPaymentTx, processAptosWithdrawalTx, reprocessUserIdScans } from "./helpers/aptosActivityHelpers.js";
 import cron from "node-cron";
+import { getJobQueue } from "../../lib/jobQueue.js";
+import { getStealthScanPool } from "../../lib/stealthScanPool.js";
 import { invalidateCacheForNewPayment, invalidateCacheForNewWithdrawal } from "../../utils/balanceCacheUtils.js";
 import { markProcessComplete } from "../../utils/processingLogUtils.js";
+import { emitWithdrawalRecorded } from "../../utils/webhookUtils.js";
+import { recordLandedSponsorship } from "../../utils/gasSponsorshipUtils.js";
+import { getUnindexedCommittedTransactions, markPreparedTransactionsIndexed } from "../../utils/preparedTransactionUtils.js";
 import { getCronSchedule, logIndexerSpeedConfig } from "../../utils/cronUtils.js";
+import {
+  getIndexerCheckpoints,
+  getScanStartVersion,
+  getScanEndVersion,
+  isVersionPending,
+  advanceIndexerCheckpoints,
+  completeIndexerReindex,
+  MAX_LEDGER_VERSION
+} from "../../utils/indexerCheckpointUtils.js";
 
 const NATIVE_APT_COINTYPE = '0x1::aptos_coin::AptosCoin';
 
+const FETCH_STEALTH_TRANSACTIONS_JOB = 'aptos:fetch-stealth-transactions';
+const REPROCESS_WITHDRAWALS_JOB = 'aptos:reprocess-unlinked-withdrawals';
+const REPROCESS_USER_ID_SCANS_JOB = 'aptos:reprocess-user-id-scans';
+
 /**
  * Get or create native APT token cache
  * @param {string} chainId - Chain ID (APTOS_MAINNET or APTOS_TESTNET)
@@ -128,6 +146,98 @@ const calculateActualWithdrawalAmount = (tx, stealthOwnerPubkey, assetType, even
   }
 };
 
+/**
+ * Parse PIVY payment/withdraw events out of a full REST transaction
+ * @param {Object} tx - Transaction from /v1/transactions/by_version
+ * @returns {Array<Object>} Parsed events (type IN for payments, OUT for withdrawals)
+ */
+const parseStealthEvents = (tx) => {
+  // Use version as transaction hash (more reliable and consistent)
+  const txHash = tx.version.toString();
+  const parsedEvents = [];
+
+  if (!tx.events || tx.events.length === 0) {
+    return parsedEvents;
+  }
+
+  for (let eventIndex = 0; eventIndex < tx.events.length; eventIndex++) {
+    const event = tx.events[eventIndex];
+    if (!event || !event.type || !event.data) {
+      console.log('Skipping malformed event:', txHash, eventIndex);
+      continue;
+    }
+
+    const eventType = event.type;
+
+    try {
+      if (eventType.includes('PaymentEvent')) {
+        const eventData = event.data;
+        if (!eventData || !eventData.stealth_owner || !eventData.eph_pubkey) {
+          continue;
+        }
+
+        const assetType = extractAssetType(tx, eventType, eventData);
+        const ephPubkey = bytesToBase58(eventData.eph_pubkey);
+        if (!ephPubkey) {
+          console.log('Failed to convert ephemeral pubkey to base58:', txHash);
+          continue;
+        }
+
+        const encryptedLabel = bytesToBase58(eventData.label);
+        const payload = bytesToBase58(eventData.payload);
+        const encryptedNote = bytesToBase58(eventData.note);
+        const timestamp = Math.floor(parseInt(tx.timestamp) / 1000000);
+
+        parsedEvents.push({
+          signature: txHash,
+          slot: timestamp,
+          type: 'IN',
+          eventIndex: eventIndex,
+          data: {
+            stealthOwner: eventData.stealth_owner,
+            payer: tx.sender || null,
+            assetType: assetType,
+            amount: eventData.amount,
+            encryptedLabel: encryptedLabel,
+            ephemeralPubkey: ephPubkey,
+            timestamp: timestamp,
+            announce: true,
+            memo: payload,
+            encryptedNote: encryptedNote,
+          }
+        });
+      } else if (eventType.includes('WithdrawEvent')) {
+        const eventData = event.data;
+        if (!eventData || !eventData.stealth_owner || !eventData.destination) {
+          continue;
+        }
+
+        const assetType = extractAssetType(tx, eventType, eventData);
+        const timestamp = Math.floor(parseInt(tx.timestamp) / 1000000);
+
+        parsedEvents.push({
+          signature: txHash,
+          slot: timestamp,
+          type: 'OUT',
+          eventIndex: eventIndex,
+          data: {
+            stealthOwner: eventData.stealth_owner,
+            destination: eventData.destination,
+            assetType: assetType,
+            amount: eventData.amount,
+            timestamp: timestamp,
+          }
+        });
+      }
+    } catch (eventParseError) {
+      console.log('Error parsing event:', eventParseError.message, 'tx:', txHash, 'eventIndex:', eventIndex);
+      continue;
+    }
+  }
+
+  return parsedEvents;
+};
+
 /**
  * Main Aptos stealth workers
  * @param {import("fastify").FastifyInstance} app
@@ -135,15 +245,21 @@ const calculateActualWithdrawalAmount = (tx, stealthOwnerPubkey, assetType, even
  * @param {Function} done
  */
 export const aptosStealthWorkers = (app, _, done) => {
-  const handleFetchStealthTransactions = async () => {
+  const enabledChains = getEnabledChains();
+  const queue = getJobQueue();
+
+  /**
+   * Index new stealth transactions for one chain. One job per chain is queued at a time,
+   * so slow cycles never overlap on the same checkpoint
+   * @param {Object} chain - CHAINS entry
+   * @param {Function} isStopping - Stop between batches on shutdown
+   */
+  const handleFetchStealthTransactions = async (chain, isStopping) => {
     try {
-      const chain = isTestnet ? CHAINS.APTOS_TESTNET : CHAINS.APTOS_MAINNET;
-      const network = isTestnet ? Network.TESTNET : Network.MAINNET;
-
       // Validate program ID
       if (!chain.pivyStealthProgramId) {
-        console.error('ERROR: pivyStealthProgramId is not set in config!');
-        console.error('Please set the environment variable:', isTestnet ? 'PIVY_STEALTH_PROGRAM_ID_APTOS_TESTNET' : 'PIVY_STEALTH_PROGRAM_ID_APTOS_MAINNET');
+        console.error(`ERROR: pivyStealthProgramId is not set in config for ${chain.id}!`);
+        console.error('Please set the environment variable:', `PIVY_STEALTH_PROGRAM_ID_${chain.id}`);
         console.error('Example: 0x917011515afd16b6e03840c5b63590ea44fabee53672f9e3c8df077ee849bb10');
         return;
       }
@@ -156,7 +272,7 @@ export const aptosStealthWorkers = (app, _, done) => {
         return;
       }
 
-      console.log('Using Aptos program ID:', chain.pivyStealthProgramId);
+      console.log(`Using Aptos program ID on ${chain.id}:`, chain.pivyStealthProgramId);
 
       // Setup Aptos SDK with API key if available
       const aptosApiKey = process.env.APTOS_API_KEY;
@@ -167,7 +283,7 @@ export const aptosStealthWorkers = (app, _, done) => {
         console.log('No Aptos API key found, using public endpoints');
       }
       const configOptions = {
-        network,
+        network: chain.network,
         fullnode: chain.rpcUrl || chain.publicRpcUrl
       };
 
@@ -181,313 +297,205 @@ export const aptosStealthWorkers = (app, _, done) => {
       const config = new AptosConfig(configOptions);
       const aptos = new Aptos(config);
 
-      // Get all potential users once at the start
-      const userWallets = await prismaQuery.userWallet.findMany({
-        where: {
-          chain: 'APTOS',
-          isActive: true,
-          metaViewPriv: { not: null },
-          metaSpendPub: { not: null },
-          metaViewPub: { not: null }
-        },
-        include: { user: true }
-      });
-
-      const users = userWallets.map(wallet => ({
-        ...wallet.user,
-        activeWallet: {
-          id: wallet.id,
-          chain: wallet.chain,
-          walletAddress: wallet.walletAddress,
-          metaViewPriv: wallet.metaViewPriv,
-          metaSpendPub: wallet.metaSpendPub,
-          metaViewPub: wallet.metaViewPub
+      // Get all potential users once at the start, their view keys are opened once for the run
+      const users = await loadScanUsers();
+
+      const indexerUrl = chain.indexerUrl;
+
+      // Resume from the persisted per-stream checkpoints (last fully processed ledger version)
+      let checkpoints = await getIndexerCheckpoints(chain.id);
+
+      /**
+       * Post-insert processing for a new payment: owner/link detection, caches, internal transfers
+       */
+      const handleIndexedPayment = async (newPayment, parsedEvent, tokenCache) => {
+        // Only process if not already linked (save RPC calls)
+        let paymentProcessResult = null;
+        if (!newPayment.linkId) {
+          paymentProcessResult = await processAptosPaymentTx({
+            txHash: newPayment.txHash,
+            chain: chain.id,
+            users: users,
+            encryptedNote: parsedEvent.data.encryptedNote,
+            encryptedLabel: parsedEvent.data.encryptedLabel,
+            eventIndex: parsedEvent.eventIndex,
+            stealthOwnerPubkey: parsedEvent.data.stealthOwner,
+            ephemeralPubkey: parsedEvent.data.ephemeralPubkey
+          });
+        } else {
+          console.log(`Payment ${newPayment.id} already linked, skipping processing`);
         }
-      }));
-
-      // Determine GraphQL indexer URL based on network
-      const indexerUrl = isTestnet 
-        ? 'https://api.testnet.aptoslabs.com/v1/graphql'
-        : 'https://api.mainnet.aptoslabs.com/v1/graphql';
-
-      // Get the highest transaction version we've already processed
-      // This prevents re-fetching old transactions we've already seen
-      const highestPayment = await prismaQuery.payment.findFirst({
-        where: { chain: chain.id },
-        orderBy: { txHash: 'desc' },
-        select: { txHash: true }
-      });
-
-      const highestWithdrawal = await prismaQuery.withdrawal.findFirst({
-        where: { chain: chain.id },
-        orderBy: { txHash: 'desc' },
-        select: { txHash: true }
-      });
-
-      // Get the max version from both - txHash is stored as version string
-      const maxProcessedVersion = Math.max(
-        highestPayment ? parseInt(highestPayment.txHash) : 0,
-        highestWithdrawal ? parseInt(highestWithdrawal.txHash) : 0
-      );
-
-      if (maxProcessedVersion > 0) {
-        console.log(`Resuming from transaction version: ${maxProcessedVersion}`);
-      }
-
-      const limit = 20;
-      let offset = 0;
-      let hasMore = true;
 
-      while (hasMore) {
-        let txVersions = [];
-        try {
-          // Query transactions using GraphQL indexer to find all txs that interact with the contract
-          // Only fetch transactions with version > maxProcessedVersion to avoid re-fetching old txs
-          const graphqlQuery = {
-            query: `
-              query UserTransactions($contractAddress: String!, $limit: Int!, $offset: Int!, $minVersion: bigint!) {
-                user_transactions(
-                  where: {
-                    entry_function_contract_address: {_eq: $contractAddress}
-                    version: {_gt: $minVersion}
-                  }
-                  limit: $limit
-                  offset: $offset
-                  order_by: {version: desc}
-                ) {
-                  version
-                  sender
-                  entry_function_function_name
-                  entry_function_module_name
-                  timestamp
-                  sequence_number
-                }
+        await invalidateCacheForNewPayment({
+          stealthOwnerPubkey: newPayment.stealthOwnerPubkey,
+          chain: newPayment.chain,
+          link: paymentProcessResult?.link || null
+        });
+
+        // Check if this is an internal transfer (sender is a known stealth address)
+        if (!parsedEvent.data.payer) return;
+
+        const isInternalTransfer = await prismaQuery.payment.findFirst({
+          where: {
+            stealthOwnerPubkey: parsedEvent.data.payer,
+            chain: chain.id
+          },
+          include: {
+            link: {
+              select: {
+                userId: true
               }
-            `,
-            variables: {
-              contractAddress: chain.pivyStealthProgramId,
-              limit: limit,
-              offset: offset,
-              minVersion: maxProcessedVersion.toString()
             }
-          };
-
-          // Setup headers with API key if available
-          const headers = {
-            'Content-Type': 'application/json',
-          };
-          
-          if (aptosApiKey) {
-            headers['Authorization'] = `Bearer ${aptosApiKey}`;
           }
-
-          const graphqlResponse = await fetch(indexerUrl, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(graphqlQuery)
+        });
+
+        if (!isInternalTransfer) return;
+
+        // Update the payment with payerUserId if it's an internal transfer
+        if (isInternalTransfer.link) {
+          await prismaQuery.payment.update({
+            where: { id: newPayment.id },
+            data: {
+              payerUser: {
+                connect: {
+                  id: isInternalTransfer.link.userId
+                }
+              }
+            }
           });
+        }
 
-          if (!graphqlResponse.ok) {
-            const errorText = await graphqlResponse.text();
-            console.error('Failed to fetch from GraphQL indexer:', errorText);
-            throw new Error(`GraphQL error! status: ${graphqlResponse.status}`);
-          }
-
-          const graphqlData = await graphqlResponse.json();
-          
-          if (graphqlData.errors) {
-            console.error('GraphQL query errors:', graphqlData.errors);
-            return;
+        const payerUserId = isInternalTransfer.link?.userId || null;
+        const destinationUserId = paymentProcessResult?.link?.userId || null;
+
+        // Create a withdrawal record for the internal transfer
+        const internalWithdrawal = await prismaQuery.withdrawal.create({
+          data: {
+            txHash: parsedEvent.signature,
+            slot: parsedEvent.slot,
+            timestamp: parsedEvent.data.timestamp,
+            stealthOwnerPubkey: parsedEvent.data.payer,
+            destinationPubkey: parsedEvent.data.stealthOwner,
+            amount: parsedEvent.data.amount,
+            chain: chain.id,
+            ...(payerUserId && {
+              user: {
+                connect: {
+                  id: payerUserId
+                }
+              }
+            }),
+            ...(destinationUserId && {
+              destinationUser: {
+                connect: {
+                  id: destinationUserId
+                }
+              }
+            }),
+            isProcessed: true,
+            isInternalTransfer: true,
+            mint: {
+              connect: {
+                id: tokenCache.id
+              }
+            }
           }
-
-          const txList = graphqlData.data?.user_transactions || [];
-          
-          if (txList.length === 0) {
-            hasMore = false;
-            break;
+        }).catch(err => {
+          if (err.code !== 'P2002') {
+            console.log('Error creating internal transfer withdrawal:', err);
           }
+          return null;
+        });
 
-          console.log(`Found ${txList.length} new transactions (version > ${maxProcessedVersion})`);
+        if (internalWithdrawal) {
+          const withdrawalCompositeKey = `${parsedEvent.signature}_${parsedEvent.data.payer}_${tokenCache.id}`;
+          await markProcessComplete(withdrawalCompositeKey, 'WITHDRAWAL_USER_ID_SCAN');
+          await markProcessComplete(withdrawalCompositeKey, 'WITHDRAWAL_DESTINATION_USER_ID_SCAN');
 
-          txVersions = txList.map(tx => tx.version);
-
-        } catch (apiError) {
-          console.log('API error fetching transactions from indexer, skipping this cycle:', apiError.message);
-          return;
+          if (payerUserId) {
+            await emitWithdrawalRecorded(internalWithdrawal);
+          }
         }
+      };
 
-        if (txVersions.length === 0) {
-          hasMore = false;
-          break;
+      /**
+       * Post-insert processing for a new withdrawal: user detection and caches
+       */
+      const handleIndexedWithdrawal = async (newWithdrawal) => {
+        // Only process if not already linked to user (save RPC calls)
+        let withdrawalProcessResult = null;
+        if (!newWithdrawal.userId || !newWithdrawal.isProcessed) {
+          withdrawalProcessResult = await processAptosWithdrawalTx({
+            txHash: newWithdrawal.txHash,
+            chain: chain.id,
+            users: users
+          });
+        } else {
+          console.log(`Withdrawal ${newWithdrawal.txHash} already processed, skipping processing`);
         }
 
-        // Since we're filtering at query level (version > maxProcessedVersion),
-        // all these transactions are potentially new - just fetch them all
-        const versionsToFetch = txVersions;
+        await invalidateCacheForNewWithdrawal({
+          stealthOwnerPubkey: newWithdrawal.stealthOwnerPubkey,
+          chain: newWithdrawal.chain,
+          userId: withdrawalProcessResult?.userId || null
+        });
+      };
 
-        // Fetch full transaction details for each version from REST API
-        const txs = [];
-        for (let i = 0; i < versionsToFetch.length; i++) {
-          const version = versionsToFetch[i];
-          
+      /**
+       * Index one transaction. Rows and checkpoints are written in a single DB transaction,
+       * so a crash can never leave the checkpoint ahead of (or behind) the inserted rows.
+       * @param {Object} tx - Full REST transaction
+       * @param {Object} [options]
+       * @param {boolean} [options.advanceCheckpoint] - False to index a version ahead of the checkpoint,
+       * the regular scan reaches it later and skips the rows that already exist
+       * @returns {Promise<boolean>} false if the version must be retried on the next cycle
+       */
+      const indexTransaction = async (tx, { advanceCheckpoint = true } = {}) => {
+        const version = BigInt(tx.version);
+
+        // Failed or non-user transactions carry no PIVY events, but still move the checkpoint
+        const parsedEvents = tx.success === true && tx.type === 'user_transaction'
+          ? parseStealthEvents(tx)
+          : [];
+
+        // Resolve token caches up front (network calls don't belong inside the DB transaction)
+        const pendingEvents = [];
+        for (const parsedEvent of parsedEvents) {
+          const stream = parsedEvent.type === 'IN' ? 'PAYMENTS' : 'WITHDRAWALS';
+          if (!isVersionPending(checkpoints, stream, version)) continue;
+
+          let tokenCache;
           try {
-            const restUrl = `${chain.rpcUrl || chain.publicRpcUrl}/v1/transactions/by_version/${version}`;
-            
-            // Setup headers with API key if available
-            const fetchOptions = {
-              headers: {
-                'Accept': 'application/json'
-              }
-            };
-            
-            if (aptosApiKey) {
-              fetchOptions.headers['Authorization'] = `Bearer ${aptosApiKey}`;
-            }
-            
-            console.log('Fetching transaction version:', version);
-            const txResponse = await fetch(restUrl, fetchOptions);
-            
-            if (!txResponse.ok) {
-              console.error(`Failed to fetch tx version ${version}, status: ${txResponse.status}`);
-              continue;
-            }
-
-            const tx = await txResponse.json();
-            
-            // Only process successful transactions
-            if (tx.success === true && tx.type === 'user_transaction') {
-              txs.push(tx);
-            }
-
-            // Rate limiting: sleep every 5 requests to avoid overloading
-            if ((i + 1) % 5 === 0) {
-              await new Promise(resolve => setTimeout(resolve, 200));
+            if (parsedEvent.data.assetType === NATIVE_APT_COINTYPE) {
+              tokenCache = await getOrCreateNativeAPTCache(chain.id);
+            } else {
+              tokenCache = await getOrCreateAptosTokenCache(
+                parsedEvent.data.assetType,
+                chain.id,
+                aptos
+              );
             }
-          } catch (fetchError) {
-            console.log(`Error fetching transaction version ${version}:`, fetchError.message);
-            continue;
+          } catch (tokenCacheError) {
+            console.log('Error getting token cache:', tokenCacheError.message, 'asset:', parsedEvent.data.assetType);
           }
-        }
 
-        if (txs.length > 0) {
-          console.log(`Fetched ${txs.length} full transaction details from REST API`);
-        }
-
-        for (const tx of txs) {
-          // Skip malformed transactions
-          if (!tx || !tx.version || !tx.timestamp) {
-            continue;
+          // Don't advance past an event we couldn't store, retry it on the next cycle
+          if (!tokenCache || !tokenCache.id) {
+            console.warn(`Failed to get token cache for asset ${parsedEvent.data.assetType}, retrying version ${version} later`);
+            return false;
           }
 
-          // Use version as transaction hash (more reliable and consistent)
-          const txHash = tx.version.toString();
-
-          if (!tx.events || tx.events.length === 0) {
-            continue;
-          }
-
-          for (let eventIndex = 0; eventIndex < tx.events.length; eventIndex++) {
-            const event = tx.events[eventIndex];
-            if (!event || !event.type || !event.data) {
-              console.log('Skipping malformed event:', txHash, eventIndex);
-              continue;
-            }
-
-            const eventType = event.type;
-            let parsedEvent = null;
-
-            try {
-              if (eventType.includes('PaymentEvent')) {
-                const eventData = event.data;
-                if (!eventData || !eventData.stealth_owner || !eventData.eph_pubkey) {
-                  continue;
-                }
-
-                const assetType = extractAssetType(tx, eventType, eventData);
-                const ephPubkey = bytesToBase58(eventData.eph_pubkey);
-                if (!ephPubkey) {
-                  console.log('Failed to convert ephemeral pubkey to base58:', txHash);
-                  continue;
-                }
-
-                const encryptedLabel = bytesToBase58(eventData.label);
-                const payload = bytesToBase58(eventData.payload);
-                const encryptedNote = bytesToBase58(eventData.note);
-                const timestamp = Math.floor(parseInt(tx.timestamp) / 1000000);
-
-                parsedEvent = {
-                  signature: txHash,
-                  slot: timestamp,
-                  type: 'IN',
-                  eventIndex: eventIndex,
-                  data: {
-                    stealthOwner: eventData.stealth_owner,
-                    payer: tx.sender || null,
-                    assetType: assetType,
-                    amount: eventData.amount,
-                    encryptedLabel: encryptedLabel,
-                    ephemeralPubkey: ephPubkey,
-                    timestamp: timestamp,
-                    announce: true,
-                    memo: payload,
-                    encryptedNote: encryptedNote,
-                  }
-                };
-              } else if (eventType.includes('WithdrawEvent')) {
-                const eventData = event.data;
-                if (!eventData || !eventData.stealth_owner || !eventData.destination) {
-                  continue;
-                }
-
-                const assetType = extractAssetType(tx, eventType, eventData);
-                const timestamp = Math.floor(parseInt(tx.timestamp) / 1000000);
-
-                parsedEvent = {
-                  signature: txHash,
-                  slot: timestamp,
-                  type: 'OUT',
-                  eventIndex: eventIndex,
-                  data: {
-                    stealthOwner: eventData.stealth_owner,
-                    destination: eventData.destination,
-                    assetType: assetType,
-                    amount: eventData.amount,
-                    timestamp: timestamp,
-                  }
-                };
-              }
-            } catch (eventParseError) {
-              console.log('Error parsing event:', eventParseError.message, 'tx:', txHash, 'eventIndex:', eventIndex);
-              continue;
-            }
+          pendingEvents.push({ parsedEvent, tokenCache });
+        }
 
-            if (!parsedEvent) continue;
-
-            let tokenCache;
-            try {
-              if (parsedEvent.data.assetType === NATIVE_APT_COINTYPE) {
-                tokenCache = await getOrCreateNativeAPTCache(chain.id);
-              } else {
-                tokenCache = await getOrCreateAptosTokenCache(
-                  parsedEvent.data.assetType,
-                  chain.id,
-                  aptos
-                );
-              }
-
-              // Skip this event if we couldn't create/get token cache
-              if (!tokenCache || !tokenCache.id) {
-                console.warn(`Failed to get token cache for asset ${parsedEvent.data.assetType}, skipping event processing`);
-                continue;
-              }
-            } catch (tokenCacheError) {
-              console.log('Error getting token cache:', tokenCacheError.message, 'asset:', parsedEvent.data.assetType);
-              continue;
-            }
+        const { newPayments, newWithdrawals, updatedCheckpoints } = await prismaQuery.$transaction(async (db) => {
+          const newPayments = [];
+          const newWithdrawals = [];
 
+          for (const { parsedEvent, tokenCache } of pendingEvents) {
             if (parsedEvent.type === 'IN') {
               // Check if this specific payment already exists (using event index for uniqueness)
-              const existingPayment = await prismaQuery.payment.findFirst({
+              const existingPayment = await db.payment.findFirst({
                 where: {
                   txHash: parsedEvent.signature,
                   stealthOwnerPubkey: parsedEvent.data.stealthOwner,
@@ -502,7 +510,7 @@ export const aptosStealthWorkers = (app, _, done) => {
                 continue;
               }
 
-              const newPayment = await prismaQuery.payment.create({
+              const newPayment = await db.payment.create({
                 data: {
                   txHash: parsedEvent.signature,
                   slot: parsedEvent.slot,
@@ -522,120 +530,11 @@ export const aptosStealthWorkers = (app, _, done) => {
                     }
                   }
                 }
-              }).catch(err => {
-                if (err.code !== 'P2002') {
-                  console.log('Error creating payment:', err);
-                }
-                return null;
               });
-
-              if (newPayment) {
-                // Only process if not already linked (save RPC calls)
-                let paymentProcessResult = null;
-                if (!newPayment.linkId) {
-                  paymentProcessResult = await processAptosPaymentTx({
-                    txHash: newPayment.txHash,
-                    users: users,
-                    encryptedNote: parsedEvent.data.encryptedNote,
-                    encryptedLabel: parsedEvent.data.encryptedLabel,
-                    eventIndex: parsedEvent.eventIndex,
-                    stealthOwnerPubkey: parsedEvent.data.stealthOwner,
-                    ephemeralPubkey: parsedEvent.data.ephemeralPubkey
-                  });
-                } else {
-                  console.log(`Payment ${newPayment.id} already linked, skipping processing`);
-                }
-
-                await invalidateCacheForNewPayment({
-                  stealthOwnerPubkey: newPayment.stealthOwnerPubkey,
-                  chain: newPayment.chain,
-                  link: paymentProcessResult?.link || null
-                });
-
-                // Check if this is an internal transfer (sender is a known stealth address)
-                if (parsedEvent.data.payer) {
-                  const isInternalTransfer = await prismaQuery.payment.findFirst({
-                    where: {
-                      stealthOwnerPubkey: parsedEvent.data.payer,
-                      chain: chain.id
-                    },
-                    include: {
-                      link: {
-                        select: {
-                          userId: true
-                        }
-                      }
-                    }
-                  });
-
-                  // Update the payment with payerUserId if it's an internal transfer
-                  if (isInternalTransfer && isInternalTransfer.link) {
-                    await prismaQuery.payment.update({
-                      where: { id: newPayment.id },
-                      data: {
-                        payerUser: {
-                          connect: {
-                            id: isInternalTransfer.link.userId
-                          }
-                        }
-                      }
-                    });
-                  }
-
-                  if (isInternalTransfer) {
-                    const payerUserId = isInternalTransfer.link?.userId || null;
-                    const destinationUserId = paymentProcessResult?.link?.userId || null;
-
-                    // Create a withdrawal record for the internal transfer
-                    const internalWithdrawal = await prismaQuery.withdrawal.create({
-                      data: {
-                        txHash: parsedEvent.signature,
-                        slot: parsedEvent.slot,
-                        timestamp: parsedEvent.data.timestamp,
-                        stealthOwnerPubkey: parsedEvent.data.payer,
-                        destinationPubkey: parsedEvent.data.stealthOwner,
-                        amount: parsedEvent.data.amount,
-                        chain: chain.id,
-                        ...(payerUserId && {
-                          user: {
-                            connect: {
-                              id: payerUserId
-                            }
-                          }
-                        }),
-                        ...(destinationUserId && {
-                          destinationUser: {
-                            connect: {
-                              id: destinationUserId
-                            }
-                          }
-                        }),
-                        isProcessed: true,
-                        isInternalTransfer: true,
-                        mint: {
-                          connect: {
-                            id: tokenCache.id
-                          }
-                        }
-                      }
-                    }).catch(err => {
-                      if (err.code !== 'P2002') {
-                        console.log('Error creating internal transfer withdrawal:', err);
-                      }
-                      return null;
-                    });
-
-                    if (internalWithdrawal) {
-                      const withdrawalCompositeKey = `${parsedEvent.signature}_${parsedEvent.data.payer}_${tokenCache.id}`;
-                      await markProcessComplete(withdrawalCompositeKey, 'WITHDRAWAL_USER_ID_SCAN');
-                      await markProcessComplete(withdrawalCompositeKey, 'WITHDRAWAL_DESTINATION_USER_ID_SCAN');
-                    }
-                  }
-                }
-              }
+              newPayments.push({ newPayment, parsedEvent, tokenCache });
             } else if (parsedEvent.type === 'OUT') {
               // Check if this specific withdrawal already exists
-              const existingWithdrawal = await prismaQuery.withdrawal.findUnique({
+              const existingWithdrawal = await db.withdrawal.findUnique({
                 where: {
                   txHash_stealthOwnerPubkey_mintId: {
                     txHash: parsedEvent.signature,
@@ -658,7 +557,7 @@ export const aptosStealthWorkers = (app, _, done) => {
                 parsedEvent.data.amount
               );
 
-              const newWithdrawal = await prismaQuery.withdrawal.create({
+              const newWithdrawal = await db.withdrawal.create({
                 data: {
                   txHash: parsedEvent.signature,
                   slot: parsedEvent.slot,
@@ -674,39 +573,231 @@ export const aptosStealthWorkers = (app, _, done) => {
                     }
                   }
                 }
-              }).catch(err => {
-                if (err.code !== 'P2002') {
-                  console.log('Error creating withdrawal:', err);
-                }
-                return null;
               });
+              newWithdrawals.push(newWithdrawal);
+            }
+          }
 
-              if (newWithdrawal) {
-                // Only process if not already linked to user (save RPC calls)
-                let withdrawalProcessResult = null;
-                if (!newWithdrawal.userId || !newWithdrawal.isProcessed) {
-                  withdrawalProcessResult = await processAptosWithdrawalTx({
-                    txHash: newWithdrawal.txHash
-                  });
-                } else {
-                  console.log(`Withdrawal ${newWithdrawal.txHash} already processed, skipping processing`);
-                }
+          const updatedCheckpoints = advanceCheckpoint
+            ? await advanceIndexerCheckpoints(db, checkpoints, version)
+            : {};
+          return { newPayments, newWithdrawals, updatedCheckpoints };
+        });
+
+        checkpoints = { ...checkpoints, ...updatedCheckpoints };
+
+        // Sponsored transactions are charged their actual gas, failed ones too
+        try {
+          await recordLandedSponsorship({ chain: chain.id, tx });
+        } catch (sponsorshipError) {
+          console.log('Error recording landed sponsorship for version', version.toString(), sponsorshipError.message);
+        }
+
+        // Owner detection and cache invalidation run after commit, the rows are already safe
+        for (const { newPayment, parsedEvent, tokenCache } of newPayments) {
+          try {
+            await handleIndexedPayment(newPayment, parsedEvent, tokenCache);
+          } catch (processError) {
+            console.log('Error processing indexed payment:', newPayment.id, processError.message);
+          }
+        }
+
+        for (const newWithdrawal of newWithdrawals) {
+          try {
+            await handleIndexedWithdrawal(newWithdrawal);
+          } catch (processError) {
+            console.log('Error processing indexed withdrawal:', newWithdrawal.id, processError.message);
+          }
+        }
+
+        return true;
+      };
+
+      /**
+       * Full transaction from the REST API
+       * @returns {Promise<Object|null>} Null if it couldn't be fetched or is malformed
+       */
+      const fetchTransactionByVersion = async (version) => {
+        try {
+          const restUrl = `${chain.rpcUrl || chain.publicRpcUrl}/v1/transactions/by_version/${version}`;
+
+          // Setup headers with API key if available
+          const fetchOptions = {
+            headers: {
+              'Accept': 'application/json'
+            }
+          };
+
+          if (aptosApiKey) {
+            fetchOptions.headers['Authorization'] = `Bearer ${aptosApiKey}`;
+          }
+
+          console.log('Fetching transaction version:', version);
+          const txResponse = await fetch(restUrl, fetchOptions);
 
-                await invalidateCacheForNewWithdrawal({
-                  stealthOwnerPubkey: newWithdrawal.stealthOwnerPubkey,
-                  chain: newWithdrawal.chain,
-                  userId: withdrawalProcessResult?.userId || null
-                });
+          if (!txResponse.ok) {
+            console.error(`Failed to fetch tx version ${version}, status: ${txResponse.status}`);
+            return null;
+          }
+
+          const tx = await txResponse.json();
+
+          // Malformed transactions are retried, we can't tell whether they had PIVY events
+          if (!tx || !tx.version || !tx.timestamp) {
+            console.error(`Malformed transaction for version ${version}`);
+            return null;
+          }
+
+          return tx;
+        } catch (fetchError) {
+          console.log(`Error fetching transaction version ${version}:`, fetchError.message);
+          return null;
+        }
+      };
+
+      // Transactions committed through /tx/submit are indexed right away, without waiting for the GraphQL indexer
+      const committedTransactions = await getUnindexedCommittedTransactions(chain.id);
+      const indexedIds = [];
+      for (const committedTransaction of committedTransactions) {
+        const tx = await fetchTransactionByVersion(committedTransaction.version.toString());
+        if (!tx || !(await indexTransaction(tx, { advanceCheckpoint: false }))) continue;
+        indexedIds.push(committedTransaction.id);
+      }
+      await markPreparedTransactionsIndexed(indexedIds);
+
+      const limit = 20;
+      let hasMore = true;
+
+      while (hasMore) {
+        const startVersion = getScanStartVersion(checkpoints);
+        const endVersion = getScanEndVersion(checkpoints);
+
+        if (startVersion > 0n) {
+          console.log(`Resuming from transaction version: ${startVersion}${endVersion !== null ? ` (reindexing up to ${endVersion})` : ''}`);
+        }
+
+        let txVersions = [];
+        try {
+          // Query transactions using GraphQL indexer to find all txs that interact with the contract.
+          // Oldest first, so the checkpoint only ever moves forward over fully processed versions
+          const graphqlQuery = {
+            query: `
+              query UserTransactions($contractAddress: String!, $limit: Int!, $minVersion: bigint!, $maxVersion: bigint!) {
+                user_transactions(
+                  where: {
+                    entry_function_contract_address: {_eq: $contractAddress}
+                    version: {_gt: $minVersion, _lte: $maxVersion}
+                  }
+                  limit: $limit
+                  order_by: {version: asc}
+                ) {
+                  version
+                  sender
+                  entry_function_function_name
+                  entry_function_module_name
+                  timestamp
+                  sequence_number
+                }
               }
+            `,
+            variables: {
+              contractAddress: chain.pivyStealthProgramId,
+              limit: limit,
+              minVersion: startVersion.toString(),
+              maxVersion: (endVersion ?? MAX_LEDGER_VERSION).toString()
             }
+          };
+
+          // Setup headers with API key if available
+          const headers = {
+            'Content-Type': 'application/json',
+          };
+
+          if (aptosApiKey) {
+            headers['Authorization'] = `Bearer ${aptosApiKey}`;
+          }
+
+          const graphqlResponse = await fetch(indexerUrl, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(graphqlQuery)
+          });
+
+          if (!graphqlResponse.ok) {
+            const errorText = await graphqlResponse.text();
+            console.error('Failed to fetch from GraphQL indexer:', errorText);
+            throw new Error(`GraphQL error! status: ${graphqlResponse.status}`);
+          }
+
+          const graphqlData = await graphqlResponse.json();
+
+          if (graphqlData.errors) {
+            console.error('GraphQL query errors:', graphqlData.errors);
+            throw new Error(`GraphQL query errors: ${JSON.stringify(graphqlData.errors).substring(0, 500)}`);
           }
+
+          const txList = graphqlData.data?.user_transactions || [];
+
+          if (txList.length > 0) {
+            console.log(`Found ${txList.length} new transactions (version > ${startVersion})`);
+          }
+
+          txVersions = txList.map(tx => tx.version);
+
+        } catch (apiError) {
+          // Failing the job gets it retried with backoff
+          console.log('API error fetching transactions from indexer:', apiError.message);
+          throw apiError;
         }
 
-        // Update offset for next batch
-        offset += limit;
+        if (txVersions.length === 0) {
+          // Nothing left inside the reindex range, hand the streams back to their resume point
+          if (endVersion !== null) {
+            checkpoints = { ...checkpoints, ...(await completeIndexerReindex(checkpoints, endVersion)) };
+            continue;
+          }
+          hasMore = false;
+          break;
+        }
+
+        // Fetch full transaction details for each version from REST API, in order.
+        // Stop at the first failure so we never move the checkpoint past a version we haven't seen
+        const txs = [];
+        let isStalled = false;
+        for (let i = 0; i < txVersions.length; i++) {
+          const tx = await fetchTransactionByVersion(txVersions[i]);
+          if (!tx) {
+            isStalled = true;
+            break;
+          }
+
+          txs.push(tx);
 
-        // Check if we got fewer results than the limit (reached the end)
-        if (txVersions.length < limit) {
+          // Rate limiting: sleep every 5 requests to avoid overloading
+          if ((i + 1) % 5 === 0) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+          }
+        }
+
+        if (txs.length > 0) {
+          console.log(`Fetched ${txs.length} full transaction details from REST API`);
+        }
+
+        for (const tx of txs) {
+          if (!(await indexTransaction(tx))) {
+            isStalled = true;
+            break;
+          }
+        }
+
+        // The checkpoint stays before the version that failed, the retry picks it up again
+        if (isStalled) {
+          throw new Error(`Indexing stalled at version ${getScanStartVersion(checkpoints)} on ${chain.id}`);
+        }
+
+        // Stop when we got fewer results than the limit (reached the end).
+        // Inside a reindex range keep going: the next empty page finishes the reindex
+        if ((txVersions.length < limit && endVersion === null) || isStopping()) {
           hasMore = false;
         } else {
           // Sleep between batches to avoid rate limiting
@@ -714,13 +805,13 @@ export const aptosStealthWorkers = (app, _, done) => {
         }
       }
     } catch (error) {
-      console.log('error in handleFetchStealthTransactions', error);
+      console.log(`error in handleFetchStealthTransactions (${chain.id})`, error);
+      throw error;
     }
   };
 
-  const reprocessUnlinkedWithdrawals = async () => {
+  const reprocessUnlinkedWithdrawals = async (chain) => {
     try {
-      const chain = isTestnet ? CHAINS.APTOS_TESTNET : CHAINS.APTOS_MAINNET;
       const unlinkedWithdrawals = await prismaQuery.withdrawal.findMany({
         where: {
           userId: null,
@@ -733,41 +824,70 @@ export const aptosStealthWorkers = (app, _, done) => {
 
       if (unlinkedWithdrawals.length > 0) {
         console.log(`Found ${unlinkedWithdrawals.length} transaction hashes with unlinked withdrawals to re-process.`);
+        const users = await loadScanUsers();
         for (const withdrawal of unlinkedWithdrawals) {
-          await processAptosWithdrawalTx({ txHash: withdrawal.txHash });
+          await processAptosWithdrawalTx({ txHash: withdrawal.txHash, chain: chain.id, users });
         }
       }
     } catch (error) {
       console.error('Error in reprocessUnlinkedWithdrawals:', error);
+      throw error;
     }
   };
 
+  const getChain = (chainId) => {
+    const chain = enabledChains.find(enabledChain => enabledChain.id === chainId);
+    if (!chain) throw new Error(`Chain ${chainId} is not enabled on this instance`);
+    return chain;
+  };
+
+  queue.define(FETCH_STEALTH_TRANSACTIONS_JOB, ({ chainId }, { isStopping }) =>
+    handleFetchStealthTransactions(getChain(chainId), isStopping));
+  queue.define(REPROCESS_WITHDRAWALS_JOB, ({ chainId }) => reprocessUnlinkedWithdrawals(getChain(chainId)));
+  queue.define(REPROCESS_USER_ID_SCANS_JOB, () => reprocessUserIdScans());
+
   // Log indexer speed configuration
   logIndexerSpeedConfig();
 
-  handleFetchStealthTransactions();
-  reprocessUnlinkedWithdrawals();
-
-  // Schedule based on INDEXER_SPEED environment variable
+  // Schedule based on INDEXER_SPEED environment variable (per chain override via indexerSchedule)
   const threeSecSchedule = getCronSchedule('everyTenSeconds');
   const thirtySecSchedule = getCronSchedule('everyThirtySeconds');
   const twoMinSchedule = getCronSchedule('everyTwoMinutes');
 
   console.log(`= APTOS Stealth worker schedules:`);
-  console.log(`   - Fetch transactions: ${threeSecSchedule}`);
-  console.log(`   - Reprocess withdrawals: ${thirtySecSchedule}`);
-  console.log(`   - Reprocess user scans: ${twoMinSchedule}`);
+  console.log(`   - Chains: ${enabledChains.map(chain => chain.id).join(', ')}`);
+
+  // Every enabled chain gets its own schedules, chains run concurrently
+  for (const chain of enabledChains) {
+    let fetchSchedule = threeSecSchedule;
+    if (chain.indexerSchedule) {
+      if (cron.validate(chain.indexerSchedule)) {
+        fetchSchedule = chain.indexerSchedule;
+      } else {
+        console.error(`Invalid indexerSchedule for ${chain.id}: ${chain.indexerSchedule}, using ${threeSecSchedule}`);
+      }
+    }
 
-  cron.schedule(threeSecSchedule, () => {
-    handleFetchStealthTransactions();
-  });
+    console.log(`   - [${chain.id}] Fetch transactions: ${fetchSchedule}`);
+    console.log(`   - [${chain.id}] Reprocess withdrawals: ${thirtySecSchedule}`);
+
+    queue.schedule(FETCH_STEALTH_TRANSACTIONS_JOB, fetchSchedule, {
+      payload: { chainId: chain.id },
+      key: `${FETCH_STEALTH_TRANSACTIONS_JOB}:${chain.id}`
+    });
+    queue.schedule(REPROCESS_WITHDRAWALS_JOB, thirtySecSchedule, {
+      payload: { chainId: chain.id },
+      key: `${REPROCESS_WITHDRAWALS_JOB}:${chain.id}`
+    });
+  }
 
-  cron.schedule(thirtySecSchedule, () => {
-    reprocessUnlinkedWithdrawals();
-  });
+  console.log(`   - Reprocess user scans: ${twoMinSchedule}`);
+
+  queue.schedule(REPROCESS_USER_ID_SCANS_JOB, twoMinSchedule);
 
-  cron.schedule(twoMinSchedule, () => {
-    reprocessUserIdScans();
+  // onClose runs after the job queue stopped in preClose, so no scan is left waiting on the threads
+  app.addHook('onClose', async () => {
+    await getStealthScanPool().close();
   });
 
   done();
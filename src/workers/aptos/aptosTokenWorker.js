@@ -1,13 +1,12 @@
 import { prismaQuery } from "../../lib/prisma.js";
-import cron from "node-cron";
+import { getJobQueue } from "../../lib/jobQueue.js";
 import { sleep } from "../../utils/miscUtils.js";
-import { CHAINS } from "../../config.js";
+import { CHAINS, getEnabledChains } from "../../config.js";
 import { getCronSchedule, logIndexerSpeedConfig } from "../../utils/cronUtils.js";
 
-// Concurrency protection flags
-let isFetchingTokenPrices = false;
-let isFetchingMainPrice = false;
-let isFetchingVerification = false;
+const UPDATE_TOKEN_PRICES_JOB = 'aptos:update-token-prices';
+const UPDATE_MAIN_PRICE_JOB = 'aptos:update-main-price';
+const UPDATE_TOKEN_VERIFICATION_JOB = 'aptos:update-token-verification';
 
 /**
  * Get predefined image URL for a token from CHAINS config
@@ -28,26 +27,22 @@ const getPredefinedTokenImage = (mintAddress) => {
 };
 
 /**
- * Fetch APT price from Pontem API
+ * Fetch APT price from Pontem API. Throws instead of returning a price we don't have,
+ * so the job fails and is retried rather than storing $0.
  * @returns {Promise<number>} The APT price in USD
  */
 const fetchAptPrice = async () => {
-  try {
-    const response = await fetch('https://control.pontem.network/api/integrations/fiat-prices?currencies=apt');
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    // The API returns an array with price data
-    // Expected format: [{"price": 5.2885245375370395, "date": "...", "coinType": "apt", "currency": "apt"}]
-    if (Array.isArray(data) && data.length > 0 && data[0].price) {
-      return data[0].price;
-    }
-    throw new Error('Invalid response format from Pontem API');
-  } catch (error) {
-    console.log('Error fetching APT price from Pontem API:', error);
-    return 0;
+  const response = await fetch('https://control.pontem.network/api/integrations/fiat-prices?currencies=apt');
+  if (!response.ok) {
+    throw new Error(`Error fetching APT price from Pontem API, status: ${response.status}`);
   }
+  const data = await response.json();
+  // The API returns an array with price data
+  // Expected format: [{"price": 5.2885245375370395, "date": "...", "coinType": "apt", "currency": "apt"}]
+  if (Array.isArray(data) && data.length > 0 && data[0].price) {
+    return data[0].price;
+  }
+  throw new Error('Invalid response format from Pontem API');
 };
 
 /**
@@ -58,13 +53,6 @@ const fetchAptPrice = async () => {
  */
 export const aptosTokenWorker = (app, _, done) => {
   const updateTokenPrices = async () => {
-    if (isFetchingTokenPrices) {
-      console.log('Aptos token price update already in progress, skipping...');
-      return;
-    }
-
-    isFetchingTokenPrices = true;
-
     try {
       // First, update APT price from Pontem API
       console.log('Updating APT price from Pontem API...');
@@ -74,12 +62,13 @@ export const aptosTokenWorker = (app, _, done) => {
       const aptTokens = await prismaQuery.mintDataCache.findMany({
         where: {
           chain: {
-            in: [CHAINS.APTOS_MAINNET.id, CHAINS.APTOS_TESTNET.id]
+            in: getEnabledChains().map(chain => chain.id)
           },
           mintAddress: '0x1::aptos_coin::AptosCoin'
         }
       });
 
+      let failedCount = 0;
       for (const token of aptTokens) {
         try {
           await prismaQuery.mintDataCache.update({
@@ -88,6 +77,7 @@ export const aptosTokenWorker = (app, _, done) => {
           });
         } catch (error) {
           console.log('Error updating APT price for', token.symbol, ':', error);
+          failedCount++;
         }
       }
 
@@ -96,7 +86,7 @@ export const aptosTokenWorker = (app, _, done) => {
       const tokens = await prismaQuery.mintDataCache.findMany({
         where: {
           chain: {
-            in: [CHAINS.APTOS_MAINNET.id, CHAINS.APTOS_TESTNET.id]
+            in: getEnabledChains().map(chain => chain.id)
           }
         },
         orderBy: {
@@ -124,25 +114,23 @@ export const aptosTokenWorker = (app, _, done) => {
           }
         } catch (error) {
           console.log('Error updating stablecoin price for', token.symbol, ':', error);
+          failedCount++;
         }
       }
 
+      // The other tokens are updated anyway, the job still fails so it's retried
+      if (failedCount > 0) {
+        throw new Error(`Price update failed for ${failedCount} tokens`);
+      }
+
       console.log('Token price update completed');
     } catch (error) {
       console.log('Error in updateTokenPrices:', error);
-    } finally {
-      isFetchingTokenPrices = false;
+      throw error;
     }
   }
 
   const updateMainPrice = async () => {
-    if (isFetchingMainPrice) {
-      console.log('Aptos main price update already in progress, skipping...');
-      return;
-    }
-
-    isFetchingMainPrice = true;
-
     try {
       const aptPriceUsd = await fetchAptPrice();
 
@@ -162,19 +150,11 @@ export const aptosTokenWorker = (app, _, done) => {
       console.log('APT main price updated, APT price:', aptPriceUsd);
     } catch (error) {
       console.log('error updating main price', error);
-    } finally {
-      isFetchingMainPrice = false;
+      throw error;
     }
   }
 
   const updateTokenVerification = async () => {
-    if (isFetchingVerification) {
-      console.log('Aptos token verification update already in progress, skipping...');
-      return;
-    }
-
-    isFetchingVerification = true;
-
     try {
       console.log('Fetching Aptos verified tokens...');
       // For Aptos, we'll focus on native APT and well-known stablecoins
@@ -199,7 +179,7 @@ export const aptosTokenWorker = (app, _, done) => {
       const dbTokens = await prismaQuery.mintDataCache.findMany({
         where: {
           chain: {
-            in: [CHAINS.APTOS_MAINNET.id, CHAINS.APTOS_TESTNET.id]
+            in: getEnabledChains().map(chain => chain.id)
           }
         }
       });
@@ -219,6 +199,7 @@ export const aptosTokenWorker = (app, _, done) => {
 
       // Update verification status for all tokens
       let updatedCount = 0;
+      let failedCount = 0;
       for (const dbToken of dbTokens) {
         try {
           const verifiedData = verifiedTokensMap.get(dbToken.mintAddress);
@@ -274,14 +255,17 @@ export const aptosTokenWorker = (app, _, done) => {
           }
         } catch (error) {
           console.log('Error updating verification for token', dbToken.symbol, ':', error);
+          failedCount++;
         }
       }
 
       console.log(`Updated verification status for ${updatedCount} Aptos tokens`);
+      if (failedCount > 0) {
+        throw new Error(`Verification update failed for ${failedCount} tokens`);
+      }
     } catch (error) {
       console.log('Error in updateTokenVerification:', error);
-    } finally {
-      isFetchingVerification = false;
+      throw error;
     }
   }
 
@@ -298,35 +282,19 @@ export const aptosTokenWorker = (app, _, done) => {
   console.log(`   - Update main price: ${thirtySecSchedule}`);
   console.log(`   - Token verification: ${hourlySchedule}`);
 
+  const queue = getJobQueue();
+  queue.define(UPDATE_TOKEN_PRICES_JOB, updateTokenPrices);
+  queue.define(UPDATE_MAIN_PRICE_JOB, updateMainPrice);
+  queue.define(UPDATE_TOKEN_VERIFICATION_JOB, updateTokenVerification);
+
   // Fetch APT price and update token prices
-  updateTokenPrices();
-  cron.schedule(twoMinSchedule, async () => {
-    try {
-      await updateTokenPrices();
-    } catch (error) {
-      console.log('Error updating token prices:', error);
-    }
-  });
+  queue.schedule(UPDATE_TOKEN_PRICES_JOB, twoMinSchedule);
 
   // Update APT main price only
-  updateMainPrice();
-  cron.schedule(thirtySecSchedule, async () => {
-    try {
-      await updateMainPrice();
-    } catch (error) {
-      console.log('Error updating main price:', error);
-    }
-  });
+  queue.schedule(UPDATE_MAIN_PRICE_JOB, thirtySecSchedule);
 
   // Token verification (Aptos verified tokens)
-  updateTokenVerification();
-  cron.schedule(hourlySchedule, async () => {
-    try {
-      await updateTokenVerification();
-    } catch (error) {
-      console.log('Error updating token verification:', error);
-    }
-  });
+  queue.schedule(UPDATE_TOKEN_VERIFICATION_JOB, hourlySchedule);
 
   done();
 }
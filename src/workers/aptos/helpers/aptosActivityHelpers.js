@@ -1,22 +1,98 @@
-import PivyStealthAptos from "../../../lib/pivy-stealth/pivy-stealth-aptos.js";
 import { prismaQuery } from "../../../lib/prisma.js";
+import { openMetaViewPriv } from "../../../lib/keyVault.js";
+import { getStealthScanPool } from "../../../lib/stealthScanPool.js";
 import { shouldProcess, markProcessComplete, markProcessAttempt, getUnprocessedItems } from "../../../utils/processingLogUtils.js";
+import { emitPaymentReceived, emitWithdrawalRecorded } from "../../../utils/webhookUtils.js";
+import { isInvoiceReference, matchPaymentToInvoice } from "../../../utils/invoiceUtils.js";
+import { recordSubscriptionPayment } from "../../../utils/subscriptionUtils.js";
+import { refreshLinkCampaign } from "../../../utils/fundraiserUtils.js";
 import bs58 from 'bs58';
 
+/**
+ * Users with complete Aptos meta keys. Load them once per scan cycle and pass the same array to
+ * every processAptosPaymentTx / processAptosWithdrawalTx call of the cycle, their view keys are
+ * then unwrapped once per cycle instead of once per transaction.
+ * @returns {Promise<Array<Object>>} Users with their `activeWallet`
+ */
+export const loadScanUsers = async () => {
+  const userWallets = await prismaQuery.userWallet.findMany({
+    where: {
+      chain: 'APTOS',
+      isActive: true,
+      metaViewPriv: { not: null },
+      metaSpendPub: { not: null },
+      metaViewPub: { not: null }
+    },
+    include: { user: true }
+  });
+
+  return userWallets.map(wallet => ({
+    ...wallet.user,
+    activeWallet: {
+      id: wallet.id,
+      chain: wallet.chain,
+      walletAddress: wallet.walletAddress,
+      metaViewPriv: wallet.metaViewPriv,
+      metaSpendPub: wallet.metaSpendPub,
+      metaViewPub: wallet.metaViewPub
+    }
+  }));
+};
+
+// Opened candidates per users array, dropped with the array at the end of its scan cycle
+const openedCandidates = new WeakMap();
+
+const openScanCandidates = (users) => {
+  let opened = openedCandidates.get(users);
+  if (!opened) {
+    opened = openCandidates(users);
+    openedCandidates.set(users, opened);
+  }
+  return opened;
+};
+
+// Users with complete meta keys and their opened view keys, in the same order
+const openCandidates = async (users) => {
+  const scanUsers = [];
+  const candidates = [];
+
+  for (const u of users) {
+    const wallet = u.activeWallet;
+    if (!wallet || !wallet.metaViewPriv || !wallet.metaSpendPub || !wallet.metaViewPub) {
+      continue;
+    }
+
+    try {
+      candidates.push({
+        metaViewPriv: await openMetaViewPriv(wallet.metaViewPriv),
+        metaSpendPub: wallet.metaSpendPub,
+        metaViewPub: wallet.metaViewPub
+      });
+      scanUsers.push(u);
+    } catch (error) {
+      console.log('Error opening view key for user:', u.id, error.message);
+    }
+  }
+
+  return { scanUsers, candidates };
+};
+
 /**
  * Process a payment transaction to identify the owner and link to user
  * @param {Object} params - Parameters
  * @param {string} params.txHash - Transaction hash
- * @param {Array} params.users - Array of users with meta keys
+ * @param {Array} [params.users] - Users from loadScanUsers, loaded when omitted
  * @param {Uint8Array|null} params.encryptedNote - Encrypted note bytes
  * @param {string|null} params.encryptedLabel - Encrypted label (base58 or bytes)
  * @param {number|null} params.eventIndex - Event index in transaction
  * @param {string|null} params.stealthOwnerPubkey - Stealth address
  * @param {string|null} params.ephemeralPubkey - Ephemeral public key (base58)
+ * @param {string|null} params.chain - Chain ID, versions are only unique per chain
  * @returns {Promise<Object|null>} Processing result with link info
  */
 export const processAptosPaymentTx = async ({
   txHash,
+  chain = null,
   users,
   encryptedNote = null,
   encryptedLabel = null,
@@ -31,12 +107,13 @@ export const processAptosPaymentTx = async ({
     }
 
     // Build where condition to find the specific payment
-    let whereCondition = { txHash: txHash };
+    let whereCondition = { txHash: txHash, ...(chain && { chain }) };
 
     // If specific identifiers are provided, use them to find the exact payment
     if (eventIndex !== null && stealthOwnerPubkey && ephemeralPubkey) {
       whereCondition = {
         txHash: txHash,
+        ...(chain && { chain }),
         eventIndex: eventIndex,
         stealthOwnerPubkey: stealthOwnerPubkey,
         ephemeralPubkey: ephemeralPubkey
@@ -53,156 +130,100 @@ export const processAptosPaymentTx = async ({
 
     // If users not provided, get them from UserWallet table
     if (!users) {
-      const userWallets = await prismaQuery.userWallet.findMany({
-        where: {
-          chain: 'APTOS',
-          isActive: true,
-          metaViewPriv: { not: null },
-          metaSpendPub: { not: null },
-          metaViewPub: { not: null }
-        },
-        include: { user: true }
-      });
-
-      users = userWallets.map(wallet => ({
-        ...wallet.user,
-        activeWallet: {
-          id: wallet.id,
-          chain: wallet.chain,
-          walletAddress: wallet.walletAddress,
-          metaViewPriv: wallet.metaViewPriv,
-          metaSpendPub: wallet.metaSpendPub,
-          metaViewPub: wallet.metaViewPub
-        }
-      }));
+      users = await loadScanUsers();
     }
 
     if (!users || users.length === 0) {
       return null;
     }
 
-    const pivy = new PivyStealthAptos();
-    let owner, link, decryptedLabel = null;
+    // The memo carries the encrypted ephemeral private key
+    if (!paymentTx.memo) {
+      return null;
+    }
 
-    for (const u of users) {
-      const wallet = u.activeWallet;
-      if (!wallet || !wallet.metaViewPriv || !wallet.metaSpendPub || !wallet.metaViewPub) {
-        continue;
-      }
+    // Safe base58 decoding
+    let memoBytes;
+    try {
+      memoBytes = bs58.decode(paymentTx.memo);
+    } catch (error) {
+      console.log('Invalid base58 memo for payment:', paymentTx.id, error.message);
+      return null;
+    }
 
-      try {
-        // Decrypt the ephemeral private key from the memo field
-        if (!paymentTx.memo) {
-          continue;
-        }
+    // Stored view keys are envelope-encrypted, only ever decrypt them in memory
+    const { scanUsers, candidates } = await openScanCandidates(users);
 
-        // Safe base58 decoding
-        let memoBytes;
-        try {
-          memoBytes = bs58.decode(paymentTx.memo);
-        } catch (error) {
-          console.log('Invalid base58 memo for user:', u.id, error.message);
-          continue;
-        }
+    let owner, link, decryptedLabel = null;
+    let paymentNote = paymentTx.note;
+
+    // The curve work runs on the scan pool threads, off the event loop
+    const { match } = await getStealthScanPool().scan({
+      memo: memoBytes,
+      ephemeralPubkey: paymentTx.ephemeralPubkey,
+      stealthOwnerPubkey: paymentTx.stealthOwnerPubkey,
+      encryptedNote,
+      encryptedLabel
+    }, candidates);
+
+    if (match) {
+      owner = scanUsers[match.index];
+
+      const decryptedNote = match.note;
+      if (match.noteError) {
+        console.log('Failed to decrypt note:', match.noteError);
+      } else if (decryptedNote) {
+        console.log('Decrypted private note:', decryptedNote);
+      }
 
-        const decryptedEphPriv = await pivy.decryptEphemeralPrivKey(
-          memoBytes,
-          wallet.metaViewPriv,
-          paymentTx.ephemeralPubkey
-        );
-
-        // Derive the stealth address
-        const stealthPub = await pivy.deriveStealthPub(
-          wallet.metaSpendPub,
-          wallet.metaViewPub,
-          decryptedEphPriv
-        );
-
-        if (stealthPub.stealthAptosAddress === paymentTx.stealthOwnerPubkey) {
-          owner = u;
-
-          // Try to decrypt encrypted note if it exists
-          let decryptedNote = null;
-          if (encryptedNote) {
-            try {
-              const encryptedNoteBytes = encryptedNote instanceof Uint8Array
-                ? encryptedNote
-                : bs58.decode(encryptedNote);
-              decryptedNote = await pivy.decryptNote(
-                encryptedNoteBytes,
-                paymentTx.ephemeralPubkey,
-                wallet.metaViewPriv
-              );
-              console.log('Decrypted private note:', decryptedNote);
-            } catch (noteError) {
-              console.log('Failed to decrypt note:', noteError.message);
-            }
-          }
+      if (match.labelError) {
+        console.log('Failed to decrypt label:', match.labelError);
+        decryptedLabel = paymentTx.label;
+      } else if (encryptedLabel) {
+        decryptedLabel = match.label;
+        console.log('Decrypted label:', decryptedLabel);
+      } else {
+        decryptedLabel = paymentTx.label;
+      }
 
-          // Try to decrypt encrypted label if it exists
-          if (encryptedLabel) {
-            try {
-              const encryptedLabelBytes = encryptedLabel instanceof Uint8Array
-                ? encryptedLabel
-                : bs58.decode(encryptedLabel);
-              decryptedLabel = await pivy.decryptNote(
-                encryptedLabelBytes,
-                paymentTx.ephemeralPubkey,
-                wallet.metaViewPriv
-              );
-              console.log('Decrypted label:', decryptedLabel);
-            } catch (labelError) {
-              console.log('Failed to decrypt label:', labelError.message);
-              decryptedLabel = paymentTx.label;
-            }
-          } else {
-            decryptedLabel = paymentTx.label;
-          }
+      // Store the decrypted note and label in the database
+      const updateData = {};
+      if (decryptedNote) {
+        updateData.note = decryptedNote;
+        paymentNote = decryptedNote;
+      }
+      if (decryptedLabel && decryptedLabel !== paymentTx.label) {
+        updateData.label = decryptedLabel;
+      }
 
-          // Store the decrypted note and label in the database
-          const updateData = {};
-          if (decryptedNote) {
-            updateData.note = decryptedNote;
-          }
-          if (decryptedLabel && decryptedLabel !== paymentTx.label) {
-            updateData.label = decryptedLabel;
-          }
+      if (Object.keys(updateData).length > 0) {
+        await prismaQuery.payment.update({
+          where: { id: paymentTx.id },
+          data: updateData
+        }).catch(err => {
+          console.log('Error storing decrypted data:', err);
+        });
+      }
 
-          if (Object.keys(updateData).length > 0) {
-            await prismaQuery.payment.update({
-              where: { id: paymentTx.id },
-              data: updateData
+      // Check if the decrypted note matches a PaymentInfo ID
+      if (decryptedNote) {
+        try {
+          const paymentInfo = await prismaQuery.paymentInfo.findUnique({
+            where: { id: decryptedNote.trim() }
+          });
+
+          if (paymentInfo) {
+            await prismaQuery.paymentInfo.update({
+              where: { id: decryptedNote.trim() },
+              data: { paymentId: paymentTx.id }
             }).catch(err => {
-              console.log('Error storing decrypted data:', err);
+              console.log('Error linking PaymentInfo to payment:', err);
             });
+            console.log('Successfully linked PaymentInfo', decryptedNote.trim(), 'to payment', paymentTx.id);
           }
-
-          // Check if the decrypted note matches a PaymentInfo ID
-          if (decryptedNote) {
-            try {
-              const paymentInfo = await prismaQuery.paymentInfo.findUnique({
-                where: { id: decryptedNote.trim() }
-              });
-
-              if (paymentInfo) {
-                await prismaQuery.paymentInfo.update({
-                  where: { id: decryptedNote.trim() },
-                  data: { paymentId: paymentTx.id }
-                }).catch(err => {
-                  console.log('Error linking PaymentInfo to payment:', err);
-                });
-                console.log('Successfully linked PaymentInfo', decryptedNote.trim(), 'to payment', paymentTx.id);
-              }
-            } catch (linkError) {
-              console.log('Error checking PaymentInfo linkage:', linkError.message);
-            }
-          }
-
-          break;
+        } catch (linkError) {
+          console.log('Error checking PaymentInfo linkage:', linkError.message);
         }
-      } catch (error) {
-        console.log('Error processing user keys:', error.message);
-        continue;
       }
     }
 
@@ -231,6 +252,30 @@ export const processAptosPaymentTx = async ({
       console.log('Error updating payment with link:', err);
     });
 
+    // Check if the note references an invoice of that link
+    if (isInvoiceReference(paymentNote)) {
+      await matchPaymentToInvoice({ payment: paymentTx, reference: paymentNote, link }).catch(err => {
+        console.log('Error matching payment to invoice:', err);
+      });
+    } else if (link) {
+      // Otherwise it may renew a subscription to the link
+      await recordSubscriptionPayment({ payment: paymentTx, link }).catch(err => {
+        console.log('Error recording subscription payment:', err);
+      });
+    }
+
+    // Fundraiser progress includes the new payment right away
+    if (link?.template === 'fundraiser') {
+      await refreshLinkCampaign(link.id).catch(err => {
+        console.log('Error refreshing fundraiser campaign:', err);
+      });
+    }
+
+    // Notify the link owner's webhooks the first time the payment gets its link
+    if (link && paymentTx.linkId !== link.id) {
+      await emitPaymentReceived(paymentTx.id);
+    }
+
     console.log('Successfully processed payment for user:', owner.id, 'link:', link?.id || 'N/A');
     return { owner, link };
 
@@ -244,51 +289,34 @@ export const processAptosPaymentTx = async ({
  * Process a withdrawal transaction to identify the user
  * @param {Object} params - Parameters
  * @param {string} params.txHash - Transaction hash
+ * @param {string|null} params.chain - Chain ID, versions are only unique per chain
+ * @param {Array} [params.users] - Users from loadScanUsers, loaded when omitted
  * @returns {Promise<Object|null>} Processing result with user info
  */
-export const processAptosWithdrawalTx = async ({ txHash }) => {
+export const processAptosWithdrawalTx = async ({ txHash, chain = null, users = null }) => {
   try {
     if (!txHash || typeof txHash !== 'string' || txHash.trim().length === 0) {
       return null;
     }
 
     const withdrawals = await prismaQuery.withdrawal.findMany({
-      where: { txHash: txHash }
+      where: { txHash: txHash, ...(chain && { chain }) }
     });
 
     if (!withdrawals || withdrawals.length === 0) {
       return null;
     }
 
-    // Get all users with Aptos wallets
-    const userWallets = await prismaQuery.userWallet.findMany({
-      where: {
-        chain: 'APTOS',
-        isActive: true,
-        metaViewPriv: { not: null },
-        metaSpendPub: { not: null },
-        metaViewPub: { not: null }
-      },
-      include: { user: true }
-    });
-
-    const users = userWallets.map(wallet => ({
-      ...wallet.user,
-      activeWallet: {
-        id: wallet.id,
-        chain: wallet.chain,
-        walletAddress: wallet.walletAddress,
-        metaViewPriv: wallet.metaViewPriv,
-        metaSpendPub: wallet.metaSpendPub,
-        metaViewPub: wallet.metaViewPub
-      }
-    }));
+    // If users not provided, get them from UserWallet table
+    if (!users) {
+      users = await loadScanUsers();
+    }
 
     if (!users || users.length === 0) {
       return null;
     }
 
-    const pivy = new PivyStealthAptos();
+    const { scanUsers, candidates } = await openScanCandidates(users);
     let userId = null;
     let destinationUserId = null;
 
@@ -315,54 +343,47 @@ export const processAptosWithdrawalTx = async ({ txHash }) => {
         continue;
       }
 
-      // Try to match with users
-      for (const u of users) {
-        const wallet = u.activeWallet;
-        if (!wallet || !wallet.metaViewPriv || !wallet.metaSpendPub || !wallet.metaViewPub) {
-          continue;
-        }
+      // The destination scan below still runs when the memo can't be decoded
+      let memoBytes = null;
+      try {
+        memoBytes = bs58.decode(payment.memo);
+      } catch (error) {
+        console.log('Invalid base58 memo for payment:', payment.id, error.message);
+      }
 
-        try {
-          const memoBytes = bs58.decode(payment.memo);
-          const decryptedEphPriv = await pivy.decryptEphemeralPrivKey(
-            memoBytes,
-            wallet.metaViewPriv,
-            payment.ephemeralPubkey
-          );
-
-          const stealthPub = await pivy.deriveStealthPub(
-            wallet.metaSpendPub,
-            wallet.metaViewPub,
-            decryptedEphPriv
-          );
-
-          if (stealthPub.stealthAptosAddress === withdrawal.stealthOwnerPubkey) {
-            userId = u.id;
-
-            // Update withdrawal with user
-            await prismaQuery.withdrawal.update({
-              where: {
-                txHash_stealthOwnerPubkey_mintId: {
-                  txHash: withdrawal.txHash,
-                  stealthOwnerPubkey: withdrawal.stealthOwnerPubkey,
-                  mintId: withdrawal.mintId
-                }
-              },
-              data: {
-                user: { connect: { id: userId } },
-                isProcessed: true
+      if (memoBytes) {
+        const { match } = await getStealthScanPool().scan({
+          memo: memoBytes,
+          ephemeralPubkey: payment.ephemeralPubkey,
+          stealthOwnerPubkey: withdrawal.stealthOwnerPubkey
+        }, candidates).catch(error => {
+          console.log('Error matching withdrawal to user:', error.message);
+          return { match: null };
+        });
+
+        if (match) {
+          userId = scanUsers[match.index].id;
+
+          // Update withdrawal with user
+          await prismaQuery.withdrawal.update({
+            where: {
+              txHash_stealthOwnerPubkey_mintId: {
+                txHash: withdrawal.txHash,
+                stealthOwnerPubkey: withdrawal.stealthOwnerPubkey,
+                mintId: withdrawal.mintId
               }
-            }).catch(err => {
-              console.log('Error updating withdrawal with user:', err);
-            });
+            },
+            data: {
+              user: { connect: { id: userId } },
+              isProcessed: true
+            }
+          }).catch(err => {
+            console.log('Error updating withdrawal with user:', err);
+          });
 
-            console.log('Linked withdrawal to user:', userId);
-            await markProcessComplete(compositeKey, 'WITHDRAWAL_USER_ID_SCAN');
-            break;
-          }
-        } catch (error) {
-          console.log('Error matching withdrawal to user:', error.message);
-          continue;
+          console.log('Linked withdrawal to user:', userId);
+          await emitWithdrawalRecorded(withdrawal);
+          await markProcessComplete(compositeKey, 'WITHDRAWAL_USER_ID_SCAN');
         }
       }
 
@@ -427,13 +448,14 @@ export const reprocessUserIdScans = async () => {
     const unprocessedDestinations = await getUnprocessedItems('WITHDRAWAL_DESTINATION_USER_ID_SCAN', 50);
 
     console.log(`Reprocessing ${unprocessedPayments.length} payments, ${unprocessedWithdrawals.length} withdrawals`);
+    const users = await loadScanUsers();
 
     // Reprocess payments - processId is directly the string, not an object
     for (const processId of unprocessedPayments.slice(0, 20)) {
       const parts = processId.split('_');
       if (parts.length >= 4) {
         const txHash = parts.slice(0, -3).join('_');
-        await processAptosPaymentTx({ txHash });
+        await processAptosPaymentTx({ txHash, users });
       }
     }
 
@@ -442,11 +464,12 @@ export const reprocessUserIdScans = async () => {
       const parts = processId.split('_');
       if (parts.length >= 3) {
         const txHash = parts.slice(0, -2).join('_');
-        await processAptosWithdrawalTx({ txHash });
+        await processAptosWithdrawalTx({ txHash, users });
       }
     }
 
   } catch (error) {
     console.error('Error in reprocessUserIdScans:', error);
+    throw error;
   }
 };
@@ -1,6 +1,8 @@
 import { prismaQuery } from '../lib/prisma.js';
+import { getJobQueue } from '../lib/jobQueue.js';
 import { retrieveAttestation } from '../routes/cctpRoutes.js';
-import { logIndexerSpeedConfig } from '../utils/cronUtils.js';
+import { getCronSchedule, logIndexerSpeedConfig } from '../utils/cronUtils.js';
+import { emitCctpStatusChanged } from '../utils/webhookUtils.js';
 
 /**
  * CCTP Background Worker Plugin for Fastify
@@ -8,14 +10,7 @@ import { logIndexerSpeedConfig } from '../utils/cronUtils.js';
  * Handles attestation polling and transaction completion
  */
 
-// Get interval based on INDEXER_SPEED environment variable
-const getWorkerInterval = () => {
-  const indexerSpeed = process.env.INDEXER_SPEED || 'default';
-  if (indexerSpeed === 'slow') {
-    return 120000; // 2 minutes in slow mode
-  }
-  return 30000; // 30 seconds in default mode
-};
+const PROCESS_CCTP_TRANSACTIONS_JOB = 'cctp:process-pending';
 
 // CCTP attestations typically take 13-20 minutes according to Circle docs
 // With 30-second worker intervals, we need ~60-80 retries to cover 30-40 minutes
@@ -23,50 +18,11 @@ const MAX_RETRIES = 100; // Allow up to ~50 minutes of retries (100 * 30s)
 const ATTESTATION_TIMEOUT_MINUTES = 60; // Hard timeout at 60 minutes
 
 class CctpWorker {
-  constructor() {
-    this.isRunning = false;
-    this.intervalId = null;
-  }
-
-  start() {
-    if (this.isRunning) {
-      console.log('CCTP Worker already running');
-      return;
-    }
-
-    // Log indexer speed configuration
-    logIndexerSpeedConfig();
-    
-    const interval = getWorkerInterval();
-    console.log(`🚀 Starting CCTP Worker with ${interval}ms interval...`);
-    this.isRunning = true;
-
-    // Process immediately on start
-    this.processTransactions();
-
-    // Then process on interval
-    this.intervalId = setInterval(() => {
-      this.processTransactions();
-    }, interval);
-  }
-
-  stop() {
-    if (!this.isRunning) {
-      return;
-    }
-
-    console.log('🛑 Stopping CCTP Worker...');
-    this.isRunning = false;
-
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
-    }
-  }
-
-  async processTransactions() {
-    if (!this.isRunning) return;
-
+  /**
+   * Process every pending transaction, one job run
+   * @param {Function} isStopping - Leave the rest for the next run on shutdown
+   */
+  async processTransactions(isStopping) {
     try {
       console.log('🔄 CCTP Worker: Checking for pending transactions...');
 
@@ -114,7 +70,7 @@ class CctpWorker {
 
       // Process each transaction
       for (const transaction of pendingTransactions) {
-        if (!this.isRunning) break; // Stop if worker was stopped
+        if (isStopping()) break; // Stop if worker was stopped
 
         try {
           await this.processTransaction(transaction);
@@ -130,7 +86,7 @@ class CctpWorker {
           const shouldIncrementRetry = !isAttestationPending;
 
           // Update retry count and error
-          await prismaQuery.cctpTransaction.update({
+          const updatedTransaction = await prismaQuery.cctpTransaction.update({
             where: { id: transaction.id },
             data: {
               retryCount: shouldIncrementRetry ? { increment: 1 } : transaction.retryCount,
@@ -142,11 +98,19 @@ class CctpWorker {
                 : transaction.status
             }
           });
+
+          await emitCctpStatusChanged({
+            transaction,
+            previousStatus: transaction.status,
+            status: updatedTransaction.status,
+            errorMessage: error.message
+          });
         }
       }
 
     } catch (error) {
       console.error('💥 CCTP Worker error:', error);
+      throw error;
     }
   }
 
@@ -177,6 +141,7 @@ class CctpWorker {
           processedAt: new Date()
         }
       });
+      await emitCctpStatusChanged({ transaction, previousStatus: transaction.status, status: 'ATTESTATION_PENDING' });
 
       try {
         finalAttestation = await retrieveAttestation(
@@ -196,6 +161,7 @@ class CctpWorker {
             status: 'PROCESSING'
           }
         });
+        await emitCctpStatusChanged({ transaction, previousStatus: 'ATTESTATION_PENDING', status: 'PROCESSING' });
 
       } catch (attestationError) {
         console.log(`⏳ Transaction ${transaction.id}: Attestation still pending after ${elapsedMinutes} minutes`);
@@ -209,6 +175,7 @@ class CctpWorker {
         where: { id: transaction.id },
         data: { status: 'PROCESSING' }
       });
+      await emitCctpStatusChanged({ transaction, previousStatus: transaction.status, status: 'PROCESSING' });
     }
 
     // Execute completion
@@ -259,6 +226,8 @@ class CctpWorker {
       }
     });
 
+    await emitCctpStatusChanged({ transaction, previousStatus: 'PROCESSING', status: 'COMPLETED', destTxHash });
+
     console.log(`✅ Transaction ${transaction.id}: Completed successfully with destTxHash: ${destTxHash}`);
   }
 
@@ -278,21 +247,25 @@ const cctpWorker = new CctpWorker();
 
 /**
  * Fastify plugin for CCTP Worker
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
  */
-export const cctpWorkers = async function (fastify, options) {
+export const cctpWorkers = (app, _, done) => {
   console.log('🔧 Registering CCTP Workers...');
 
-  // Start the worker after server is ready
-  fastify.addHook('onReady', async () => {
-    console.log('🚀 Starting CCTP Worker...');
-    cctpWorker.start();
-  });
+  // Log indexer speed configuration
+  logIndexerSpeedConfig();
 
-  // Stop the worker when server closes
-  fastify.addHook('onClose', async () => {
-    console.log('🛑 Stopping CCTP Worker...');
-    cctpWorker.stop();
-  });
+  // 30 seconds in default mode, 2 minutes in slow mode
+  const schedule = getCronSchedule('everyThirtySeconds');
+  console.log(`🚀 CCTP Worker schedule: ${schedule}`);
+
+  const queue = getJobQueue();
+  queue.define(PROCESS_CCTP_TRANSACTIONS_JOB, (payload, { isStopping }) => cctpWorker.processTransactions(isStopping));
+  queue.schedule(PROCESS_CCTP_TRANSACTIONS_JOB, schedule);
 
   console.log('✅ CCTP Workers registered');
+
+  done();
 };
\ No newline at end of file
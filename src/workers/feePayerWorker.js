@@ -0,0 +1,46 @@
+import { GAS_SPONSORSHIP, getEnabledChains } from "../config.js";
+import { getJobQueue } from "../lib/jobQueue.js";
+import { getCronSchedule } from "../utils/cronUtils.js";
+import { pruneFeePayerSnapshots, refreshFeePayerBalances } from "../utils/feePayerPoolUtils.js";
+
+const CHECK_FEE_PAYERS_JOB = 'fee-payers:check';
+
+/**
+ * Monitors the APT balance of the gas sponsorship fee payers, taking low ones out of rotation
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const feePayerWorker = (app, _, done) => {
+  const queue = getJobQueue();
+
+  const checkFeePayers = async () => {
+    if (GAS_SPONSORSHIP.APTOS.wallets.length === 0) return;
+
+    const failedChains = [];
+    for (const chain of getEnabledChains()) {
+      try {
+        const inRotationCount = await refreshFeePayerBalances(chain.id);
+        console.log(`Fee payers on ${chain.id}: ${inRotationCount}/${GAS_SPONSORSHIP.APTOS.wallets.length} in rotation`);
+      } catch (error) {
+        console.log(`Error checking fee payers on ${chain.id}:`, error);
+        failedChains.push(chain.id);
+      }
+    }
+
+    await pruneFeePayerSnapshots();
+
+    // The other chains were checked anyway, fail the job so it's retried
+    if (failedChains.length > 0) {
+      throw new Error(`Fee payer check failed on ${failedChains.join(', ')}`);
+    }
+  };
+
+  const twoMinSchedule = getCronSchedule('everyTwoMinutes');
+  console.log(`🔧 Fee payer worker schedule: ${twoMinSchedule}`);
+
+  queue.define(CHECK_FEE_PAYERS_JOB, checkFeePayers);
+  queue.schedule(CHECK_FEE_PAYERS_JOB, twoMinSchedule);
+
+  done();
+}
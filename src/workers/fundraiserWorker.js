@@ -0,0 +1,33 @@
+import { getJobQueue } from "../lib/jobQueue.js";
+import { getCronSchedule } from "../utils/cronUtils.js";
+import { endExpiredCampaigns, refreshStaleCampaigns } from "../utils/fundraiserUtils.js";
+
+const STALE_PROGRESS_MS = 10 * 60 * 1000; // 10 minutes
+const PROCESS_CAMPAIGNS_JOB = 'fundraisers:process';
+
+/**
+ * Ends fundraiser campaigns past their deadline and keeps USD progress current with token prices
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const fundraiserWorker = (app, _, done) => {
+  const queue = getJobQueue();
+
+  const processCampaigns = async () => {
+    const endedCount = await endExpiredCampaigns();
+    if (endedCount > 0) {
+      console.log(`Ended ${endedCount} fundraiser campaigns past their deadline`);
+    }
+
+    await refreshStaleCampaigns(STALE_PROGRESS_MS);
+  };
+
+  const twoMinSchedule = getCronSchedule('everyTwoMinutes');
+  console.log(`🔧 Fundraiser worker schedule: ${twoMinSchedule}`);
+
+  queue.define(PROCESS_CAMPAIGNS_JOB, processCampaigns);
+  queue.schedule(PROCESS_CAMPAIGNS_JOB, twoMinSchedule);
+
+  done();
+}
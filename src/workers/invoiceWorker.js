@@ -0,0 +1,30 @@
+import { getJobQueue } from "../lib/jobQueue.js";
+import { getCronSchedule } from "../utils/cronUtils.js";
+import { expireOverdueInvoices } from "../utils/invoiceUtils.js";
+
+const EXPIRE_INVOICES_JOB = 'invoices:expire-overdue';
+
+/**
+ * Moves open invoices past their due date to EXPIRED
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const invoiceWorker = (app, _, done) => {
+  const queue = getJobQueue();
+
+  const expireInvoices = async () => {
+    const expiredCount = await expireOverdueInvoices();
+    if (expiredCount > 0) {
+      console.log(`Expired ${expiredCount} overdue invoices`);
+    }
+  };
+
+  const twoMinSchedule = getCronSchedule('everyTwoMinutes');
+  console.log(`🔧 Invoice worker schedule: ${twoMinSchedule}`);
+
+  queue.define(EXPIRE_INVOICES_JOB, expireInvoices);
+  queue.schedule(EXPIRE_INVOICES_JOB, twoMinSchedule);
+
+  done();
+}
@@ -0,0 +1,23 @@
+import { getJobQueue } from "../lib/jobQueue.js";
+
+/**
+ * Runs the job queue the other workers define their jobs and schedules on, register it after them
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const jobQueueWorker = (app, _, done) => {
+  const queue = getJobQueue();
+
+  app.addHook('onReady', async () => {
+    queue.start();
+  });
+
+  // Let running jobs finish before the process exits. preClose, onClose would first wait for
+  // open activity streams
+  app.addHook('preClose', async () => {
+    await queue.stop();
+  });
+
+  done();
+}
@@ -0,0 +1,30 @@
+import { getJobQueue } from "../lib/jobQueue.js";
+import { getCronSchedule } from "../utils/cronUtils.js";
+import { reconcilePreparedTransactions } from "../utils/preparedTransactionUtils.js";
+
+const RECONCILE_PREPARED_TRANSACTIONS_JOB = 'prepared-transactions:reconcile';
+
+/**
+ * Follows prepared transactions after /tx/submit: settles late commits and expires the ones that never landed
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const preparedTransactionWorker = (app, _, done) => {
+  const queue = getJobQueue();
+
+  const processPreparedTransactions = async () => {
+    const { committed, expired } = await reconcilePreparedTransactions();
+    if (committed > 0 || expired > 0) {
+      console.log(`Prepared transactions: ${committed} committed, ${expired} expired`);
+    }
+  };
+
+  const thirtySecSchedule = getCronSchedule('everyThirtySeconds');
+  console.log(`🔧 Prepared transaction worker schedule: ${thirtySecSchedule}`);
+
+  queue.define(RECONCILE_PREPARED_TRANSACTIONS_JOB, processPreparedTransactions);
+  queue.schedule(RECONCILE_PREPARED_TRANSACTIONS_JOB, thirtySecSchedule);
+
+  done();
+}
@@ -0,0 +1,30 @@
+import { getJobQueue } from "../lib/jobQueue.js";
+import { getCronSchedule } from "../utils/cronUtils.js";
+import { processScheduledWithdrawals } from "../utils/scheduledWithdrawalUtils.js";
+
+const PROCESS_SCHEDULED_WITHDRAWALS_JOB = 'scheduled-withdrawals:process';
+
+/**
+ * Releases scheduled withdrawal transactions at their random release times and groups them once committed
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const scheduledWithdrawalWorker = (app, _, done) => {
+  const queue = getJobQueue();
+
+  const runScheduledWithdrawals = async () => {
+    const { released, committed, failed, expired, completed } = await processScheduledWithdrawals();
+    if (released > 0 || committed > 0 || failed > 0 || expired > 0 || completed > 0) {
+      console.log(`Scheduled withdrawals: ${released} released, ${committed} committed, ${failed} failed, ${expired} expired, ${completed} completed`);
+    }
+  };
+
+  const thirtySecSchedule = getCronSchedule('everyThirtySeconds');
+  console.log(`🔧 Scheduled withdrawal worker schedule: ${thirtySecSchedule}`);
+
+  queue.define(PROCESS_SCHEDULED_WITHDRAWALS_JOB, runScheduledWithdrawals);
+  queue.schedule(PROCESS_SCHEDULED_WITHDRAWALS_JOB, thirtySecSchedule);
+
+  done();
+}
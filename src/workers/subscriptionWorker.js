@@ -0,0 +1,35 @@
+import { getJobQueue } from "../lib/jobQueue.js";
+import { getCronSchedule } from "../utils/cronUtils.js";
+import { lapseExpiredSubscribers, sendRenewalReminders } from "../utils/subscriptionUtils.js";
+
+const PROCESS_SUBSCRIPTIONS_JOB = 'subscriptions:process';
+
+/**
+ * Lapses subscribers past their grace period and sends renewal reminders
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const subscriptionWorker = (app, _, done) => {
+  const queue = getJobQueue();
+
+  const processSubscriptions = async () => {
+    const lapsedCount = await lapseExpiredSubscribers();
+    if (lapsedCount > 0) {
+      console.log(`Lapsed ${lapsedCount} subscribers`);
+    }
+
+    const reminderCount = await sendRenewalReminders();
+    if (reminderCount > 0) {
+      console.log(`Sent ${reminderCount} subscription renewal reminders`);
+    }
+  };
+
+  const tenMinSchedule = getCronSchedule('everyTenMinutes');
+  console.log(`🔧 Subscription worker schedule: ${tenMinSchedule}`);
+
+  queue.define(PROCESS_SUBSCRIPTIONS_JOB, processSubscriptions);
+  queue.schedule(PROCESS_SUBSCRIPTIONS_JOB, tenMinSchedule);
+
+  done();
+}
@@ -0,0 +1,30 @@
+import { getJobQueue } from "../lib/jobQueue.js";
+import { getCronSchedule } from "../utils/cronUtils.js";
+import { processDueWebhookDeliveries } from "../utils/webhookUtils.js";
+
+const SEND_WEBHOOKS_JOB = 'webhooks:send-due';
+
+/**
+ * Sends queued webhook deliveries and their retries
+ * @param {import("fastify").FastifyInstance} app
+ * @param {*} _
+ * @param {Function} done
+ */
+export const webhookWorker = (app, _, done) => {
+  const queue = getJobQueue();
+
+  const sendDueWebhooks = async () => {
+    const { sent, failed } = await processDueWebhookDeliveries();
+    if (sent > 0 || failed > 0) {
+      console.log(`Webhooks: ${sent} delivered, ${failed} failed`);
+    }
+  };
+
+  const fiveSecSchedule = getCronSchedule('everyFiveSeconds');
+  console.log(`🔧 Webhook worker schedule: ${fiveSecSchedule}`);
+
+  queue.define(SEND_WEBHOOKS_JOB, sendDueWebhooks);
+  queue.schedule(SEND_WEBHOOKS_JOB, fiveSecSchedule);
+
+  done();
+}